@@ -0,0 +1,360 @@
+/**
+ * BIS-SMS Attendance and Gradebook Records
+ *
+ * The one data model for attendance registers and marks, shared by the admin
+ * dashboard, the query modules (firestore-queries.js, server-queries.js),
+ * the realtime helpers (firestore-realtime.js) and the migration tool
+ * (migrate-academic-records.js).
+ *
+ * Attendance: one document per register session (a class on a date)
+ *   attendance/{classId}_{date}
+ *   {
+ *     classId: 'abc123',                 // classes document ID
+ *     date: '2026-03-02',                // YYYY-MM-DD
+ *     records: { [studentId]: { status: 'Present' | 'Absent' | 'Late', notes: '' } },
+ *     studentIds: ['17', '18'],          // keys of records, for per-learner queries
+ *     updatedAt
+ *   }
+ *
+ * Marks: one document per assessment (a subject's marks for a class and term)
+ *   grades/{classId}_{term}_{subject}_{assessment}
+ *   {
+ *     classId: 'abc123',
+ *     term: 'Term 1 2026',
+ *     subject: 'Mathematics',
+ *     assessment: 'final',               // the term mark; scheme components may follow
+ *     scores: { [studentId]: 72 },       // blank marks are left out
+ *     studentIds: ['17', '18'],
+ *     updatedAt
+ *   }
+ * A learner's term comment is kept with the marks in a document without a subject:
+ *   grades/{classId}_{term}_comments
+ *   { classId, term, subject: null, assessment: 'comment', comments: { [studentId]: 'text' }, studentIds }
+ *
+ * Earlier versions stored whole classes in one document, with dates or terms
+ * as map keys (attendance/{classId}, gradesData/{classId}), or one document
+ * per class and date/term with a nested map (attendance/class_{classId}_{date},
+ * grades/class_{classId}_{term}). legacyAttendanceSessions() and
+ * legacyGradebookEntries() convert those.
+ *
+ * Works in the browser (window.AcademicRecords) and in Node (require).
+ */
+
+const ATTENDANCE_COLLECTION = 'attendance';
+const GRADEBOOK_COLLECTION = 'grades';
+const LEGACY_GRADES_COLLECTION = 'gradesData';
+
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late'];
+const FINAL_ASSESSMENT = 'final';
+const COMMENT_ASSESSMENT = 'comment';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Make a value safe to use as part of a document ID ("Term 1 2026" -> "Term%201%202026")
+ * Everything but letters, digits and '-' is percent-encoded, so different
+ * values never share a key ("Math & Science", "Math/Science") and keys never
+ * contain the '_' that separates the parts of an ID.
+ */
+function recordKey(value) {
+  return encodeURIComponent(String(value).trim())
+    .replace(/[^A-Za-z0-9%-]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+/**
+ * YYYY-MM-DD for a Date, Timestamp or date string, on the local calendar
+ * (a register taken just after midnight belongs to that day, not the UTC one)
+ */
+function toDateKey(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) return value;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function attendanceSessionId(classId, date) {
+  return `${recordKey(classId)}_${toDateKey(date)}`;
+}
+
+/**
+ * Build an attendance session document
+ * @param {string} classId - classes document ID
+ * @param {string|Date} date - Register date
+ * @param {Object} records - { [studentId]: { status, notes } }
+ * @param {Object} extra - Other fields to store (e.g. updatedAt, takenBy)
+ * @returns {Object} Session document data
+ */
+function attendanceSession(classId, date, records, extra = {}) {
+  const normalized = {};
+  Object.keys(records || {}).forEach(studentId => {
+    const record = records[studentId] || {};
+    normalized[String(studentId)] = {
+      status: record.status || 'Present',
+      notes: record.notes || ''
+    };
+  });
+  return {
+    classId: String(classId),
+    date: toDateKey(date),
+    records: normalized,
+    studentIds: Object.keys(normalized).sort(),
+    ...extra
+  };
+}
+
+function gradebookDocId(classId, term, subject, assessment = FINAL_ASSESSMENT) {
+  if (subject === null || subject === undefined) {
+    return `${recordKey(classId)}_${recordKey(term)}_comments`;
+  }
+  return `${recordKey(classId)}_${recordKey(term)}_${recordKey(subject)}_${recordKey(assessment)}`;
+}
+
+function parseScore(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const score = parseFloat(value);
+  return isNaN(score) ? null : score;
+}
+
+/**
+ * Split a term's marks into assessment documents
+ * @param {string} classId - classes document ID
+ * @param {string} term - e.g. "Term 1 2026"
+ * @param {Object} termGrades - { [studentId]: { [subject]: mark, comment } }
+ * @param {Object} extra - Other fields to store on every document
+ * @returns {Array<Object>} [{ id, data }], one per subject plus one for comments
+ */
+function gradebookEntries(classId, term, termGrades, extra = {}) {
+  const subjects = new Set();
+  Object.values(termGrades || {}).forEach(studentGrades => {
+    Object.keys(studentGrades || {}).forEach(key => {
+      if (key !== 'comment') subjects.add(key);
+    });
+  });
+
+  const entries = [...subjects].sort().map(subject => {
+    const scores = {};
+    Object.keys(termGrades).forEach(studentId => {
+      const score = parseScore((termGrades[studentId] || {})[subject]);
+      if (score !== null) scores[String(studentId)] = score;
+    });
+    return {
+      id: gradebookDocId(classId, term, subject),
+      data: {
+        classId: String(classId),
+        term,
+        subject,
+        assessment: FINAL_ASSESSMENT,
+        scores,
+        studentIds: Object.keys(scores).sort(),
+        ...extra
+      }
+    };
+  });
+
+  const comments = {};
+  Object.keys(termGrades || {}).forEach(studentId => {
+    const comment = (termGrades[studentId] || {}).comment;
+    if (comment && String(comment).trim()) comments[String(studentId)] = String(comment);
+  });
+  const hadComments = Object.values(termGrades || {}).some(g => g && 'comment' in g);
+  if (hadComments) {
+    entries.push({
+      id: gradebookDocId(classId, term, null),
+      data: {
+        classId: String(classId),
+        term,
+        subject: null,
+        assessment: COMMENT_ASSESSMENT,
+        comments,
+        studentIds: Object.keys(comments).sort(),
+        ...extra
+      }
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Put assessment documents back together as one term's marks
+ * Only term marks (assessment 'final') and comments are included.
+ * @param {Array<Object>} docs - Gradebook documents of one class and term
+ * @returns {Object} { [studentId]: { [subject]: mark, comment } }
+ */
+function assembleTermGrades(docs) {
+  const grades = {};
+  const studentGrades = studentId => (grades[studentId] = grades[studentId] || {});
+  (docs || []).forEach(doc => {
+    if (doc.assessment === COMMENT_ASSESSMENT) {
+      Object.keys(doc.comments || {}).forEach(studentId => {
+        studentGrades(studentId).comment = doc.comments[studentId];
+      });
+    } else if (doc.assessment === FINAL_ASSESSMENT && doc.subject) {
+      Object.keys(doc.scores || {}).forEach(studentId => {
+        studentGrades(studentId)[doc.subject] = doc.scores[studentId];
+      });
+    }
+  });
+  return grades;
+}
+
+/**
+ * One learner's marks and comments from gradebook documents
+ * @returns {Array<Object>} [{ id, classId, term, subject, assessment, score }] and
+ *   [{ id, classId, term, subject: null, assessment: 'comment', comment }]
+ */
+function studentGradeRows(docs, studentId) {
+  const sid = String(studentId);
+  const rows = [];
+  (docs || []).forEach(doc => {
+    const base = { id: doc.id, classId: doc.classId, term: doc.term, subject: doc.subject, assessment: doc.assessment };
+    if (doc.assessment === COMMENT_ASSESSMENT) {
+      if (doc.comments && sid in doc.comments) rows.push({ ...base, comment: doc.comments[sid] });
+    } else if (doc.scores && sid in doc.scores) {
+      rows.push({ ...base, score: doc.scores[sid] });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Attendance totals for one learner across register sessions
+ * @returns {Object} { studentId, totalPresent, totalAbsent, totalLate, totalDays, attendanceRate }
+ */
+function summarizeAttendance(sessions, studentId) {
+  const sid = String(studentId);
+  let totalPresent = 0;
+  let totalAbsent = 0;
+  let totalLate = 0;
+  let totalDays = 0;
+
+  (sessions || []).forEach(session => {
+    const record = session.records && session.records[sid];
+    if (!record) return;
+    totalDays++;
+    if (record.status === 'Present') totalPresent++;
+    else if (record.status === 'Absent') totalAbsent++;
+    else if (record.status === 'Late') totalLate++;
+  });
+
+  return {
+    studentId,
+    totalPresent,
+    totalAbsent,
+    totalLate,
+    totalDays,
+    attendanceRate: totalDays > 0 ? Math.round((totalPresent / totalDays) * 100) : 0
+  };
+}
+
+function isAttendanceSession(data) {
+  return Boolean(data && typeof data.classId === 'string' && typeof data.date === 'string' &&
+    data.records && Array.isArray(data.studentIds));
+}
+
+function isGradebookEntry(data) {
+  return Boolean(data && typeof data.assessment === 'string' && data.term !== undefined &&
+    typeof data.classId === 'string' && Array.isArray(data.studentIds));
+}
+
+// Copy of a map keyed by student ID with its keys converted
+function rekeyStudents(map, resolveStudentId) {
+  const rekeyed = {};
+  Object.keys(map || {}).forEach(studentId => {
+    rekeyed[resolveStudentId(studentId)] = map[studentId];
+  });
+  return rekeyed;
+}
+
+/**
+ * Convert a legacy attendance document to session documents
+ * @param {string} docId - Document ID in the attendance collection
+ * @param {Object} data - Document data
+ * @param {Object} resolve - { classId, studentId }: map stored IDs to document IDs
+ * @returns {Array<Object>} [{ id, data }]; empty for a document already in the current model
+ */
+function legacyAttendanceSessions(docId, data, resolve = {}) {
+  if (!data || isAttendanceSession(data)) return [];
+  const resolveClassId = resolve.classId || (id => String(id));
+  const resolveStudentId = resolve.studentId || (id => String(id));
+  const session = (classId, date, records) => {
+    const resolved = resolveClassId(classId);
+    return {
+      id: attendanceSessionId(resolved, date),
+      data: attendanceSession(resolved, date, rekeyStudents(records, resolveStudentId))
+    };
+  };
+
+  // attendance/class_{classId}_{date}: { classId, date, records }
+  if (data.classId !== undefined && data.date && data.records) {
+    return [session(data.classId, data.date, data.records)];
+  }
+
+  // attendance/{classId}: { [date]: { [studentId]: record } }
+  return Object.keys(data)
+    .filter(key => DATE_KEY_PATTERN.test(key) && data[key] && typeof data[key] === 'object')
+    .sort()
+    .map(date => session(docId, date, data[date]));
+}
+
+/**
+ * Convert a legacy grades document (grades or gradesData collection) to gradebook entries
+ * @param {string} docId - Document ID
+ * @param {Object} data - Document data
+ * @param {Object} resolve - { classId, studentId }: map stored IDs to document IDs
+ * @returns {Array<Object>} [{ id, data }]; empty for a document already in the current model
+ */
+function legacyGradebookEntries(docId, data, resolve = {}) {
+  if (!data || isGradebookEntry(data)) return [];
+  const resolveClassId = resolve.classId || (id => String(id));
+  const resolveStudentId = resolve.studentId || (id => String(id));
+
+  // grades/class_{classId}_{term}: { classId, term, grades }
+  if (data.classId !== undefined && data.term && data.grades) {
+    return gradebookEntries(resolveClassId(data.classId), data.term, rekeyStudents(data.grades, resolveStudentId));
+  }
+
+  // gradesData/{classId}: { [term]: { [studentId]: { [subject]: mark, comment } } }
+  const classId = resolveClassId(docId);
+  return Object.keys(data)
+    .filter(term => data[term] && typeof data[term] === 'object' && !Array.isArray(data[term]) &&
+      typeof data[term].toDate !== 'function')
+    .sort()
+    .flatMap(term => gradebookEntries(classId, term, rekeyStudents(data[term], resolveStudentId)));
+}
+
+const AcademicRecords = {
+  ATTENDANCE_COLLECTION,
+  GRADEBOOK_COLLECTION,
+  LEGACY_GRADES_COLLECTION,
+  ATTENDANCE_STATUSES,
+  FINAL_ASSESSMENT,
+  COMMENT_ASSESSMENT,
+  recordKey,
+  toDateKey,
+  attendanceSessionId,
+  attendanceSession,
+  gradebookDocId,
+  gradebookEntries,
+  assembleTermGrades,
+  studentGradeRows,
+  summarizeAttendance,
+  isAttendanceSession,
+  isGradebookEntry,
+  legacyAttendanceSessions,
+  legacyGradebookEntries
+};
+
+// Make available to the admin dashboard and browser modules
+if (typeof window !== 'undefined') {
+  window.AcademicRecords = AcademicRecords;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AcademicRecords;
+}
@@ -0,0 +1,484 @@
+/**
+ * Firestore Repository for the BIS-SMS Admin Dashboard
+ *
+ * Firestore is where the admin dashboard keeps its data; this module maps
+ * each of the dashboard's datasets (the `students` array, the `fees` map, ...)
+ * to its collection, so every admin sees the same records:
+ *
+ *   const repo = window.AdminRepository.getRepository('teacherLessonPlans');
+ *   lessonPlans = await repo.load();           // [{ id, firestoreId, ... }]
+ *   await repo.save(plan.id, plan, { reason: 'Lesson plan added' });
+ *   const stop = repo.subscribe(plans => { lessonPlans = plans; render(); });
+ *
+ * Reads go through Firestore's persistent cache (enabled in admin.html), so
+ * the last known data is still there offline; writes go through
+ * auditedWrite() (data-access.js) and wait in the outbox while offline.
+ *
+ * Datasets are either lists (an array of records, one document per record)
+ * or maps (an object keyed by ID, one document per key, the value stored in
+ * `field` when it is not an object of its own). Attendance and marks have
+ * their own documents (academic-records.js) and are read by the dashboard's
+ * loaders.
+ *
+ * Earlier versions kept everything in the browser's localStorage only.
+ * importLocalDataset() uploads such a dataset once, reporting every record
+ * that differs from what Firestore already has instead of overwriting it.
+ */
+
+import './academic-records.js';
+import { auditedWrite } from './data-access.js';
+
+const {
+  ATTENDANCE_COLLECTION,
+  GRADEBOOK_COLLECTION,
+  attendanceSessionId,
+  attendanceSession,
+  gradebookEntries
+} = window.AcademicRecords;
+
+// localStorage key -> Firestore collection and shape
+export const ADMIN_DATASETS = {
+  students: { collection: 'students', shape: 'list' },
+  teachers: { collection: 'teachers', shape: 'list' },
+  classes: { collection: 'classes', shape: 'list' },
+  expenses: { collection: 'expenses', shape: 'list' },
+  assessmentSchemes: { collection: 'assessmentSchemes', shape: 'list' },
+  announcements: { collection: 'announcements', shape: 'list' },
+  events: { collection: 'events', shape: 'list' },
+  examTimetable: { collection: 'examTimetable', shape: 'list' },
+  teacherAssignments: { collection: 'assignments', shape: 'list' },
+  teacherLessonPlans: { collection: 'lessonPlans', shape: 'list' },
+  teacherResources: { collection: 'resources', shape: 'list' },
+  fees: { collection: 'fees', shape: 'map' },
+  subjects: { collection: 'subjects', shape: 'map', field: 'subjects' },
+  homework: { collection: 'homework', shape: 'map', field: 'items' },
+  healthRecords: { collection: 'healthRecords', shape: 'map' },
+  achievements: { collection: 'achievements', shape: 'map', field: 'items' },
+  teacherGrades: { collection: 'teacherGrades', shape: 'map' }
+};
+
+// Stored with the data but not part of it, so ignored when comparing records
+const BOOKKEEPING_FIELDS = ['createdAt', 'updatedAt', 'importedAt', 'migratedAt'];
+
+// Set when this browser's localStorage data has been imported
+export const LOCAL_IMPORT_MARKER = 'localDataImportedAt';
+
+function datasetDescriptor(name) {
+  const descriptor = ADMIN_DATASETS[name];
+  if (!descriptor) {
+    throw new Error(`Unknown dataset "${name}"`);
+  }
+  return { name, ...descriptor };
+}
+
+// Local ID of a list record read from Firestore: its numeric ID when it has one
+function localRecordId(docId, data) {
+  if (data.numericId !== undefined && data.numericId !== null) return data.numericId;
+  return /^\d+$/.test(docId) ? Number(docId) : docId;
+}
+
+/**
+ * Dataset value (array or map) from Firestore documents
+ * @param {string} name - Dataset name (a key of ADMIN_DATASETS)
+ * @param {Array<Object>} docs - [{ id, ...data }]
+ */
+export function datasetFromDocuments(name, docs) {
+  const descriptor = datasetDescriptor(name);
+  if (descriptor.shape === 'list') {
+    return docs.map(({ id, ...data }) => ({ ...data, id: localRecordId(id, data), firestoreId: id }));
+  }
+  const value = {};
+  docs.forEach(({ id, ...data }) => {
+    value[id] = descriptor.field ? data[descriptor.field] : data;
+  });
+  return value;
+}
+
+/**
+ * Firestore document data for one record (list) or entry (map) of a dataset
+ */
+export function documentFromRecord(name, record) {
+  const descriptor = datasetDescriptor(name);
+  if (descriptor.shape === 'list') {
+    const { id, firestoreId, ...data } = record;
+    // Keep the numeric ID of a record stored under a generated document ID
+    if (typeof id === 'number' && firestoreId && String(firestoreId) !== String(id) && data.numericId === undefined) {
+      data.numericId = id;
+    }
+    return data;
+  }
+  return descriptor.field ? { [descriptor.field]: record } : { ...record };
+}
+
+/**
+ * Firestore documents for a whole dataset value
+ * @returns {Array<Object>} [{ id, data }]
+ */
+export function documentsFromDataset(name, value) {
+  const descriptor = datasetDescriptor(name);
+  if (descriptor.shape === 'list') {
+    // Records saved without an ID (the exam timetable) are stored by position
+    return (Array.isArray(value) ? value : [])
+      .map((record, index) => record && {
+        id: String(record.firestoreId || (record.id !== undefined && record.id !== null ? record.id : index + 1)),
+        data: documentFromRecord(name, record)
+      })
+      .filter(Boolean);
+  }
+  return Object.keys(value || {}).map(id => ({ id: String(id), data: documentFromRecord(name, value[id]) }));
+}
+
+async function readCollection(collectionName) {
+  const ref = window.firebaseCollection(window.firebaseDb, collectionName);
+  let snapshot;
+  try {
+    snapshot = await window.firebaseGetDocs(ref);
+  } catch (error) {
+    // The server could not be reached: use what the cache has
+    if (!window.firebaseGetDocsFromCache) throw error;
+    console.warn(`Reading ${collectionName} from the offline cache:`, error);
+    snapshot = await window.firebaseGetDocsFromCache(ref);
+  }
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Reads and writes one dataset through Firestore
+ */
+export class FirestoreRepository {
+  /**
+   * @param {string} name - Dataset name (a key of ADMIN_DATASETS)
+   */
+  constructor(name) {
+    this.descriptor = datasetDescriptor(name);
+    this.name = name;
+    this.collection = this.descriptor.collection;
+  }
+
+  /**
+   * The dataset as the dashboard keeps it (array or map)
+   */
+  async load() {
+    try {
+      return datasetFromDocuments(this.name, await readCollection(this.collection));
+    } catch (error) {
+      console.error(`Error loading ${this.name} from Firestore:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Live dataset; onChange gets the whole value after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(onChange, onError = null) {
+    return window.FirestoreRealtime.subscribeToCollection(this.collection, ({ data }) => {
+      onChange(datasetFromDocuments(this.name, data));
+    }, onError);
+  }
+
+  /**
+   * Create or replace a record (list) or entry (map)
+   * @param {string|number} id - Local ID; list records are stored under their firestoreId when they have one
+   * @param {Object|Array} value - The record or entry
+   * @param {Object} options - { reason, before }
+   * @returns {Promise<Object>} { id, queued, action, auditLogId }
+   */
+  save(id, value, { reason = null, before = null } = {}) {
+    const docId = this.descriptor.shape === 'list' && value && value.firestoreId ? value.firestoreId : id;
+    return auditedWrite({
+      type: 'set',
+      collection: this.collection,
+      id: String(docId),
+      data: { ...documentFromRecord(this.name, value), updatedAt: new Date().toISOString() },
+      reason,
+      before
+    });
+  }
+
+  /**
+   * Add a list record under a generated document ID
+   * @returns {Promise<Object>} { id, queued, action, auditLogId }
+   */
+  create(record, { reason = null } = {}) {
+    const now = new Date().toISOString();
+    return auditedWrite({
+      type: 'add',
+      collection: this.collection,
+      data: { ...documentFromRecord(this.name, record), createdAt: now, updatedAt: now },
+      reason
+    });
+  }
+
+  /**
+   * Delete a record or entry by its document ID
+   */
+  remove(id, { reason = null, before = null } = {}) {
+    return auditedWrite({ type: 'delete', collection: this.collection, id: String(id), reason, before });
+  }
+}
+
+const repositories = new Map();
+
+/**
+ * The repository of a dataset (one instance per dataset)
+ */
+export function getRepository(name) {
+  if (!repositories.has(name)) {
+    repositories.set(name, new FirestoreRepository(name));
+  }
+  return repositories.get(name);
+}
+
+/**
+ * Load several datasets; one that fails to load is left out of the result
+ * @param {Array<string>} names - Dataset names (default: all)
+ * @returns {Promise<Object>} { [name]: value }
+ */
+export async function loadDatasets(names = Object.keys(ADMIN_DATASETS)) {
+  const values = {};
+  await Promise.all(names.map(async name => {
+    try {
+      values[name] = await getRepository(name).load();
+    } catch (error) {
+      // Reported by load(); the dashboard keeps what it has
+    }
+  }));
+  return values;
+}
+
+/**
+ * ========================================
+ * IMPORT FROM LOCALSTORAGE
+ * ========================================
+ */
+
+// JSON with keys sorted and bookkeeping fields left out, for comparing values
+function comparableJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(comparableJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => !BOOKKEEPING_FIELDS.includes(key))
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${comparableJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Whether the stored document already has every field of the local one
+// (fields only the stored copy has, like a studentId written by the server, do not count)
+function sameLocalFields(local, stored) {
+  return Object.keys(local)
+    .filter(key => !BOOKKEEPING_FIELDS.includes(key))
+    .every(key => comparableJson(local[key]) === comparableJson(stored[key]));
+}
+
+function readLocalJson(storage, key) {
+  const raw = storage.getItem(key);
+  if (raw === null) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Ignoring unreadable localStorage "${key}":`, error);
+    return undefined;
+  }
+}
+
+/**
+ * The datasets saved in a browser's localStorage
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Object} { [name]: value } for every dataset present, plus attendance and gradesData
+ */
+export function readLocalDataset(storage = window.localStorage) {
+  const local = {};
+  [...Object.keys(ADMIN_DATASETS), 'attendance', 'gradesData'].forEach(name => {
+    const value = readLocalJson(storage, name);
+    if (value !== undefined && value !== null) local[name] = value;
+  });
+  return local;
+}
+
+/**
+ * The documents a localStorage dataset becomes, by collection
+ * Attendance and marks are converted to sessions and gradebook entries, with
+ * classes and students referred to by their document IDs.
+ * @param {Object} local - readLocalDataset() result
+ * @returns {Array<Object>} [{ name, collection, documents: [{ id, data }] }]
+ */
+export function localImportDocuments(local) {
+  const groups = Object.keys(ADMIN_DATASETS)
+    .filter(name => local[name] !== undefined)
+    .map(name => ({ name, collection: ADMIN_DATASETS[name].collection, documents: documentsFromDataset(name, local[name]) }));
+
+  const storedId = list => {
+    const ids = new Map();
+    (Array.isArray(list) ? list : []).forEach(record => {
+      if (record && record.id !== undefined) ids.set(String(record.id), String(record.firestoreId || record.id));
+    });
+    return id => ids.get(String(id)) || String(id);
+  };
+  const classId = storedId(local.classes);
+  const studentId = storedId(local.students);
+  const byStudent = map => {
+    const rekeyed = {};
+    Object.keys(map || {}).forEach(sid => { rekeyed[studentId(sid)] = map[sid]; });
+    return rekeyed;
+  };
+
+  if (local.attendance) {
+    const documents = [];
+    Object.keys(local.attendance).forEach(cid => {
+      Object.keys(local.attendance[cid] || {}).forEach(date => {
+        documents.push({
+          id: attendanceSessionId(classId(cid), date),
+          data: attendanceSession(classId(cid), date, byStudent(local.attendance[cid][date]))
+        });
+      });
+    });
+    groups.push({ name: 'attendance', collection: ATTENDANCE_COLLECTION, documents });
+  }
+
+  if (local.gradesData) {
+    const documents = [];
+    Object.keys(local.gradesData).forEach(cid => {
+      Object.keys(local.gradesData[cid] || {}).forEach(term => {
+        documents.push(...gradebookEntries(classId(cid), term, byStudent(local.gradesData[cid][term])));
+      });
+    });
+    groups.push({ name: 'gradesData', collection: GRADEBOOK_COLLECTION, documents });
+  }
+
+  return groups;
+}
+
+/**
+ * Compare the documents to import with what Firestore has
+ * @param {Array<Object>} groups - localImportDocuments() result
+ * @param {Object} remote - { [collection]: Map(document ID -> data) }
+ * @returns {Array<Object>} [{ name, collection, create, unchanged, conflicts }]
+ *   create: [{ id, data }]; unchanged: [id]; conflicts: [{ id, local, remote }]
+ */
+export function planLocalImport(groups, remote) {
+  return groups.map(({ name, collection, documents }) => {
+    const stored = remote[collection] || new Map();
+    const plan = { name, collection, create: [], unchanged: [], conflicts: [] };
+    documents.forEach(({ id, data }) => {
+      if (!stored.has(id)) {
+        plan.create.push({ id, data });
+      } else if (sameLocalFields(data, stored.get(id))) {
+        plan.unchanged.push(id);
+      } else {
+        plan.conflicts.push({ id, local: data, remote: stored.get(id) });
+      }
+    });
+    return plan;
+  });
+}
+
+/**
+ * Upload the data saved in this browser's localStorage to Firestore, once
+ *
+ * Records Firestore does not have are created; records that are the same are
+ * skipped; records that differ are reported as conflicts and left as they are
+ * in Firestore unless `overwrite` is set. Each write is audited.
+ *
+ * @param {Object} options
+ * @param {Storage} options.storage - Defaults to window.localStorage
+ * @param {boolean} options.apply - Write (default: only report what would happen)
+ * @param {boolean} options.overwrite - Replace conflicting Firestore records with the local ones
+ * @param {Function} options.onProgress - Called with (done, total) while writing
+ * @returns {Promise<Object>} { applied, datasets: [{ name, collection, created, unchanged,
+ *   conflicts, overwritten }], totals: { created, unchanged, conflicts, overwritten } }
+ */
+export async function importLocalDataset({ storage = window.localStorage, apply = false, overwrite = false, onProgress = null } = {}) {
+  try {
+    const groups = localImportDocuments(readLocalDataset(storage));
+    const remote = {};
+    for (const collection of new Set(groups.map(group => group.collection))) {
+      remote[collection] = new Map((await readCollection(collection)).map(({ id, ...data }) => [id, data]));
+    }
+    const plans = planLocalImport(groups, remote);
+
+    const writes = [];
+    plans.forEach(plan => {
+      plan.create.forEach(({ id, data }) => writes.push({ plan, id, data, before: null }));
+      if (overwrite) {
+        plan.conflicts.forEach(({ id, local, remote: stored }) => writes.push({ plan, id, data: local, before: stored }));
+      }
+    });
+
+    if (apply) {
+      const importedAt = new Date().toISOString();
+      for (let i = 0; i < writes.length; i++) {
+        const { plan, id, data, before } = writes[i];
+        await auditedWrite({
+          type: 'set',
+          collection: plan.collection,
+          id,
+          data: { ...data, importedAt, updatedAt: importedAt },
+          reason: before ? 'Imported from browser storage (replaced the stored record)' : 'Imported from browser storage',
+          before
+        });
+        if (onProgress) onProgress(i + 1, writes.length);
+      }
+      storage.setItem(LOCAL_IMPORT_MARKER, importedAt);
+    }
+
+    const datasets = plans.map(plan => ({
+      name: plan.name,
+      collection: plan.collection,
+      created: plan.create.map(entry => entry.id),
+      unchanged: plan.unchanged,
+      conflicts: plan.conflicts,
+      overwritten: overwrite ? plan.conflicts.map(conflict => conflict.id) : []
+    }));
+    const total = field => datasets.reduce((sum, dataset) => sum + dataset[field].length, 0);
+
+    return {
+      applied: apply,
+      datasets,
+      totals: {
+        created: total('created'),
+        unchanged: total('unchanged'),
+        conflicts: total('conflicts'),
+        overwritten: total('overwritten')
+      }
+    };
+  } catch (error) {
+    console.error('Error importing browser data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the imported datasets from this browser's localStorage
+ * @returns {Array<string>} Keys removed
+ */
+export function clearLocalDataset(storage = window.localStorage) {
+  const keys = [...Object.keys(ADMIN_DATASETS), 'attendance', 'gradesData', 'grades']
+    .filter(key => storage.getItem(key) !== null);
+  keys.forEach(key => storage.removeItem(key));
+  return keys;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.AdminRepository = {
+    ADMIN_DATASETS,
+    LOCAL_IMPORT_MARKER,
+    FirestoreRepository,
+    getRepository,
+    loadDatasets,
+    datasetFromDocuments,
+    documentFromRecord,
+    documentsFromDataset,
+    readLocalDataset,
+    localImportDocuments,
+    planLocalImport,
+    importLocalDataset,
+    clearLocalDataset
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * BIS-SMS REST API (v1)
+ *
+ * JSON endpoints that mirror the query functions in
+ * firestore-queries.js, so reporting scripts and back-office tools can
+ * read school data without a browser session, plus record validation
+ * against the shared schemas in schemas.js.
+ *
+ * Every route requires a verified ID token (see auth-middleware.js).
+ * Role checks follow firestore.rules: finance and school-wide reports are
+ * admin-only, rosters are staff-only, and students and parents may read
+ * the records of the student they are linked to.
+ *
+ * Requests work in the caller's school, or for group administrators the
+ * school named by the X-School-Id header or ?school= (see selectSchool).
+ *
+ * Mounted by server.js at /api/v1.
+ */
+
+const express = require('express');
+const { createSchoolQueries, listSchools } = require('./server-queries');
+const { authenticate, requireRole, selectSchool, requireStudentAccess } = require('./auth-middleware');
+const { accessibleSchools } = require('./tenancy');
+const { RECORD_SCHEMAS, validateRecord, validateRecords } = require('./schemas');
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Parse a date query parameter (YYYY-MM-DD or ISO 8601)
+ * @returns {Date|null} Parsed date, null if the parameter is absent
+ */
+function parseDateParam(req, name) {
+  const value = req.query[name];
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date)) {
+    const error = new Error(`Invalid date for "${name}": ${value}`);
+    error.status = 400;
+    throw error;
+  }
+  return date;
+}
+
+function parseLimitParam(req) {
+  if (req.query.limit === undefined) {
+    return null;
+  }
+  const limit = parseInt(req.query.limit, 10);
+  if (isNaN(limit) || limit < 1) {
+    const error = new Error(`Invalid limit: ${req.query.limit}`);
+    error.status = 400;
+    throw error;
+  }
+  return limit;
+}
+
+function requireParam(req, name) {
+  const value = req.query[name];
+  if (!value) {
+    const error = new Error(`Missing required query parameter "${name}"`);
+    error.status = 400;
+    throw error;
+  }
+  return value;
+}
+
+function sendFound(res, data, what) {
+  if (data === null || data === undefined) {
+    return res.status(404).json({ error: `${what} not found` });
+  }
+  return res.json({ data });
+}
+
+/**
+ * Create the API router
+ * @param {Object} options
+ * @param {Object} options.backend - Data backend from data-backends.js
+ * @param {Object} options.verifier - Token verifier from auth-middleware.js
+ * @returns {express.Router} Router to mount at /api/v1
+ */
+function createApiRouter({ backend, verifier }) {
+  const router = express.Router();
+  const queriesBySchool = new Map();
+
+  const adminOnly = requireRole('admin');
+  const staffOnly = requireRole('admin', 'teacher');
+  const studentAccess = requireStudentAccess('id');
+
+  router.use(authenticate({ verifier, backend }));
+  router.use(selectSchool());
+  router.use((req, res, next) => {
+    if (!queriesBySchool.has(req.schoolId)) {
+      queriesBySchool.set(req.schoolId, createSchoolQueries(backend, { schoolId: req.schoolId }));
+    }
+    req.queries = queriesBySchool.get(req.schoolId);
+    next();
+  });
+
+  // Schools
+  router.get('/schools', asyncHandler(async (req, res) => {
+    const schools = accessibleSchools(req.user, await listSchools(backend));
+    res.json({ data: schools, count: schools.length });
+  }));
+
+  // Dashboard
+  router.get('/dashboard/stats', adminOnly, asyncHandler(async (req, res) => {
+    res.json({ data: await req.queries.getDashboardStats() });
+  }));
+
+  // Students
+  router.get('/students', staffOnly, asyncHandler(async (req, res) => {
+    let students;
+    if (req.query.search) {
+      students = await req.queries.searchStudents(req.query.search);
+    } else if (req.query.grade) {
+      students = await req.queries.getStudentsByGrade(req.query.grade);
+    } else {
+      students = await req.queries.getAllStudents();
+    }
+    res.json({ data: students, count: students.length });
+  }));
+
+  router.get('/students/:id', studentAccess, asyncHandler(async (req, res) => {
+    sendFound(res, await req.queries.getStudentById(req.params.id), 'Student');
+  }));
+
+  router.get('/students/:id/attendance', studentAccess, asyncHandler(async (req, res) => {
+    res.json({ data: await req.queries.getStudentAttendanceSummary(req.params.id) });
+  }));
+
+  router.get('/students/:id/grades', studentAccess, asyncHandler(async (req, res) => {
+    res.json({ data: await req.queries.getGradesByStudent(req.params.id) });
+  }));
+
+  // Teachers
+  router.get('/teachers', staffOnly, asyncHandler(async (req, res) => {
+    let teachers;
+    if (req.query.search) {
+      teachers = await req.queries.searchTeachers(req.query.search);
+    } else if (req.query.subject) {
+      teachers = await req.queries.getTeachersBySubject(req.query.subject);
+    } else if (req.query.status) {
+      teachers = await req.queries.getTeachersByStatus(req.query.status);
+    } else {
+      teachers = await req.queries.getAllTeachers();
+    }
+    res.json({ data: teachers, count: teachers.length });
+  }));
+
+  // Classes
+  router.get('/classes', staffOnly, asyncHandler(async (req, res) => {
+    let classes;
+    if (req.query.grade) {
+      classes = await req.queries.getClassesByGrade(req.query.grade);
+    } else if (req.query.teacherId) {
+      classes = await req.queries.getClassesByTeacher(req.query.teacherId);
+    } else {
+      classes = await req.queries.getAllClasses();
+    }
+    res.json({ data: classes, count: classes.length });
+  }));
+
+  router.get('/classes/:id', staffOnly, asyncHandler(async (req, res) => {
+    sendFound(res, await req.queries.getClassWithStudents(req.params.id), 'Class');
+  }));
+
+  router.get('/classes/:id/subjects', staffOnly, asyncHandler(async (req, res) => {
+    res.json({ data: await req.queries.getClassSubjects(req.params.id) });
+  }));
+
+  router.get('/classes/:id/assessment-scheme', staffOnly, asyncHandler(async (req, res) => {
+    const term = requireParam(req, 'term');
+    res.json({ data: await req.queries.getAssessmentScheme(req.params.id, term, req.query.subject) });
+  }));
+
+  router.get('/classes/:id/attendance', staffOnly, asyncHandler(async (req, res) => {
+    if (req.query.date) {
+      return res.json({ data: await req.queries.getAttendanceByClassAndDate(req.params.id, req.query.date) });
+    }
+    const from = parseDateParam(req, 'from');
+    const to = parseDateParam(req, 'to');
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Provide either "date" or both "from" and "to"' });
+    }
+    res.json({ data: await req.queries.getAttendanceByClassAndDateRange(req.params.id, from, to) });
+  }));
+
+  router.get('/classes/:id/grades', staffOnly, asyncHandler(async (req, res) => {
+    const term = requireParam(req, 'term');
+    res.json({ data: await req.queries.getGradesByClassAndTerm(req.params.id, term) });
+  }));
+
+  router.get('/classes/:id/grades/statistics', staffOnly, asyncHandler(async (req, res) => {
+    const term = requireParam(req, 'term');
+    res.json({ data: await req.queries.getClassGradeStatistics(req.params.id, term) });
+  }));
+
+  // Finance
+  router.get('/fees', adminOnly, asyncHandler(async (req, res) => {
+    const fees = await req.queries.getAllFees();
+    res.json({ data: fees, count: fees.length });
+  }));
+
+  router.get('/fees/outstanding', adminOnly, asyncHandler(async (req, res) => {
+    const minimumBalance = parseFloat(req.query.minBalance) || 0;
+    const students = await req.queries.getStudentsWithOutstandingFees(minimumBalance);
+    res.json({ data: students, count: students.length });
+  }));
+
+  router.get('/fees/:studentId', requireStudentAccess('studentId', ['admin']), asyncHandler(async (req, res) => {
+    res.json({ data: await req.queries.getStudentFees(req.params.studentId) });
+  }));
+
+  router.get('/expenses', adminOnly, asyncHandler(async (req, res) => {
+    const from = parseDateParam(req, 'from');
+    const to = parseDateParam(req, 'to');
+    let expenses;
+    if (req.query.category) {
+      expenses = await req.queries.getExpensesByCategory(req.query.category);
+    } else if (from && to) {
+      expenses = await req.queries.getExpensesByDateRange(from, to);
+    } else {
+      expenses = await req.queries.getAllExpenses();
+    }
+    res.json({ data: expenses, count: expenses.length });
+  }));
+
+  router.get('/finance/summary', adminOnly, asyncHandler(async (req, res) => {
+    const from = parseDateParam(req, 'from');
+    const to = parseDateParam(req, 'to');
+    res.json({ data: await req.queries.getFinancialSummary(from, to) });
+  }));
+
+  // Reports
+  router.get('/reports/financial', adminOnly, asyncHandler(async (req, res) => {
+    const from = parseDateParam(req, 'from');
+    const to = parseDateParam(req, 'to');
+    res.json({ data: await req.queries.generateFinancialReport(from, to) });
+  }));
+
+  // ?schools=all or ?schools=a,b consolidates several schools (group administrators)
+  router.get('/reports/school', adminOnly, asyncHandler(async (req, res) => {
+    if (!req.query.schools) {
+      return res.json({ data: await req.queries.generateSchoolReport() });
+    }
+    if (!req.user.groupAdmin) {
+      return res.status(403).json({ error: 'Only group administrators can report across schools' });
+    }
+    const schoolIds = req.query.schools === 'all'
+      ? (await listSchools(backend)).map(school => school.id)
+      : req.query.schools.split(',').map(id => id.trim()).filter(Boolean);
+    res.json({ data: await req.queries.generateSchoolReport({ schoolIds }) });
+  }));
+
+  router.get('/reports/attendance/:classId', staffOnly, asyncHandler(async (req, res) => {
+    const from = parseDateParam(req, 'from');
+    const to = parseDateParam(req, 'to');
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both "from" and "to" are required' });
+    }
+    sendFound(res, await req.queries.generateAttendanceReport(req.params.classId, from, to), 'Class');
+  }));
+
+  router.get('/reports/grades/:classId', staffOnly, asyncHandler(async (req, res) => {
+    const term = requireParam(req, 'term');
+    sendFound(res, await req.queries.generateGradesReport(req.params.classId, term), 'Class');
+  }));
+
+  // Utilities
+  router.get('/announcements', asyncHandler(async (req, res) => {
+    res.json({ data: await req.queries.getAnnouncements(parseLimitParam(req)) });
+  }));
+
+  router.get('/events/upcoming', asyncHandler(async (req, res) => {
+    res.json({ data: await req.queries.getUpcomingEvents(parseLimitParam(req)) });
+  }));
+
+  // Validation (same schemas as the admin forms and CSV import)
+  router.post('/validate/:entity', staffOnly, (req, res) => {
+    const entity = req.params.entity;
+    if (!Object.prototype.hasOwnProperty.call(RECORD_SCHEMAS, entity)) {
+      return res.status(404).json({
+        error: `Unknown record type "${entity}". Use one of: ${Object.keys(RECORD_SCHEMAS).join(', ')}`
+      });
+    }
+    const partial = req.query.partial === 'true';
+    const result = Array.isArray(req.body)
+      ? validateRecords(entity, req.body, { partial })
+      : validateRecord(entity, req.body, { partial });
+    res.status(result.valid ? 200 : 422).json({ data: result });
+  });
+
+  // Unknown API routes return JSON rather than falling through to static files
+  router.use((req, res) => {
+    res.status(404).json({ error: `Unknown API route: ${req.method} ${req.originalUrl}` });
+  });
+
+  // Error handler
+  router.use((err, req, res, next) => {
+    const status = err.status || 500;
+    if (status >= 500) {
+      console.error(`API error (${req.method} ${req.originalUrl}):`, err);
+    }
+    res.status(status).json({
+      error: status >= 500 ? 'Internal server error' : err.message
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter,
+  asyncHandler
+};
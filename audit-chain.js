@@ -0,0 +1,358 @@
+/**
+ * BIS-SMS Audit Log Hash Chain
+ *
+ * Makes the audit log tamper-evident, so a fee payment recorded (or
+ * reversed) months ago can be shown to parents exactly as it was logged.
+ *
+ * Every entry in auditLogs carries:
+ *   sequence      1, 2, 3, ... (the document ID is the zero-padded sequence)
+ *   previousHash  hash of the entry before it ('000...0' for the first)
+ *   hash          SHA-256 of the entry's content and previousHash
+ *
+ * The hash covers everything written by the client except the server
+ * timestamp (which is not known until the write lands); metadata.timestamp
+ * holds the client's time and is covered, as is the schoolId of entries
+ * written since schools were introduced (see tenancy.js). Values are hashed in the typed
+ * backup encoding (backup-format.js), so the web SDK and firebase-admin
+ * compute the same hash for the same entry.
+ *
+ * The newest entry is recorded in auditChain/head, updated in the same
+ * transaction as each append. Deleting entries leaves a gap in the
+ * sequence, editing one breaks its hash, and removing the newest entries
+ * leaves the head pointing past the end of the log.
+ *
+ * Checkpoints (auditCheckpoints/{logId}) are written by the server
+ * (audit-checkpoints.js) and sign the head with an ECDSA P-256 key, so even
+ * someone with database access cannot rewrite the whole chain after a
+ * checkpoint without the signature failing.
+ *
+ * Old entries are moved out of Firestore into archive files by the server
+ * (audit-retention.js). Each auditArchives record keeps the sequence and
+ * hash of the last archived entry, where verification of the remaining
+ * entries starts.
+ *
+ * Works in the browser (import before firestore-audit.js) and in Node
+ * (require).
+ */
+
+const AUDIT_CHAIN_VERSION = 1;
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const AUDIT_CHAIN_HEAD_PATH = 'auditChain/head';
+const AUDIT_CHECKPOINT_COLLECTION = 'auditCheckpoints';
+const AUDIT_CHECKPOINT_ALGORITHM = 'ECDSA-P256-SHA256';
+const AUDIT_ARCHIVE_COLLECTION = 'auditArchives';
+
+// Entry fields covered by the hash (timestamp is set by the server)
+const AUDIT_HASHED_FIELDS = [
+  'sequence',
+  'previousHash',
+  'userId',
+  'userEmail',
+  'userName',
+  'userRole',
+  'action',
+  'resource',
+  'resourceId',
+  'changes',
+  'metadata',
+  'status',
+  'errorMessage'
+];
+
+// Hashed when present, so entries written before schools keep their hash
+const AUDIT_OPTIONAL_HASHED_FIELDS = ['schoolId'];
+
+function chainDependencies() {
+  if (typeof window !== 'undefined' && window.BackupFormat && window.BackupCrypto) {
+    return { ...window.BackupFormat, ...window.BackupCrypto };
+  }
+  return { ...require('./backup-format'), ...require('./backup-crypto') };
+}
+
+function getSubtleCrypto() {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    return crypto.subtle;
+  }
+  return require('crypto').webcrypto.subtle;
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function pemBody(pem) {
+  return String(pem).replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+}
+
+/**
+ * Document ID for an entry: the sequence, zero-padded so IDs sort in order
+ */
+function auditLogId(sequence) {
+  return String(sequence).padStart(12, '0');
+}
+
+/**
+ * Replace write-time sentinels (serverTimestamp(), increment(), ...) in
+ * logged data. They are stored as a different value than the one written,
+ * so the entry could never be verified.
+ */
+function sanitizeAuditValue(value) {
+  if (value === undefined) return null;
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(sanitizeAuditValue);
+  if (typeof value._methodName === 'string') {
+    return `<${value._methodName.replace(/^FieldValue\./, '')}>`;
+  }
+  if (value instanceof Date || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+  const sanitized = {};
+  Object.keys(value).forEach(key => {
+    sanitized[key] = sanitizeAuditValue(value[key]);
+  });
+  return sanitized;
+}
+
+/**
+ * Hash of an audit entry (its hashed fields, including previousHash)
+ * @param {Object} entry - Entry as written or as read back
+ * @param {boolean} encoded - Entry is already in the typed backup encoding
+ *   (e.g. from an audit archive file)
+ * @returns {string} SHA-256 hex
+ */
+function hashAuditEntry(entry, encoded = false) {
+  const { encodeFirestoreValue, canonicalJSON, sha256Hex } = chainDependencies();
+  const content = {};
+  AUDIT_HASHED_FIELDS.forEach(field => {
+    const value = entry[field] === undefined ? null : entry[field];
+    content[field] = encoded ? value : encodeFirestoreValue(value);
+  });
+  AUDIT_OPTIONAL_HASHED_FIELDS.forEach(field => {
+    if (entry[field] !== undefined) {
+      content[field] = encoded ? entry[field] : encodeFirestoreValue(entry[field]);
+    }
+  });
+  return sha256Hex(canonicalJSON({
+    chainVersion: AUDIT_CHAIN_VERSION,
+    entry: content
+  }));
+}
+
+/**
+ * Link a new entry after the current head
+ * @param {Object} entry - Entry content (without chain fields)
+ * @param {Object|null} head - Current auditChain/head data, null for an empty log
+ * @returns {Object} { id, entry, head } - Entry with chain fields, and the new head
+ */
+function chainAuditEntry(entry, head) {
+  const sequence = head ? head.sequence + 1 : 1;
+  const chained = {
+    ...entry,
+    sequence,
+    previousHash: head ? head.hash : AUDIT_GENESIS_HASH
+  };
+  chained.hash = hashAuditEntry(chained);
+  const id = auditLogId(sequence);
+  return {
+    id,
+    entry: chained,
+    head: { sequence, hash: chained.hash, logId: id }
+  };
+}
+
+/**
+ * The bytes a checkpoint signature covers
+ */
+function checkpointPayload(checkpoint) {
+  const { canonicalJSON } = chainDependencies();
+  return canonicalJSON({
+    algorithm: checkpoint.algorithm,
+    sequence: checkpoint.sequence,
+    logId: checkpoint.logId,
+    hash: checkpoint.hash,
+    previousCheckpoint: checkpoint.previousCheckpoint === undefined ? null : checkpoint.previousCheckpoint,
+    createdAt: checkpoint.createdAt
+  });
+}
+
+/**
+ * Fingerprint of a public key (SHA-256 of its base64 SPKI body), for
+ * comparing the key on a checkpoint with the one the school published
+ */
+function publicKeyFingerprint(publicKeyPem) {
+  const { sha256Hex } = chainDependencies();
+  return sha256Hex(pemBody(publicKeyPem));
+}
+
+/**
+ * Check a checkpoint's signature
+ * @param {Object} checkpoint - auditCheckpoints document
+ * @param {string} publicKeyPem - SPKI public key (PEM)
+ * @returns {Promise<boolean>}
+ */
+async function verifyCheckpointSignature(checkpoint, publicKeyPem) {
+  if (checkpoint.algorithm !== AUDIT_CHECKPOINT_ALGORITHM || !checkpoint.signature) {
+    return false;
+  }
+  try {
+    const subtle = getSubtleCrypto();
+    const key = await subtle.importKey(
+      'spki',
+      base64ToBytes(pemBody(publicKeyPem)),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    return await subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      base64ToBytes(checkpoint.signature),
+      new TextEncoder().encode(checkpointPayload(checkpoint))
+    );
+  } catch (error) {
+    console.warn('Could not verify audit checkpoint signature:', error);
+    return false;
+  }
+}
+
+/**
+ * Walk a run of chained entries and report anything that does not link up
+ * @param {Array} entries - Entries ({ id, ...data }) with a sequence, any order
+ * @param {Object} options
+ * @param {number} options.afterSequence - Sequence the run starts after (default 0)
+ * @param {string} options.previousHash - Hash of entry afterSequence (genesis when 0)
+ * @param {Object} options.head - auditChain/head data, to detect a truncated end
+ * @param {Array} options.checkpoints - auditCheckpoints documents to check
+ * @param {string} options.publicKey - Trusted checkpoint key (PEM); defaults to
+ *   the key stored on each checkpoint, whose fingerprint is then reported
+ * @param {boolean} options.encoded - Entries are in the typed backup encoding
+ * @returns {Promise<Object>} { valid, entriesChecked, firstSequence, lastSequence,
+ *   gaps, altered, brokenLinks, checkpoints, errors }
+ */
+async function verifyAuditChain(entries, options = {}) {
+  const afterSequence = options.afterSequence || 0;
+  const sorted = [...entries].sort((a, b) => a.sequence - b.sequence);
+  const report = {
+    valid: true,
+    entriesChecked: sorted.length,
+    firstSequence: sorted.length > 0 ? sorted[0].sequence : null,
+    lastSequence: sorted.length > 0 ? sorted[sorted.length - 1].sequence : afterSequence,
+    gaps: [],
+    altered: [],
+    brokenLinks: [],
+    checkpoints: [],
+    errors: []
+  };
+
+  let previous = {
+    sequence: afterSequence,
+    hash: options.previousHash || (afterSequence === 0 ? AUDIT_GENESIS_HASH : null)
+  };
+
+  sorted.forEach(entry => {
+    if (entry.sequence === previous.sequence) {
+      report.altered.push({ id: entry.id, sequence: entry.sequence, reason: 'Duplicate sequence number' });
+      return;
+    }
+    if (entry.sequence !== previous.sequence + 1) {
+      report.gaps.push({ from: previous.sequence + 1, to: entry.sequence - 1 });
+    } else if (previous.hash && entry.previousHash !== previous.hash) {
+      report.brokenLinks.push({
+        id: entry.id,
+        sequence: entry.sequence,
+        expected: previous.hash,
+        found: entry.previousHash
+      });
+    }
+
+    if (entry.id && entry.id !== auditLogId(entry.sequence)) {
+      report.altered.push({ id: entry.id, sequence: entry.sequence, reason: 'Document ID does not match its sequence' });
+    }
+    if (hashAuditEntry(entry, options.encoded) !== entry.hash) {
+      report.altered.push({ id: entry.id, sequence: entry.sequence, reason: 'Content does not match its hash' });
+    }
+    previous = entry;
+  });
+
+  const head = options.head;
+  if (head) {
+    if (head.sequence > report.lastSequence) {
+      report.gaps.push({ from: report.lastSequence + 1, to: head.sequence });
+    } else if (head.sequence === report.lastSequence && sorted.length > 0 && head.hash !== previous.hash) {
+      report.altered.push({ id: head.logId, sequence: head.sequence, reason: 'Does not match the chain head' });
+    }
+  }
+
+  const bySequence = new Map(sorted.map(entry => [entry.sequence, entry]));
+  for (const checkpoint of options.checkpoints || []) {
+    const publicKey = options.publicKey || checkpoint.publicKey;
+    const result = {
+      sequence: checkpoint.sequence,
+      createdAt: checkpoint.createdAt,
+      keyFingerprint: publicKey ? publicKeyFingerprint(publicKey) : null,
+      signatureValid: publicKey ? await verifyCheckpointSignature(checkpoint, publicKey) : false,
+      matchesChain: null
+    };
+    const entry = bySequence.get(checkpoint.sequence);
+    if (entry) {
+      result.matchesChain = entry.hash === checkpoint.hash;
+    } else if (checkpoint.sequence > report.lastSequence && !(head && head.sequence >= checkpoint.sequence)) {
+      // Signed entries that are no longer in the log at all
+      report.gaps.push({ from: report.lastSequence + 1, to: checkpoint.sequence });
+      result.matchesChain = false;
+    }
+    report.checkpoints.push(result);
+  }
+
+  report.gaps.forEach(gap => {
+    report.errors.push(gap.from === gap.to
+      ? `Entry ${gap.from} is missing`
+      : `Entries ${gap.from}-${gap.to} are missing`);
+  });
+  report.altered.forEach(item => {
+    report.errors.push(`Entry ${item.sequence} (${item.id}): ${item.reason}`);
+  });
+  report.brokenLinks.forEach(link => {
+    report.errors.push(`Entry ${link.sequence} (${link.id}) does not link to the entry before it`);
+  });
+  report.checkpoints.forEach(result => {
+    if (!result.signatureValid) {
+      report.errors.push(`Checkpoint at entry ${result.sequence} has an invalid signature`);
+    }
+    if (result.matchesChain === false) {
+      report.errors.push(`Checkpoint at entry ${result.sequence} does not match the log`);
+    }
+  });
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+const AuditChain = {
+  AUDIT_CHAIN_VERSION,
+  AUDIT_GENESIS_HASH,
+  AUDIT_CHAIN_HEAD_PATH,
+  AUDIT_CHECKPOINT_COLLECTION,
+  AUDIT_CHECKPOINT_ALGORITHM,
+  AUDIT_ARCHIVE_COLLECTION,
+  AUDIT_HASHED_FIELDS,
+  AUDIT_OPTIONAL_HASHED_FIELDS,
+  auditLogId,
+  sanitizeAuditValue,
+  hashAuditEntry,
+  chainAuditEntry,
+  checkpointPayload,
+  publicKeyFingerprint,
+  verifyCheckpointSignature,
+  verifyAuditChain
+};
+
+// Make available to browser modules (firestore-audit.js imports this file)
+if (typeof window !== 'undefined') {
+  window.AuditChain = AuditChain;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditChain;
+}
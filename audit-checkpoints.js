@@ -0,0 +1,218 @@
+/**
+ * Signed Audit Log Checkpoints for the BIS-SMS Server
+ *
+ * Periodically signs the head of the audit log hash chain (see
+ * audit-chain.js) with the school's ECDSA P-256 key. Before signing, the
+ * entries added since the previous checkpoint are verified, so a checkpoint
+ * never vouches for a chain that was already broken.
+ *
+ * Checkpoints are written to auditCheckpoints/{logId}:
+ *   { sequence, logId, hash, previousCheckpoint, entries, createdAt,
+ *     algorithm: 'ECDSA-P256-SHA256', signature, publicKey, keyFingerprint }
+ * Only the server (Admin SDK) can write them; admins can read them.
+ *
+ * Configuration (environment):
+ *   AUDIT_CHECKPOINT_KEY_FILE   EC private key (PEM, P-256). Generate with
+ *                                 openssl ecparam -name prime256v1 -genkey -noout \
+ *                                   | openssl pkcs8 -topk8 -nocrypt -out audit-key.pem
+ *   AUDIT_CHECKPOINT_SCHEDULE   Cron expression (default "0 * * * *", hourly)
+ *
+ * Publish the key fingerprint printed at startup (e.g. in the finance
+ * office), so anyone verifying the log can tell the checkpoints were signed
+ * by the school's key rather than one stored alongside them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  AUDIT_CHAIN_HEAD_PATH,
+  AUDIT_CHECKPOINT_COLLECTION,
+  AUDIT_CHECKPOINT_ALGORITHM,
+  AUDIT_GENESIS_HASH,
+  checkpointPayload,
+  publicKeyFingerprint,
+  verifyAuditChain
+} = require('./audit-chain');
+const { parseCronExpression, cronMatches, startMinuteTimer } = require('./backup-scheduler');
+const { readLastAuditArchive } = require('./audit-retention');
+
+const AUDIT_COLLECTION = 'auditLogs';
+const DEFAULT_CHECKPOINT_SCHEDULE = '0 * * * *';
+const ENTRY_PAGE_SIZE = 1000;
+
+/**
+ * Load the checkpoint signing key
+ * @param {string} pem - PKCS#8 or SEC1 EC private key
+ * @returns {Object} { privateKey, publicKey (SPKI PEM), fingerprint }
+ */
+function loadCheckpointKey(pem) {
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== 'ec' ||
+      privateKey.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    throw new Error('Audit checkpoint key must be an EC P-256 (prime256v1) private key');
+  }
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  return { privateKey, publicKey, fingerprint: publicKeyFingerprint(publicKey) };
+}
+
+/**
+ * Sign a checkpoint (IEEE P1363 signature, as WebCrypto verifies it)
+ */
+function signCheckpoint(checkpoint, key) {
+  return crypto.sign('sha256', Buffer.from(checkpointPayload(checkpoint), 'utf8'), {
+    key: key.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  }).toString('base64');
+}
+
+async function readChainedEntries(db, afterSequence, upToSequence) {
+  const entries = [];
+  let lastSequence = afterSequence;
+  while (lastSequence < upToSequence) {
+    const snapshot = await db.collection(AUDIT_COLLECTION)
+      .where('sequence', '>', lastSequence)
+      .where('sequence', '<=', upToSequence)
+      .orderBy('sequence')
+      .limit(ENTRY_PAGE_SIZE)
+      .get();
+    snapshot.docs.forEach(doc => entries.push({ id: doc.id, ...doc.data() }));
+    if (snapshot.size < ENTRY_PAGE_SIZE) break;
+    lastSequence = entries[entries.length - 1].sequence;
+  }
+  return entries;
+}
+
+/**
+ * Verify the entries since the last checkpoint and sign the current head
+ * @param {Object} context - { db (Admin Firestore), key (loadCheckpointKey()), now }
+ * @returns {Promise<Object|null>} The checkpoint, or null when nothing was logged since the last one
+ */
+async function createAuditCheckpoint({ db, key, now = new Date() }) {
+  const headDoc = await db.doc(AUDIT_CHAIN_HEAD_PATH).get();
+  if (!headDoc.exists) {
+    return null;
+  }
+  const head = headDoc.data();
+
+  const lastSnapshot = await db.collection(AUDIT_CHECKPOINT_COLLECTION)
+    .orderBy('sequence', 'desc')
+    .limit(1)
+    .get();
+  const last = lastSnapshot.empty ? null : lastSnapshot.docs[0].data();
+  if (last && last.sequence >= head.sequence) {
+    return null;
+  }
+
+  // Entries up to the last archive have left Firestore; verify from whichever is newer
+  let afterSequence = last ? last.sequence : 0;
+  let previousHash = last ? last.hash : AUDIT_GENESIS_HASH;
+  const archive = await readLastAuditArchive(db);
+  if (archive && archive.toSequence > afterSequence) {
+    afterSequence = archive.toSequence;
+    previousHash = archive.lastHash;
+  }
+
+  const entries = await readChainedEntries(db, afterSequence, head.sequence);
+  const report = await verifyAuditChain(entries, { afterSequence, previousHash, head });
+  if (!report.valid) {
+    const error = new Error(`Audit log failed verification; no checkpoint written: ${report.errors.join('; ')}`);
+    error.report = report;
+    throw error;
+  }
+
+  const checkpoint = {
+    algorithm: AUDIT_CHECKPOINT_ALGORITHM,
+    sequence: head.sequence,
+    logId: head.logId,
+    hash: head.hash,
+    previousCheckpoint: last ? last.sequence : null,
+    entries: entries.length,
+    createdAt: now.toISOString()
+  };
+  checkpoint.signature = signCheckpoint(checkpoint, key);
+  checkpoint.publicKey = key.publicKey;
+  checkpoint.keyFingerprint = key.fingerprint;
+
+  await db.collection(AUDIT_CHECKPOINT_COLLECTION).doc(head.logId).set(checkpoint);
+  console.log(`Audit checkpoint signed at entry ${checkpoint.sequence} (${entries.length} new entries)`);
+  return checkpoint;
+}
+
+/**
+ * Create a checkpoint scheduler
+ * @param {Object} options - { db, key, expression }
+ * @returns {Object} { start(), stop(), runNow(date) }
+ */
+function createAuditCheckpointer({ db, key, expression = DEFAULT_CHECKPOINT_SCHEDULE }) {
+  const cron = parseCronExpression(expression);
+  let running = false;
+  let stopTimer = null;
+
+  async function runNow(now = new Date()) {
+    if (running) {
+      console.warn('Audit checkpoint is still running; skipping this run');
+      return null;
+    }
+    running = true;
+    try {
+      return await createAuditCheckpoint({ db, key, now });
+    } finally {
+      running = false;
+    }
+  }
+
+  function tick(now) {
+    if (!cronMatches(cron, now)) return;
+    runNow(now).catch(error => {
+      console.error('Audit checkpoint failed:', error);
+    });
+  }
+
+  return {
+    runNow,
+    start() {
+      if (!stopTimer) stopTimer = startMinuteTimer(tick);
+      console.log(`Audit checkpoints started (${expression}), key fingerprint ${key.fingerprint}`);
+    },
+    stop() {
+      if (stopTimer) stopTimer();
+      stopTimer = null;
+    }
+  };
+}
+
+/**
+ * Start signing checkpoints from environment configuration.
+ * Does nothing when no signing key is configured.
+ * @returns {Object|null} Checkpointer, or null when disabled
+ */
+function startAuditCheckpoints(env = process.env) {
+  if (!env.AUDIT_CHECKPOINT_KEY_FILE) {
+    return null;
+  }
+  const key = loadCheckpointKey(fs.readFileSync(path.resolve(env.AUDIT_CHECKPOINT_KEY_FILE), 'utf8'));
+
+  // Loaded lazily so servers without checkpoints need no Admin SDK credentials
+  const { getFirebaseAdminApp } = require('./data-backends');
+  const app = getFirebaseAdminApp({
+    projectId: env.FIREBASE_PROJECT_ID,
+    credentialsPath: env.FIREBASE_SERVICE_ACCOUNT
+  });
+
+  const checkpointer = createAuditCheckpointer({
+    db: app.firestore(),
+    key,
+    expression: env.AUDIT_CHECKPOINT_SCHEDULE || DEFAULT_CHECKPOINT_SCHEDULE
+  });
+  checkpointer.start();
+  return checkpointer;
+}
+
+module.exports = {
+  loadCheckpointKey,
+  signCheckpoint,
+  createAuditCheckpoint,
+  createAuditCheckpointer,
+  startAuditCheckpoints
+};
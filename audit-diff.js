@@ -0,0 +1,194 @@
+/**
+ * BIS-SMS Audit Log Diffs and Redaction
+ *
+ * Audit entries for updates record only the fields that changed, as a list
+ * of paths rather than full before/after documents:
+ *
+ *   changes: {
+ *     changedFields: ['payments[3]', 'balance'],
+ *     diff: [
+ *       { path: 'payments[3]', change: 'added', before: null, after: { amount: 500, ... } },
+ *       { path: 'balance', change: 'modified', before: 1500, after: 1000 }
+ *     ]
+ *   }
+ *
+ * Map fields are compared field by field and arrays element by element
+ * (payments[3].amount); Firestore values (Timestamps, references, ...) are
+ * compared by value.
+ *
+ * Sensitive fields are redacted before anything reaches the log. Rules are
+ * field paths per collection; a rule covers everything below it, and rules
+ * under '*' apply to every collection and match the field name at any depth:
+ *
+ *   { '*': ['password'], students: ['idNumber', 'health'] }
+ *
+ * A redacted field still shows that it changed, with '[REDACTED]' in place
+ * of its values.
+ *
+ * Works in the browser (import before firestore-audit.js) and in Node
+ * (require).
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Defaults: credentials anywhere, SA ID numbers and health information
+const AUDIT_REDACTION_RULES = {
+  '*': ['password', 'passwordHash', 'newPassword', 'tempPassword', 'token', 'refreshToken'],
+  students: ['idNumber', 'health', 'healthRecords', 'medicalInfo', 'allergies', 'medications', 'medicalAidNumber'],
+  teachers: ['idNumber'],
+  parents: ['idNumber'],
+  users: ['idNumber'],
+  healthRecords: ['bloodGroup', 'allergies', 'medications', 'emergencyContact', 'medicalAidNumber']
+};
+
+function diffDependencies() {
+  if (typeof window !== 'undefined' && window.BackupFormat && window.BackupCrypto) {
+    return { ...window.BackupFormat, ...window.BackupCrypto };
+  }
+  return { ...require('./backup-format'), ...require('./backup-crypto') };
+}
+
+// Plain maps are diffed field by field; SDK values (Timestamp, GeoPoint, ...) are leaves
+function isPlainMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function sameValue(a, b) {
+  const { encodeFirestoreValue, canonicalJSON } = diffDependencies();
+  return canonicalJSON(encodeFirestoreValue(a)) === canonicalJSON(encodeFirestoreValue(b));
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// 'payments[3].amount' -> ['payments', 'amount'] (array indexes do not affect redaction)
+function fieldNames(path) {
+  return path.replace(/\[\d+\]/g, '').split('.').filter(Boolean);
+}
+
+/**
+ * Field-level differences between two versions of a document
+ * @param {Object|null} before - Document before the change (null if created)
+ * @param {Object|null} after - Document after the change (null if deleted)
+ * @returns {Array<Object>} [{ path, change: 'added'|'removed'|'modified', before, after }]
+ */
+function computeFieldDiff(before, after) {
+  const diff = [];
+
+  function compare(a, b, path) {
+    if (a === undefined && b === undefined) return;
+    if (a === undefined) {
+      diff.push({ path, change: 'added', before: null, after: b });
+    } else if (b === undefined) {
+      diff.push({ path, change: 'removed', before: a, after: null });
+    } else if (isPlainMap(a) && isPlainMap(b)) {
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+        compare(a[key], b[key], joinPath(path, key));
+      });
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        compare(a[i], b[i], joinPath(path, i));
+      }
+    } else if (!sameValue(a, b)) {
+      diff.push({ path, change: 'modified', before: a, after: b });
+    }
+  }
+
+  compare(before || {}, after || {}, '');
+  return diff;
+}
+
+function rulesFor(collection, rules) {
+  return {
+    anywhere: rules['*'] || [],
+    paths: (rules[collection] || []).map(rule => rule.split('.'))
+  };
+}
+
+function isRedactedPath(names, { anywhere, paths }) {
+  if (names.some(name => anywhere.includes(name))) return true;
+  return paths.some(rule => rule.length <= names.length && rule.every((name, i) => names[i] === name));
+}
+
+function redactBelow(value, names, compiled) {
+  if (isRedactedPath(names, compiled)) return REDACTED;
+  if (Array.isArray(value)) {
+    return value.map(item => redactBelow(item, names, compiled));
+  }
+  if (isPlainMap(value)) {
+    const redacted = {};
+    Object.keys(value).forEach(key => {
+      redacted[key] = redactBelow(value[key], [...names, key], compiled);
+    });
+    return redacted;
+  }
+  return value;
+}
+
+/**
+ * Redact sensitive fields of a document (or of the value at a path)
+ * @param {string} collection - Collection the document belongs to
+ * @param {*} value - Document or field value
+ * @param {Object} rules - Redaction rules (default AUDIT_REDACTION_RULES)
+ * @param {string} path - Path of value within the document ('' for the whole document)
+ * @returns {*} Copy with redacted fields replaced by '[REDACTED]'
+ */
+function redactAuditValue(collection, value, rules = AUDIT_REDACTION_RULES, path = '') {
+  if (value === null || value === undefined) return value;
+  const compiled = rulesFor(collection, rules);
+  if (rules[collection] && rules[collection].includes('*')) return REDACTED;
+  return redactBelow(value, fieldNames(path), compiled);
+}
+
+/**
+ * Redact the values of a diff from computeFieldDiff()
+ */
+function redactFieldDiff(collection, diff, rules = AUDIT_REDACTION_RULES) {
+  return diff.map(entry => ({
+    ...entry,
+    before: redactAuditValue(collection, entry.before, rules, entry.path),
+    after: redactAuditValue(collection, entry.after, rules, entry.path)
+  }));
+}
+
+/**
+ * Diff of a logged change, whatever shape it was logged in: a stored diff,
+ * or before/after snapshots (creates, deletes and entries logged before
+ * diffs were introduced)
+ * @param {Object} entry - Audit log entry
+ * @param {Object} rules - Redaction rules applied to snapshot entries
+ * @returns {Array<Object>} Redacted diff
+ */
+function auditEntryDiff(entry, rules = AUDIT_REDACTION_RULES) {
+  const changes = entry.changes || {};
+  if (Array.isArray(changes.diff)) {
+    return changes.diff;
+  }
+  if (changes.before === undefined && changes.after === undefined) {
+    return [];
+  }
+  const diff = computeFieldDiff(changes.before || null, changes.after || null);
+  return redactFieldDiff(entry.resource, diff, rules);
+}
+
+const AuditDiff = {
+  REDACTED,
+  AUDIT_REDACTION_RULES,
+  computeFieldDiff,
+  redactAuditValue,
+  redactFieldDiff,
+  auditEntryDiff
+};
+
+// Make available to browser modules (firestore-audit.js imports this file)
+if (typeof window !== 'undefined') {
+  window.AuditDiff = AuditDiff;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditDiff;
+}
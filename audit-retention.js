@@ -0,0 +1,373 @@
+/**
+ * Audit Log Retention for the BIS-SMS Server
+ *
+ * Keeps auditLogs from growing forever, in a nightly maintenance run:
+ *
+ * 1. Daily statistics: each finished day is counted once per school into
+ *    auditStats/{schoolId}_{YYYY-MM-DD} (see audit-stats.js), so
+ *    getAuditStatistics() reads a few rollups instead of every entry.
+ * 2. Archiving: entries older than the retention period (default 365 days)
+ *    are written to a gzip-compressed backup file (the firestore-backup.js
+ *    format, optionally encrypted with BACKUP_PASSPHRASE), recorded in
+ *    auditArchives, and only then deleted from auditLogs.
+ *
+ * Archives continue the hash chain: each auditArchives record keeps the
+ * sequence range and the hash of the last archived entry, which is where
+ * chain verification starts for the entries still in Firestore. Entries are
+ * verified before they are archived, and nothing is deleted if the chain
+ * is broken. Archive files are never removed by the backup retention policy.
+ *
+ * Configuration (environment):
+ *   AUDIT_MAINTENANCE_SCHEDULE  Cron expression, e.g. "30 2 * * *" (unset: disabled)
+ *   AUDIT_RETENTION_DAYS        Days of entries kept in Firestore (default 365)
+ *   BACKUP_STORAGE, BACKUP_DIR, BACKUP_BUCKET, BACKUP_PASSPHRASE
+ *                               Where and how archives are written, as for
+ *                               scheduled backups (see backup-scheduler.js)
+ * Days follow the server's time zone (set TZ, e.g. TZ=Africa/Johannesburg).
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {
+  BACKUP_FORMAT_VERSION,
+  encodeDocument
+} = require('./backup-format');
+const { buildBackupManifest, encryptBackup } = require('./backup-crypto');
+const {
+  AUDIT_ARCHIVE_COLLECTION,
+  AUDIT_GENESIS_HASH,
+  verifyAuditChain
+} = require('./audit-chain');
+const { AUDIT_STATS_COLLECTION, summarizeAuditLogs } = require('./audit-stats');
+const { parseCronExpression, cronMatches, startMinuteTimer, listSchoolIds } = require('./backup-scheduler');
+
+const AUDIT_COLLECTION = 'auditLogs';
+const DEFAULT_RETENTION_DAYS = 365;
+const ARCHIVE_PREFIX = 'audit-archive/';
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 500;
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// Local calendar date, e.g. '2026-03-01'
+function dayKey(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function toDate(value) {
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return value ? new Date(value) : null;
+}
+
+/**
+ * The newest audit archive record, where the chain in Firestore continues
+ * @returns {Promise<Object|null>} auditArchives record, null before the first archive
+ */
+async function readLastAuditArchive(db) {
+  const snapshot = await db.collection(AUDIT_ARCHIVE_COLLECTION)
+    .orderBy('toSequence', 'desc')
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0].data();
+}
+
+/**
+ * Count every finished day since the last rollup into auditStats, one
+ * rollup per school. Entries from before schools (no schoolId) are left out,
+ * as they are from the raw scan in getAuditStatistics(): a school's totals
+ * must not change when a day is rolled up.
+ * @returns {Promise<Array<string>>} Days written
+ */
+async function aggregateAuditStatistics({ db, now = new Date() }) {
+  const lastSnapshot = await db.collection(AUDIT_STATS_COLLECTION)
+    .orderBy('start', 'desc')
+    .limit(1)
+    .get();
+
+  let day;
+  if (!lastSnapshot.empty) {
+    day = toDate(lastSnapshot.docs[0].data().end);
+  } else {
+    const first = await db.collection(AUDIT_COLLECTION).orderBy('timestamp').limit(1).get();
+    if (first.empty) return [];
+    day = startOfDay(toDate(first.docs[0].data().timestamp));
+  }
+
+  const today = startOfDay(now);
+  const schoolIds = await listSchoolIds(db);
+  const written = [];
+  while (day < today) {
+    const end = addDays(day, 1);
+    const snapshot = await db.collection(AUDIT_COLLECTION)
+      .where('timestamp', '>=', day)
+      .where('timestamp', '<', end)
+      .get();
+    const key = dayKey(day);
+    const logsBySchool = new Map(schoolIds.map(schoolId => [schoolId, []]));
+    snapshot.docs.forEach(doc => {
+      const log = doc.data();
+      if (!log.schoolId) return;
+      if (!logsBySchool.has(log.schoolId)) logsBySchool.set(log.schoolId, []);
+      logsBySchool.get(log.schoolId).push(log);
+    });
+    for (const [schoolId, logs] of logsBySchool) {
+      await db.collection(AUDIT_STATS_COLLECTION).doc(`${schoolId}_${key}`).set({
+        date: key,
+        schoolId,
+        start: day,
+        end,
+        ...summarizeAuditLogs(logs),
+        createdAt: now.toISOString()
+      });
+    }
+    written.push(key);
+    day = end;
+  }
+  if (written.length > 0) {
+    console.log(`Audit statistics: rolled up ${written.length} day(s) through ${written[written.length - 1]}`);
+  }
+  return written;
+}
+
+// Chained entries after the last archive, in sequence order, up to the first one newer than cutoff
+async function readExpiredChainedEntries(db, afterSequence, cutoff) {
+  const entries = [];
+  let lastSequence = afterSequence;
+  while (true) {
+    const snapshot = await db.collection(AUDIT_COLLECTION)
+      .where('sequence', '>', lastSequence)
+      .orderBy('sequence')
+      .limit(PAGE_SIZE)
+      .get();
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      const time = toDate(data.timestamp);
+      if (!time || time >= cutoff) return entries;
+      entries.push({ id: doc.id, ...data });
+    }
+    if (snapshot.size < PAGE_SIZE) return entries;
+    lastSequence = entries[entries.length - 1].sequence;
+  }
+}
+
+// Entries written before the hash chain, which have no sequence
+async function readExpiredLegacyEntries(db, cutoff) {
+  const snapshot = await db.collection(AUDIT_COLLECTION)
+    .where('timestamp', '<', cutoff)
+    .get();
+  return snapshot.docs
+    .filter(doc => typeof doc.data().sequence !== 'number')
+    .map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Archive audit log entries older than the cutoff, then delete them
+ * @param {Object} context - { db, storage, cutoff, passphrase, now }
+ * @returns {Promise<Object|null>} The auditArchives record, null when nothing expired
+ */
+async function archiveAuditLogs({ db, storage, cutoff, passphrase = null, now = new Date() }) {
+  const anchor = await readLastAuditArchive(db);
+  const afterSequence = anchor ? anchor.toSequence : 0;
+  const previousHash = anchor ? anchor.lastHash : AUDIT_GENESIS_HASH;
+
+  const chained = await readExpiredChainedEntries(db, afterSequence, cutoff);
+  const legacy = await readExpiredLegacyEntries(db, cutoff);
+  if (chained.length === 0 && legacy.length === 0) {
+    return null;
+  }
+
+  // Never archive (and delete) entries that no longer verify: they are the evidence
+  const report = await verifyAuditChain(chained, { afterSequence, previousHash });
+  if (!report.valid) {
+    const error = new Error(`Audit log failed verification; nothing archived: ${report.errors.join('; ')}`);
+    error.report = report;
+    throw error;
+  }
+
+  const archiveId = `audit_archive_${now.toISOString().replace(/[-:.TZ]/g, '')}`;
+  const last = chained[chained.length - 1];
+  const documents = [...legacy, ...chained].map(entry => encodeDocument(entry));
+  const chainRange = {
+    fromSequence: chained.length > 0 ? chained[0].sequence : null,
+    toSequence: chained.length > 0 ? last.sequence : afterSequence,
+    previousHash,
+    lastHash: chained.length > 0 ? last.hash : previousHash
+  };
+
+  // The encoded entries must still verify, or the archive could not prove anything
+  const archivedReport = await verifyAuditChain(documents.filter(doc => typeof doc.sequence === 'number'), {
+    afterSequence,
+    previousHash,
+    encoded: true
+  });
+  if (!archivedReport.valid) {
+    throw new Error(`Audit archive does not verify; nothing archived: ${archivedReport.errors.join('; ')}`);
+  }
+
+  const backupData = {
+    metadata: {
+      backupId: archiveId,
+      kind: 'full',
+      baseId: archiveId,
+      parentId: null,
+      timestamp: now.toISOString(),
+      collections: [AUDIT_COLLECTION],
+      backupType: 'audit-archive',
+      createdBy: 'audit-retention',
+      description: `Audit log entries before ${cutoff.toISOString()}`,
+      documentCounts: { [AUDIT_COLLECTION]: documents.length },
+      status: 'complete',
+      version: BACKUP_FORMAT_VERSION,
+      auditArchive: { ...chainRange, cutoff: cutoff.toISOString(), legacyEntries: legacy.length }
+    },
+    collections: { [AUDIT_COLLECTION]: documents }
+  };
+  backupData.metadata.manifest = buildBackupManifest(backupData);
+
+  const json = passphrase
+    ? JSON.stringify(await encryptBackup(backupData, passphrase))
+    : JSON.stringify(backupData);
+  const contents = zlib.gzipSync(Buffer.from(json, 'utf8'));
+  const fileName = `${ARCHIVE_PREFIX}${archiveId}${passphrase ? '.encrypted' : ''}.json.gz`;
+  const location = await storage.write(fileName, contents);
+
+  const record = {
+    archiveId,
+    storage: storage.name,
+    fileName,
+    location,
+    bytes: contents.length,
+    sha256: crypto.createHash('sha256').update(contents).digest('hex'),
+    encrypted: !!passphrase,
+    entries: documents.length,
+    legacyEntries: legacy.length,
+    ...chainRange,
+    cutoff: cutoff.toISOString(),
+    manifest: backupData.metadata.manifest,
+    createdAt: now.toISOString()
+  };
+  await db.collection(AUDIT_ARCHIVE_COLLECTION).doc(archiveId).set(record);
+
+  // Delete only after the archive is written and recorded
+  const archived = [...legacy, ...chained];
+  for (let i = 0; i < archived.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    archived.slice(i, i + BATCH_SIZE).forEach(entry => {
+      batch.delete(db.collection(AUDIT_COLLECTION).doc(entry.id));
+    });
+    await batch.commit();
+  }
+
+  console.log(`Audit retention: archived ${documents.length} entries to ${location}`);
+  return record;
+}
+
+/**
+ * One maintenance run: roll up statistics, then archive expired entries
+ */
+async function runAuditMaintenance({ db, storage, retentionDays = DEFAULT_RETENTION_DAYS, passphrase = null, now = new Date() }) {
+  // Roll up first, so archived entries are still counted in the statistics
+  const rolledUp = await aggregateAuditStatistics({ db, now });
+  const cutoff = startOfDay(addDays(now, -retentionDays));
+  const archive = await archiveAuditLogs({ db, storage, cutoff, passphrase, now });
+  return { rolledUp, archive };
+}
+
+/**
+ * Create the maintenance scheduler
+ * @param {Object} options - { db, storage, expression, retentionDays, passphrase }
+ * @returns {Object} { start(), stop(), runNow(date) }
+ */
+function createAuditMaintenance({ db, storage, expression, retentionDays = DEFAULT_RETENTION_DAYS, passphrase = null }) {
+  const cron = parseCronExpression(expression);
+  let running = false;
+  let stopTimer = null;
+
+  async function runNow(now = new Date()) {
+    if (running) {
+      console.warn('Audit maintenance is still running; skipping this run');
+      return null;
+    }
+    running = true;
+    try {
+      return await runAuditMaintenance({ db, storage, retentionDays, passphrase, now });
+    } finally {
+      running = false;
+    }
+  }
+
+  function tick(now) {
+    if (!cronMatches(cron, now)) return;
+    runNow(now).catch(error => {
+      console.error('Audit maintenance failed:', error);
+    });
+  }
+
+  return {
+    runNow,
+    start() {
+      if (!stopTimer) stopTimer = startMinuteTimer(tick);
+      console.log(`Audit maintenance started (${expression}), keeping ${retentionDays} days of entries`);
+    },
+    stop() {
+      if (stopTimer) stopTimer();
+      stopTimer = null;
+    }
+  };
+}
+
+/**
+ * Start audit maintenance from environment configuration.
+ * Does nothing unless AUDIT_MAINTENANCE_SCHEDULE is set.
+ * @returns {Object|null} Maintenance scheduler, or null when disabled
+ */
+function startAuditMaintenance(env = process.env) {
+  if (!env.AUDIT_MAINTENANCE_SCHEDULE || !env.AUDIT_MAINTENANCE_SCHEDULE.trim()) {
+    return null;
+  }
+  const retentionDays = env.AUDIT_RETENTION_DAYS ? parseInt(env.AUDIT_RETENTION_DAYS, 10) : DEFAULT_RETENTION_DAYS;
+  if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+    throw new Error(`Invalid AUDIT_RETENTION_DAYS "${env.AUDIT_RETENTION_DAYS}"`);
+  }
+
+  // Loaded lazily so servers without audit maintenance need no Admin SDK credentials
+  const { getFirebaseAdminApp } = require('./data-backends');
+  const { createArchiveStorageFromEnv } = require('./backup-scheduler');
+  const app = getFirebaseAdminApp({
+    projectId: env.FIREBASE_PROJECT_ID,
+    credentialsPath: env.FIREBASE_SERVICE_ACCOUNT
+  });
+
+  const maintenance = createAuditMaintenance({
+    db: app.firestore(),
+    storage: createArchiveStorageFromEnv(env, app),
+    expression: env.AUDIT_MAINTENANCE_SCHEDULE.trim(),
+    retentionDays,
+    passphrase: env.BACKUP_PASSPHRASE || null
+  });
+  maintenance.start();
+  return maintenance;
+}
+
+module.exports = {
+  readLastAuditArchive,
+  aggregateAuditStatistics,
+  archiveAuditLogs,
+  runAuditMaintenance,
+  createAuditMaintenance,
+  startAuditMaintenance
+};
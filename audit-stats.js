@@ -0,0 +1,114 @@
+/**
+ * BIS-SMS Audit Log Statistics
+ *
+ * Counts audit log entries by action, user, resource and status. The
+ * server (audit-retention.js) stores one summary per school and day in
+ * auditStats, so statistics are read from those rollups instead of from
+ * every raw entry:
+ *
+ *   auditStats/johannesburg_2026-03-01: { date: '2026-03-01',
+ *     schoolId: 'johannesburg', start, end, totalLogs,
+ *     byAction: { UPDATE: 41, ... }, byUser: { uid: 12, ... },
+ *     byResource: { fees: 30, ... }, byStatus: { SUCCESS: 44, FAILURE: 1 },
+ *     failures: 1 }
+ *
+ * Works in the browser (import before firestore-audit.js) and in Node
+ * (require).
+ */
+
+const AUDIT_STATS_COLLECTION = 'auditStats';
+
+function emptyAuditStatistics() {
+  return {
+    totalLogs: 0,
+    byAction: {},
+    byUser: {},
+    byResource: {},
+    byStatus: {},
+    failures: 0
+  };
+}
+
+/**
+ * Count a list of audit log entries
+ * @param {Array<Object>} logs - Audit log entries
+ * @returns {Object} { totalLogs, byAction, byUser, byResource, byStatus, failures }
+ */
+function summarizeAuditLogs(logs) {
+  const stats = emptyAuditStatistics();
+  logs.forEach(log => {
+    stats.totalLogs++;
+    stats.byAction[log.action] = (stats.byAction[log.action] || 0) + 1;
+    stats.byUser[log.userId] = (stats.byUser[log.userId] || 0) + 1;
+    if (log.resource) {
+      stats.byResource[log.resource] = (stats.byResource[log.resource] || 0) + 1;
+    }
+    stats.byStatus[log.status] = (stats.byStatus[log.status] || 0) + 1;
+    if (log.status === 'FAILURE') {
+      stats.failures++;
+    }
+  });
+  return stats;
+}
+
+/**
+ * Add several statistics objects (rollups and/or summaries) together
+ * @returns {Object} Combined statistics
+ */
+function mergeAuditStatistics(...parts) {
+  const merged = emptyAuditStatistics();
+  parts.forEach(part => {
+    merged.totalLogs += part.totalLogs || 0;
+    merged.failures += part.failures || 0;
+    ['byAction', 'byUser', 'byResource', 'byStatus'].forEach(key => {
+      Object.entries(part[key] || {}).forEach(([name, count]) => {
+        merged[key][name] = (merged[key][name] || 0) + count;
+      });
+    });
+  });
+  return merged;
+}
+
+/**
+ * Time spans within [start, end] that no rollup covers; these still have to
+ * be counted from raw entries (usually just today)
+ * @param {Array<Object>} rollups - { start: Date, end: Date }, sorted by start
+ * @param {Date|null} start - Range start (null for unbounded)
+ * @param {Date|null} end - Range end (null for unbounded)
+ * @returns {Array<Object>} [{ start, end, inclusiveEnd }] - start is inclusive;
+ *   end is exclusive except for the span that ends at the range end
+ */
+function uncoveredSpans(rollups, start, end) {
+  const spans = [];
+  let cursor = start;
+  rollups.forEach(rollup => {
+    if (cursor === null || rollup.start > cursor) {
+      spans.push({ start: cursor, end: rollup.start, inclusiveEnd: false });
+    }
+    if (cursor === null || rollup.end > cursor) {
+      cursor = rollup.end;
+    }
+  });
+  if (end === null || cursor === null || cursor < end) {
+    spans.push({ start: cursor, end, inclusiveEnd: true });
+  }
+  return spans;
+}
+
+const AuditStats = {
+  AUDIT_STATS_COLLECTION,
+  emptyAuditStatistics,
+  summarizeAuditLogs,
+  mergeAuditStatistics,
+  uncoveredSpans
+};
+
+// Make available to browser modules (firestore-audit.js imports this file)
+if (typeof window !== 'undefined') {
+  window.AuditStats = AuditStats;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditStats;
+}
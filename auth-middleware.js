@@ -0,0 +1,362 @@
+/**
+ * Authentication and Role Enforcement Middleware for the BIS-SMS Server
+ *
+ * Verifies the caller's ID token, resolves their role from the `users`
+ * record (the same source firestore.rules uses) and gates routes by
+ * admin / teacher / student / parent. Each user belongs to a school;
+ * selectSchool() picks the school a request works in (see tenancy.js).
+ *
+ * Tokens are read from the `Authorization: Bearer <token>` header, or from
+ * the `__session` cookie that the browser pages set after sign-in (see
+ * auth-session.js). `__session` is the only cookie Firebase Hosting forwards.
+ *
+ * Token verification is pluggable:
+ * - AUTH_VERIFIER=firebase (default): Firebase ID tokens via the Admin SDK;
+ *   users records are read from Firestore, whatever DATA_BACKEND the API uses
+ * - AUTH_VERIFIER=local: HS256 tokens signed with LOCAL_AUTH_SECRET, for
+ *   offline development and scripted tests (see signLocalToken); users
+ *   records come from the data backend
+ */
+
+const crypto = require('crypto');
+const { getFirebaseAdminApp } = require('./data-backends');
+const { homeSchoolId, isGroupAdmin, canAccessSchool } = require('./tenancy');
+
+const VALID_ROLES = ['admin', 'teacher', 'student', 'parent'];
+const SESSION_COOKIE = '__session';
+const SCHOOL_HEADER = 'x-school-id';
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sign a local HS256 token (for scripts and tests using AUTH_VERIFIER=local)
+ * @param {Object} claims - Token claims, must include uid
+ * @param {string} secret - Shared secret (LOCAL_AUTH_SECRET)
+ * @param {number} expiresInSeconds - Token lifetime
+ * @returns {string} Signed token
+ */
+function signLocalToken(claims, secret, expiresInSeconds = 3600) {
+  if (!claims || !claims.uid) {
+    throw new Error('Local tokens require a uid claim');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({
+    ...claims,
+    sub: claims.uid,
+    iat: now,
+    exp: now + expiresInSeconds
+  }));
+  const signature = base64UrlEncode(
+    crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest()
+  );
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Create a verifier for local HS256 tokens
+ * @param {string} secret - Shared secret
+ */
+function createLocalTokenVerifier(secret) {
+  if (!secret) {
+    throw new Error('LOCAL_AUTH_SECRET is required when AUTH_VERIFIER=local');
+  }
+
+  return {
+    name: 'local',
+
+    async verify(token) {
+      const parts = token.split('.');
+      if (parts.length !== 3) {
+        throw authError(401, 'Malformed token');
+      }
+
+      const [header, payload, signature] = parts;
+      const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+      const actual = base64UrlDecode(signature);
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw authError(401, 'Invalid token signature');
+      }
+
+      let claims;
+      try {
+        const decodedHeader = JSON.parse(base64UrlDecode(header).toString('utf8'));
+        if (decodedHeader.alg !== 'HS256') {
+          throw new Error('Unsupported algorithm');
+        }
+        claims = JSON.parse(base64UrlDecode(payload).toString('utf8'));
+      } catch (error) {
+        throw authError(401, 'Malformed token');
+      }
+
+      if (!claims.exp || claims.exp * 1000 < Date.now()) {
+        throw authError(401, 'Token expired');
+      }
+
+      return {
+        uid: claims.uid || claims.sub,
+        email: claims.email || null
+      };
+    }
+  };
+}
+
+/**
+ * Create a verifier for Firebase ID tokens (Admin SDK)
+ * @param {Object} options - { projectId, credentialsPath }, or app: an
+ *   initialized Admin app to use instead
+ */
+function createFirebaseTokenVerifier(options = {}) {
+  const getApp = () => options.app || getFirebaseAdminApp(options);
+
+  return {
+    name: 'firebase',
+
+    async verify(token) {
+      try {
+        const decoded = await getApp().auth().verifyIdToken(token);
+        return {
+          uid: decoded.uid,
+          email: decoded.email || null
+        };
+      } catch (error) {
+        throw authError(401, 'Invalid or expired ID token');
+      }
+    },
+
+    // Firebase accounts have their users record in Firestore, where the
+    // pages and firestore.rules read it
+    async getProfile(uid) {
+      const doc = await getApp().firestore().collection('users').doc(uid).get();
+      return doc.exists ? doc.data() : null;
+    }
+  };
+}
+
+/**
+ * Create the token verifier selected by environment configuration
+ */
+function createTokenVerifier(env = process.env) {
+  const verifierName = (env.AUTH_VERIFIER || 'firebase').toLowerCase();
+
+  if (verifierName === 'local') {
+    return createLocalTokenVerifier(env.LOCAL_AUTH_SECRET);
+  }
+
+  if (verifierName === 'firebase') {
+    return createFirebaseTokenVerifier({
+      projectId: env.FIREBASE_PROJECT_ID,
+      credentialsPath: env.FIREBASE_SERVICE_ACCOUNT
+    });
+  }
+
+  throw new Error(`Unknown AUTH_VERIFIER "${verifierName}". Use "firebase" or "local".`);
+}
+
+/**
+ * Read the raw token from the request (bearer header first, then cookie);
+ * a session cookie that cannot be decoded is a 401 error
+ */
+function extractToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+
+  const cookies = req.headers.cookie || '';
+  for (const part of cookies.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE && rest.length > 0) {
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch (error) {
+        throw authError(401, 'Malformed session cookie');
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the caller's profile and role from the users record (from the
+ * verifier when it has its own, otherwise from the data backend)
+ */
+async function resolveUser({ verifier, backend }, identity) {
+  const profile = verifier.getProfile
+    ? await verifier.getProfile(identity.uid)
+    : await backend.get('users', identity.uid);
+  if (!profile) {
+    throw authError(403, 'No user profile found for this account');
+  }
+
+  const role = (profile.role || profile.userType || '').toString().toLowerCase().trim();
+  if (!VALID_ROLES.includes(role)) {
+    throw authError(403, 'Account does not have a valid role');
+  }
+
+  return {
+    uid: identity.uid,
+    email: identity.email || profile.email || null,
+    role,
+    userId: profile.userId || identity.uid,
+    childrenIds: profile.childrenIds || [],
+    schoolId: homeSchoolId(profile),
+    groupAdmin: isGroupAdmin({ ...profile, role })
+  };
+}
+
+/**
+ * Create middleware that authenticates the request and sets req.user
+ *
+ * @param {Object} options
+ * @param {Object} options.verifier - Token verifier
+ * @param {Object} options.backend - Data backend used to read users records
+ *                                   (unless the verifier reads its own)
+ * @param {string} options.redirectTo - For page routes: redirect here instead
+ *                                      of responding with a JSON error
+ */
+function authenticate({ verifier, backend, redirectTo = null }) {
+  return async (req, res, next) => {
+    const fail = (error) => {
+      if (redirectTo) {
+        return res.redirect(redirectTo);
+      }
+      return res.status(error.status || 401).json({ error: error.message });
+    };
+
+    try {
+      const token = extractToken(req);
+      if (!token) {
+        return fail(authError(401, 'Authentication required'));
+      }
+
+      const identity = await verifier.verify(token);
+      req.user = await resolveUser({ verifier, backend }, identity);
+      next();
+    } catch (error) {
+      if (!error.status) {
+        console.error('Authentication error:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+      }
+      return fail(error);
+    }
+  };
+}
+
+/**
+ * Allow only the given roles (use after authenticate)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!roles.includes(req.user.role)) {
+      console.warn(`Access denied for ${req.user.uid} (${req.user.role}) to ${req.originalUrl}`);
+      return res.status(403).json({ error: 'You do not have permission to access this resource' });
+    }
+    next();
+  };
+}
+
+/**
+ * Set req.schoolId to the school the request works in (use after
+ * authenticate): the X-School-Id header or ?school= parameter, otherwise
+ * the caller's own school. Only group administrators may name another school.
+ */
+function selectSchool() {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    const requested = req.headers[SCHOOL_HEADER] || req.query.school;
+    const schoolId = requested ? String(requested).trim() : req.user.schoolId;
+    if (!canAccessSchool(req.user, schoolId)) {
+      console.warn(`School access denied for ${req.user.uid} (${req.user.schoolId}) to ${schoolId}`);
+      return res.status(403).json({ error: 'You do not have permission to access this school' });
+    }
+    req.schoolId = schoolId;
+    next();
+  };
+}
+
+/**
+ * Check whether the user may read a single student's records.
+ * Mirrors firestore.rules: admins and teachers, the student themselves,
+ * and parents whose childrenIds include the student.
+ */
+function canAccessStudent(user, studentId) {
+  if (!user) return false;
+  if (user.role === 'admin' || user.role === 'teacher') return true;
+  if (user.role === 'student') return user.uid === studentId || user.userId === studentId;
+  if (user.role === 'parent') return user.childrenIds.includes(studentId);
+  return false;
+}
+
+/**
+ * Allow access to a student-scoped route (use after authenticate)
+ * @param {string} param - Route parameter holding the student ID
+ * @param {Array<string>} staffRoles - Staff roles allowed for every student
+ */
+function requireStudentAccess(param = 'id', staffRoles = ['admin', 'teacher']) {
+  return (req, res, next) => {
+    const user = req.user;
+    const studentId = req.params[param];
+    const isStaff = user && staffRoles.includes(user.role);
+    const isSelfOrParent = user && ['student', 'parent'].includes(user.role) && canAccessStudent(user, studentId);
+
+    if (!isStaff && !isSelfOrParent) {
+      return res.status(403).json({ error: 'You do not have permission to access this student' });
+    }
+    next();
+  };
+}
+
+/**
+ * Page guard for server-rendered routes: redirect to login unless the
+ * caller is signed in with one of the given roles
+ */
+function requirePageRole({ verifier, backend, loginPath = '/' }, ...roles) {
+  const authenticatePage = authenticate({ verifier, backend, redirectTo: loginPath });
+  return (req, res, next) => {
+    authenticatePage(req, res, () => {
+      if (!roles.includes(req.user.role)) {
+        return res.redirect(loginPath);
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  VALID_ROLES,
+  SESSION_COOKIE,
+  signLocalToken,
+  createTokenVerifier,
+  createLocalTokenVerifier,
+  createFirebaseTokenVerifier,
+  extractToken,
+  authenticate,
+  requireRole,
+  selectSchool,
+  requireStudentAccess,
+  requirePageRole,
+  canAccessStudent
+};
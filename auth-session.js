@@ -0,0 +1,57 @@
+/**
+ * Server Session Cookie for BIS-SMS
+ *
+ * The Express server guards the portal pages (/admin, /teacher-portal.html, ...)
+ * with the caller's Firebase ID token. Browsers do not send bearer headers on
+ * page navigation, so the pages keep the current ID token in the `__session`
+ * cookie, which the server reads (see auth-middleware.js).
+ *
+ * ID tokens expire after one hour; syncSessionCookie() keeps the cookie
+ * current for as long as a page is open.
+ */
+
+import { onIdTokenChanged } from "https://www.gstatic.com/firebasejs/10.14.1/firebase-auth.js";
+
+const SESSION_COOKIE = '__session';
+const COOKIE_MAX_AGE = 60 * 60; // 1 hour, matching the ID token lifetime
+
+function writeCookie(value, maxAge) {
+  const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+  document.cookie = `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; Max-Age=${maxAge}; SameSite=Strict${secure}`;
+}
+
+/**
+ * Store the user's current ID token in the session cookie.
+ * Await this before redirecting to a protected page.
+ * @param {Object} user - Firebase Auth user
+ */
+export async function setSessionCookie(user) {
+  try {
+    const token = await user.getIdToken();
+    writeCookie(token, COOKIE_MAX_AGE);
+  } catch (error) {
+    console.warn('Could not store session cookie:', error);
+  }
+}
+
+/**
+ * Remove the session cookie (call on logout)
+ */
+export function clearSessionCookie() {
+  writeCookie('', 0);
+}
+
+/**
+ * Keep the session cookie in step with token refreshes and sign-outs
+ * @param {Object} auth - Firebase Auth instance
+ * @returns {Function} Unsubscribe function
+ */
+export function syncSessionCookie(auth) {
+  return onIdTokenChanged(auth, async (user) => {
+    if (user) {
+      await setSessionCookie(user);
+    } else {
+      clearSessionCookie();
+    }
+  });
+}
@@ -0,0 +1,344 @@
+/**
+ * BIS-SMS Backup Encryption and Integrity
+ *
+ * Backups hold learner health records, parent contacts and fee histories,
+ * so exported files can be encrypted with a passphrase, and every backup
+ * carries a manifest of SHA-256 hashes that restores check first.
+ *
+ * Manifest (metadata.manifest, also saved in backupMetadata):
+ *   { algorithm: 'SHA-256',
+ *     collections: { students: { documents: 412, sha256: '9f2c...' }, ... },
+ *     liveIds: { students: '51ab...' } }   // only for detectDeletions backups
+ * Each hash covers the collection's documents (with subcollections) as
+ * canonical JSON, so a truncated or edited file no longer matches.
+ *
+ * Encrypted files are an envelope around the whole backup:
+ *   { format: 'bis-sms-encrypted-backup', version: 1,
+ *     header: { backupId, kind, timestamp, collections },
+ *     cipher: 'AES-256-GCM', kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *     iv, ciphertext }
+ * The header stays readable so backup chains can be ordered without the
+ * passphrase; it is authenticated along with the ciphertext.
+ *
+ * Uses WebCrypto in the browser and Node's crypto module on the server.
+ */
+
+const ENCRYPTED_BACKUP_FORMAT = 'bis-sms-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const MANIFEST_ALGORITHM = 'SHA-256';
+
+function getNodeCrypto() {
+  if (typeof window === 'undefined' && typeof require === 'function') {
+    return require('crypto');
+  }
+  return null;
+}
+
+function getSubtleCrypto() {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    return crypto.subtle;
+  }
+  const nodeCrypto = getNodeCrypto();
+  if (nodeCrypto && nodeCrypto.webcrypto) {
+    return nodeCrypto.webcrypto.subtle;
+  }
+  throw new Error('Backup encryption needs WebCrypto (HTTPS page or Node 16+)');
+}
+
+function getRandomBytes(length) {
+  const bytes = new Uint8Array(length);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(bytes);
+  }
+  return new Uint8Array(getNodeCrypto().randomBytes(length));
+}
+
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  // Chunked so large backups do not overflow the argument list
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(base64, 'base64'));
+  }
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * JSON with object keys sorted, so equal data always hashes the same
+ */
+function canonicalJSON(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  return `{${Object.keys(value).sort()
+    .filter(key => value[key] !== undefined)
+    .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+    .join(',')}}`;
+}
+
+// SHA-256 for the browser, where WebCrypto digests are async only and
+// validateBackup() is synchronous
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function sha256Bytes(bytes) {
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const bitLength = bytes.length * 8;
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(padded.length - 4, bitLength >>> 0);
+
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      hh = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    [a, b, c, d, e, f, g, hh].forEach((v, i) => { h[i] = (h[i] + v) >>> 0; });
+  }
+  return h.map(v => v.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * SHA-256 of a string (UTF-8), as hex
+ */
+function sha256Hex(text) {
+  const nodeCrypto = getNodeCrypto();
+  if (nodeCrypto) {
+    return nodeCrypto.createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+  return sha256Bytes(new TextEncoder().encode(text));
+}
+
+/**
+ * Build the integrity manifest for a backup
+ * @param {Object} backupData - Backup in the current format
+ * @returns {Object} Manifest for metadata.manifest
+ */
+function buildBackupManifest(backupData) {
+  const manifest = { algorithm: MANIFEST_ALGORITHM, collections: {} };
+  Object.entries(backupData.collections || {}).forEach(([name, data]) => {
+    if (!Array.isArray(data)) return;
+    manifest.collections[name] = {
+      documents: data.length,
+      sha256: sha256Hex(canonicalJSON(data))
+    };
+  });
+  if (backupData.liveIds) {
+    manifest.liveIds = {};
+    Object.entries(backupData.liveIds).forEach(([name, ids]) => {
+      manifest.liveIds[name] = sha256Hex(canonicalJSON(ids));
+    });
+  }
+  return manifest;
+}
+
+/**
+ * Check a backup's contents against its manifest
+ * @param {Object} backupData - Backup in the current format
+ * @returns {Object} { verified, errors, warnings } - verified is false when
+ *   the file has no manifest or does not match it
+ */
+function verifyBackupManifest(backupData) {
+  const result = { verified: false, errors: [], warnings: [] };
+  const manifest = backupData.metadata && backupData.metadata.manifest;
+  if (!manifest) {
+    result.warnings.push('No integrity manifest; the file cannot be checked for tampering or truncation');
+    return result;
+  }
+  if (manifest.algorithm !== MANIFEST_ALGORITHM) {
+    result.errors.push(`Unsupported manifest algorithm "${manifest.algorithm}"`);
+    return result;
+  }
+
+  const collections = backupData.collections || {};
+  Object.entries(manifest.collections || {}).forEach(([name, entry]) => {
+    const data = collections[name];
+    if (!Array.isArray(data)) {
+      result.errors.push(`${name}: listed in the manifest but missing from the file (truncated?)`);
+    } else if (sha256Hex(canonicalJSON(data)) !== entry.sha256) {
+      result.errors.push(data.length === entry.documents
+        ? `${name}: contents do not match the manifest (modified)`
+        : `${name}: ${data.length} document(s) in the file, ${entry.documents} when backed up`);
+    }
+  });
+  Object.entries(collections).forEach(([name, data]) => {
+    if (Array.isArray(data) && !(manifest.collections || {})[name]) {
+      result.errors.push(`${name}: not in the manifest (added after the backup was made)`);
+    }
+  });
+  Object.entries(manifest.liveIds || {}).forEach(([name, hash]) => {
+    const ids = backupData.liveIds && backupData.liveIds[name];
+    if (!ids || sha256Hex(canonicalJSON(ids)) !== hash) {
+      result.errors.push(`${name}: recorded document IDs do not match the manifest`);
+    }
+  });
+
+  result.verified = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Compare a file's manifest with the one recorded when the backup was made
+ * (backupMetadata), which catches a file whose data and manifest were both edited
+ * @returns {Array<string>} Differences, empty if the manifests agree
+ */
+function compareBackupManifests(fileManifest, recordedManifest) {
+  const errors = [];
+  const recorded = (recordedManifest && recordedManifest.collections) || {};
+  const inFile = (fileManifest && fileManifest.collections) || {};
+  new Set([...Object.keys(recorded), ...Object.keys(inFile)]).forEach(name => {
+    if (!recorded[name] || !inFile[name] || recorded[name].sha256 !== inFile[name].sha256) {
+      errors.push(`${name}: file does not match the backup recorded in backupMetadata`);
+    }
+  });
+  return errors;
+}
+
+function isEncryptedBackup(data) {
+  return !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+async function deriveBackupKey(passphrase, salt, iterations, usage) {
+  const subtle = getSubtleCrypto();
+  const baseKey = await subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ * @param {Object} backupData - Backup to encrypt
+ * @param {string} passphrase - At least 8 characters
+ * @returns {Promise<Object>} Encrypted envelope (JSON-safe)
+ */
+async function encryptBackup(backupData, passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < 8) {
+    throw new Error('Backup passphrase must be at least 8 characters');
+  }
+  const metadata = backupData.metadata || {};
+  const header = {
+    backupId: metadata.backupId || null,
+    kind: metadata.kind || 'full',
+    timestamp: metadata.timestamp || null,
+    collections: metadata.collections || Object.keys(backupData.collections || {})
+  };
+  const salt = getRandomBytes(16);
+  const iv = getRandomBytes(12);
+  const key = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+  const ciphertext = await getSubtleCrypto().encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(canonicalJSON(header)) },
+    key,
+    new TextEncoder().encode(JSON.stringify(backupData))
+  );
+
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    header,
+    cipher: 'AES-256-GCM',
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt an encrypted backup envelope
+ * @param {Object} envelope - Output of encryptBackup()
+ * @param {string} passphrase - Passphrase used to encrypt
+ * @returns {Promise<Object>} Backup data
+ */
+async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope)) {
+    throw new Error('Not an encrypted BIS-SMS backup');
+  }
+  if (envelope.version !== ENCRYPTED_BACKUP_VERSION || envelope.cipher !== 'AES-256-GCM' ||
+      !envelope.kdf || envelope.kdf.name !== 'PBKDF2') {
+    throw new Error(`Unsupported encrypted backup (version ${envelope.version}, ${envelope.cipher})`);
+  }
+  if (!passphrase) {
+    throw new Error('This backup is encrypted; a passphrase is required');
+  }
+
+  let plaintext;
+  try {
+    const key = await deriveBackupKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations, 'decrypt');
+    plaintext = await getSubtleCrypto().decrypt(
+      {
+        name: 'AES-GCM',
+        iv: fromBase64(envelope.iv),
+        additionalData: new TextEncoder().encode(canonicalJSON(envelope.header))
+      },
+      key,
+      fromBase64(envelope.ciphertext)
+    );
+  } catch (error) {
+    // AES-GCM cannot tell a wrong passphrase from a modified file
+    throw new Error('Could not decrypt backup: wrong passphrase, or the file is damaged or has been modified');
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+const BackupCrypto = {
+  ENCRYPTED_BACKUP_FORMAT,
+  canonicalJSON,
+  sha256Hex,
+  buildBackupManifest,
+  verifyBackupManifest,
+  compareBackupManifests,
+  isEncryptedBackup,
+  encryptBackup,
+  decryptBackup
+};
+
+// Make available to browser modules (firestore-backup.js imports this file)
+if (typeof window !== 'undefined') {
+  window.BackupCrypto = BackupCrypto;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackupCrypto;
+}
@@ -0,0 +1,471 @@
+/**
+ * BIS-SMS Backup File Format
+ *
+ * Typed JSON encoding for Firestore documents in backup files, so values that
+ * plain JSON cannot represent survive a backup and restore unchanged:
+ *
+ *   Timestamp          { "$type": "timestamp", "seconds": 1767225600, "nanoseconds": 0 }
+ *   GeoPoint           { "$type": "geopoint", "latitude": -26.2, "longitude": 28.04 }
+ *   DocumentReference  { "$type": "reference", "path": "students/123" }
+ *   Bytes              { "$type": "bytes", "base64": "..." }
+ *   NaN / ±Infinity    { "$type": "number", "value": "NaN" }
+ *   Map with a "$type" key of its own
+ *                      { "$type": "map", "value": { ... } }
+ *
+ * Works with both the web SDK and firebase-admin: values are recognised by
+ * shape, and decoding takes a factory that builds the SDK's own types.
+ *
+ * Subcollections are stored with their parent document under the reserved
+ * "$subcollections" key (format 2.1):
+ *
+ *   { "id": "m1", "text": "Hi", "$subcollections": { "reactions": [ { "id": "r1", ... } ] } }
+ *
+ * Files written by earlier versions ('1.0', '2.0') are upgraded by
+ * upgradeBackup().
+ *
+ * Works in the browser (include or import before firestore-backup.js) and in
+ * Node (require).
+ */
+
+const BACKUP_FORMAT_VERSION = '2.1';
+const TYPE_KEY = '$type';
+const SUBCOLLECTIONS_KEY = '$subcollections';
+
+// Predefined collection lists for common backup scenarios
+const BACKUP_PRESETS = {
+  // Core data
+  CORE: ['schools', 'students', 'teachers', 'classes', 'users'],
+  
+  // Academic data
+  ACADEMIC: ['students', 'teachers', 'classes', 'grades', 'attendance', 'subjects'],
+  
+  // Financial data
+  FINANCIAL: ['fees', 'expenses'],
+  
+  // All data
+  ALL: [
+    'schools', 'students', 'teachers', 'classes', 'users', 'grades', 'attendance',
+    'fees', 'expenses', 'announcements', 'events', 'messages',
+    'choptsoMessages', 'subjects', 'homework', 'assignments', 'lessonPlans'
+  ]
+};
+
+// Subcollections backed up with their parent documents:
+// collection → subcollection → its own subcollections
+const BACKUP_SUBCOLLECTIONS = {
+  choptsoMessages: {
+    reactions: {}
+  }
+};
+
+// Fields written as Firestore Timestamps. Version 1.0 files may hold them as
+// ISO strings, which upgradeBackup() converts back.
+const LEGACY_TIMESTAMP_FIELDS = {
+  auditLogs: ['timestamp'],
+  events: ['date'],
+  statuses: ['timestamp', 'expiresAt'],
+  choptsoTyping: ['timestamp']
+};
+
+function isTimestamp(value) {
+  return typeof value.toMillis === 'function' &&
+    typeof value.seconds === 'number' &&
+    typeof value.nanoseconds === 'number';
+}
+
+function isGeoPoint(value) {
+  return typeof value.latitude === 'number' &&
+    typeof value.longitude === 'number' &&
+    typeof value.isEqual === 'function';
+}
+
+function isDocumentReference(value) {
+  return typeof value.path === 'string' &&
+    typeof value.id === 'string' &&
+    value.firestore !== undefined &&
+    value.path.split('/').length % 2 === 0;
+}
+
+function bytesToBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * Encode a Firestore field value for a backup file
+ * @param {*} value - Value read from Firestore (web or admin SDK)
+ * @returns {*} JSON-safe value
+ */
+function encodeFirestoreValue(value) {
+  if (value === null || value === undefined) return value === undefined ? null : value;
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : { [TYPE_KEY]: 'number', value: String(value) };
+  }
+  if (typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) return value.map(encodeFirestoreValue);
+
+  if (value instanceof Date) {
+    const millis = value.getTime();
+    return {
+      [TYPE_KEY]: 'timestamp',
+      seconds: Math.floor(millis / 1000),
+      nanoseconds: (((millis % 1000) + 1000) % 1000) * 1e6
+    };
+  }
+  if (isTimestamp(value)) {
+    return { [TYPE_KEY]: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+  }
+  if (isGeoPoint(value)) {
+    return { [TYPE_KEY]: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+  }
+  if (isDocumentReference(value)) {
+    return { [TYPE_KEY]: 'reference', path: value.path };
+  }
+  if (typeof value.toBase64 === 'function' && typeof value.toUint8Array === 'function') {
+    return { [TYPE_KEY]: 'bytes', base64: value.toBase64() };
+  }
+  if (value instanceof Uint8Array) {
+    // firebase-admin returns bytes as a Buffer
+    return { [TYPE_KEY]: 'bytes', base64: bytesToBase64(value) };
+  }
+
+  const encoded = {};
+  Object.keys(value).forEach(key => {
+    encoded[key] = encodeFirestoreValue(value[key]);
+  });
+  return Object.prototype.hasOwnProperty.call(value, TYPE_KEY)
+    ? { [TYPE_KEY]: 'map', value: encoded }
+    : encoded;
+}
+
+/**
+ * Decode a backup value into SDK types
+ * @param {*} value - Value from a backup file
+ * @param {Object} factory - Builds SDK values:
+ *   { timestamp(seconds, nanoseconds), geopoint(latitude, longitude), reference(path), bytes(base64) }
+ * @returns {*} Value ready to write to Firestore
+ */
+function decodeFirestoreValue(value, factory) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(v => decodeFirestoreValue(v, factory));
+
+  switch (value[TYPE_KEY]) {
+    case 'timestamp':
+      return factory.timestamp(value.seconds, value.nanoseconds);
+    case 'geopoint':
+      return factory.geopoint(value.latitude, value.longitude);
+    case 'reference':
+      return factory.reference(value.path);
+    case 'bytes':
+      return factory.bytes(value.base64);
+    case 'number':
+      return Number(value.value);
+    case 'map':
+      return decodeMap(value.value, factory);
+    case undefined:
+      return decodeMap(value, factory);
+    default:
+      throw new Error(`Unknown value type "${value[TYPE_KEY]}" in backup`);
+  }
+}
+
+function decodeMap(map, factory) {
+  const decoded = {};
+  Object.keys(map).forEach(key => {
+    decoded[key] = decodeFirestoreValue(map[key], factory);
+  });
+  return decoded;
+}
+
+/**
+ * List problems with the typed values in an encoded document
+ * @param {Object} doc - Document from a backup file
+ * @returns {Array<string>} Field paths with a description, empty if valid
+ */
+function checkEncodedDocument(doc) {
+  const problems = [];
+  if (doc === null || typeof doc !== 'object' || typeof doc.id !== 'string') {
+    return ['not a document (missing id)'];
+  }
+  const check = (value, path) => {
+    if (value === null || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => check(v, `${path}[${i}]`));
+      return;
+    }
+    const type = value[TYPE_KEY];
+    const valid = {
+      timestamp: () => Number.isInteger(value.seconds) && Number.isInteger(value.nanoseconds),
+      geopoint: () => typeof value.latitude === 'number' && typeof value.longitude === 'number',
+      reference: () => typeof value.path === 'string' && value.path.split('/').length % 2 === 0,
+      bytes: () => typeof value.base64 === 'string',
+      number: () => ['NaN', 'Infinity', '-Infinity'].includes(value.value),
+      map: () => value.value !== null && typeof value.value === 'object'
+    };
+    if (type === undefined) {
+      Object.keys(value).forEach(key => check(value[key], path ? `${path}.${key}` : key));
+    } else if (!valid[type]) {
+      problems.push(`${path}: unknown type "${type}"`);
+    } else if (!valid[type]()) {
+      problems.push(`${path}: malformed ${type}`);
+    } else if (type === 'map') {
+      Object.keys(value.value).forEach(key => check(value.value[key], `${path}.${key}`));
+    }
+  };
+  const { id, [SUBCOLLECTIONS_KEY]: subcollections, ...fields } = doc;
+  Object.keys(fields).forEach(key => check(fields[key], key));
+  if (subcollections !== undefined) {
+    if (subcollections === null || typeof subcollections !== 'object' || Array.isArray(subcollections)) {
+      problems.push(`${SUBCOLLECTIONS_KEY}: expected a map of subcollections`);
+    } else {
+      Object.entries(subcollections).forEach(([name, docs]) => {
+        if (!Array.isArray(docs)) problems.push(`${SUBCOLLECTIONS_KEY}.${name}: expected a list of documents`);
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Visit every document in a backed-up collection, including subcollections
+ * @param {string} collectionName - Top-level collection
+ * @param {Array} docs - Documents from the backup file
+ * @param {Function} visit - Called with (doc, collectionPath, groupPath), e.g.
+ *   ('choptsoMessages/m1/reactions', 'choptsoMessages/reactions')
+ */
+function walkBackupDocuments(collectionName, docs, visit) {
+  const walk = (collectionPath, groupPath, list) => {
+    list.forEach(doc => {
+      visit(doc, collectionPath, groupPath);
+      const subcollections = doc && doc[SUBCOLLECTIONS_KEY];
+      if (!subcollections || typeof subcollections !== 'object') return;
+      Object.entries(subcollections).forEach(([name, subDocs]) => {
+        if (Array.isArray(subDocs)) {
+          walk(`${collectionPath}/${doc.id}/${name}`, `${groupPath}/${name}`, subDocs);
+        }
+      });
+    });
+  };
+  walk(collectionName, collectionName, docs);
+}
+
+/**
+ * Count documents per collection and subcollection
+ * @returns {Object} e.g. { choptsoMessages: 12, 'choptsoMessages/reactions': 30 }
+ */
+function countBackupDocuments(collectionName, docs) {
+  const counts = { [collectionName]: 0 };
+  walkBackupDocuments(collectionName, docs, (doc, collectionPath, groupPath) => {
+    counts[groupPath] = (counts[groupPath] || 0) + 1;
+  });
+  return counts;
+}
+
+function isEncodedMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && value[TYPE_KEY] === undefined;
+}
+
+function encodedValuesEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length &&
+    keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && encodedValuesEqual(a[key], b[key]));
+}
+
+/**
+ * Field-level differences between two encoded documents (subcollections ignored).
+ * Nested maps are compared field by field; arrays and typed values as a whole.
+ * @param {Object|null} before - Current document
+ * @param {Object|null} after - Document it would become
+ * @param {Object} options - { merge } ignores fields missing from `after`
+ * @returns {Array<Object>} [{ field: 'address.city', change: 'added'|'removed'|'changed', before, after }]
+ */
+function diffEncodedDocuments(before, after, options = {}) {
+  const changes = [];
+  const compare = (a, b, prefix) => {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    keys.forEach(key => {
+      if (key === 'id' && !prefix) return;
+      if (key === SUBCOLLECTIONS_KEY && !prefix) return;
+      const field = prefix ? `${prefix}.${key}` : key;
+      const hasA = !!a && Object.prototype.hasOwnProperty.call(a, key);
+      const hasB = !!b && Object.prototype.hasOwnProperty.call(b, key);
+      if (!hasB) {
+        if (!options.merge) changes.push({ field, change: 'removed', before: a[key], after: undefined });
+      } else if (!hasA) {
+        changes.push({ field, change: 'added', before: undefined, after: b[key] });
+      } else if (isEncodedMap(a[key]) && isEncodedMap(b[key])) {
+        compare(a[key], b[key], field);
+      } else if (!encodedValuesEqual(a[key], b[key])) {
+        changes.push({ field, change: 'changed', before: a[key], after: b[key] });
+      }
+    });
+  };
+  compare(before, after, '');
+  return changes;
+}
+
+/**
+ * Encode a document ({ id, ...fields }) for a backup file
+ */
+function encodeDocument(doc) {
+  const { id, ...fields } = doc;
+  // Fields are encoded one by one: a top-level "$type" field is an ordinary field
+  const encoded = { id };
+  Object.keys(fields).forEach(key => {
+    encoded[key] = encodeFirestoreValue(fields[key]);
+  });
+  return encoded;
+}
+
+/**
+ * Decode a backup document into { id, data } with SDK types
+ */
+function decodeDocument(doc, factory) {
+  const { id, [SUBCOLLECTIONS_KEY]: subcollections, ...fields } = doc;
+  return { id, data: decodeMap(fields, factory) };
+}
+
+/**
+ * Decoder that keeps typed values as plain JavaScript (Date for timestamps),
+ * for previews and comparisons where no SDK is needed
+ */
+const PLAIN_VALUE_FACTORY = {
+  timestamp: (seconds, nanoseconds) => new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6)),
+  geopoint: (latitude, longitude) => ({ latitude, longitude }),
+  reference: path => ({ path }),
+  bytes: base64 => ({ base64 })
+};
+
+// Version 1.0 files were written with JSON.stringify, which turns
+// Timestamps into { seconds, nanoseconds } (web) or { _seconds, _nanoseconds }
+// (admin), GeoPoints into { latitude, longitude } and Bytes into
+// { _byteString: { binaryString } }.
+function upgradeLegacyValue(value) {
+  if (value === null || typeof value !== 'object') return encodeFirestoreValue(value);
+  if (Array.isArray(value)) return value.map(upgradeLegacyValue);
+
+  const keys = Object.keys(value).filter(k => k !== 'type').sort().join(',');
+  if (keys === 'nanoseconds,seconds' && typeof value.seconds === 'number') {
+    return { [TYPE_KEY]: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+  }
+  if (keys === '_nanoseconds,_seconds' && typeof value._seconds === 'number') {
+    return { [TYPE_KEY]: 'timestamp', seconds: value._seconds, nanoseconds: value._nanoseconds };
+  }
+  if (keys === 'latitude,longitude' && typeof value.latitude === 'number') {
+    return { [TYPE_KEY]: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+  }
+  if (keys === '_byteString' && value._byteString && typeof value._byteString.binaryString === 'string') {
+    const binary = value._byteString.binaryString;
+    return { [TYPE_KEY]: 'bytes', base64: bytesToBase64(Uint8Array.from(binary, c => c.charCodeAt(0))) };
+  }
+
+  const upgraded = {};
+  Object.keys(value).forEach(key => {
+    upgraded[key] = upgradeLegacyValue(value[key]);
+  });
+  return Object.prototype.hasOwnProperty.call(value, TYPE_KEY)
+    ? { [TYPE_KEY]: 'map', value: upgraded }
+    : upgraded;
+}
+
+function upgradeLegacyTimestampField(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+  const date = new Date(value);
+  return isNaN(date) ? value : encodeFirestoreValue(date);
+}
+
+const BACKUP_UPGRADES = {
+  '1.0': backupData => {
+    const collections = {};
+    Object.entries(backupData.collections || {}).forEach(([name, data]) => {
+      if (!Array.isArray(data)) {
+        collections[name] = data;
+        return;
+      }
+      const timestampFields = LEGACY_TIMESTAMP_FIELDS[name] || [];
+      collections[name] = data.map(doc => {
+        const { id, ...fields } = doc;
+        const upgraded = {};
+        Object.keys(fields).forEach(key => {
+          upgraded[key] = upgradeLegacyValue(fields[key]);
+        });
+        timestampFields.forEach(field => {
+          if (field in upgraded) upgraded[field] = upgradeLegacyTimestampField(upgraded[field]);
+        });
+        return { id, ...upgraded };
+      });
+    });
+    return {
+      ...backupData,
+      metadata: { ...backupData.metadata, version: '2.0', upgradedFrom: '1.0' },
+      collections
+    };
+  },
+  // 2.1 added subcollections; 2.0 files have none
+  '2.0': backupData => ({
+    ...backupData,
+    metadata: {
+      ...backupData.metadata,
+      version: '2.1',
+      upgradedFrom: backupData.metadata.upgradedFrom || '2.0'
+    }
+  })
+};
+
+/**
+ * Bring a backup file up to the current format version.
+ * Files without a version are treated as 1.0.
+ * @param {Object} backupData - Parsed backup file
+ * @returns {Object} Backup in the current format (the same object if already current)
+ */
+function upgradeBackup(backupData) {
+  let upgraded = backupData;
+  let version = (upgraded.metadata && upgraded.metadata.version) || '1.0';
+  while (version !== BACKUP_FORMAT_VERSION) {
+    const upgrade = BACKUP_UPGRADES[version];
+    if (!upgrade) {
+      throw new Error(`Unsupported backup version "${version}" (this version of BIS-SMS reads up to ${BACKUP_FORMAT_VERSION})`);
+    }
+    upgraded = upgrade(upgraded);
+    version = upgraded.metadata.version;
+  }
+  return upgraded;
+}
+
+const BackupFormat = {
+  BACKUP_FORMAT_VERSION,
+  BACKUP_PRESETS,
+  BACKUP_SUBCOLLECTIONS,
+  SUBCOLLECTIONS_KEY,
+  LEGACY_TIMESTAMP_FIELDS,
+  PLAIN_VALUE_FACTORY,
+  encodeFirestoreValue,
+  decodeFirestoreValue,
+  encodeDocument,
+  decodeDocument,
+  checkEncodedDocument,
+  walkBackupDocuments,
+  countBackupDocuments,
+  diffEncodedDocuments,
+  upgradeBackup
+};
+
+// Make available to browser modules (firestore-backup.js imports this file)
+if (typeof window !== 'undefined') {
+  window.BackupFormat = BackupFormat;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackupFormat;
+}
@@ -0,0 +1,578 @@
+/**
+ * Scheduled Backups for the BIS-SMS Server
+ *
+ * Runs backups of the BACKUP_PRESETS collection lists on a cron-style
+ * schedule inside the server process, so backups no longer depend on an
+ * admin keeping a browser tab open. Archives use the same file format as
+ * firestore-backup.js (typed values, subcollections, SHA-256 manifest,
+ * optional passphrase encryption), so they can be validated and restored
+ * from the Firestore features demo page.
+ *
+ * Configuration (environment):
+ *   BACKUP_SCHEDULE       Crontab-style entries, separated by newlines or ';':
+ *                           <minute> <hour> <day> <month> <weekday> <PRESET> [name]
+ *                         e.g. "0 2 * * * ALL nightly; 0 13 * * 1-5 FINANCIAL"
+ *   BACKUP_SCHEDULE_FILE  File with the same entries, one per line ('#' comments)
+ *   BACKUP_STORAGE        "local" (default) or "gcs" (Cloud Storage bucket)
+ *   BACKUP_DIR            Directory for local archives (default ./backups)
+ *   BACKUP_BUCKET         Bucket for "gcs" (default FIREBASE_STORAGE_BUCKET)
+ *   BACKUP_RETENTION      Grandfather-father-son policy (default "daily=7,weekly=4,monthly=12")
+ *   BACKUP_PASSPHRASE     Encrypt archives with this passphrase (AES-GCM)
+ *
+ * Scheduled backups are always full backups: each archive restores on its
+ * own, so retention can delete any of them. Times use the server's time
+ * zone (set TZ, e.g. TZ=Africa/Johannesburg).
+ *
+ * School collections (tenancy.js) are backed up for every school in the
+ * schools collection, under their full paths ('schools/{schoolId}/students').
+ *
+ * Every run is recorded in backupMetadata (backupType 'scheduled'), with
+ * status 'complete', 'partial' or 'failed'; archives removed by retention
+ * are marked 'expired'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  BACKUP_FORMAT_VERSION,
+  BACKUP_PRESETS,
+  BACKUP_SUBCOLLECTIONS,
+  SUBCOLLECTIONS_KEY,
+  encodeDocument,
+  countBackupDocuments
+} = require('./backup-format');
+const { buildBackupManifest, encryptBackup } = require('./backup-crypto');
+const { SCHOOLS_COLLECTION, DEFAULT_SCHOOL_ID, expandSchoolCollections } = require('./tenancy');
+
+const BACKUP_METADATA_COLLECTION = 'backupMetadata';
+const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 12 };
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let from;
+    let to;
+    if (range === '*') {
+      from = min;
+      to = max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(n => parseInt(n, 10));
+    } else {
+      from = parseInt(range, 10);
+      to = stepText === undefined ? from : max;
+    }
+    if ([from, to, step].some(isNaN) || from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" in cron expression`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (or @hourly, @daily, @weekly, @monthly)
+ * @returns {Object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ */
+function parseCronExpression(expression) {
+  const normalized = CRON_MACROS[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields, got "${expression}"`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // 7 is also Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+/**
+ * Whether a parsed cron expression fires at the given minute (local time).
+ * As in cron, when both day fields are restricted either one may match.
+ */
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getMinutes()) || !cron.hours.has(date.getHours()) ||
+      !cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+  const dayMatches = cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) {
+    return dayMatches && weekdayMatches;
+  }
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * Parse schedule entries ("<cron> <PRESET> [name]")
+ * @param {string} text - Entries separated by newlines or ';'
+ * @returns {Array<Object>} [{ name, preset, collections, expression, cron }]
+ */
+function parseBackupSchedule(text) {
+  const jobs = [];
+  (text || '').split(/[\n;]/).forEach(line => {
+    const entry = line.replace(/#.*/, '').trim();
+    if (!entry) return;
+
+    const tokens = entry.split(/\s+/);
+    const cronLength = tokens[0].startsWith('@') ? 1 : 5;
+    const [preset, name] = tokens.slice(cronLength);
+    const expression = tokens.slice(0, cronLength).join(' ');
+
+    if (!preset || !BACKUP_PRESETS[preset]) {
+      throw new Error(`Backup schedule "${entry}": preset must be one of ${Object.keys(BACKUP_PRESETS).join(', ')}`);
+    }
+    const jobName = name || preset.toLowerCase();
+    if (!/^[a-z0-9_-]+$/i.test(jobName)) {
+      throw new Error(`Backup schedule "${entry}": name may only contain letters, digits, "-" and "_"`);
+    }
+    if (jobs.some(job => job.name === jobName)) {
+      throw new Error(`Backup schedule "${entry}": duplicate name "${jobName}"; add a name after the preset`);
+    }
+    jobs.push({
+      name: jobName,
+      preset,
+      collections: BACKUP_PRESETS[preset],
+      expression,
+      cron: parseCronExpression(expression)
+    });
+  });
+  return jobs;
+}
+
+/**
+ * Parse a retention policy such as "daily=7,weekly=4,monthly=12"
+ */
+function parseRetentionPolicy(text) {
+  if (!text) return { ...DEFAULT_RETENTION };
+  const policy = { daily: 0, weekly: 0, monthly: 0 };
+  text.split(',').forEach(part => {
+    const [key, value] = part.split('=').map(s => s.trim());
+    const count = parseInt(value, 10);
+    if (!(key in policy) || isNaN(count) || count < 0) {
+      throw new Error(`Invalid BACKUP_RETENTION entry "${part}" (use daily=N,weekly=N,monthly=N)`);
+    }
+    policy[key] = count;
+  });
+  return policy;
+}
+
+function isoWeekKey(date) {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+  return `${thursday.getFullYear()}-W${week}`;
+}
+
+/**
+ * Grandfather-father-son retention: keep the newest archive of each of the
+ * last `daily` days, `weekly` ISO weeks and `monthly` months that have
+ * archives. The newest archive is always kept.
+ * @param {Array<Object>} archives - Objects with a `timestamp` (Date or ISO string)
+ * @param {Object} policy - { daily, weekly, monthly }
+ * @returns {Object} { keep, remove } - subsets of archives
+ */
+function selectBackupsToKeep(archives, policy = DEFAULT_RETENTION) {
+  const sorted = [...archives].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const keep = new Set(sorted.slice(0, 1));
+
+  const periods = [
+    { count: policy.daily, key: d => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}` },
+    { count: policy.weekly, key: isoWeekKey },
+    { count: policy.monthly, key: d => `${d.getFullYear()}-${d.getMonth() + 1}` }
+  ];
+  periods.forEach(({ count, key }) => {
+    const seen = new Set();
+    sorted.forEach(archive => {
+      const period = key(new Date(archive.timestamp));
+      if (seen.has(period) || seen.size >= count) return;
+      seen.add(period);
+      keep.add(archive);
+    });
+  });
+
+  return {
+    keep: sorted.filter(a => keep.has(a)),
+    remove: sorted.filter(a => !keep.has(a))
+  };
+}
+
+/**
+ * Archive storage in a local directory
+ * Storage adapter interface: { name, write(fileName, contents) -> location,
+ *   list(prefix) -> [fileName], remove(fileName) }
+ */
+function createLocalArchiveStorage(directory) {
+  const root = path.resolve(directory);
+  return {
+    name: 'local',
+
+    async write(fileName, contents) {
+      const target = path.join(root, fileName);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      // Written under a temporary name first so a crash never leaves a truncated archive
+      await fs.promises.writeFile(`${target}.tmp`, contents, { mode: 0o600 });
+      await fs.promises.rename(`${target}.tmp`, target);
+      return target;
+    },
+
+    async list(prefix) {
+      try {
+        const entries = await fs.promises.readdir(path.join(root, prefix));
+        return entries.filter(name => name.endsWith('.json')).map(name => `${prefix}${name}`);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async remove(fileName) {
+      await fs.promises.unlink(path.join(root, fileName));
+    }
+  };
+}
+
+/**
+ * Archive storage in a Cloud Storage bucket (through the Firebase Admin SDK)
+ */
+function createCloudArchiveStorage(bucket) {
+  return {
+    name: 'gcs',
+
+    async write(fileName, contents) {
+      const contentType = fileName.endsWith('.gz') ? 'application/gzip' : 'application/json';
+      await bucket.file(fileName).save(contents, { contentType, resumable: false });
+      return `gs://${bucket.name}/${fileName}`;
+    },
+
+    async list(prefix) {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map(file => file.name).filter(name => name.endsWith('.json'));
+    },
+
+    async remove(fileName) {
+      await bucket.file(fileName).delete();
+    }
+  };
+}
+
+/**
+ * Archive storage configured by BACKUP_STORAGE, BACKUP_DIR and BACKUP_BUCKET
+ * @param {Object} env - Environment
+ * @param {Object} app - Firebase Admin app (for Cloud Storage)
+ */
+function createArchiveStorageFromEnv(env, app) {
+  const storageName = (env.BACKUP_STORAGE || 'local').toLowerCase();
+  if (storageName === 'gcs') {
+    const bucketName = env.BACKUP_BUCKET || env.FIREBASE_STORAGE_BUCKET;
+    if (!bucketName) {
+      throw new Error('BACKUP_STORAGE=gcs needs BACKUP_BUCKET (or FIREBASE_STORAGE_BUCKET)');
+    }
+    const admin = require('firebase-admin');
+    return createCloudArchiveStorage(admin.storage(app).bucket(bucketName));
+  }
+  if (storageName === 'local') {
+    return createLocalArchiveStorage(env.BACKUP_DIR || path.join(__dirname, 'backups'));
+  }
+  throw new Error(`Unknown BACKUP_STORAGE "${storageName}". Use "local" or "gcs".`);
+}
+
+function generateBackupId(date) {
+  return `backup_${date.toISOString().replace(/[-:.TZ]/g, '')}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// backup_20260301020000123_ab12cd → 2026-03-01T02:00:00.123Z
+function backupIdTime(backupId) {
+  const match = /^backup_(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{3})_/.exec(backupId);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, ms] = match;
+  return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}.${ms}Z`);
+}
+
+/**
+ * Read a collection (and its known subcollections) in backup encoding
+ */
+async function readCollection(db, collectionPath, tree) {
+  const snapshot = await db.collection(collectionPath).get();
+  return Promise.all(snapshot.docs.map(async doc => {
+    const encoded = encodeDocument({ id: doc.id, ...doc.data() });
+    const subcollections = {};
+    for (const [name, childTree] of Object.entries(tree || {})) {
+      const docs = await readCollection(db, `${collectionPath}/${doc.id}/${name}`, childTree);
+      if (docs.length > 0) subcollections[name] = docs;
+    }
+    if (Object.keys(subcollections).length > 0) {
+      encoded[SUBCOLLECTIONS_KEY] = subcollections;
+    }
+    return encoded;
+  }));
+}
+
+// IDs of the group's schools; a database without a schools collection holds one school
+async function listSchoolIds(db) {
+  const snapshot = await db.collection(SCHOOLS_COLLECTION).get();
+  return snapshot.docs.length > 0 ? snapshot.docs.map(doc => doc.id) : [DEFAULT_SCHOOL_ID];
+}
+
+/**
+ * Run one scheduled backup: read the job's collections, write the archive
+ * and record the result in backupMetadata
+ * @param {Object} job - Entry from parseBackupSchedule()
+ * @param {Object} context - { db, storage, passphrase, now }
+ * @returns {Promise<Object>} The backupMetadata record
+ */
+async function runScheduledBackup(job, { db, storage, passphrase, now = new Date() }) {
+  const backupId = generateBackupId(now);
+  const backupData = {
+    metadata: {
+      backupId,
+      kind: 'full',
+      baseId: backupId,
+      parentId: null,
+      sequence: 0,
+      since: null,
+      watermark: now.toISOString(),
+      timestamp: now.toISOString(),
+      collections: job.collections,
+      backupType: 'scheduled',
+      scheduleName: job.name,
+      schedule: job.expression,
+      preset: job.preset,
+      createdBy: 'backup-scheduler',
+      description: `Scheduled ${job.preset} backup (${job.name})`,
+      documentCounts: {},
+      subcollectionCounts: {},
+      liveCounts: {},
+      status: 'complete',
+      version: BACKUP_FORMAT_VERSION
+    },
+    collections: {}
+  };
+  const metadata = backupData.metadata;
+
+  try {
+    metadata.schoolIds = await listSchoolIds(db);
+    metadata.collections = expandSchoolCollections(job.collections, metadata.schoolIds);
+
+    for (const collectionName of metadata.collections) {
+      try {
+        const data = await readCollection(db, collectionName, BACKUP_SUBCOLLECTIONS[collectionName]);
+        const { [collectionName]: documentCount, ...subcollectionCounts } = countBackupDocuments(collectionName, data);
+        backupData.collections[collectionName] = data;
+        metadata.documentCounts[collectionName] = documentCount;
+        metadata.liveCounts[collectionName] = documentCount;
+        if (Object.keys(subcollectionCounts).length > 0) {
+          metadata.subcollectionCounts[collectionName] = subcollectionCounts;
+        }
+      } catch (error) {
+        console.error(`Scheduled backup ${job.name}: failed to back up ${collectionName}:`, error);
+        backupData.collections[collectionName] = { error: error.message, status: 'failed' };
+        metadata.status = 'partial';
+      }
+    }
+
+    metadata.manifest = buildBackupManifest(backupData);
+
+    const contents = passphrase
+      ? JSON.stringify(await encryptBackup(backupData, passphrase))
+      : JSON.stringify(backupData);
+    const fileName = `${job.name}/${backupId}${passphrase ? '.encrypted' : ''}.json`;
+    const location = await storage.write(fileName, contents);
+
+    metadata.archive = {
+      storage: storage.name,
+      fileName,
+      location,
+      bytes: Buffer.byteLength(contents),
+      encrypted: !!passphrase
+    };
+  } catch (error) {
+    console.error(`Scheduled backup ${job.name} failed:`, error);
+    metadata.status = 'failed';
+    metadata.error = error.message;
+  }
+
+  metadata.durationMs = Date.now() - now.getTime();
+  await db.collection(BACKUP_METADATA_COLLECTION).doc(backupId).set(metadata);
+  console.log(`Scheduled backup ${job.name}: ${metadata.status} (${backupId})`);
+  return metadata;
+}
+
+/**
+ * Delete a job's archives that fall outside the retention policy and mark
+ * their backupMetadata records as expired
+ * @returns {Promise<Array<string>>} Removed file names
+ */
+async function applyRetention(job, { db, storage, policy }) {
+  const archives = (await storage.list(`${job.name}/`))
+    .map(fileName => {
+      const backupId = path.basename(fileName).replace(/(\.encrypted)?\.json$/, '');
+      return { fileName, backupId, timestamp: backupIdTime(backupId) };
+    })
+    .filter(archive => archive.timestamp);
+
+  const { remove } = selectBackupsToKeep(archives, policy);
+  for (const archive of remove) {
+    try {
+      await storage.remove(archive.fileName);
+      await db.collection(BACKUP_METADATA_COLLECTION).doc(archive.backupId).set({
+        status: 'expired',
+        expiredAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error(`Backup retention: could not remove ${archive.fileName}:`, error);
+    }
+  }
+  if (remove.length > 0) {
+    console.log(`Backup retention (${job.name}): removed ${remove.length} archive(s), kept ${archives.length - remove.length}`);
+  }
+  return remove.map(archive => archive.fileName);
+}
+
+/**
+ * Call onTick(date) at the start of every minute
+ * @returns {Function} Stops the timer
+ */
+function startMinuteTimer(onTick) {
+  let timer = null;
+  function scheduleNextTick() {
+    const now = new Date();
+    const delay = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+    timer = setTimeout(() => {
+      onTick(new Date());
+      scheduleNextTick();
+    }, delay);
+    // Pending jobs must not keep the process alive on shutdown
+    if (timer.unref) timer.unref();
+  }
+  scheduleNextTick();
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Create a backup scheduler
+ * @param {Object} options
+ * @param {Array<Object>} options.jobs - From parseBackupSchedule()
+ * @param {Object} options.db - Firebase Admin Firestore instance
+ * @param {Object} options.storage - Archive storage adapter
+ * @param {Object} options.retention - { daily, weekly, monthly }
+ * @param {string} options.passphrase - Optional archive encryption passphrase
+ * @returns {Object} { start(), stop(), runJob(name), tick(date), jobs }
+ */
+function createBackupScheduler({ jobs, db, storage, retention = DEFAULT_RETENTION, passphrase = null }) {
+  const running = new Set();
+  let stopTimer = null;
+
+  async function runJob(name, now = new Date()) {
+    const job = jobs.find(j => j.name === name);
+    if (!job) {
+      throw new Error(`Unknown backup job "${name}"`);
+    }
+    if (running.has(name)) {
+      console.warn(`Scheduled backup ${name} is still running; skipping this run`);
+      return null;
+    }
+    running.add(name);
+    try {
+      const metadata = await runScheduledBackup(job, { db, storage, passphrase, now });
+      if (metadata.status !== 'failed') {
+        await applyRetention(job, { db, storage, policy: retention });
+      }
+      return metadata;
+    } finally {
+      running.delete(name);
+    }
+  }
+
+  function tick(now = new Date()) {
+    return Promise.all(jobs
+      .filter(job => cronMatches(job.cron, now))
+      .map(job => runJob(job.name, now).catch(error => {
+        console.error(`Scheduled backup ${job.name} failed:`, error);
+      })));
+  }
+
+  return {
+    jobs,
+    runJob,
+    tick,
+    start() {
+      if (!stopTimer) stopTimer = startMinuteTimer(tick);
+      console.log(`Backup scheduler started: ${jobs.map(j => `${j.name} (${j.expression})`).join(', ')}`);
+    },
+    stop() {
+      if (stopTimer) stopTimer();
+      stopTimer = null;
+    }
+  };
+}
+
+/**
+ * Start the scheduler from environment configuration.
+ * Does nothing when no schedule is configured.
+ * @returns {Object|null} Scheduler, or null when disabled
+ */
+function startBackupScheduler(env = process.env) {
+  const scheduleText = env.BACKUP_SCHEDULE_FILE
+    ? fs.readFileSync(path.resolve(env.BACKUP_SCHEDULE_FILE), 'utf8')
+    : env.BACKUP_SCHEDULE;
+  if (!scheduleText || !scheduleText.trim()) {
+    return null;
+  }
+
+  const jobs = parseBackupSchedule(scheduleText);
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  // Loaded lazily so servers without scheduled backups need no Admin SDK credentials
+  const { getFirebaseAdminApp } = require('./data-backends');
+  const app = getFirebaseAdminApp({
+    projectId: env.FIREBASE_PROJECT_ID,
+    credentialsPath: env.FIREBASE_SERVICE_ACCOUNT
+  });
+
+  const scheduler = createBackupScheduler({
+    jobs,
+    db: app.firestore(),
+    storage: createArchiveStorageFromEnv(env, app),
+    retention: parseRetentionPolicy(env.BACKUP_RETENTION),
+    passphrase: env.BACKUP_PASSPHRASE || null
+  });
+  scheduler.start();
+  return scheduler;
+}
+
+module.exports = {
+  parseCronExpression,
+  cronMatches,
+  startMinuteTimer,
+  parseBackupSchedule,
+  parseRetentionPolicy,
+  selectBackupsToKeep,
+  createLocalArchiveStorage,
+  createCloudArchiveStorage,
+  createArchiveStorageFromEnv,
+  listSchoolIds,
+  runScheduledBackup,
+  applyRetention,
+  createBackupScheduler,
+  startBackupScheduler
+};
@@ -0,0 +1,457 @@
+/**
+ * BIS-SMS CSV Reader and Writer
+ * RFC 4180 compliant parsing and generation for bulk imports and exports.
+ *
+ * Handles quoted fields, escaped quotes (""), delimiters and line breaks
+ * inside quotes, CRLF/LF/CR line endings and the UTF-8 BOM that Excel adds.
+ * The delimiter is detected from the header line, since Excel exports in
+ * South African locales commonly use ";" instead of ",".
+ *
+ * Works in the browser (include before the page script) and in Node (require).
+ */
+
+const CSV_CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Normalize a header label to a stable key:
+ * "Father First Name" -> "father_first_name", " Cell-No. " -> "cell_no"
+ */
+function normalizeCSVHeader(header) {
+  return String(header || '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s\-\/.]+/g, '_')
+    .replace(/[^a-z0-9_]/g, '')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Detect the delimiter from the first line of a CSV document.
+ * Counts candidate characters outside quoted sections.
+ * @param {string} text - CSV text (at least the first line)
+ * @returns {string} Detected delimiter (defaults to ",")
+ */
+function detectCSVDelimiter(text) {
+  const counts = {};
+  CSV_CANDIDATE_DELIMITERS.forEach(d => { counts[d] = 0; });
+
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts[char] !== undefined) {
+      counts[char]++;
+    }
+  }
+
+  let best = ',';
+  CSV_CANDIDATE_DELIMITERS.forEach(d => {
+    if (counts[d] > counts[best]) best = d;
+  });
+  return best;
+}
+
+/**
+ * Create a streaming CSV reader.
+ *
+ * Feed text with write(chunk) as it arrives and call end() when done.
+ * Records are emitted through onRow as soon as they are complete, so large
+ * files never need to be split into lines up front.
+ *
+ * @param {Object} options
+ * @param {string} options.delimiter - Field delimiter or 'auto' (default)
+ * @param {boolean} options.header - Treat first record as header (default true)
+ * @param {boolean} options.normalizeHeaders - Normalize header keys (default true)
+ * @param {boolean} options.trim - Trim unquoted field whitespace (default true)
+ * @param {boolean} options.skipEmptyLines - Skip blank lines (default true)
+ * @param {Function} options.onRow - (row, info) for each data record, where
+ *   info = { line, index, fields, errors }
+ * @param {Function} options.onError - (error) for each per-row error, where
+ *   error = { line, index, message }
+ * @returns {Object} Reader with write(chunk), end() and headers
+ */
+function createCSVReader(options = {}) {
+  const settings = {
+    delimiter: 'auto',
+    header: true,
+    normalizeHeaders: true,
+    trim: true,
+    skipEmptyLines: true,
+    onRow: null,
+    onError: null,
+    ...options
+  };
+
+  let delimiter = settings.delimiter === 'auto' ? null : settings.delimiter;
+  let pending = '';
+  let started = false;
+  let ended = false;
+
+  // Parser state for the record in progress
+  let fields = [];
+  let field = '';
+  let fieldQuoted = false;
+  let inQuotes = false;
+  let quoteClosed = false;
+  let recordErrors = [];
+  let recordStartLine = 1;
+  let line = 1;
+  let lastWasCR = false;
+
+  let headers = null;
+  let rawHeaders = null;
+  let dataIndex = 0;
+  const errors = [];
+
+  function reportError(message, lineNumber, index) {
+    const error = { line: lineNumber, index, message };
+    errors.push(error);
+    if (settings.onError) settings.onError(error);
+    return error;
+  }
+
+  function finishField() {
+    let value = field;
+    if (!fieldQuoted && settings.trim) {
+      value = value.trim();
+    }
+    fields.push(value);
+    field = '';
+    fieldQuoted = false;
+    quoteClosed = false;
+  }
+
+  function finishRecord() {
+    finishField();
+    const record = fields;
+    const startLine = recordStartLine;
+    const pendingErrors = recordErrors;
+    fields = [];
+    recordErrors = [];
+    recordStartLine = line;
+
+    const isEmpty = record.length === 1 && record[0] === '';
+    if (isEmpty && settings.skipEmptyLines) {
+      return;
+    }
+
+    if (settings.header && !headers) {
+      rawHeaders = record.map(h => h.replace(/^\uFEFF/, '').trim());
+      const seen = {};
+      headers = rawHeaders.map((h, i) => {
+        let key = settings.normalizeHeaders ? normalizeCSVHeader(h) : h;
+        if (!key) key = `column_${i + 1}`;
+        if (seen[key]) {
+          seen[key]++;
+          key = `${key}_${seen[key]}`;
+        } else {
+          seen[key] = 1;
+        }
+        return key;
+      });
+      pendingErrors.forEach(message => reportError(message, startLine, -1));
+      return;
+    }
+
+    const index = dataIndex++;
+    const rowErrors = pendingErrors.map(message => reportError(message, startLine, index));
+
+    let row = record;
+    if (headers) {
+      if (record.length !== headers.length) {
+        rowErrors.push(reportError(
+          `Expected ${headers.length} fields but found ${record.length}`,
+          startLine,
+          index
+        ));
+      }
+      row = {};
+      headers.forEach((key, i) => {
+        row[key] = record[i] !== undefined ? record[i] : '';
+      });
+    }
+
+    if (settings.onRow) {
+      settings.onRow(row, { line: startLine, index, fields: record, errors: rowErrors });
+    }
+  }
+
+  function consume(text, isFinal) {
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          lastWasCR = false;
+          if (i + 1 >= text.length && !isFinal) {
+            // Need the next character to tell "" from a closing quote
+            return text.slice(i);
+          }
+          if (text[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          inQuotes = false;
+          quoteClosed = true;
+          i++;
+          continue;
+        }
+        if (char === '\n' && !lastWasCR) line++;
+        if (char === '\r') line++;
+        lastWasCR = char === '\r';
+        field += char;
+        i++;
+        continue;
+      }
+
+      if (char === delimiter) {
+        finishField();
+        lastWasCR = false;
+        i++;
+        continue;
+      }
+
+      if (char === '\r' || char === '\n') {
+        if (char === '\n' && lastWasCR) {
+          // Second half of CRLF: the record was already finished on \r
+          lastWasCR = false;
+          i++;
+          continue;
+        }
+        line++;
+        lastWasCR = char === '\r';
+        finishRecord();
+        i++;
+        continue;
+      }
+
+      lastWasCR = false;
+
+      if (char === '"') {
+        if (field.trim() === '' && !fieldQuoted) {
+          // Opening quote (leading whitespace before it is ignored)
+          field = '';
+          fieldQuoted = true;
+          inQuotes = true;
+        } else {
+          recordErrors.push(`Unexpected quote in field ${fields.length + 1}`);
+          field += char;
+        }
+        i++;
+        continue;
+      }
+
+      if (quoteClosed) {
+        if (char.trim() !== '') {
+          recordErrors.push(`Unexpected characters after closing quote in field ${fields.length + 1}`);
+          field += char;
+        }
+        i++;
+        continue;
+      }
+
+      field += char;
+      i++;
+    }
+    return '';
+  }
+
+  function write(chunk) {
+    if (ended) {
+      throw new Error('CSV reader has already ended');
+    }
+    let text = String(chunk);
+    if (!started) {
+      text = text.replace(/^\uFEFF/, '');
+      pending += text;
+      if (!delimiter) {
+        // Wait for a complete first line before detecting the delimiter
+        if (!hasCompleteFirstLine(pending)) {
+          return;
+        }
+        delimiter = detectCSVDelimiter(pending);
+      }
+      started = true;
+      text = pending;
+      pending = '';
+    }
+    pending = consume(pending + text, false);
+  }
+
+  function end() {
+    if (ended) return summary();
+    ended = true;
+
+    if (!started) {
+      started = true;
+      if (!delimiter) delimiter = detectCSVDelimiter(pending);
+    }
+    consume(pending, true);
+    pending = '';
+
+    if (inQuotes) {
+      recordErrors.push('Unterminated quoted field');
+      inQuotes = false;
+    }
+    if (field !== '' || fieldQuoted || fields.length > 0 || recordErrors.length > 0) {
+      finishRecord();
+    }
+    return summary();
+  }
+
+  function summary() {
+    return {
+      headers: headers || [],
+      rawHeaders: rawHeaders || [],
+      delimiter: delimiter || ',',
+      rowCount: dataIndex,
+      errors
+    };
+  }
+
+  return {
+    write,
+    end,
+    get headers() {
+      return headers;
+    },
+    get delimiter() {
+      return delimiter;
+    }
+  };
+}
+
+// True once the text contains a line break outside quoted sections
+function hasCompleteFirstLine(text) {
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Parse a complete CSV document.
+ * @param {string} text - CSV text
+ * @param {Object} options - Same as createCSVReader (except onRow/onError)
+ * @returns {Object} { headers, rawHeaders, delimiter, rows, errors } where each
+ *   row is { line, index, data, errors } and errors lists all per-row errors
+ */
+function parseCSVText(text, options = {}) {
+  const rows = [];
+  const reader = createCSVReader({
+    ...options,
+    onRow(data, info) {
+      rows.push({ line: info.line, index: info.index, data, errors: info.errors.map(e => e.message) });
+    },
+    onError: null
+  });
+  reader.write(text || '');
+  const result = reader.end();
+  return { ...result, rows };
+}
+
+/**
+ * Quote a single field when required by RFC 4180
+ */
+function escapeCSVField(value, delimiter = ',') {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  const needsQuotes = text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes('\n') ||
+    text.includes('\r') ||
+    text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create a streaming CSV writer.
+ *
+ * @param {Object} options
+ * @param {Array} options.columns - Column keys, or { key, header } objects.
+ *   Omit to write array rows without a header line.
+ * @param {string} options.delimiter - Field delimiter (default ",")
+ * @param {string} options.newline - Record separator (default "\r\n")
+ * @param {boolean} options.bom - Prefix a UTF-8 BOM so Excel detects UTF-8
+ * @param {Function} options.write - Receives each chunk; when omitted the
+ *   chunks are collected and returned by end()
+ * @returns {Object} Writer with writeRow(row) and end()
+ */
+function createCSVWriter(options = {}) {
+  const delimiter = options.delimiter || ',';
+  const newline = options.newline || '\r\n';
+  const columns = (options.columns || []).map(c => typeof c === 'string' ? { key: c, header: c } : c);
+  const chunks = [];
+  const emit = options.write || (chunk => chunks.push(chunk));
+  let headerWritten = false;
+
+  function writeLine(values) {
+    emit(values.map(v => escapeCSVField(v, delimiter)).join(delimiter) + newline);
+  }
+
+  function writeHeader() {
+    if (headerWritten) return;
+    headerWritten = true;
+    if (options.bom) emit('\uFEFF');
+    if (columns.length > 0) {
+      writeLine(columns.map(c => c.header !== undefined ? c.header : c.key));
+    }
+  }
+
+  return {
+    writeRow(row) {
+      writeHeader();
+      if (Array.isArray(row)) {
+        writeLine(row);
+      } else {
+        writeLine(columns.map(c => row[c.key]));
+      }
+    },
+
+    end() {
+      writeHeader();
+      return options.write ? undefined : chunks.join('');
+    }
+  };
+}
+
+/**
+ * Build a CSV document from rows
+ * @param {Array} rows - Array of objects (with columns) or arrays
+ * @param {Array} columns - Column keys or { key, header } objects
+ * @param {Object} options - delimiter, newline, bom
+ * @returns {string} CSV text
+ */
+function toCSV(rows, columns = [], options = {}) {
+  const writer = createCSVWriter({ ...options, columns, write: null });
+  (rows || []).forEach(row => writer.writeRow(row));
+  return writer.end();
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizeCSVHeader,
+    detectCSVDelimiter,
+    createCSVReader,
+    parseCSVText,
+    escapeCSVField,
+    createCSVWriter,
+    toCSV
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Audited Data Access for BIS-SMS
+ *
+ * Every change the admin dashboard makes to school records goes through
+ * auditedWrite(), so each create, update and delete is written to the audit
+ * log with who made it, why, and what changed (see firestore-audit.js):
+ *
+ *   await window.DataAccess.auditedWrite({
+ *     type: 'set', collection: 'fees', id: '42',
+ *     data: { studentId: 42, items, discounts, payments, updatedAt },
+ *     reason: 'Payment recorded: R500 (EFT)'
+ *   });
+ *
+ * Writes take the same descriptors as safeFirestoreWrite() (firebase-utils.js)
+ * and are kept in the offline outbox when the network is down. The document
+ * is read first, so the audit entry records the change against what was
+ * actually stored; when it cannot be read (offline), `before` from the
+ * descriptor is used instead.
+ *
+ * The audit entry is appended to the hash chain and so needs a connection.
+ * A write kept in the outbox carries its audit entry with it, and the entry
+ * is logged when the outbox replays the write. If it cannot be written, the
+ * change itself is still saved and the failure is reported in the console.
+ */
+
+import { safeFirestoreWrite, onQueuedWriteSynced } from './firebase-utils.js';
+import { logCreate, logUpdate, logDelete, logFailure } from './firestore-audit.js';
+
+const WRITE_ACTIONS = { add: 'CREATE', set: 'UPDATE', update: 'UPDATE', delete: 'DELETE' };
+
+// Log a change described by an audit payload ({ action, resource, schoolId, before, after, reason })
+async function logChange(audit, id, metadata) {
+  const options = { schoolId: audit.schoolId };
+  let auditLogId;
+  if (audit.action === 'CREATE') {
+    auditLogId = await logCreate(audit.resource, id, audit.after, metadata, options);
+  } else if (audit.action === 'UPDATE') {
+    auditLogId = await logUpdate(audit.resource, id, audit.before, audit.after, metadata, options);
+  } else {
+    auditLogId = await logDelete(audit.resource, id, audit.before, metadata, options);
+  }
+  if (!auditLogId) {
+    console.error(`Change to ${audit.resource}/${id} was saved but not audited`);
+  }
+  return auditLogId;
+}
+
+// Stored document, or undefined when it cannot be read
+async function readStoredDocument(collection, id) {
+  try {
+    const snapshot = await window.firebaseGetDoc(window.firebaseDoc(window.firebaseDb, collection, String(id)));
+    return snapshot.exists() ? snapshot.data() : null;
+  } catch (error) {
+    console.warn(`Could not read ${collection}/${id} before writing it:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Write a document and log the change
+ * @param {Object} write - Write descriptor:
+ *   { type: 'add' | 'set' | 'update' | 'delete', collection, id, data, options,
+ *     baseUpdatedAt } as for safeFirestoreWrite(), plus
+ *   reason - Why the change was made (stored in the audit entry's metadata)
+ *   before - The document before the change, used when it cannot be read
+ * @returns {Promise<Object>} { id, queued, action, auditLogId }; auditLogId is null
+ *   for a queued write, whose entry is logged when the write is replayed
+ */
+export async function auditedWrite(write) {
+  const { reason = null, before: knownBefore = null, ...descriptor } = write;
+  if (!WRITE_ACTIONS[descriptor.type]) {
+    throw new Error('Write must be { type: add|set|update|delete, collection, id, data }');
+  }
+
+  let before = null;
+  if (descriptor.type !== 'add') {
+    const stored = await readStoredDocument(descriptor.collection, descriptor.id);
+    before = stored !== undefined ? stored : knownBefore;
+  }
+
+  let action = WRITE_ACTIONS[descriptor.type];
+  if (action === 'UPDATE' && !before) {
+    action = 'CREATE';
+  }
+
+  const merged = descriptor.type === 'update' || (descriptor.options && descriptor.options.merge);
+  const after = descriptor.type === 'delete'
+    ? null
+    : (merged ? { ...before, ...descriptor.data } : descriptor.data);
+  const audit = {
+    action,
+    resource: descriptor.collection,
+    schoolId: window.Tenancy.getCurrentSchoolId(),
+    before,
+    after,
+    reason
+  };
+
+  let result;
+  try {
+    result = await safeFirestoreWrite({ ...descriptor, audit });
+  } catch (error) {
+    await logFailure(action, descriptor.collection, error.message, descriptor.id ? String(descriptor.id) : null);
+    throw error;
+  }
+
+  if (result.queued) {
+    return { id: result.id, queued: true, action, auditLogId: null };
+  }
+  const auditLogId = await logChange(audit, result.id, { reason, queued: false });
+  return { id: result.id, queued: false, action, auditLogId };
+}
+
+// Audit writes made offline once the outbox has stored them
+onQueuedWriteSynced(async (entry) => {
+  if (entry.audit) {
+    await logChange(entry.audit, entry.id, {
+      reason: entry.audit.reason,
+      queued: true,
+      queuedAt: entry.queuedAt
+    });
+  }
+});
+
+/**
+ * Create a document with a generated ID
+ * @returns {Promise<Object>} { id, queued, action, auditLogId }
+ */
+export function createRecord(collection, data, { reason = null } = {}) {
+  return auditedWrite({ type: 'add', collection, data, reason });
+}
+
+/**
+ * Create or replace a document (merged into the stored one with { merge: true })
+ */
+export function saveRecord(collection, id, data, { reason = null, before = null, merge = false } = {}) {
+  return auditedWrite({
+    type: 'set',
+    collection,
+    id: String(id),
+    data,
+    options: merge ? { merge: true } : null,
+    reason,
+    before
+  });
+}
+
+/**
+ * Update fields of an existing document
+ */
+export function updateRecord(collection, id, data, { reason = null, before = null } = {}) {
+  return auditedWrite({ type: 'update', collection, id: String(id), data, reason, before });
+}
+
+/**
+ * Delete a document
+ */
+export function deleteRecord(collection, id, { reason = null, before = null } = {}) {
+  return auditedWrite({ type: 'delete', collection, id: String(id), reason, before });
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.DataAccess = {
+    auditedWrite,
+    createRecord,
+    saveRecord,
+    updateRecord,
+    deleteRecord
+  };
+}
@@ -0,0 +1,319 @@
+/**
+ * Data Backends for the BIS-SMS Server
+ *
+ * The REST API in server.js reads school data through a small backend
+ * interface instead of talking to Firestore directly. This keeps the API
+ * usable against a local JSON store (offline development, scripted tests)
+ * as well as a real Firestore project or the Firestore emulator.
+ *
+ * Backend interface:
+ * {
+ *   name: string,
+ *   list(collection, queryConstraints) -> Promise<Array<{ id, ...data }>>,
+ *   get(collection, id) -> Promise<{ id, ...data } | null>
+ * }
+ *
+ * queryConstraints uses the same shape as the browser modules
+ * (firestore-realtime.js, firestore-pagination.js):
+ * {
+ *   where: [{ field, operator, value }],
+ *   orderBy: [{ field, direction }],
+ *   limit: number
+ * }
+ *
+ * Date values are always returned as ISO 8601 strings so that both
+ * backends produce identical JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Normalize a value for comparison and JSON output.
+ * Firestore Timestamps and Date objects become ISO strings.
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = normalizeValue(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Read a (possibly dotted) field path from a document
+ */
+function getFieldValue(doc, field) {
+  if (field === '__name__') {
+    return doc.id;
+  }
+  return field.split('.').reduce((value, key) => {
+    return value === null || value === undefined ? undefined : value[key];
+  }, doc);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Evaluate a single where clause against a document (Firestore semantics)
+ */
+function matchesWhere(doc, clause) {
+  const actual = normalizeValue(getFieldValue(doc, clause.field));
+  const expected = normalizeValue(clause.value);
+
+  switch (clause.operator) {
+    case '==':
+      return actual === expected;
+    case '!=':
+      return actual !== undefined && actual !== expected;
+    case '<':
+      return actual !== undefined && compareValues(actual, expected) < 0;
+    case '<=':
+      return actual !== undefined && compareValues(actual, expected) <= 0;
+    case '>':
+      return actual !== undefined && compareValues(actual, expected) > 0;
+    case '>=':
+      return actual !== undefined && compareValues(actual, expected) >= 0;
+    case 'array-contains':
+      return Array.isArray(actual) && actual.includes(expected);
+    case 'array-contains-any':
+      return Array.isArray(actual) && expected.some(v => actual.includes(v));
+    case 'in':
+      return expected.includes(actual);
+    case 'not-in':
+      return actual !== undefined && !expected.includes(actual);
+    default:
+      throw new Error(`Unsupported query operator: ${clause.operator}`);
+  }
+}
+
+/**
+ * Apply where/orderBy/limit to an in-memory array of documents
+ */
+function applyQueryConstraints(docs, queryConstraints = {}) {
+  let results = docs;
+
+  if (queryConstraints.where) {
+    results = results.filter(doc => queryConstraints.where.every(w => matchesWhere(doc, w)));
+  }
+
+  if (queryConstraints.orderBy) {
+    results = [...results].sort((a, b) => {
+      for (const o of queryConstraints.orderBy) {
+        const result = compareValues(
+          normalizeValue(getFieldValue(a, o.field)),
+          normalizeValue(getFieldValue(b, o.field))
+        );
+        if (result !== 0) {
+          return o.direction === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    });
+  }
+
+  if (queryConstraints.limit) {
+    results = results.slice(0, queryConstraints.limit);
+  }
+
+  return results;
+}
+
+/**
+ * Create a backend that reads from a local JSON file.
+ *
+ * The file maps collection names to objects keyed by document ID:
+ * { "students": { "s1": { "name": "..." } }, "classes": { ... } }
+ *
+ * Subcollections are keyed by their full path, so a school's students are
+ * under "schools/johannesburg/students".
+ *
+ * The file is re-read when its modification time changes, so edits made
+ * while the server is running are picked up without a restart.
+ *
+ * @param {string} filePath - Path to the JSON data file
+ * @returns {Object} Backend
+ */
+function createJsonFileBackend(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let cache = null;
+  let cacheMtime = 0;
+
+  function load() {
+    try {
+      const stats = fs.statSync(resolvedPath);
+      if (!cache || stats.mtimeMs !== cacheMtime) {
+        cache = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        cacheMtime = stats.mtimeMs;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`JSON data file not found: ${resolvedPath}. Serving empty collections.`);
+        cache = {};
+      } else {
+        console.error(`Error loading JSON data file ${resolvedPath}:`, error);
+        throw error;
+      }
+    }
+    return cache;
+  }
+
+  function collectionDocs(collectionName) {
+    const collection = load()[collectionName] || {};
+    return Object.keys(collection).map(id => ({
+      id,
+      ...collection[id]
+    }));
+  }
+
+  return {
+    name: 'json',
+
+    async list(collectionName, queryConstraints = {}) {
+      return applyQueryConstraints(collectionDocs(collectionName), queryConstraints)
+        .map(normalizeValue);
+    },
+
+    async get(collectionName, id) {
+      const collection = load()[collectionName] || {};
+      if (!Object.prototype.hasOwnProperty.call(collection, id)) {
+        return null;
+      }
+      return normalizeValue({ id, ...collection[id] });
+    }
+  };
+}
+
+/**
+ * Get (or initialize) the Firebase Admin app used by the server.
+ * Shared by the Firestore backend and the ID token verifier.
+ *
+ * When FIRESTORE_EMULATOR_HOST is set no credentials are required.
+ *
+ * @param {Object} options - { projectId, credentialsPath }
+ * @returns {Object} Firebase Admin app
+ */
+function getFirebaseAdminApp(options = {}) {
+  // Loaded lazily so the JSON backend works without Admin SDK credentials
+  const admin = require('firebase-admin');
+
+  const appName = 'bis-sms-server';
+  const existing = admin.apps.find(a => a && a.name === appName);
+  if (existing) {
+    return existing;
+  }
+
+  const appOptions = {
+    projectId: options.projectId || process.env.FIREBASE_PROJECT_ID
+  };
+  const credentialsPath = options.credentialsPath || process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (credentialsPath) {
+    appOptions.credential = admin.credential.cert(require(path.resolve(credentialsPath)));
+  } else if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    appOptions.credential = admin.credential.applicationDefault();
+  }
+
+  return admin.initializeApp(appOptions, appName);
+}
+
+/**
+ * Create a backend that reads from Firestore through the Admin SDK.
+ *
+ * When FIRESTORE_EMULATOR_HOST is set the Admin SDK connects to the
+ * emulator automatically, which is how the API is exercised in tests.
+ *
+ * @param {Object} options - { projectId, credentialsPath }
+ * @returns {Object} Backend
+ */
+function createFirestoreBackend(options = {}) {
+  const admin = require('firebase-admin');
+  const db = getFirebaseAdminApp(options).firestore();
+
+  return {
+    name: 'firestore',
+
+    async list(collectionName, queryConstraints = {}) {
+      let query = db.collection(collectionName);
+
+      (queryConstraints.where || []).forEach(w => {
+        const value = w.value instanceof Date
+          ? admin.firestore.Timestamp.fromDate(w.value)
+          : w.value;
+        query = query.where(w.field, w.operator, value);
+      });
+
+      (queryConstraints.orderBy || []).forEach(o => {
+        const field = o.field === '__name__' ? admin.firestore.FieldPath.documentId() : o.field;
+        query = query.orderBy(field, o.direction || 'asc');
+      });
+
+      if (queryConstraints.limit) {
+        query = query.limit(queryConstraints.limit);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => normalizeValue({ id: doc.id, ...doc.data() }));
+    },
+
+    async get(collectionName, id) {
+      const doc = await db.collection(collectionName).doc(id).get();
+      if (!doc.exists) {
+        return null;
+      }
+      return normalizeValue({ id: doc.id, ...doc.data() });
+    }
+  };
+}
+
+/**
+ * Create the backend selected by environment configuration.
+ *
+ * DATA_BACKEND=json (default)  -> DATA_FILE (default ./data/school-data.json)
+ * DATA_BACKEND=firestore       -> FIREBASE_PROJECT_ID, GOOGLE_APPLICATION_CREDENTIALS
+ *                                 or FIRESTORE_EMULATOR_HOST
+ */
+function createDataBackend(env = process.env) {
+  const backendName = (env.DATA_BACKEND || 'json').toLowerCase();
+
+  if (backendName === 'firestore') {
+    return createFirestoreBackend({
+      projectId: env.FIREBASE_PROJECT_ID,
+      credentialsPath: env.FIREBASE_SERVICE_ACCOUNT
+    });
+  }
+
+  if (backendName === 'json') {
+    return createJsonFileBackend(env.DATA_FILE || path.join(__dirname, 'data', 'school-data.json'));
+  }
+
+  throw new Error(`Unknown DATA_BACKEND "${backendName}". Use "json" or "firestore".`);
+}
+
+module.exports = {
+  createDataBackend,
+  createJsonFileBackend,
+  createFirestoreBackend,
+  getFirebaseAdminApp,
+  applyQueryConstraints,
+  normalizeValue
+};
@@ -2,6 +2,11 @@
  * Firebase Utility Functions
  * Enhanced helpers for Firebase integration with better error handling,
  * offline support, and performance optimizations
+ *
+ * Writes described as plain objects ({ type, collection, id, data }) are
+ * durable: if they cannot reach Firestore they are stored in an IndexedDB
+ * outbox and replayed in order once the connection returns, surviving page
+ * reloads. See safeFirestoreWrite() and startOutboxSync().
  */
 
 // Check if Firebase is initialized
@@ -56,14 +61,54 @@ export function handleFirebaseError(error, context = '') {
   return errorMessages[errorCode] || error.message || 'An error occurred. Please try again.';
 }
 
-// Safe Firestore write with retry logic
+// Errors worth retrying later (network trouble rather than a rejected write)
+const RETRYABLE_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'aborted', 'resource-exhausted', 'cancelled', 'unknown', 'internal'];
+const WRITE_TIMEOUT = 15000; // Offline Firestore writes never settle, so give up after 15s
+
+function isRetryableError(error) {
+  return !error || !error.code || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Safe Firestore write with retry logic
+ *
+ * `operation` is either a function performing the write (retried, then
+ * throws) or a write descriptor, which is queued in the outbox instead of
+ * being lost when the network is down:
+ *   { type: 'set' | 'update' | 'delete' | 'add', collection, id, data, options, baseUpdatedAt, audit }
+ *
+ * For descriptors the result is { queued: false, id } once written, or
+ * { queued: true, id, seq } when the write was stored for later sync.
+ * `baseUpdatedAt` is the updatedAt value the change was based on; when the
+ * server copy has moved on by replay time the write is held as a conflict.
+ * `audit` is kept with a queued write and handed to onQueuedWriteSynced()
+ * listeners once it is replayed (see data-access.js).
+ * Queued data is stored as JSON, so use ISO date strings rather than
+ * Timestamps or serverTimestamp() in descriptors.
+ */
 export async function safeFirestoreWrite(operation, maxRetries = 3) {
+  const isDescriptor = typeof operation !== 'function';
+  let write = operation;
+  
+  if (isDescriptor) {
+    write = await prepareWrite(operation);
+    
+    // Writes behind older queued changes to the same document must wait their turn
+    if (!navigator.onLine || await hasQueuedWrites(write.collection, write.id)) {
+      return queueFirestoreWrite(write);
+    }
+  }
+  
   let lastError;
   
   for (let i = 0; i < maxRetries; i++) {
     try {
       await waitForFirebase();
-      return await operation();
+      if (!isDescriptor) {
+        return await operation();
+      }
+      await withTimeout(executeWrite(write), WRITE_TIMEOUT);
+      return { queued: false, id: write.id };
     } catch (error) {
       lastError = error;
       
@@ -79,6 +124,11 @@ export async function safeFirestoreWrite(operation, maxRetries = 3) {
     }
   }
   
+  if (isDescriptor && isRetryableError(lastError)) {
+    console.warn('Write could not reach Firestore, keeping it in the outbox:', lastError);
+    return queueFirestoreWrite(write);
+  }
+  
   throw lastError;
 }
 
@@ -229,6 +279,442 @@ export async function batchWrite(operations) {
   await batch.commit();
 }
 
+// ============================================================================
+// Durable Write Queue (IndexedDB outbox)
+// ============================================================================
+
+const OUTBOX_DB_NAME = 'bis-sms-outbox';
+const OUTBOX_STORE = 'writes';
+const OUTBOX_RETRY_INTERVAL = 30 * 1000; // Retry pending writes every 30s while online
+const outboxListeners = new Set();
+const syncedWriteListeners = new Set();
+let outboxDbPromise = null;
+let outboxFlush = null;
+
+function openOutboxDb() {
+  if (!outboxDbPromise) {
+    outboxDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        outboxDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return outboxDbPromise;
+}
+
+// Run a request against the outbox store and resolve with its result
+async function outboxRequest(mode, makeRequest) {
+  const db = await openOutboxDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode);
+    const request = makeRequest(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const error = new Error('Write timed out');
+      error.code = 'deadline-exceeded';
+      reject(error);
+    }, ms);
+    promise.then(
+      value => { clearTimeout(timer); resolve(value); },
+      error => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
+
+// Firestore functions from the page globals, so writes use the page's SDK and Firestore instance
+const FIRESTORE_GLOBALS = {
+  doc: 'firebaseDoc',
+  collection: 'firebaseCollection',
+  getDoc: 'firebaseGetDoc',
+  setDoc: 'firebaseSetDoc',
+  updateDoc: 'firebaseUpdateDoc',
+  deleteDoc: 'firebaseDeleteDoc'
+};
+
+async function getFirestoreFunctions() {
+  const missing = Object.values(FIRESTORE_GLOBALS).filter(name => typeof window[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Firestore functions not set up by the page: ${missing.map(name => `window.${name}`).join(', ')}`);
+  }
+  const functions = {};
+  Object.entries(FIRESTORE_GLOBALS).forEach(([name, globalName]) => {
+    functions[name] = window[globalName];
+  });
+  return functions;
+}
+
+function toMillis(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value.seconds === 'number') return value.seconds * 1000;
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function documentKey(collectionName, id) {
+  return `${collectionName}/${id}`;
+}
+
+/**
+ * Validate a write descriptor and stamp it with the time of the change.
+ * Adds get a client-generated ID so a replayed add cannot create duplicates.
+ */
+async function prepareWrite(operation) {
+  if (!operation || !operation.collection || !['set', 'update', 'delete', 'add'].includes(operation.type)) {
+    throw new Error('Write must be { type: set|update|delete|add, collection, id, data }');
+  }
+  
+  // Queued writes keep the school they were made in, even if the page switches school before replay
+  const tenancy = window.Tenancy;
+  const write = {
+    type: operation.type,
+    collection: tenancy ? tenancy.scopedPath(operation.collection, tenancy.getCurrentSchoolId()) : operation.collection,
+    id: operation.id !== undefined && operation.id !== null ? String(operation.id) : null,
+    data: operation.data || null,
+    options: operation.options || null,
+    baseUpdatedAt: operation.baseUpdatedAt !== undefined ? operation.baseUpdatedAt : undefined,
+    changedAt: operation.changedAt || new Date().toISOString(),
+    audit: operation.audit || null
+  };
+  
+  if (write.type === 'add') {
+    await waitForFirebase();
+    const { doc, collection } = await getFirestoreFunctions();
+    write.type = 'set';
+    write.id = doc(collection(window.firebaseDb, write.collection)).id;
+  }
+  if (!write.id) {
+    throw new Error(`A document ID is required for ${write.type} writes`);
+  }
+  return write;
+}
+
+async function executeWrite(write) {
+  const { doc, setDoc, updateDoc, deleteDoc } = await getFirestoreFunctions();
+  const docRef = doc(window.firebaseDb, write.collection, write.id);
+  
+  if (write.type === 'set') {
+    await setDoc(docRef, write.data, write.options || {});
+  } else if (write.type === 'update') {
+    await updateDoc(docRef, write.data);
+  } else if (write.type === 'delete') {
+    await deleteDoc(docRef);
+  }
+}
+
+/**
+ * Check whether a queued write would overwrite a newer server version.
+ * @returns {Object|null} The server data when in conflict, otherwise null
+ */
+async function findConflict(write) {
+  const { doc, getDoc } = await getFirestoreFunctions();
+  const snapshot = await getDoc(doc(window.firebaseDb, write.collection, write.id));
+  if (!snapshot.exists()) {
+    // Someone deleted the document we are updating
+    return write.type === 'update' ? { deleted: true } : null;
+  }
+  
+  const remote = snapshot.data();
+  const remoteUpdatedAt = toMillis(remote.updatedAt);
+  
+  if (write.baseUpdatedAt !== undefined) {
+    return remoteUpdatedAt !== toMillis(write.baseUpdatedAt) ? remote : null;
+  }
+  return remoteUpdatedAt !== null && remoteUpdatedAt > toMillis(write.changedAt) ? remote : null;
+}
+
+function plainData(value) {
+  // Keep conflict copies cloneable (Timestamps become ISO strings)
+  return JSON.parse(JSON.stringify(value, (key, val) => {
+    return val && typeof val.toDate === 'function' ? val.toDate().toISOString() : val;
+  }));
+}
+
+async function notifyOutboxListeners() {
+  if (outboxListeners.size === 0) return;
+  try {
+    const status = await getOutboxStatus();
+    outboxListeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('Outbox listener error:', error);
+      }
+    });
+  } catch (error) {
+    console.error('Error reading outbox status:', error);
+  }
+}
+
+/**
+ * Store a write in the outbox for later replay
+ * @param {Object} operation - Write descriptor (see safeFirestoreWrite)
+ * @returns {Promise<Object>} { queued: true, id, seq }
+ */
+export async function queueFirestoreWrite(operation) {
+  const write = await prepareWrite(operation);
+  
+  const entry = {
+    ...write,
+    data: write.data ? plainData(write.data) : null,
+    audit: write.audit ? plainData(write.audit) : null,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    queuedAt: new Date().toISOString()
+  };
+  
+  const seq = await outboxRequest('readwrite', store => store.add(entry));
+  console.log(`Queued ${write.type} ${documentKey(write.collection, write.id)} for sync (#${seq})`);
+  notifyOutboxListeners();
+  return { queued: true, id: write.id, seq };
+}
+
+/**
+ * Get all outbox entries in replay order
+ */
+export async function getOutboxEntries() {
+  const entries = await outboxRequest('readonly', store => store.getAll());
+  return entries.sort((a, b) => a.seq - b.seq);
+}
+
+async function hasQueuedWrites(collectionName, id) {
+  try {
+    const entries = await getOutboxEntries();
+    return entries.some(entry => entry.collection === collectionName && entry.id === id);
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    return false;
+  }
+}
+
+/**
+ * Summarize the outbox
+ * @returns {Promise<Object>} { pending, conflicts, failed, total }
+ */
+export async function getOutboxStatus() {
+  const entries = await getOutboxEntries();
+  return {
+    pending: entries.filter(e => e.status === 'pending').length,
+    conflicts: entries.filter(e => e.status === 'conflict').length,
+    failed: entries.filter(e => e.status === 'failed').length,
+    total: entries.length
+  };
+}
+
+/**
+ * Subscribe to outbox changes. The callback receives getOutboxStatus()
+ * immediately and after every change.
+ * @returns {Function} Unsubscribe function
+ */
+export function onOutboxChange(callback) {
+  outboxListeners.add(callback);
+  getOutboxStatus().then(callback).catch(error => console.error('Error reading outbox status:', error));
+  return () => outboxListeners.delete(callback);
+}
+
+/**
+ * Subscribe to queued writes reaching Firestore. The callback receives the
+ * outbox entry ({ type, collection, id, data, audit, queuedAt, ... }) after
+ * the write is stored and is awaited before the replay moves on.
+ * @returns {Function} Unsubscribe function
+ */
+export function onQueuedWriteSynced(callback) {
+  syncedWriteListeners.add(callback);
+  return () => syncedWriteListeners.delete(callback);
+}
+
+async function notifySyncedWriteListeners(entry) {
+  for (const listener of syncedWriteListeners) {
+    try {
+      await listener(entry);
+    } catch (error) {
+      console.error('Synced write listener error:', error);
+    }
+  }
+}
+
+/**
+ * Replay queued writes in order.
+ *
+ * A write whose document changed on the server since the change was made is
+ * marked 'conflict' and kept, together with the server copy, until it is
+ * resolved with resolveOutboxConflict(). Writes rejected by Firestore (e.g.
+ * permission-denied) are marked 'failed'. Later writes to the same document
+ * wait behind a conflicted or failed one. Network errors stop the replay;
+ * it resumes on the next call.
+ *
+ * @returns {Promise<Object>} { synced, conflicts, failed, remaining }
+ */
+export function flushOutbox() {
+  if (!outboxFlush) {
+    outboxFlush = replayOutbox().finally(() => {
+      outboxFlush = null;
+    });
+  }
+  return outboxFlush;
+}
+
+async function replayOutbox() {
+  await waitForFirebase();
+  
+  const entries = await getOutboxEntries();
+  const blockedKeys = new Set();
+  const writtenKeys = new Set();
+  const result = { synced: 0, conflicts: 0, failed: 0, remaining: 0 };
+  
+  for (const entry of entries) {
+    const key = documentKey(entry.collection, entry.id);
+    
+    if (entry.status !== 'pending' || blockedKeys.has(key)) {
+      blockedKeys.add(key);
+      continue;
+    }
+    
+    try {
+      // Our own earlier write in this replay is not a conflict
+      const conflict = entry.force || writtenKeys.has(key) ? null : await findConflict(entry);
+      if (conflict) {
+        await outboxRequest('readwrite', store => store.put({
+          ...entry,
+          status: 'conflict',
+          remote: plainData(conflict),
+          detectedAt: new Date().toISOString()
+        }));
+        console.warn(`Sync conflict on ${key}: the server copy changed while offline`);
+        blockedKeys.add(key);
+        result.conflicts++;
+        continue;
+      }
+      
+      await withTimeout(executeWrite(entry), WRITE_TIMEOUT);
+      await outboxRequest('readwrite', store => store.delete(entry.seq));
+      writtenKeys.add(key);
+      result.synced++;
+      await notifySyncedWriteListeners(entry);
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      await outboxRequest('readwrite', store => store.put({
+        ...entry,
+        status: retryable ? 'pending' : 'failed',
+        attempts: entry.attempts + 1,
+        lastError: error.message || String(error)
+      }));
+      
+      if (retryable) {
+        // Still offline: keep the order and try again later
+        console.warn(`Outbox replay paused at ${key}:`, error);
+        break;
+      }
+      console.error(`Queued write to ${key} was rejected:`, error);
+      blockedKeys.add(key);
+      result.failed++;
+    }
+  }
+  
+  result.remaining = (await getOutboxEntries()).length;
+  if (result.synced > 0) {
+    console.log(`✓ Synced ${result.synced} queued change(s)`);
+  }
+  notifyOutboxListeners();
+  return result;
+}
+
+/**
+ * Resolve a conflicted or failed outbox entry
+ * @param {number} seq - Entry sequence number
+ * @param {string} resolution - 'local' to write the queued change anyway,
+ *                              'remote' to discard it and keep the server copy
+ */
+export async function resolveOutboxConflict(seq, resolution) {
+  const entry = await outboxRequest('readonly', store => store.get(seq));
+  if (!entry) {
+    throw new Error(`No queued write #${seq}`);
+  }
+  
+  if (resolution === 'remote') {
+    await outboxRequest('readwrite', store => store.delete(seq));
+  } else if (resolution === 'local') {
+    const { remote, detectedAt, ...rest } = entry;
+    await outboxRequest('readwrite', store => store.put({ ...rest, status: 'pending', force: true }));
+  } else {
+    throw new Error('Resolution must be "local" or "remote"');
+  }
+  
+  notifyOutboxListeners();
+  if (navigator.onLine) {
+    return flushOutbox();
+  }
+}
+
+/**
+ * Replay the outbox whenever the connection comes back (and periodically
+ * while online), so queued changes sync without user action.
+ * @returns {Function} Stop function
+ */
+export function startOutboxSync() {
+  const flushIfOnline = () => {
+    if (navigator.onLine) {
+      flushOutbox().catch(error => console.error('Outbox replay failed:', error));
+    }
+  };
+  
+  const stopMonitoring = monitorConnectionStatus((isOnline) => {
+    if (isOnline) flushIfOnline();
+  });
+  const interval = setInterval(async () => {
+    try {
+      const status = await getOutboxStatus();
+      if (status.pending > 0) flushIfOnline();
+    } catch (error) {
+      console.error('Error reading outbox status:', error);
+    }
+  }, OUTBOX_RETRY_INTERVAL);
+  
+  flushIfOnline();
+  
+  return () => {
+    stopMonitoring();
+    clearInterval(interval);
+  };
+}
+
+/**
+ * Keep an element showing "N changes pending sync" (hidden when empty)
+ * @param {string} elementId - Indicator element ID
+ * @returns {Function} Unsubscribe function
+ */
+export function showPendingSyncIndicator(elementId = 'syncStatus') {
+  return onOutboxChange(({ pending, conflicts, failed }) => {
+    const el = document.getElementById(elementId);
+    if (!el) return;
+    
+    const parts = [];
+    if (pending > 0) parts.push(`${pending} change${pending === 1 ? '' : 's'} pending sync`);
+    if (conflicts > 0) parts.push(`${conflicts} conflict${conflicts === 1 ? '' : 's'}`);
+    if (failed > 0) parts.push(`${failed} failed`);
+    
+    el.textContent = parts.join(' • ');
+    el.style.display = parts.length > 0 ? '' : 'none';
+    el.classList.toggle('has-conflicts', conflicts + failed > 0);
+  });
+}
+
 // Connection status monitoring
 export function monitorConnectionStatus(onStatusChange) {
   let isOnline = navigator.onLine;
@@ -258,6 +744,10 @@ export async function initializeFirebaseUtils() {
   // Enable offline support
   await enableOfflineSupport();
   
+  // Replay queued writes when back online
+  startOutboxSync();
+  showPendingSyncIndicator();
+  
   // Monitor connection status
   monitorConnectionStatus((isOnline) => {
     console.log(`Connection status: ${isOnline ? 'Online' : 'Offline'}`);
@@ -283,6 +773,15 @@ if (typeof window !== 'undefined') {
     enableOfflineSupport,
     uploadFileWithProgress,
     batchWrite,
+    queueFirestoreWrite,
+    getOutboxEntries,
+    getOutboxStatus,
+    onOutboxChange,
+    onQueuedWriteSynced,
+    flushOutbox,
+    resolveOutboxConflict,
+    startOutboxSync,
+    showPendingSyncIndicator,
     monitorConnectionStatus,
     initializeFirebaseUtils
   };
@@ -7,12 +7,48 @@
  * Features:
  * - Automatic logging of CRUD operations
  * - User action tracking
- * - Change history tracking
+ * - Change history tracking (field-level diffs, sensitive fields redacted)
  * - Query audit logs by user, action, date
  * - Secure audit log storage
+ * - Tamper-evident hash chain with signed checkpoints (see audit-chain.js)
+ * - Entries belong to the school they were written in (schoolId); queries
+ *   read the current school's entries only
+ * - Statistics from daily rollups; old entries archived by the server
  * - Performance optimized
  */
 
+// tenancy.js (window.Tenancy) is a classic script the page loads once, before this module
+import './backup-format.js';
+import './backup-crypto.js';
+import './audit-chain.js';
+import './audit-diff.js';
+import './audit-stats.js';
+
+const {
+  AUDIT_CHAIN_HEAD_PATH,
+  AUDIT_CHECKPOINT_COLLECTION,
+  AUDIT_ARCHIVE_COLLECTION,
+  AUDIT_GENESIS_HASH,
+  sanitizeAuditValue,
+  chainAuditEntry,
+  verifyAuditChain
+} = window.AuditChain;
+const {
+  REDACTED,
+  AUDIT_REDACTION_RULES,
+  computeFieldDiff,
+  redactAuditValue,
+  redactFieldDiff,
+  auditEntryDiff
+} = window.AuditDiff;
+const {
+  AUDIT_STATS_COLLECTION,
+  summarizeAuditLogs,
+  mergeAuditStatistics,
+  uncoveredSpans
+} = window.AuditStats;
+const { encodeFirestoreValue } = window.BackupFormat;
+
 /**
  * Audit log entry structure:
  * {
@@ -25,15 +61,49 @@
  *   action: string (CREATE, READ, UPDATE, DELETE, LOGIN, LOGOUT, etc.),
  *   resource: string (collection name),
  *   resourceId: string (document ID),
- *   changes: object (before/after for updates),
+ *   changes: object ({ changedFields, diff } for updates, redacted
+ *            before/after snapshots for deletes/creates; see audit-diff.js),
  *   metadata: object (IP, user agent, etc.),
  *   status: string (SUCCESS, FAILURE),
- *   errorMessage: string (if status is FAILURE)
+ *   errorMessage: string (if status is FAILURE),
+ *   sequence: number (position in the chain; the document ID is this, zero-padded),
+ *   previousHash: string (hash of the previous entry),
+ *   hash: string (SHA-256 of this entry and previousHash)
  * }
  */
 
 const AUDIT_COLLECTION = 'auditLogs';
 
+// Redaction rules in effect (see audit-diff.js)
+let redactionRules = AUDIT_REDACTION_RULES;
+
+/**
+ * Configure which fields are redacted from audit logs
+ * @param {Object} rules - { collection: ['field.path', ...], '*': ['fieldName'] }
+ * @param {Object} options
+ * @param {boolean} options.replace - Replace the rules instead of adding to
+ *   them (default false: each collection's fields are added to the defaults)
+ */
+export function setAuditRedactionRules(rules, { replace = false } = {}) {
+  if (replace) {
+    redactionRules = { ...rules };
+    return redactionRules;
+  }
+  const merged = { ...redactionRules };
+  Object.entries(rules).forEach(([collection, fields]) => {
+    merged[collection] = [...new Set([...(merged[collection] || []), ...fields])];
+  });
+  redactionRules = merged;
+  return redactionRules;
+}
+
+/**
+ * Get the redaction rules in effect
+ */
+export function getAuditRedactionRules() {
+  return redactionRules;
+}
+
 /**
  * Create an audit log entry
  * @param {Object} logData - Audit log data
@@ -68,24 +138,38 @@ export async function createAuditLog(logData) {
       userName: currentUser.displayName || currentUser.email || 'Unknown User',
       userRole: userRole,
       action: logData.action,
+      schoolId: logData.schoolId || window.Tenancy.getCurrentSchoolId(),
       resource: logData.resource || null,
       resourceId: logData.resourceId || null,
-      changes: logData.changes || null,
-      metadata: {
+      changes: sanitizeAuditValue(logData.changes || null),
+      metadata: sanitizeAuditValue({
         userAgent: navigator.userAgent,
         timestamp: new Date().toISOString(),
         ...logData.metadata
-      },
+      }),
       status: logData.status || 'SUCCESS',
       errorMessage: logData.errorMessage || null
     };
 
-    const docRef = await window.firebaseAddDoc(
-      window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
-      auditEntry
-    );
+    // Append to the hash chain: read the head, link the entry after it and
+    // move the head in one transaction, so concurrent writers cannot fork
+    // the chain
+    const headRef = window.firebaseDoc(window.firebaseDb, AUDIT_CHAIN_HEAD_PATH);
+
+    return await window.firebaseRunTransaction(window.firebaseDb, async (transaction) => {
+      const headDoc = await transaction.get(headRef);
+      const chained = chainAuditEntry(auditEntry, headDoc.exists() ? headDoc.data() : null);
 
-    return docRef.id;
+      transaction.set(
+        window.firebaseDoc(window.firebaseDb, AUDIT_COLLECTION, chained.id),
+        chained.entry
+      );
+      transaction.set(headRef, {
+        ...chained.head,
+        updatedAt: window.firebaseServerTimestamp()
+      });
+      return chained.id;
+    });
   } catch (error) {
     console.error('Error creating audit log:', error);
     // Don't throw - audit logging should not break the main operation
@@ -95,26 +179,37 @@ export async function createAuditLog(logData) {
 
 /**
  * Log a CREATE operation
+ * @param {Object} metadata - Extra metadata, e.g. { reason } for the change
+ * @param {Object} options - { schoolId }: school the change was made in (default: the current school)
  */
-export async function logCreate(resource, resourceId, data) {
+export async function logCreate(resource, resourceId, data, metadata = {}, { schoolId = null } = {}) {
   return createAuditLog({
     action: 'CREATE',
+    schoolId,
     resource,
     resourceId,
-    changes: { after: data },
+    changes: { after: redactAuditValue(resource, data, redactionRules) },
+    metadata,
     status: 'SUCCESS'
   });
 }
 
 /**
  * Log an UPDATE operation
+ * Only the changed fields are recorded, with sensitive fields redacted.
  */
-export async function logUpdate(resource, resourceId, beforeData, afterData) {
+export async function logUpdate(resource, resourceId, beforeData, afterData, metadata = {}, { schoolId = null } = {}) {
+  const diff = redactFieldDiff(resource, computeFieldDiff(beforeData, afterData), redactionRules);
   return createAuditLog({
     action: 'UPDATE',
+    schoolId,
     resource,
     resourceId,
-    changes: { before: beforeData, after: afterData },
+    changes: {
+      changedFields: diff.map(entry => entry.path),
+      diff
+    },
+    metadata,
     status: 'SUCCESS'
   });
 }
@@ -122,12 +217,14 @@ export async function logUpdate(resource, resourceId, beforeData, afterData) {
 /**
  * Log a DELETE operation
  */
-export async function logDelete(resource, resourceId, data) {
+export async function logDelete(resource, resourceId, data, metadata = {}, { schoolId = null } = {}) {
   return createAuditLog({
     action: 'DELETE',
+    schoolId,
     resource,
     resourceId,
-    changes: { before: data },
+    changes: { before: redactAuditValue(resource, data, redactionRules) },
+    metadata,
     status: 'SUCCESS'
   });
 }
@@ -192,6 +289,12 @@ export async function logCustomAction(action, resource, metadata = {}) {
   });
 }
 
+// Entries of the school the page works in; campus administrators may only
+// read their own school's (firestore.rules)
+function schoolFilter() {
+  return window.firebaseWhere('schoolId', '==', window.Tenancy.getCurrentSchoolId());
+}
+
 /**
  * Query audit logs by user
  */
@@ -199,6 +302,7 @@ export async function getAuditLogsByUser(userId, limit = 100) {
   try {
     const q = window.firebaseQuery(
       window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+      schoolFilter(),
       window.firebaseWhere('userId', '==', userId),
       window.firebaseOrderBy('timestamp', 'desc'),
       window.firebaseLimit(limit)
@@ -228,6 +332,7 @@ export async function getAuditLogsByAction(action, limit = 100) {
   try {
     const q = window.firebaseQuery(
       window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+      schoolFilter(),
       window.firebaseWhere('action', '==', action),
       window.firebaseOrderBy('timestamp', 'desc'),
       window.firebaseLimit(limit)
@@ -260,6 +365,7 @@ export async function getAuditLogsByResource(resource, resourceId = null, limit
     if (resourceId) {
       q = window.firebaseQuery(
         window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+        schoolFilter(),
         window.firebaseWhere('resource', '==', resource),
         window.firebaseWhere('resourceId', '==', resourceId),
         window.firebaseOrderBy('timestamp', 'desc'),
@@ -268,6 +374,7 @@ export async function getAuditLogsByResource(resource, resourceId = null, limit
     } else {
       q = window.firebaseQuery(
         window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+        schoolFilter(),
         window.firebaseWhere('resource', '==', resource),
         window.firebaseOrderBy('timestamp', 'desc'),
         window.firebaseLimit(limit)
@@ -298,6 +405,7 @@ export async function getAuditLogsByDateRange(startDate, endDate, limit = 100) {
   try {
     const q = window.firebaseQuery(
       window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+      schoolFilter(),
       window.firebaseWhere('timestamp', '>=', startDate),
       window.firebaseWhere('timestamp', '<=', endDate),
       window.firebaseOrderBy('timestamp', 'desc'),
@@ -328,6 +436,7 @@ export async function getRecentAuditLogs(limit = 50) {
   try {
     const q = window.firebaseQuery(
       window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+      schoolFilter(),
       window.firebaseOrderBy('timestamp', 'desc'),
       window.firebaseLimit(limit)
     );
@@ -350,57 +459,280 @@ export async function getRecentAuditLogs(limit = 50) {
 }
 
 /**
- * Get audit statistics
+ * Get audit statistics of the current school
+ * Whole days are read from the school's daily rollups in auditStats (written
+ * by the server, see audit-retention.js); only the time no rollup covers yet
+ * (usually today) is counted from raw entries. Either date may be null.
+ * @returns {Promise<Object>} { totalLogs, byAction, byUser, byResource,
+ *   byStatus, failures, rollupDays, rawLogsScanned }
  */
 export async function getAuditStatistics(startDate = null, endDate = null) {
   try {
-    let q = window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION);
+    const rollupConstraints = [schoolFilter()];
+    if (startDate) {
+      rollupConstraints.push(window.firebaseWhere('start', '>=', startDate));
+    }
+    if (endDate) {
+      rollupConstraints.push(window.firebaseWhere('start', '<=', endDate));
+    }
+    const rollupSnapshot = await window.firebaseGetDocs(window.firebaseQuery(
+      window.firebaseCollection(window.firebaseDb, AUDIT_STATS_COLLECTION),
+      ...rollupConstraints,
+      window.firebaseOrderBy('start')
+    ));
+
+    // Only days wholly inside the range (a rollup's end is exclusive, endDate inclusive)
+    const rollups = [];
+    rollupSnapshot.forEach((doc) => {
+      const rollup = doc.data();
+      const day = { ...rollup, start: rollup.start.toDate(), end: rollup.end.toDate() };
+      if (!endDate || day.end.getTime() - 1 <= endDate.getTime()) {
+        rollups.push(day);
+      }
+    });
 
-    if (startDate && endDate) {
-      q = window.firebaseQuery(
-        q,
-        window.firebaseWhere('timestamp', '>=', startDate),
-        window.firebaseWhere('timestamp', '<=', endDate)
-      );
+    const rawParts = [];
+    let rawLogsScanned = 0;
+    for (const span of uncoveredSpans(rollups, startDate, endDate)) {
+      const constraints = [schoolFilter()];
+      if (span.start) {
+        constraints.push(window.firebaseWhere('timestamp', '>=', span.start));
+      }
+      if (span.end) {
+        constraints.push(window.firebaseWhere('timestamp', span.inclusiveEnd ? '<=' : '<', span.end));
+      }
+      const snapshot = await window.firebaseGetDocs(window.firebaseQuery(
+        window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+        ...constraints
+      ));
+      const logs = [];
+      snapshot.forEach((doc) => logs.push(doc.data()));
+      rawLogsScanned += logs.length;
+      rawParts.push(summarizeAuditLogs(logs));
     }
 
-    const snapshot = await window.firebaseGetDocs(q);
-    
-    const stats = {
-      totalLogs: snapshot.size,
-      byAction: {},
-      byUser: {},
-      byResource: {},
-      byStatus: {},
-      failures: 0
+    return {
+      ...mergeAuditStatistics(...rollups, ...rawParts),
+      rollupDays: rollups.length,
+      rawLogsScanned
     };
+  } catch (error) {
+    console.error('Error fetching audit statistics:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verify the audit log hash chain
+ * Reads every chained entry in sequence order (starting after the newest
+ * archive, see audit-retention.js) and reports missing entries,
+ * entries whose content no longer matches their hash, broken links and
+ * checkpoints whose signature or hash does not match.
+ * The chain runs through every school's entries, so only group
+ * administrators can verify it.
+ * @param {Object} options
+ * @param {string} options.publicKey - Published checkpoint public key (PEM).
+ *   Without it, signatures are checked against the key stored on each
+ *   checkpoint; compare the reported keyFingerprint with the published one.
+ * @param {number} options.pageSize - Entries read per query (default 500)
+ * @returns {Promise<Object>} Report from AuditChain.verifyAuditChain
+ */
+export async function verifyAuditLog(options = {}) {
+  try {
+    const pageSize = options.pageSize || 500;
+    const entries = [];
+
+    // Entries up to the newest archive have been moved out of Firestore
+    const archiveSnapshot = await window.firebaseGetDocs(window.firebaseQuery(
+      window.firebaseCollection(window.firebaseDb, AUDIT_ARCHIVE_COLLECTION),
+      window.firebaseOrderBy('toSequence', 'desc'),
+      window.firebaseLimit(1)
+    ));
+    const archive = archiveSnapshot.empty ? null : archiveSnapshot.docs[0].data();
+    const afterSequence = archive ? archive.toSequence : 0;
+    let lastSequence = afterSequence;
+
+    while (true) {
+      const snapshot = await window.firebaseGetDocs(window.firebaseQuery(
+        window.firebaseCollection(window.firebaseDb, AUDIT_COLLECTION),
+        window.firebaseWhere('sequence', '>', lastSequence),
+        window.firebaseOrderBy('sequence'),
+        window.firebaseLimit(pageSize)
+      ));
+      snapshot.forEach((doc) => {
+        entries.push({ id: doc.id, ...doc.data() });
+      });
+      if (snapshot.size < pageSize) break;
+      lastSequence = entries[entries.length - 1].sequence;
+    }
+
+    const headDoc = await window.firebaseGetDoc(
+      window.firebaseDoc(window.firebaseDb, AUDIT_CHAIN_HEAD_PATH)
+    );
+    const checkpoints = (await getAuditCheckpoints())
+      .filter(checkpoint => checkpoint.sequence > afterSequence);
+
+    const report = await verifyAuditChain(entries, {
+      afterSequence,
+      previousHash: archive ? archive.lastHash : AUDIT_GENESIS_HASH,
+      head: headDoc.exists() ? headDoc.data() : null,
+      checkpoints,
+      publicKey: options.publicKey
+    });
 
+    if (!report.valid) {
+      console.error('Audit log verification failed:', report.errors);
+    }
+    return report;
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the signed audit checkpoints, oldest first
+ */
+export async function getAuditCheckpoints() {
+  try {
+    const snapshot = await window.firebaseGetDocs(window.firebaseQuery(
+      window.firebaseCollection(window.firebaseDb, AUDIT_CHECKPOINT_COLLECTION),
+      window.firebaseOrderBy('sequence')
+    ));
+    const checkpoints = [];
     snapshot.forEach((doc) => {
-      const log = doc.data();
-      
-      // Count by action
-      stats.byAction[log.action] = (stats.byAction[log.action] || 0) + 1;
-      
-      // Count by user
-      stats.byUser[log.userId] = (stats.byUser[log.userId] || 0) + 1;
-      
-      // Count by resource
-      if (log.resource) {
-        stats.byResource[log.resource] = (stats.byResource[log.resource] || 0) + 1;
-      }
-      
-      // Count by status
-      stats.byStatus[log.status] = (stats.byStatus[log.status] || 0) + 1;
-      
-      // Count failures
-      if (log.status === 'FAILURE') {
-        stats.failures++;
-      }
+      checkpoints.push({ id: doc.id, ...doc.data() });
     });
+    return checkpoints;
+  } catch (error) {
+    console.error('Error fetching audit checkpoints:', error);
+    throw error;
+  }
+}
 
-    return stats;
+/**
+ * Get the change history of a single record in the current school, oldest first
+ * @param {string} resource - Collection name, e.g. 'fees'
+ * @param {string} resourceId - Document ID, e.g. a student ID for their fee account
+ * @param {number} limit - Most recent entries to include (default 100)
+ * @returns {Promise<Array>} [{ id, sequence, action, status, userName, userEmail,
+ *   userRole, time, errorMessage, reason, diff }]
+ */
+export async function getRecordHistory(resource, resourceId, limit = 100) {
+  try {
+    const logs = await getAuditLogsByResource(resource, resourceId, limit);
+    return logs.reverse().map(log => ({
+      id: log.id,
+      sequence: log.sequence || null,
+      action: log.action,
+      status: log.status,
+      userName: log.userName,
+      userEmail: log.userEmail,
+      userRole: log.userRole,
+      time: log.timestamp && typeof log.timestamp.toDate === 'function'
+        ? log.timestamp.toDate()
+        : new Date(log.metadata && log.metadata.timestamp),
+      errorMessage: log.errorMessage || null,
+      reason: (log.metadata && log.metadata.reason) || null,
+      diff: auditEntryDiff(log, redactionRules)
+    }));
   } catch (error) {
-    console.error('Error fetching audit statistics:', error);
+    console.error('Error fetching record history:', error);
+    throw error;
+  }
+}
+
+function escapeAuditHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined) {
+    return '<span class="text-muted">—</span>';
+  }
+  if (value === REDACTED) {
+    return '<span class="badge bg-secondary">redacted</span>';
+  }
+  if (typeof value === 'object') {
+    if (typeof value.toDate === 'function') {
+      return escapeAuditHtml(value.toDate().toLocaleString());
+    }
+    const text = JSON.stringify(encodeFirestoreValue(value), (key, item) =>
+      item && item.$type === 'timestamp'
+        ? new Date(item.seconds * 1000 + item.nanoseconds / 1e6).toISOString()
+        : item);
+    return `<code>${escapeAuditHtml(text)}</code>`;
+  }
+  return escapeAuditHtml(value);
+}
+
+const AUDIT_ACTION_STYLES = {
+  CREATE: 'success',
+  UPDATE: 'primary',
+  DELETE: 'danger'
+};
+
+/**
+ * Render a record history from getRecordHistory() as HTML
+ * @param {Array} history - Entries from getRecordHistory()
+ * @returns {string} HTML (Bootstrap classes)
+ */
+export function renderRecordHistory(history) {
+  if (history.length === 0) {
+    return '<p class="text-muted">No changes recorded for this record</p>';
+  }
+
+  return history.map(entry => {
+    const style = entry.status === 'FAILURE' ? 'warning' : (AUDIT_ACTION_STYLES[entry.action] || 'secondary');
+    const rows = entry.diff.map(change => `
+          <tr>
+            <td><code>${escapeAuditHtml(change.path)}</code></td>
+            <td>${formatAuditValue(change.before)}</td>
+            <td>${formatAuditValue(change.after)}</td>
+          </tr>`).join('');
+    const details = entry.status === 'FAILURE'
+      ? `<p class="text-danger small mb-0">${escapeAuditHtml(entry.errorMessage || 'Failed')}</p>`
+      : rows
+        ? `<table class="table table-sm mb-0">
+          <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>`
+        : '<p class="text-muted small mb-0">No field changes</p>';
+
+    return `
+      <div class="log-entry border-start border-3 border-${style} ps-2 mb-3">
+        <div class="d-flex justify-content-between">
+          <span><span class="badge bg-${style}">${escapeAuditHtml(entry.action)}</span>
+            ${escapeAuditHtml(entry.userName || entry.userEmail || 'Unknown User')}
+            <small class="text-muted">(${escapeAuditHtml(entry.userRole || 'unknown')})</small></span>
+          <small class="text-muted">${isNaN(entry.time) ? '' : escapeAuditHtml(entry.time.toLocaleString())}</small>
+        </div>
+        ${entry.reason ? `<p class="small fst-italic mb-1">${escapeAuditHtml(entry.reason)}</p>` : ''}
+        ${details}
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Load and render the change history of a record into an element
+ * @param {HTMLElement|string} element - Element or element ID
+ * @param {string} resource - Collection name
+ * @param {string} resourceId - Document ID
+ * @param {number} limit - Most recent entries to include
+ */
+export async function showRecordHistory(element, resource, resourceId, limit = 100) {
+  const target = typeof element === 'string' ? document.getElementById(element) : element;
+  target.innerHTML = '<p class="text-muted">Loading history...</p>';
+  try {
+    const history = await getRecordHistory(resource, resourceId, limit);
+    target.innerHTML = renderRecordHistory(history);
+    return history;
+  } catch (error) {
+    target.innerHTML = `<div class="alert alert-danger">Failed to load history: ${escapeAuditHtml(error.message)}</div>`;
     throw error;
   }
 }
@@ -497,6 +829,13 @@ if (typeof window !== 'undefined') {
     getAuditLogsByDateRange,
     getRecentAuditLogs,
     getAuditStatistics,
+    verifyAuditLog,
+    getAuditCheckpoints,
+    getRecordHistory,
+    renderRecordHistory,
+    showRecordHistory,
+    setAuditRedactionRules,
+    getAuditRedactionRules,
     AuditedFirestoreOperation
   };
   
@@ -533,4 +872,14 @@ if (typeof window !== 'undefined') {
  *      'reports',
  *      { reportType: 'financial', format: 'PDF' }
  *    );
+ * 
+ * 6. Show every change to a student's fee account:
+ *    await window.FirestoreAudit.showRecordHistory('historyPanel', 'fees', 'student123');
+ * 
+ * 7. Redact additional sensitive fields:
+ *    window.FirestoreAudit.setAuditRedactionRules({ teachers: ['bankDetails'] });
+ * 
+ * 8. Verify the audit log has not been tampered with:
+ *    const report = await window.FirestoreAudit.verifyAuditLog();
+ *    if (!report.valid) console.error(report.errors);
  */
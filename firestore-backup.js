@@ -11,19 +11,185 @@
  * Features:
  * - Manual backup creation
  * - Selective collection backup
+ * - Incremental and differential backups
  * - Data export to JSON
- * - Data restore from backup
+ * - Data restore from backup (including full + incremental chains)
  * - Backup metadata tracking
  * - Backup validation
+ *
+ * Incremental backups:
+ * A full backup copies every document. Later backups can copy only the
+ * documents whose `updatedAt` is newer than a watermark recorded in
+ * backupMetadata:
+ * - 'incremental' backups copy changes since the previous backup in the chain
+ * - 'differential' backups copy changes since the full backup
+ * Each backup records its backupId, kind, parentId and baseId (the full
+ * backup it builds on), so restoreDatabase() can replay a full backup plus
+ * its increments and validateBackupChain() can report gaps.
+ *
+ * Documents without an `updatedAt` field are only captured by full backups.
+ * Deleted documents are only detected when `detectDeletions` is set, which
+ * reads every document ID of each collection.
+ *
+ * File format:
+ * Documents are stored with the typed encoding from backup-format.js
+ * (format version 2.0), so Timestamps, GeoPoints, DocumentReferences and
+ * Bytes are written back as the same Firestore types on restore. Older files
+ * are upgraded when imported or restored.
+ *
+ * Subcollections:
+ * Subcollections listed in BACKUP_SUBCOLLECTIONS (backup-format.js), such as
+ * choptsoMessages/{id}/reactions, are read for every backed-up parent
+ * document and stored under that document. Incremental backups include the
+ * subcollections of changed parents only, so a reaction added to an
+ * unchanged message is picked up by the next full backup.
+ *
+ * Schools:
+ * School collections (tenancy.js) are backed up from the current school and
+ * recorded by their full path ('schools/{schoolId}/students'), so a backup
+ * restores into the school it was taken from and each school has its own
+ * backup chain. Files from before schools were introduced name collections
+ * only and restore into the current school. backupMetadata records carry the
+ * schoolId too; listBackups() returns the current school's, as campus
+ * administrators may not read other schools' records (firestore.rules).
+ *
+ * Integrity and encryption (backup-crypto.js):
+ * backupDatabase() records a SHA-256 manifest per collection in the backup
+ * and in backupMetadata. validateBackup() and importBackupFromJSON() refuse
+ * files that no longer match it. exportBackupToJSON() can encrypt the file
+ * with a passphrase (AES-GCM); importBackupFromJSON() decrypts it.
  */
 
+import './backup-format.js';
+import './backup-crypto.js';
+// window.Tenancy: tenancy.js, loaded by the page as a classic script
+
+const {
+  BACKUP_FORMAT_VERSION,
+  BACKUP_SUBCOLLECTIONS,
+  SUBCOLLECTIONS_KEY,
+  encodeDocument,
+  decodeDocument,
+  checkEncodedDocument,
+  walkBackupDocuments,
+  countBackupDocuments,
+  diffEncodedDocuments,
+  upgradeBackup
+} = window.BackupFormat;
+
+const {
+  buildBackupManifest,
+  verifyBackupManifest,
+  compareBackupManifests,
+  isEncryptedBackup,
+  encryptBackup,
+  decryptBackup
+} = window.BackupCrypto;
+
 const BACKUP_METADATA_COLLECTION = 'backupMetadata';
 
+// Firestore limit on operations per write batch
+const BATCH_SIZE = 500;
+
+// Field used as the change watermark for incremental backups
+const WATERMARK_FIELD = 'updatedAt';
+
+// Increments start this long before the parent's watermark, so writes made
+// while the parent backup was running (or by clients with a skewed clock)
+// are not missed. Re-copying a document is harmless.
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
+export const BACKUP_KINDS = ['full', 'incremental', 'differential'];
+
+function generateBackupId() {
+  return `backup_${new Date().toISOString().replace(/[-:.TZ]/g, '')}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Read documents changed after a watermark.
+ * `updatedAt` is written both as an ISO string and as a Firestore Timestamp
+ * in this project, and range filters only match values of the same type,
+ * so both forms are queried and merged.
+ */
+async function getDocumentsChangedSince(collectionName, since) {
+  const sinceDate = new Date(since);
+  const collectionRef = window.firebaseCollection(window.firebaseDb, collectionName);
+
+  const [stringSnapshot, timestampSnapshot] = await Promise.all([
+    window.firebaseGetDocs(window.firebaseQuery(
+      collectionRef,
+      window.firebaseWhere(WATERMARK_FIELD, '>', sinceDate.toISOString())
+    )),
+    window.firebaseGetDocs(window.firebaseQuery(
+      collectionRef,
+      window.firebaseWhere(WATERMARK_FIELD, '>', window.firebaseTimestamp.fromDate(sinceDate))
+    ))
+  ]);
+
+  const changed = new Map();
+  [stringSnapshot, timestampSnapshot].forEach(snapshot => {
+    snapshot.forEach(doc => changed.set(doc.id, doc));
+  });
+  return [...changed.values()];
+}
+
+async function countDocuments(collectionName) {
+  try {
+    const snapshot = await window.firebaseGetCountFromServer(
+      window.firebaseCollection(window.firebaseDb, collectionName)
+    );
+    return snapshot.data().count;
+  } catch (error) {
+    console.warn(`Could not count documents in ${collectionName}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Encode a document and read its subcollections (recursively) into
+ * the "$subcollections" key
+ * @param {string} collectionPath - Path of the collection holding the document
+ * @param {Object} doc - Document snapshot
+ * @param {Object} tree - Subcollections to read, as in BACKUP_SUBCOLLECTIONS
+ */
+async function encodeDocumentTree(collectionPath, doc, tree) {
+  const encoded = encodeDocument({ id: doc.id, ...doc.data() });
+  const subcollections = {};
+
+  for (const [name, childTree] of Object.entries(tree || {})) {
+    const subcollectionPath = `${collectionPath}/${doc.id}/${name}`;
+    const snapshot = await window.firebaseGetDocs(
+      window.firebaseCollection(window.firebaseDb, subcollectionPath)
+    );
+    if (!snapshot.empty) {
+      subcollections[name] = await Promise.all(
+        snapshot.docs.map(child => encodeDocumentTree(subcollectionPath, child, childTree))
+      );
+    }
+  }
+
+  if (Object.keys(subcollections).length > 0) {
+    encoded[SUBCOLLECTIONS_KEY] = subcollections;
+  }
+  return encoded;
+}
+
+function subcollectionTreeFor(collectionName, options) {
+  if (options.subcollections === false) return {};
+  return (options.subcollections || BACKUP_SUBCOLLECTIONS)[collectionName] || {};
+}
+
 /**
  * Create a backup of a Firestore collection
  * @param {string} collectionName - Name of the collection to backup
  * @param {Object} options - Backup options
- * @returns {Promise<Object>} Backup data and metadata
+ * @param {string|Date} options.since - Only copy documents whose updatedAt is
+ *   after this time (incremental); omit for a full copy
+ * @param {boolean} options.detectDeletions - With `since`, also record the IDs
+ *   of all current documents so deletions can be replayed on restore
+ * @param {Object|false} options.subcollections - Subcollections to include per
+ *   collection (default BACKUP_SUBCOLLECTIONS); false for top-level documents only
+ * @returns {Promise<Object>} Backup data and metadata (plus `ids` when deletions are tracked)
  */
 export async function backupCollection(collectionName, options = {}) {
   try {
@@ -31,36 +197,62 @@ export async function backupCollection(collectionName, options = {}) {
       throw new Error('Firebase not initialized');
     }
 
-    console.log(`Starting backup of collection: ${collectionName}`);
+    console.log(`Starting ${options.since ? 'incremental ' : ''}backup of collection: ${collectionName}`);
     
-    const snapshot = await window.firebaseGetDocs(
-      window.firebaseCollection(window.firebaseDb, collectionName)
-    );
+    const subcollectionTree = subcollectionTreeFor(collectionName, options);
+    let data = [];
+    let ids = null;
+    let unwatermarked = 0;
 
-    const data = [];
-    snapshot.forEach((doc) => {
-      data.push({
-        id: doc.id,
-        ...doc.data()
+    if (options.since) {
+      const changed = await getDocumentsChangedSince(collectionName, options.since);
+      data = await Promise.all(
+        changed.map(doc => encodeDocumentTree(collectionName, doc, subcollectionTree))
+      );
+
+      if (options.detectDeletions) {
+        const snapshot = await window.firebaseGetDocs(
+          window.firebaseCollection(window.firebaseDb, collectionName)
+        );
+        ids = snapshot.docs.map(doc => doc.id);
+      }
+    } else {
+      const snapshot = await window.firebaseGetDocs(
+        window.firebaseCollection(window.firebaseDb, collectionName)
+      );
+      snapshot.forEach((doc) => {
+        if (doc.data()[WATERMARK_FIELD] === undefined) unwatermarked++;
       });
-    });
+      data = await Promise.all(
+        snapshot.docs.map(doc => encodeDocumentTree(collectionName, doc, subcollectionTree))
+      );
+    }
+
+    const { [collectionName]: documentCount, ...subcollectionCounts } =
+      countBackupDocuments(collectionName, data);
 
     const metadata = {
       collection: collectionName,
       timestamp: new Date().toISOString(),
-      documentCount: data.length,
+      documentCount,
+      subcollectionCounts,
+      liveCount: options.since ? await countDocuments(collectionName) : data.length,
       backupType: options.backupType || 'manual',
       createdBy: window.firebaseAuth.currentUser?.uid || 'unknown',
       description: options.description || `Backup of ${collectionName}`,
-      version: '1.0'
+      version: BACKUP_FORMAT_VERSION
     };
+    if (options.since) {
+      metadata.since = new Date(options.since).toISOString();
+    } else {
+      metadata.unwatermarked = unwatermarked;
+    }
 
-    console.log(`✓ Backed up ${data.length} documents from ${collectionName}`);
+    const subcollectionTotal = Object.values(subcollectionCounts).reduce((sum, n) => sum + n, 0);
+    console.log(`✓ Backed up ${data.length} documents from ${collectionName}` +
+      (subcollectionTotal ? ` (plus ${subcollectionTotal} in subcollections)` : ''));
 
-    return {
-      metadata,
-      data
-    };
+    return ids ? { metadata, data, ids } : { metadata, data };
   } catch (error) {
     console.error(`Error backing up collection ${collectionName}:`, error);
     throw error;
@@ -68,40 +260,103 @@ export async function backupCollection(collectionName, options = {}) {
 }
 
 /**
- * Create a full database backup
+ * Create a database backup
  * @param {Array<string>} collections - List of collections to backup
  * @param {Object} options - Backup options
+ * @param {string} options.schoolId - School whose collections are backed up (default: the current school)
+ * @param {string} options.kind - 'full' (default), 'incremental' or 'differential'.
+ *   Falls back to a full backup when no usable full backup of these collections exists.
+ * @param {boolean} options.detectDeletions - Record current document IDs in
+ *   incremental backups so deletions are replayed on restore
  * @returns {Promise<Object>} Complete backup data
  */
 export async function backupDatabase(collections, options = {}) {
   try {
-    console.log('Starting full database backup...');
+    let kind = options.kind || 'full';
+    if (!BACKUP_KINDS.includes(kind)) {
+      throw new Error(`Unknown backup kind "${kind}". Use one of: ${BACKUP_KINDS.join(', ')}`);
+    }
+
+    const schoolId = options.schoolId || window.Tenancy.getCurrentSchoolId();
+    collections = collections.map(name => window.Tenancy.scopedPath(name, schoolId));
+
+    let parent = null;
+    if (kind !== 'full') {
+      parent = await findChainParent(collections, kind, schoolId);
+      if (!parent) {
+        console.warn(`No full backup of these collections found; creating a full backup instead of ${kind}`);
+        kind = 'full';
+      }
+    }
+
+    console.log(`Starting ${kind} database backup...`);
+
+    // The watermark is taken before reading, so changes made during the
+    // backup are picked up by the next increment
+    const startedAt = new Date();
+    const backupId = generateBackupId();
+    const since = parent
+      ? new Date(new Date(parent.watermark).getTime() - WATERMARK_OVERLAP_MS).toISOString()
+      : null;
     
     const backupData = {
       metadata: {
-        timestamp: new Date().toISOString(),
+        backupId,
+        kind,
+        baseId: parent ? (parent.baseId || parent.backupId) : backupId,
+        parentId: parent ? parent.backupId : null,
+        sequence: parent ? (parent.sequence || 0) + 1 : 0,
+        since,
+        watermark: startedAt.toISOString(),
+        timestamp: startedAt.toISOString(),
         collections: collections,
+        schoolId,
         backupType: options.backupType || 'full',
         createdBy: window.firebaseAuth.currentUser?.uid || 'unknown',
-        description: options.description || 'Full database backup',
-        version: '1.0'
+        description: options.description || `${kind.charAt(0).toUpperCase() + kind.slice(1)} database backup`,
+        documentCounts: {},
+        subcollectionCounts: {},
+        liveCounts: {},
+        status: 'complete',
+        version: BACKUP_FORMAT_VERSION
       },
       collections: {}
     };
 
     for (const collectionName of collections) {
       try {
-        const collectionBackup = await backupCollection(collectionName, options);
+        const collectionBackup = await backupCollection(collectionName, {
+          ...options,
+          since,
+          detectDeletions: options.detectDeletions && kind !== 'full'
+        });
         backupData.collections[collectionName] = collectionBackup.data;
+        backupData.metadata.documentCounts[collectionName] = collectionBackup.metadata.documentCount;
+        backupData.metadata.liveCounts[collectionName] = collectionBackup.metadata.liveCount;
+        if (Object.keys(collectionBackup.metadata.subcollectionCounts).length > 0) {
+          backupData.metadata.subcollectionCounts[collectionName] = collectionBackup.metadata.subcollectionCounts;
+        }
+        if (collectionBackup.ids) {
+          backupData.liveIds = backupData.liveIds || {};
+          backupData.liveIds[collectionName] = collectionBackup.ids;
+        }
+        if (collectionBackup.metadata.unwatermarked) {
+          backupData.metadata.unwatermarked = backupData.metadata.unwatermarked || {};
+          backupData.metadata.unwatermarked[collectionName] = collectionBackup.metadata.unwatermarked;
+        }
       } catch (error) {
         console.error(`Failed to backup collection ${collectionName}:`, error);
         backupData.collections[collectionName] = {
           error: error.message,
           status: 'failed'
         };
+        // Later increments must not build on a backup with missing changes
+        backupData.metadata.status = 'partial';
       }
     }
 
+    backupData.metadata.manifest = buildBackupManifest(backupData);
+
     // Save backup metadata to Firestore
     if (options.saveMetadata !== false) {
       try {
@@ -120,34 +375,266 @@ export async function backupDatabase(collections, options = {}) {
 }
 
 /**
- * Save backup metadata to Firestore
+ * Save backup metadata to Firestore (document ID = backupId)
  */
 async function saveBackupMetadata(metadata) {
   try {
-    const docRef = await window.firebaseAddDoc(
-      window.firebaseCollection(window.firebaseDb, BACKUP_METADATA_COLLECTION),
+    await window.firebaseSetDoc(
+      window.firebaseDoc(window.firebaseDb, BACKUP_METADATA_COLLECTION, metadata.backupId),
       metadata
     );
-    console.log(`✓ Backup metadata saved with ID: ${docRef.id}`);
-    return docRef.id;
+    console.log(`✓ Backup metadata saved with ID: ${metadata.backupId}`);
+    return metadata.backupId;
   } catch (error) {
     console.error('Error saving backup metadata:', error);
     throw error;
   }
 }
 
+/**
+ * Find the backup a new incremental/differential backup builds on:
+ * the latest complete full backup covering all the collections, or for
+ * incrementals the latest complete backup in that full backup's chain.
+ */
+async function findChainParent(collections, kind, schoolId) {
+  const backups = (await listBackups(100, schoolId))
+    .filter(b => b.backupId && b.watermark && !['partial', 'failed', 'expired'].includes(b.status));
+
+  const base = backups.find(b =>
+    b.kind === 'full' && collections.every(c => (b.collections || []).includes(c))
+  );
+  if (!base || kind === 'differential') {
+    return base || null;
+  }
+
+  // listBackups() is newest first, so the first chain member is the latest
+  return backups.find(b => b.backupId === base.backupId || b.baseId === base.backupId) || base;
+}
+
+/**
+ * Order a set of backups into the chain ending at the target backup
+ * (the newest one unless options.targetId is given): the full backup
+ * first, then each increment in turn.
+ * @param {Array} backups - Backup files (or backupMetadata records)
+ * @param {Object} options - { targetId }
+ * @returns {Array} Ordered chain
+ */
+export function resolveBackupChain(backups, options = {}) {
+  const metadataOf = b => b.metadata || b;
+  const byId = new Map();
+  backups.forEach(b => {
+    const id = metadataOf(b).backupId;
+    if (id) byId.set(id, b);
+  });
+
+  let target;
+  if (options.targetId) {
+    target = byId.get(options.targetId);
+    if (!target) {
+      throw new Error(`Backup ${options.targetId} is not in the provided files`);
+    }
+  } else {
+    target = [...backups].sort((a, b) =>
+      String(metadataOf(b).timestamp).localeCompare(String(metadataOf(a).timestamp))
+    )[0];
+  }
+  if (!target) {
+    throw new Error('No backups provided');
+  }
+
+  const chain = [target];
+  let current = metadataOf(target);
+  while ((current.kind || 'full') !== 'full') {
+    if (!current.parentId) {
+      throw new Error(`Backup ${current.backupId} has no parent backup recorded`);
+    }
+    const parent = byId.get(current.parentId);
+    if (!parent) {
+      throw new Error(`Backup chain is incomplete: ${current.backupId} needs ${current.parentId}, which was not provided`);
+    }
+    if (chain.includes(parent)) {
+      throw new Error(`Backup chain loops at ${current.parentId}`);
+    }
+    chain.unshift(parent);
+    current = metadataOf(parent);
+  }
+  return chain;
+}
+
+/**
+ * Combine a resolved chain into a single backup: documents from each
+ * increment replace those from earlier backups, and documents missing
+ * from a recorded ID list (detectDeletions) are dropped.
+ * @param {Array} chain - Output of resolveBackupChain()
+ * @returns {Object} Backup data in the same shape as backupDatabase()
+ */
+export function mergeBackupChain(chain) {
+  const merged = {};
+  const skipped = {};
+
+  chain.forEach(backup => {
+    Object.entries(backup.collections || {}).forEach(([collectionName, data]) => {
+      if (!Array.isArray(data)) {
+        skipped[collectionName] = data.error || 'Backup failed';
+        return;
+      }
+      const docs = merged[collectionName] || new Map();
+      data.forEach(doc => docs.set(doc.id, doc));
+      const liveIds = backup.liveIds && backup.liveIds[collectionName];
+      if (liveIds) {
+        const keep = new Set(liveIds);
+        [...docs.keys()].forEach(id => {
+          if (!keep.has(id)) docs.delete(id);
+        });
+      }
+      merged[collectionName] = docs;
+    });
+  });
+
+  const target = chain[chain.length - 1].metadata;
+  const collections = {};
+  Object.entries(merged).forEach(([collectionName, docs]) => {
+    collections[collectionName] = [...docs.values()];
+  });
+  // A collection that failed in every backup of the chain stays an error
+  Object.entries(skipped).forEach(([collectionName, error]) => {
+    if (!collections[collectionName]) {
+      collections[collectionName] = { error, status: 'failed' };
+    }
+  });
+
+  // The target's manifest only describes its own increment
+  const { manifest, ...metadata } = target;
+  return {
+    metadata: {
+      ...metadata,
+      kind: 'full',
+      mergedFrom: chain.map(b => b.metadata.backupId)
+    },
+    collections
+  };
+}
+
+/**
+ * Report on a backup chain and check that it can be restored.
+ * Accepts backup files or backupMetadata records (from listBackups());
+ * document content checks only run for files.
+ * @param {Array} backups - Backups in any order
+ * @param {Object} options - { targetId }
+ * @returns {Object} { valid, errors, warnings, chain: [{ backupId, kind, timestamp, since, watermark, documentCounts }] }
+ */
+export function validateBackupChain(backups, options = {}) {
+  const result = { valid: true, errors: [], warnings: [], chain: [] };
+
+  let chain;
+  try {
+    chain = resolveBackupChain(backups, options);
+  } catch (error) {
+    result.valid = false;
+    result.errors.push(error.message);
+    return result;
+  }
+
+  const metadataOf = b => b.metadata || b;
+  const base = metadataOf(chain[0]);
+
+  chain.forEach((backup, index) => {
+    const metadata = metadataOf(backup);
+    result.chain.push({
+      backupId: metadata.backupId,
+      kind: metadata.kind || 'full',
+      timestamp: metadata.timestamp,
+      since: metadata.since || null,
+      watermark: metadata.watermark || null,
+      status: metadata.status || 'complete',
+      documentCounts: metadata.documentCounts || {}
+    });
+
+    if (backup.metadata) {
+      const validation = validateBackup(backup);
+      validation.errors.forEach(e => result.errors.push(`${metadata.backupId}: ${e}`));
+      validation.warnings.forEach(w => result.warnings.push(`${metadata.backupId}: ${w}`));
+      if (!validation.valid) result.valid = false;
+    }
+
+    if (metadata.status === 'partial') {
+      result.warnings.push(`${metadata.backupId}: some collections failed to back up`);
+    }
+
+    if (index === 0) {
+      Object.entries(metadata.unwatermarked || {}).forEach(([collectionName, count]) => {
+        if (chain.length > 1) {
+          result.warnings.push(`${count} document(s) in ${collectionName} have no ${WATERMARK_FIELD}; changes to them after ${metadata.timestamp} are not in the increments`);
+        }
+      });
+      return;
+    }
+
+    const parent = metadataOf(chain[index - 1]);
+    if (metadata.baseId && metadata.baseId !== base.backupId) {
+      result.valid = false;
+      result.errors.push(`${metadata.backupId} belongs to full backup ${metadata.baseId}, not ${base.backupId}`);
+    }
+    if (!metadata.since || !parent.watermark || metadata.since > parent.watermark) {
+      result.valid = false;
+      result.errors.push(`Gap in chain: ${metadata.backupId} starts at ${metadata.since || 'unknown'}, after ${parent.backupId} ended at ${parent.watermark || 'unknown'}`);
+    }
+    (metadata.collections || []).forEach(collectionName => {
+      if (!(base.collections || []).includes(collectionName)) {
+        result.warnings.push(`${metadata.backupId}: ${collectionName} is not in the full backup, so only its changes are restored`);
+      }
+    });
+  });
+
+  // Deletions that were not recorded show up as a count mismatch
+  if (chain.length > 1 && chain.every(b => b.metadata)) {
+    const merged = mergeBackupChain(chain);
+    const target = metadataOf(chain[chain.length - 1]);
+    Object.entries(target.liveCounts || {}).forEach(([collectionName, liveCount]) => {
+      const restored = Array.isArray(merged.collections[collectionName])
+        ? merged.collections[collectionName].length
+        : null;
+      if (liveCount !== null && restored !== null && restored !== liveCount) {
+        result.warnings.push(`${collectionName}: chain restores ${restored} document(s) but ${liveCount} existed at ${target.timestamp} (deletions are only replayed with detectDeletions)`);
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Report the chain a backup belongs to from the metadata in Firestore
+ * @param {string} backupId - Any backup in the chain (default: the latest backup)
+ * @returns {Promise<Object>} validateBackupChain() report
+ */
+export async function getBackupChainReport(backupId = null) {
+  try {
+    const backups = (await listBackups(200)).filter(b => b.backupId);
+    return validateBackupChain(backups, { targetId: backupId || undefined });
+  } catch (error) {
+    console.error('Error building backup chain report:', error);
+    throw error;
+  }
+}
+
 /**
  * Export backup data to JSON file
  * @param {Object} backupData - Backup data to export
  * @param {string} filename - Optional filename
+ * @param {Object} options - { passphrase } encrypts the file (AES-GCM)
  */
-export function exportBackupToJSON(backupData, filename = null) {
+export async function exportBackupToJSON(backupData, filename = null, options = {}) {
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const defaultFilename = `bis-sms-backup-${timestamp}.json`;
+    const defaultFilename = options.passphrase
+      ? `bis-sms-backup-${timestamp}.encrypted.json`
+      : `bis-sms-backup-${timestamp}.json`;
     const finalFilename = filename || defaultFilename;
 
-    const jsonData = JSON.stringify(backupData, null, 2);
+    const jsonData = options.passphrase
+      ? JSON.stringify(await encryptBackup(backupData, options.passphrase))
+      : JSON.stringify(backupData, null, 2);
     const blob = new Blob([jsonData], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
@@ -159,7 +646,7 @@ export function exportBackupToJSON(backupData, filename = null) {
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
 
-    console.log(`✓ Backup exported to ${finalFilename}`);
+    console.log(`✓ Backup exported to ${finalFilename}${options.passphrase ? ' (encrypted)' : ''}`);
   } catch (error) {
     console.error('Error exporting backup:', error);
     throw error;
@@ -167,10 +654,106 @@ export function exportBackupToJSON(backupData, filename = null) {
 }
 
 /**
- * Restore a collection from backup data
+ * Build the decoder that turns typed backup values back into SDK values
+ */
+function getValueFactory() {
+  return {
+    timestamp: (seconds, nanoseconds) => new window.firebaseTimestamp(seconds, nanoseconds),
+    geopoint: (latitude, longitude) => new window.firebaseGeoPoint(latitude, longitude),
+    reference: path => window.firebaseDoc(window.firebaseDb, path),
+    bytes: base64 => window.firebaseBytes.fromBase64String(base64)
+  };
+}
+
+/**
+ * Read the live documents of a collection and its known subcollections,
+ * encoded like backup documents
+ * @returns {Promise<Map>} Document path relative to the collection
+ *   ('m1', 'm1/reactions/r1') → { collectionPath, doc }
+ */
+async function readLiveDocuments(collectionName, tree) {
+  const snapshot = await window.firebaseGetDocs(
+    window.firebaseCollection(window.firebaseDb, collectionName)
+  );
+  const docs = await Promise.all(
+    snapshot.docs.map(doc => encodeDocumentTree(collectionName, doc, tree))
+  );
+  return flattenDocuments(collectionName, docs);
+}
+
+function flattenDocuments(collectionName, docs) {
+  const flat = new Map();
+  walkBackupDocuments(collectionName, docs, (doc, collectionPath) => {
+    const relativePath = collectionPath === collectionName
+      ? doc.id
+      : `${collectionPath.slice(collectionName.length + 1)}/${doc.id}`;
+    flat.set(relativePath, { collectionPath, doc });
+  });
+  return flat;
+}
+
+// A selected ID covers the document and everything in its subcollections
+function isSelected(relativePath, documentIds) {
+  return !documentIds ||
+    documentIds.some(id => relativePath === id || relativePath.startsWith(`${id}/`));
+}
+
+/**
+ * Compare backup data with the live collection
+ * @returns {Promise<Object>} { added, modified, deleted, unchanged, writes, deletes }
+ */
+async function planCollectionRestore(collectionName, data, options) {
+  const live = await readLiveDocuments(collectionName, subcollectionTreeFor(collectionName, options));
+  const backup = flattenDocuments(collectionName, data);
+  const documentIds = options.documentIds || null;
+
+  const plan = { added: [], modified: [], deleted: [], unchanged: 0, writes: [], deletes: [] };
+
+  backup.forEach((entry, relativePath) => {
+    if (!isSelected(relativePath, documentIds)) return;
+    const current = live.get(relativePath);
+    if (!current) {
+      plan.added.push(relativePath);
+      plan.writes.push(entry);
+      return;
+    }
+    const fields = diffEncodedDocuments(current.doc, entry.doc, { merge: options.merge });
+    if (fields.length === 0) {
+      plan.unchanged++;
+    } else {
+      plan.modified.push({ id: relativePath, fields });
+      plan.writes.push(entry);
+    }
+  });
+
+  // Documents missing from the backup are only removed with clearExisting
+  if (options.clearExisting) {
+    live.forEach((entry, relativePath) => {
+      if (backup.has(relativePath) || !isSelected(relativePath, documentIds)) return;
+      plan.deleted.push(relativePath);
+      plan.deletes.push(entry);
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Restore a collection from backup data.
+ * Only documents that differ from the live collection are written.
  * @param {string} collectionName - Name of the collection to restore
- * @param {Array} data - Backup data to restore
+ * @param {Array} data - Backup data to restore (typed encoding; documents may
+ *   carry subcollections under "$subcollections")
  * @param {Object} options - Restore options
+ * @param {boolean} options.clearExisting - Delete live documents that are not in the backup
+ * @param {boolean} options.merge - Merge backed-up fields into live documents
+ * @param {boolean} options.dryRun - Report the changes without writing anything
+ * @param {Array<string>} options.documentIds - Only restore these documents
+ *   (IDs as reported by a dry run, e.g. 'm1' or 'm1/reactions/r1')
+ * @param {Object|false} options.subcollections - Subcollections to compare and
+ *   clear (default BACKUP_SUBCOLLECTIONS)
+ * @returns {Promise<Object>} Dry run: { dryRun, collection, added, modified: [{ id, fields }], deleted, unchanged }.
+ *   Otherwise: { collection, restored, subcollections, deleted, unchanged }
  */
 export async function restoreCollection(collectionName, data, options = {}) {
   try {
@@ -178,59 +761,67 @@ export async function restoreCollection(collectionName, data, options = {}) {
       throw new Error('Firebase not initialized');
     }
 
-    console.log(`Starting restore of collection: ${collectionName}`);
+    console.log(`${options.dryRun ? 'Previewing' : 'Starting'} restore of collection: ${collectionName}`);
 
-    const { writeBatch } = await import(
-      'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js'
-    );
+    const plan = await planCollectionRestore(collectionName, data, options);
 
-    // Clear existing data if specified
-    if (options.clearExisting) {
-      console.log(`Clearing existing data in ${collectionName}...`);
-      const snapshot = await window.firebaseGetDocs(
-        window.firebaseCollection(window.firebaseDb, collectionName)
-      );
-      
-      const deleteBatch = writeBatch(window.firebaseDb);
-      snapshot.forEach((doc) => {
-        deleteBatch.delete(doc.ref);
-      });
-      await deleteBatch.commit();
-      console.log(`✓ Cleared ${snapshot.size} existing documents`);
+    if (options.dryRun) {
+      console.log(`${collectionName}: ${plan.added.length} added, ${plan.modified.length} modified, ${plan.deleted.length} deleted, ${plan.unchanged} unchanged`);
+      return {
+        dryRun: true,
+        collection: collectionName,
+        added: plan.added,
+        modified: plan.modified,
+        deleted: plan.deleted,
+        unchanged: plan.unchanged
+      };
     }
 
-    // Restore data in batches (Firestore limit is 500 operations per batch)
-    const batchSize = 500;
-    let restored = 0;
+    const factory = getValueFactory();
 
-    for (let i = 0; i < data.length; i += batchSize) {
-      const batch = writeBatch(window.firebaseDb);
-      const chunk = data.slice(i, i + batchSize);
+    // Deletes and writes go in batches (Firestore limit is 500 operations per batch)
+    const commitInBatches = async (entries, apply, label) => {
+      for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+        const batch = window.firebaseWriteBatch(window.firebaseDb);
+        const chunk = entries.slice(i, i + BATCH_SIZE);
+        chunk.forEach(({ collectionPath, doc }) => {
+          apply(batch, window.firebaseDoc(window.firebaseDb, collectionPath, doc.id), doc);
+        });
+        await batch.commit();
+        console.log(`${label} ${Math.min(i + BATCH_SIZE, entries.length)}/${entries.length} documents...`);
+      }
+    };
 
-      chunk.forEach((doc) => {
-        const docRef = window.firebaseDoc(
-          window.firebaseDb,
-          collectionName,
-          doc.id
-        );
-        
-        // Remove the id field from the data
-        const { id, ...docData } = doc;
-        
-        if (options.merge) {
-          batch.set(docRef, docData, { merge: true });
-        } else {
-          batch.set(docRef, docData);
-        }
-      });
+    await commitInBatches(plan.deletes, (batch, docRef) => batch.delete(docRef), 'Deleted');
+    await commitInBatches(plan.writes, (batch, docRef, doc) => {
+      // Remove the id and subcollections, and decode typed values
+      const { data: docData } = decodeDocument(doc, factory);
+      if (options.merge) {
+        batch.set(docRef, docData, { merge: true });
+      } else {
+        batch.set(docRef, docData);
+      }
+    }, 'Restored');
 
-      await batch.commit();
-      restored += chunk.length;
-      console.log(`Restored ${restored}/${data.length} documents...`);
-    }
+    const restored = plan.writes.filter(({ collectionPath }) => collectionPath === collectionName).length;
+    const subcollections = {};
+    plan.writes.forEach(({ collectionPath }) => {
+      if (collectionPath === collectionName) return;
+      const groupPath = collectionPath.split('/').filter((part, i) => i % 2 === 0).join('/');
+      subcollections[groupPath] = (subcollections[groupPath] || 0) + 1;
+    });
 
-    console.log(`✓ Restored ${restored} documents to ${collectionName}`);
-    return { restored, collection: collectionName };
+    console.log(`✓ Restored ${restored} documents to ${collectionName}` +
+      (plan.writes.length > restored ? ` (plus ${plan.writes.length - restored} in subcollections)` : '') +
+      (plan.deletes.length ? `, deleted ${plan.deletes.length}` : '') +
+      (plan.unchanged ? `, ${plan.unchanged} already up to date` : ''));
+    return {
+      restored,
+      subcollections,
+      deleted: plan.deletes.length,
+      unchanged: plan.unchanged,
+      collection: collectionName
+    };
   } catch (error) {
     console.error(`Error restoring collection ${collectionName}:`, error);
     throw error;
@@ -239,15 +830,32 @@ export async function restoreCollection(collectionName, data, options = {}) {
 
 /**
  * Restore full database from backup
- * @param {Object} backupData - Complete backup data
- * @param {Object} options - Restore options
+ * @param {Object|Array} backupData - Complete backup data, or a full backup
+ *   and its incremental/differential backups (in any order)
+ * @param {Object} options - Restore options, as for restoreCollection(), plus:
+ *   targetId picks the point in the chain to restore to (default: the newest backup);
+ *   documentIds ({ collection: [ids] }) restores only those documents and
+ *   skips collections that are not listed;
+ *   dryRun returns each collection's changes without writing
  */
 export async function restoreDatabase(backupData, options = {}) {
   try {
-    console.log('Starting full database restore...');
+    // Files from older versions are upgraded to the typed format first
+    if (Array.isArray(backupData)) {
+      const chain = resolveBackupChain(backupData.map(upgradeBackup), options);
+      console.log(`Restoring backup chain: ${chain.map(b => b.metadata.backupId).join(' → ')}`);
+      backupData = mergeBackupChain(chain);
+    } else if (backupData.metadata && ['incremental', 'differential'].includes(backupData.metadata.kind)) {
+      throw new Error(`Backup ${backupData.metadata.backupId} is ${backupData.metadata.kind}; restore it together with its full backup${backupData.metadata.kind === 'incremental' ? ' and earlier increments' : ''}`);
+    } else {
+      backupData = upgradeBackup(backupData);
+    }
+
+    console.log(options.dryRun ? 'Previewing database restore...' : 'Starting full database restore...');
 
     const results = {
       timestamp: new Date().toISOString(),
+      dryRun: !!options.dryRun,
       collections: {}
     };
 
@@ -265,11 +873,23 @@ export async function restoreDatabase(backupData, options = {}) {
         continue;
       }
 
+      if (options.documentIds && !options.documentIds[collectionName]) {
+        results.collections[collectionName] = {
+          status: 'skipped',
+          reason: 'Not selected'
+        };
+        continue;
+      }
+
       try {
-        const result = await restoreCollection(collectionName, data, options);
+        const result = await restoreCollection(collectionName, data, {
+          ...options,
+          documentIds: options.documentIds ? options.documentIds[collectionName] : null
+        });
+        const { collection, dryRun, ...summary } = result;
         results.collections[collectionName] = {
-          status: 'success',
-          restored: result.restored
+          status: options.dryRun ? 'preview' : 'success',
+          ...summary
         };
       } catch (error) {
         console.error(`Failed to restore collection ${collectionName}:`, error);
@@ -280,7 +900,7 @@ export async function restoreDatabase(backupData, options = {}) {
       }
     }
 
-    console.log('✓ Database restore completed');
+    console.log(options.dryRun ? '✓ Restore preview completed' : '✓ Database restore completed');
     return results;
   } catch (error) {
     console.error('Error restoring database:', error);
@@ -289,37 +909,96 @@ export async function restoreDatabase(backupData, options = {}) {
 }
 
 /**
- * Import backup from JSON file
- * @param {File} file - JSON file containing backup data
- * @returns {Promise<Object>} Parsed backup data
+ * Compare a backup's manifest with the one saved in backupMetadata when
+ * the backup was made. Skipped when Firestore or the record is unavailable.
+ * @returns {Promise<Array<string>>} Differences
  */
-export async function importBackupFromJSON(file) {
+async function verifyRecordedManifest(backupData) {
+  const metadata = backupData.metadata || {};
+  if (!window.firebaseDb || !window.firebaseGetDoc || !metadata.backupId || !metadata.manifest) {
+    return [];
+  }
+  try {
+    const recorded = await window.firebaseGetDoc(
+      window.firebaseDoc(window.firebaseDb, BACKUP_METADATA_COLLECTION, metadata.backupId)
+    );
+    if (!recorded.exists() || !recorded.data().manifest) {
+      console.warn(`No recorded manifest for backup ${metadata.backupId}; checked against the file's own manifest only`);
+      return [];
+    }
+    return compareBackupManifests(metadata.manifest, recorded.data().manifest);
+  } catch (error) {
+    console.warn('Could not read recorded backup manifest:', error);
+    return [];
+  }
+}
+
+function readFileAsText(file) {
+  // Audit log archives (audit-retention.js) are gzip-compressed
+  if (/\.gz$/i.test(file.name || '')) {
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text().catch(() => {
+      throw new Error('Error decompressing backup file');
+    });
+  }
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error('Error reading backup file'));
+    reader.readAsText(file);
+  });
+}
 
-    reader.onload = (event) => {
-      try {
-        const backupData = JSON.parse(event.target.result);
-        console.log('✓ Backup file loaded successfully');
-        resolve(backupData);
-      } catch (error) {
-        console.error('Error parsing backup file:', error);
-        reject(new Error('Invalid backup file format'));
-      }
-    };
+/**
+ * Import backup from JSON file.
+ * Encrypted files are decrypted, older formats upgraded, and the contents
+ * checked against the manifest; files that fail the check are refused.
+ * @param {File} file - JSON file containing backup data (.json, or .json.gz)
+ * @param {Object} options - { passphrase } for encrypted files
+ * @returns {Promise<Object>} Parsed backup data, upgraded to the current format version
+ */
+export async function importBackupFromJSON(file, options = {}) {
+  const text = await readFileAsText(file);
 
-    reader.onerror = () => {
-      reject(new Error('Error reading backup file'));
-    };
+  let backupData;
+  try {
+    backupData = JSON.parse(text);
+  } catch (error) {
+    console.error('Error parsing backup file:', error);
+    throw new Error('Invalid backup file format (the file may be truncated)');
+  }
 
-    reader.readAsText(file);
-  });
+  try {
+    if (isEncryptedBackup(backupData)) {
+      backupData = await decryptBackup(backupData, options.passphrase);
+      console.log('✓ Backup file decrypted');
+    }
+
+    const fileVersion = (backupData.metadata && backupData.metadata.version) || '1.0';
+    backupData = upgradeBackup(backupData);
+    if (fileVersion !== BACKUP_FORMAT_VERSION) {
+      console.log(`✓ Upgraded backup file from version ${fileVersion} to ${BACKUP_FORMAT_VERSION}`);
+    }
+
+    const integrity = verifyBackupManifest(backupData);
+    const errors = [...integrity.errors, ...await verifyRecordedManifest(backupData)];
+    if (errors.length > 0) {
+      throw new Error(`Backup file failed the integrity check: ${errors.join('; ')}`);
+    }
+    integrity.warnings.forEach(warning => console.warn(warning));
+
+    console.log('✓ Backup file loaded successfully');
+    return backupData;
+  } catch (error) {
+    console.error('Error importing backup file:', error);
+    throw error;
+  }
 }
 
 /**
- * Validate backup data
- * @param {Object} backupData - Backup data to validate
- * @returns {Object} Validation result
+ * Validate backup data, including its integrity manifest
+ * @param {Object} backupData - Backup data to validate (decrypted)
+ * @returns {Object} Validation result: { valid, errors, warnings, counts, integrityVerified }
  */
 export function validateBackup(backupData) {
   const validation = {
@@ -328,6 +1007,12 @@ export function validateBackup(backupData) {
     warnings: []
   };
 
+  if (isEncryptedBackup(backupData)) {
+    validation.valid = false;
+    validation.errors.push('Backup is encrypted; import it with its passphrase first');
+    return validation;
+  }
+
   // Check metadata
   if (!backupData.metadata) {
     validation.valid = false;
@@ -339,31 +1024,71 @@ export function validateBackup(backupData) {
     if (!backupData.metadata.version) {
       validation.warnings.push('Missing version in metadata');
     }
+    if (backupData.metadata.version !== BACKUP_FORMAT_VERSION) {
+      try {
+        backupData = upgradeBackup(backupData);
+        if (backupData.metadata.upgradedFrom === '1.0') {
+          validation.warnings.push('Version 1.0 file: Timestamps and other Firestore types are recovered from their plain JSON form');
+        }
+      } catch (error) {
+        validation.valid = false;
+        validation.errors.push(error.message);
+      }
+    }
   }
 
-  // Check collections
+  // Check collections (counts are per collection and subcollection,
+  // e.g. { choptsoMessages: 12, 'choptsoMessages/reactions': 30 })
+  validation.counts = {};
   if (!backupData.collections) {
     validation.valid = false;
     validation.errors.push('Missing collections data');
   } else {
     Object.entries(backupData.collections).forEach(([name, data]) => {
-      if (!Array.isArray(data) && !data.error) {
-        validation.errors.push(`Invalid data format for collection: ${name}`);
-        validation.valid = false;
+      if (!Array.isArray(data)) {
+        if (!data.error) {
+          validation.errors.push(`Invalid data format for collection: ${name}`);
+          validation.valid = false;
+        }
+        return;
       }
+      walkBackupDocuments(name, data, (doc, collectionPath) => {
+        checkEncodedDocument(doc).forEach(problem => {
+          validation.errors.push(`${collectionPath}/${doc && doc.id}: ${problem}`);
+          validation.valid = false;
+        });
+      });
+      const counts = countBackupDocuments(name, data);
+      Object.assign(validation.counts, counts);
+
+      const recorded = (backupData.metadata && backupData.metadata.subcollectionCounts || {})[name] || {};
+      Object.entries(recorded).forEach(([path, count]) => {
+        if ((counts[path] || 0) !== count) {
+          validation.warnings.push(`${path}: file has ${counts[path] || 0} document(s), backup recorded ${count}`);
+        }
+      });
     });
+
+    if (backupData.metadata) {
+      const integrity = verifyBackupManifest(backupData);
+      integrity.errors.forEach(error => validation.errors.push(error));
+      integrity.warnings.forEach(warning => validation.warnings.push(warning));
+      if (integrity.errors.length > 0) validation.valid = false;
+      validation.integrityVerified = integrity.verified;
+    }
   }
 
   return validation;
 }
 
 /**
- * Get list of available backups
+ * Get list of available backups of a school (default: the current school)
  */
-export async function listBackups(limit = 20) {
+export async function listBackups(limit = 20, schoolId = window.Tenancy.getCurrentSchoolId()) {
   try {
     const q = window.firebaseQuery(
       window.firebaseCollection(window.firebaseDb, BACKUP_METADATA_COLLECTION),
+      window.firebaseWhere('schoolId', '==', schoolId),
       window.firebaseOrderBy('timestamp', 'desc'),
       window.firebaseLimit(limit)
     );
@@ -400,24 +1125,9 @@ export async function deleteBackupMetadata(backupId) {
   }
 }
 
-// Predefined collection lists for common backup scenarios
-export const BACKUP_PRESETS = {
-  // Core data
-  CORE: ['students', 'teachers', 'classes', 'users'],
-  
-  // Academic data
-  ACADEMIC: ['students', 'teachers', 'classes', 'grades', 'attendance', 'subjects'],
-  
-  // Financial data
-  FINANCIAL: ['fees', 'expenses'],
-  
-  // All data
-  ALL: [
-    'students', 'teachers', 'classes', 'users', 'grades', 'attendance',
-    'fees', 'expenses', 'announcements', 'events', 'messages',
-    'subjects', 'homework', 'assignments', 'lessonPlans'
-  ]
-};
+// Predefined collection lists for common backup scenarios (shared with
+// the server's scheduled backups, see backup-format.js)
+export const BACKUP_PRESETS = window.BackupFormat.BACKUP_PRESETS;
 
 // Make functions available globally
 if (typeof window !== 'undefined') {
@@ -429,8 +1139,13 @@ if (typeof window !== 'undefined') {
     restoreDatabase,
     importBackupFromJSON,
     validateBackup,
+    resolveBackupChain,
+    mergeBackupChain,
+    validateBackupChain,
+    getBackupChainReport,
     listBackups,
     deleteBackupMetadata,
+    BACKUP_KINDS,
     BACKUP_PRESETS
   };
   
@@ -464,7 +1179,21 @@ if (typeof window !== 'undefined') {
  *    const backups = await window.FirestoreBackup.listBackups();
  *    console.log('Available backups:', backups);
  * 
- * 5. Scheduled backup (example):
+ * 5. Incremental backups and chain restore:
+ *    const nightly = await window.FirestoreBackup.backupDatabase(
+ *      window.FirestoreBackup.BACKUP_PRESETS.ALL,
+ *      { kind: 'incremental', detectDeletions: true }
+ *    );
+ *    window.FirestoreBackup.exportBackupToJSON(nightly);
+ *    // Later: select the full backup file and every increment since
+ *    const files = await Promise.all([...fileInput.files].map(
+ *      f => window.FirestoreBackup.importBackupFromJSON(f)
+ *    ));
+ *    console.log(window.FirestoreBackup.validateBackupChain(files));
+ *    await window.FirestoreBackup.restoreDatabase(files, { clearExisting: true });
+ * 
+ * 6. Scheduled backup (example; only runs while the page stays open -
+ *    prefer BACKUP_SCHEDULE in the server, see backup-scheduler.js):
  *    // Run daily at midnight
  *    setInterval(async () => {
  *      const backup = await window.FirestoreBackup.backupDatabase(
@@ -75,6 +75,9 @@
     generateGradesReport,
     generateSchoolReport,
     
+    // Schools
+    getSchools,
+    
     // Utilities
     getAnnouncements,
     getUpcomingEvents
@@ -130,6 +133,9 @@
     generateGradesReport,
     generateSchoolReport,
     
+    // Schools
+    getSchools,
+    
     // Utilities
     getAnnouncements,
     getUpcomingEvents,
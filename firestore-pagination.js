@@ -7,15 +7,129 @@
  * 
  * Features:
  * - Cursor-based pagination (next/previous)
- * - Offset-based pagination (page numbers)
+ * - Serializable cursor tokens to bookmark and resume a page
+ * - Page numbers through cached cursor checkpoints
  * - Configurable page sizes
  * - First/last page navigation
  * - Total count estimation
  * - Cache support for better performance
  */
 
+// Needs window.Tenancy (tenancy.js, a classic script on the page)
+
+// Version of the cursor token format
+const CURSOR_TOKEN_VERSION = 1;
+
+/**
+ * Cursor values are Firestore field values; Timestamps and Dates are tagged
+ * so they come back as the same type when a token is decoded
+ */
+function encodeCursorValue(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(encodeCursorValue);
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (typeof value === 'object') {
+    if (typeof value.seconds === 'number' && typeof value.nanoseconds === 'number' &&
+        typeof value.toMillis === 'function') {
+      return { $timestamp: [value.seconds, value.nanoseconds] };
+    }
+    return {
+      $map: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeCursorValue(item)]))
+    };
+  }
+  return value;
+}
+
+function decodeCursorValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(decodeCursorValue);
+  if (value.$timestamp) {
+    const [seconds, nanoseconds] = value.$timestamp;
+    return window.firebaseTimestamp
+      ? new window.firebaseTimestamp(seconds, nanoseconds)
+      : new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+  }
+  if (value.$date) return new Date(value.$date);
+  if (value.$map) {
+    return Object.fromEntries(Object.entries(value.$map).map(([key, item]) => [key, decodeCursorValue(item)]));
+  }
+  return value;
+}
+
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(token) {
+  const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+// Short FNV-1a hash identifying a query, so a token is only used with its own query
+function queryFingerprint(collectionName, queryConstraints) {
+  const text = JSON.stringify([
+    collectionName,
+    (queryConstraints.where || []).map(w => [w.field, w.operator, encodeCursorValue(w.value)]),
+    (queryConstraints.orderBy || []).map(o => [o.field, o.direction || 'asc'])
+  ]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Encode a page position as an opaque, URL-safe token
+ * @param {Object} position - { query, pageSize, page, after } where `after`
+ *   holds the order-by values and document ID of the last document before
+ *   the page (null for the first page)
+ * @returns {string} Token
+ */
+export function encodeCursorToken({ query, pageSize, page, after }) {
+  return toBase64Url(JSON.stringify({
+    v: CURSOR_TOKEN_VERSION,
+    q: query,
+    s: pageSize,
+    p: page,
+    a: after ? after.map(encodeCursorValue) : null
+  }));
+}
+
+/**
+ * Decode a token made by encodeCursorToken()
+ * @returns {Object} { query, pageSize, page, after }
+ */
+export function decodeCursorToken(token) {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(String(token)));
+  } catch (error) {
+    throw new Error('Invalid cursor token');
+  }
+  if (!payload || payload.v !== CURSOR_TOKEN_VERSION || !Number.isInteger(payload.p) || payload.p < 1) {
+    throw new Error('Invalid cursor token');
+  }
+  return {
+    query: payload.q,
+    pageSize: payload.s,
+    page: payload.p,
+    after: payload.a ? payload.a.map(decodeCursorValue) : null
+  };
+}
+
 /**
  * Paginator class for managing paginated queries
+ *
+ * Each page is located by the last document before it (its order-by values
+ * and document ID), so positions can be saved as cursor tokens
+ * (`page.cursor`, `paginator.toToken()`) and resumed later with
+ * `resume(token)`, even in another session. Every page visited is kept as a
+ * checkpoint, so `goToPage(n)` jumps straight to a visited page and reaches
+ * a new one by stepping forward from the nearest checkpoint before it.
  */
 export class FirestorePaginator {
   constructor(collectionName, pageSize = 25, queryConstraints = null) {
@@ -28,14 +142,38 @@ export class FirestorePaginator {
     this.hasNext = false;
     this.hasPrev = false;
     this.totalEstimate = 0;
+    // page number -> cursor values of the last document before that page (null for page 1)
+    this.checkpoints = new Map();
+    this.fingerprint = queryFingerprint(collectionName, this.queryConstraints);
+  }
+
+  /**
+   * Order of the query; the document ID always breaks ties so cursors are unique
+   */
+  _orderFields(reverse = false) {
+    const orderBy = this.queryConstraints.orderBy || [];
+    const fields = orderBy.map(o => ({ field: o.field, direction: o.direction || 'asc' }));
+    const lastDirection = fields.length > 0 ? fields[fields.length - 1].direction : 'asc';
+    fields.push({ field: '__name__', direction: lastDirection });
+    if (!reverse) return fields;
+    return fields.map(f => ({ field: f.field, direction: f.direction === 'asc' ? 'desc' : 'asc' }));
+  }
+
+  /**
+   * Order-by values and document ID of a document
+   */
+  _cursorValues(doc) {
+    return this._orderFields().map(({ field }) => (field === '__name__' ? doc.id : doc.get(field)));
   }
 
   /**
    * Build query with constraints
+   * @param {Array} after - Cursor values to start after
+   * @param {boolean} reverse - Query in the opposite order
    */
-  _buildQuery(additionalConstraints = []) {
-    let collectionRef = window.firebaseCollection(window.firebaseDb, this.collectionName);
-    const constraints = [...additionalConstraints];
+  _buildQuery(after = null, reverse = false) {
+    const collectionRef = window.firebaseCollection(window.firebaseDb, this.collectionName);
+    const constraints = [];
 
     // Apply where clauses
     if (this.queryConstraints.where) {
@@ -44,24 +182,86 @@ export class FirestorePaginator {
       });
     }
 
-    // Apply orderBy
-    if (this.queryConstraints.orderBy) {
-      this.queryConstraints.orderBy.forEach(o => {
-        constraints.push(window.firebaseOrderBy(o.field, o.direction || 'asc'));
-      });
-    } else {
-      // Default ordering by document ID if not specified
-      constraints.push(window.firebaseOrderBy('__name__', 'asc'));
+    this._orderFields(reverse).forEach(o => {
+      constraints.push(window.firebaseOrderBy(o.field, o.direction));
+    });
+
+    if (after) {
+      constraints.push(window.firebaseStartAfter(...after));
     }
 
-    // Add page size limit
-    constraints.push(window.firebaseLimit(this.pageSize + 1)); // +1 to check if there's a next page
+    // +1 to check if there's another page
+    constraints.push(window.firebaseLimit(this.pageSize + 1));
 
-    if (constraints.length > 0) {
-      return window.firebaseQuery(collectionRef, ...constraints);
+    return window.firebaseQuery(collectionRef, ...constraints);
+  }
+
+  /**
+   * Fetch the page that starts after the given cursor values
+   */
+  async _fetchPage(page, after) {
+    const snapshot = await window.firebaseGetDocs(this._buildQuery(after));
+    const docs = snapshot.docs.slice(0, this.pageSize);
+
+    this.checkpoints.set(page, after);
+    this.hasNext = snapshot.docs.length > this.pageSize;
+    this.hasPrev = page > 1;
+    this.firstDoc = docs[0] || null;
+    this.lastDoc = docs[docs.length - 1] || null;
+    this.currentPage = page;
+    if (this.hasNext) {
+      this.checkpoints.set(page + 1, this._cursorValues(this.lastDoc));
+    }
+
+    return this._pageResult(docs);
+  }
+
+  _pageResult(docs) {
+    return {
+      data: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      hasNext: this.hasNext,
+      hasPrev: this.hasPrev,
+      page: this.currentPage,
+      pageSize: this.pageSize,
+      cursor: this.toToken(),
+      nextCursor: this.hasNext ? this.toToken(this.currentPage + 1) : null
+    };
+  }
+
+  /**
+   * Cursor token for a page this paginator has a checkpoint for
+   * @param {number} page - Page number (default the current page)
+   * @returns {string|null} Token, null if the page's position is not known yet
+   */
+  toToken(page = this.currentPage) {
+    if (!page || !this.checkpoints.has(page)) return null;
+    return encodeCursorToken({
+      query: this.fingerprint,
+      pageSize: this.pageSize,
+      page,
+      after: this.checkpoints.get(page)
+    });
+  }
+
+  /**
+   * Fetch the page a cursor token points at
+   * @param {string} token - Token from toToken() or a page's cursor/nextCursor
+   */
+  async resume(token) {
+    const position = decodeCursorToken(token);
+    if (position.query !== this.fingerprint) {
+      throw new Error(`Cursor token is for a different ${this.collectionName} query`);
+    }
+    if (position.pageSize !== this.pageSize) {
+      throw new Error(`Cursor token is for pages of ${position.pageSize}, not ${this.pageSize}`);
     }
 
-    return collectionRef;
+    try {
+      return await this._fetchPage(position.page, position.after);
+    } catch (error) {
+      console.error('Error resuming from cursor token:', error);
+      throw error;
+    }
   }
 
   /**
@@ -69,35 +269,7 @@ export class FirestorePaginator {
    */
   async first() {
     try {
-      const query = this._buildQuery();
-      const snapshot = await window.firebaseGetDocs(query);
-
-      const results = [];
-      let count = 0;
-
-      snapshot.forEach((doc) => {
-        if (count < this.pageSize) {
-          results.push({
-            id: doc.id,
-            ...doc.data()
-          });
-          count++;
-        }
-      });
-
-      this.hasNext = snapshot.size > this.pageSize;
-      this.hasPrev = false;
-      this.firstDoc = snapshot.docs[0];
-      this.lastDoc = snapshot.docs[Math.min(this.pageSize - 1, snapshot.docs.length - 1)];
-      this.currentPage = 1;
-
-      return {
-        data: results,
-        hasNext: this.hasNext,
-        hasPrev: this.hasPrev,
-        page: this.currentPage,
-        pageSize: this.pageSize
-      };
+      return await this._fetchPage(1, null);
     } catch (error) {
       console.error('Error fetching first page:', error);
       throw error;
@@ -113,37 +285,7 @@ export class FirestorePaginator {
     }
 
     try {
-      const query = this._buildQuery([
-        window.firebaseStartAfter(this.lastDoc)
-      ]);
-
-      const snapshot = await window.firebaseGetDocs(query);
-      const results = [];
-      let count = 0;
-
-      snapshot.forEach((doc) => {
-        if (count < this.pageSize) {
-          results.push({
-            id: doc.id,
-            ...doc.data()
-          });
-          count++;
-        }
-      });
-
-      this.hasNext = snapshot.size > this.pageSize;
-      this.hasPrev = true;
-      this.firstDoc = snapshot.docs[0];
-      this.lastDoc = snapshot.docs[Math.min(this.pageSize - 1, snapshot.docs.length - 1)];
-      this.currentPage++;
-
-      return {
-        data: results,
-        hasNext: this.hasNext,
-        hasPrev: this.hasPrev,
-        page: this.currentPage,
-        pageSize: this.pageSize
-      };
+      return await this._fetchPage(this.currentPage + 1, this._cursorValues(this.lastDoc));
     } catch (error) {
       console.error('Error fetching next page:', error);
       throw error;
@@ -159,70 +301,56 @@ export class FirestorePaginator {
     }
 
     try {
-      // For previous, we need to query backwards
-      const reverseConstraints = [];
-      
-      // Reverse the order
-      if (this.queryConstraints.orderBy) {
-        this.queryConstraints.orderBy.forEach(o => {
-          const reverseDirection = o.direction === 'asc' ? 'desc' : 'asc';
-          reverseConstraints.push(window.firebaseOrderBy(o.field, reverseDirection));
-        });
-      } else {
-        reverseConstraints.push(window.firebaseOrderBy('__name__', 'desc'));
+      const page = this.currentPage - 1;
+      if (this.checkpoints.has(page)) {
+        return await this._fetchPage(page, this.checkpoints.get(page));
       }
 
-      reverseConstraints.push(window.firebaseStartAfter(this.firstDoc));
-      reverseConstraints.push(window.firebaseLimit(this.pageSize + 1));
+      // Query backwards from the first document of this page; the extra
+      // document is the last one before the previous page
+      const snapshot = await window.firebaseGetDocs(this._buildQuery(this._cursorValues(this.firstDoc), true));
+      const docs = snapshot.docs.slice(0, this.pageSize).reverse();
+      const before = snapshot.docs[this.pageSize];
 
-      let collectionRef = window.firebaseCollection(window.firebaseDb, this.collectionName);
-      
-      // Apply where clauses
-      const constraints = [...reverseConstraints];
-      if (this.queryConstraints.where) {
-        this.queryConstraints.where.forEach(w => {
-          constraints.unshift(window.firebaseWhere(w.field, w.operator, w.value));
-        });
-      }
-
-      const query = window.firebaseQuery(collectionRef, ...constraints);
-      const snapshot = await window.firebaseGetDocs(query);
+      this.hasNext = true;
+      this.hasPrev = Boolean(before);
+      this.firstDoc = docs[0] || null;
+      this.lastDoc = docs[docs.length - 1] || null;
+      this.currentPage = before ? Math.max(page, 2) : 1;
+      this.checkpoints.set(this.currentPage, before ? this._cursorValues(before) : null);
 
-      const results = [];
-      let count = 0;
+      return this._pageResult(docs);
+    } catch (error) {
+      console.error('Error fetching previous page:', error);
+      throw error;
+    }
+  }
 
-      // Reverse the results back to original order
-      const docs = [];
-      snapshot.forEach((doc) => {
-        if (count < this.pageSize) {
-          docs.push(doc);
-          count++;
-        }
-      });
-      docs.reverse();
+  /**
+   * Fetch a page by number
+   * A page visited before is read directly from its checkpoint; a new page
+   * is reached by stepping forward from the nearest checkpoint before it,
+   * reading only the pages in between.
+   * @param {number} page - Page number (from 1)
+   */
+  async goToPage(page) {
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error(`Invalid page number: ${page}`);
+    }
 
-      docs.forEach((doc) => {
-        results.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+    try {
+      if (this.checkpoints.has(page)) {
+        return await this._fetchPage(page, this.checkpoints.get(page));
+      }
 
-      this.hasNext = true;
-      this.hasPrev = snapshot.size > this.pageSize;
-      this.firstDoc = docs[0];
-      this.lastDoc = docs[docs.length - 1];
-      this.currentPage--;
-
-      return {
-        data: results,
-        hasNext: this.hasNext,
-        hasPrev: this.hasPrev,
-        page: this.currentPage,
-        pageSize: this.pageSize
-      };
+      const nearest = Math.max(1, ...[...this.checkpoints.keys()].filter(known => known < page));
+      let result = await this._fetchPage(nearest, this.checkpoints.get(nearest) || null);
+      while (this.currentPage < page && this.hasNext) {
+        result = await this.next();
+      }
+      return result;
     } catch (error) {
-      console.error('Error fetching previous page:', error);
+      console.error(`Error fetching page ${page}:`, error);
       throw error;
     }
   }
@@ -264,61 +392,36 @@ export class FirestorePaginator {
     this.lastDoc = null;
     this.hasNext = false;
     this.hasPrev = false;
+    this.checkpoints.clear();
   }
 }
 
+// Paginators kept by paginateWithOffset(), so their checkpoints are reused
+const offsetPaginators = new Map();
+
 /**
- * Simple pagination helper for offset-based pagination
- * Note: Less efficient than cursor-based for large datasets
+ * Fetch a page by number
+ * Pages are found through cursor checkpoints kept per query (see
+ * FirestorePaginator.goToPage()), so repeated or nearby page requests do not
+ * re-read every earlier document.
  */
 export async function paginateWithOffset(collectionName, page = 1, pageSize = 25, queryConstraints = null) {
   try {
-    let collectionRef = window.firebaseCollection(window.firebaseDb, collectionName);
-    const constraints = [];
-
-    // Apply where clauses
-    if (queryConstraints && queryConstraints.where) {
-      queryConstraints.where.forEach(w => {
-        constraints.push(window.firebaseWhere(w.field, w.operator, w.value));
-      });
-    }
-
-    // Apply orderBy
-    if (queryConstraints && queryConstraints.orderBy) {
-      queryConstraints.orderBy.forEach(o => {
-        constraints.push(window.firebaseOrderBy(o.field, o.direction || 'asc'));
-      });
+    const key = `${queryFingerprint(collectionName, queryConstraints || {})}:${pageSize}`;
+    if (!offsetPaginators.has(key)) {
+      offsetPaginators.set(key, new FirestorePaginator(collectionName, pageSize, queryConstraints));
     }
+    // goToPage() stops at the last page when there are fewer pages
+    const result = await offsetPaginators.get(key).goToPage(page);
+    const found = result.page === page;
 
-    // Calculate offset
-    const offset = (page - 1) * pageSize;
-    
-    // Fetch all docs up to offset + pageSize
-    constraints.push(window.firebaseLimit(offset + pageSize));
-
-    const query = constraints.length > 0 
-      ? window.firebaseQuery(collectionRef, ...constraints)
-      : collectionRef;
-
-    const snapshot = await window.firebaseGetDocs(query);
-    const allDocs = [];
-    
-    snapshot.forEach((doc) => {
-      allDocs.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-
-    // Slice to get the current page
-    const results = allDocs.slice(offset, offset + pageSize);
-    
     return {
-      data: results,
+      data: found ? result.data : [],
       page,
       pageSize,
-      hasMore: allDocs.length > offset + pageSize,
-      total: snapshot.size
+      hasMore: found && result.hasNext,
+      total: (result.page - 1) * pageSize + result.data.length,
+      cursor: found ? result.cursor : null
     };
   } catch (error) {
     console.error('Error with offset pagination:', error);
@@ -409,16 +512,50 @@ export function createMessagesPaginator(userId, pageSize = 20) {
   return new FirestorePaginator('messages', pageSize, constraints);
 }
 
+/**
+ * Paginate audit logs of the current school, newest first
+ * Filters combine; each equality filter uses its (field, timestamp) index
+ * from firestore.indexes.json.
+ * @param {number} pageSize
+ * @param {Object} filters - userEmail, action, resource, resourceId, status,
+ *   startDate, endDate (Date)
+ */
+export function createAuditLogsPaginator(pageSize = 25, filters = {}) {
+  const constraints = {
+    where: [{ field: 'schoolId', operator: '==', value: window.Tenancy.getCurrentSchoolId() }]
+  };
+  
+  ['userEmail', 'action', 'resource', 'resourceId', 'status'].forEach(field => {
+    if (filters[field]) {
+      constraints.where.push({ field, operator: '==', value: filters[field] });
+    }
+  });
+  
+  if (filters.startDate) {
+    constraints.where.push({ field: 'timestamp', operator: '>=', value: filters.startDate });
+  }
+  if (filters.endDate) {
+    constraints.where.push({ field: 'timestamp', operator: '<=', value: filters.endDate });
+  }
+  
+  constraints.orderBy = [{ field: 'timestamp', direction: 'desc' }];
+  
+  return new FirestorePaginator('auditLogs', pageSize, constraints);
+}
+
 // Make functions available globally
 if (typeof window !== 'undefined') {
   window.FirestorePagination = {
     FirestorePaginator,
     paginateWithOffset,
+    encodeCursorToken,
+    decodeCursorToken,
     createStudentsPaginator,
     createTeachersPaginator,
     createAnnouncementsPaginator,
     createExpensesPaginator,
-    createMessagesPaginator
+    createMessagesPaginator,
+    createAuditLogsPaginator
   };
   
   console.log('✓ Firestore Pagination module initialized');
@@ -448,7 +585,17 @@ if (typeof window !== 'undefined') {
  *      const page1Again = await paginator.previous();
  *    }
  * 
- * 2. Offset-based pagination:
+ * 2. Bookmark a page and come back to it later:
+ *    const page = await paginator.next();
+ *    localStorage.setItem('studentsPage', page.cursor);
+ *    
+ *    // Later, with a paginator for the same query and page size
+ *    const resumed = await paginator.resume(localStorage.getItem('studentsPage'));
+ *    
+ *    // Jump to a page number (visited pages are read from their checkpoint)
+ *    const page5 = await paginator.goToPage(5);
+ * 
+ * 3. Page numbers without a paginator:
  *    const result = await window.FirestorePagination.paginateWithOffset(
  *      'students',
  *      2, // page number
@@ -457,12 +604,12 @@ if (typeof window !== 'undefined') {
  *    );
  *    console.log(result.data, result.hasMore);
  * 
- * 3. Get total count:
+ * 4. Get total count:
  *    const paginator = window.FirestorePagination.createStudentsPaginator(25);
  *    const total = await paginator.getTotalCount();
  *    console.log(`Total students: ${total}`);
  * 
- * 4. Paginate with filters:
+ * 5. Paginate with filters:
  *    const paginator = window.FirestorePagination.createExpensesPaginator(25, {
  *      category: 'Utilities',
  *      startDate: '2026-01-01',
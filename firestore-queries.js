@@ -9,6 +9,27 @@
  * All functions assume that Firebase has been initialized and firebaseDb is available.
  */
 
+import './academic-records.js';
+// tenancy.js is loaded by the page as a classic script, so there is one current school (window.Tenancy)
+
+const {
+  ATTENDANCE_COLLECTION,
+  GRADEBOOK_COLLECTION,
+  toDateKey,
+  attendanceSessionId,
+  assembleTermGrades,
+  studentGradeRows,
+  summarizeAttendance
+} = window.AcademicRecords;
+
+const {
+  SCHOOLS_COLLECTION,
+  DEFAULT_SCHOOL_ID,
+  schoolCollectionPath,
+  schoolProfile,
+  consolidateSchoolReports
+} = window.Tenancy;
+
 /**
  * ========================================
  * DASHBOARD QUERIES
@@ -488,25 +509,21 @@ export async function getClassWithStudents(classId) {
  * Get attendance for a specific class and date
  * @param {string} classId - Class ID (document ID)
  * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<Object>} Attendance data
+ * @returns {Promise<Object>} Attendance session ({ classId, date, records: {} } when none was taken)
  */
 export async function getAttendanceByClassAndDate(classId, date) {
   try {
     const { getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-    const attendanceDocRef = window.firebaseDoc(window.firebaseDb, 'attendance', classId);
-    const attendanceDoc = await getDoc(attendanceDocRef);
+    const sessionDocRef = window.firebaseDoc(window.firebaseDb, ATTENDANCE_COLLECTION, attendanceSessionId(classId, date));
+    const sessionDoc = await getDoc(sessionDocRef);
     
-    if (!attendanceDoc.exists()) {
+    if (!sessionDoc.exists()) {
       return { classId, date, records: {} };
     }
     
-    const attendanceData = attendanceDoc.data();
-    
-    // Return attendance for the specific date
     return {
-      classId,
-      date,
-      records: attendanceData[date] || {}
+      id: sessionDoc.id,
+      ...sessionDoc.data()
     };
   } catch (error) {
     console.error('Error fetching attendance:', error);
@@ -517,17 +534,17 @@ export async function getAttendanceByClassAndDate(classId, date) {
 /**
  * Get attendance records for a class within a date range
  * @param {string} classId - Class ID
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
- * @returns {Promise<Array>} Array of attendance records
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
+ * @returns {Promise<Array>} Attendance sessions, most recent first
  */
 export async function getAttendanceByClassAndDateRange(classId, startDate, endDate) {
   try {
     const attendanceQuery = window.firebaseQuery(
-      window.firebaseCollection(window.firebaseDb, 'attendance'),
-      window.firebaseWhere('classId', '==', classId),
-      window.firebaseWhere('date', '>=', window.firebaseTimestamp.fromDate(startDate)),
-      window.firebaseWhere('date', '<=', window.firebaseTimestamp.fromDate(endDate)),
+      window.firebaseCollection(window.firebaseDb, ATTENDANCE_COLLECTION),
+      window.firebaseWhere('classId', '==', String(classId)),
+      window.firebaseWhere('date', '>=', toDateKey(startDate)),
+      window.firebaseWhere('date', '<=', toDateKey(endDate)),
       window.firebaseOrderBy('date', 'desc')
     );
     
@@ -555,53 +572,13 @@ export async function getAttendanceByClassAndDateRange(classId, startDate, endDa
  */
 export async function getStudentAttendanceSummary(studentId) {
   try {
-    const { getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-    
-    // Get all classes the student is enrolled in
-    const classesQuery = window.firebaseQuery(
-      window.firebaseCollection(window.firebaseDb, 'classes'),
-      window.firebaseWhere('studentIds', 'array-contains', studentId)
+    const attendanceQuery = window.firebaseQuery(
+      window.firebaseCollection(window.firebaseDb, ATTENDANCE_COLLECTION),
+      window.firebaseWhere('studentIds', 'array-contains', String(studentId))
     );
     
-    const classesSnapshot = await window.firebaseGetDocs(classesQuery);
-    let totalPresent = 0;
-    let totalAbsent = 0;
-    let totalLate = 0;
-    let totalDays = 0;
-    
-    for (const classDoc of classesSnapshot.docs) {
-      const classId = classDoc.id;
-      
-      // Get attendance records for this class
-      const attendanceDocRef = window.firebaseDoc(window.firebaseDb, 'attendance', classId);
-      const attendanceDoc = await getDoc(attendanceDocRef);
-      
-      if (attendanceDoc.exists()) {
-        const attendanceData = attendanceDoc.data();
-        
-        // Iterate through all dates in attendance
-        Object.keys(attendanceData).forEach(date => {
-          if (attendanceData[date][studentId]) {
-            totalDays++;
-            const status = attendanceData[date][studentId].status;
-            if (status === 'Present') totalPresent++;
-            else if (status === 'Absent') totalAbsent++;
-            else if (status === 'Late') totalLate++;
-          }
-        });
-      }
-    }
-    
-    const attendanceRate = totalDays > 0 ? Math.round((totalPresent / totalDays) * 100) : 0;
-    
-    return {
-      studentId,
-      totalPresent,
-      totalAbsent,
-      totalLate,
-      totalDays,
-      attendanceRate
-    };
+    const snapshot = await window.firebaseGetDocs(attendanceQuery);
+    return summarizeAttendance(snapshot.docs.map(doc => doc.data()), studentId);
   } catch (error) {
     console.error('Error fetching student attendance summary:', error);
     throw error;
@@ -618,24 +595,22 @@ export async function getStudentAttendanceSummary(studentId) {
  * Get grades for a specific class and term
  * @param {string} classId - Class ID (document ID)
  * @param {string} term - Term (e.g., "Term 1 2026")
- * @returns {Promise<Object>} Grades data
+ * @returns {Promise<Object>} { classId, term, grades: { [studentId]: { [subject]: mark, comment } } }
  */
 export async function getGradesByClassAndTerm(classId, term) {
   try {
-    const { getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-    const gradesDocRef = window.firebaseDoc(window.firebaseDb, 'gradesData', classId);
-    const gradesDoc = await getDoc(gradesDocRef);
-    
-    if (!gradesDoc.exists()) {
-      return { classId, term, grades: {} };
-    }
+    const gradesQuery = window.firebaseQuery(
+      window.firebaseCollection(window.firebaseDb, GRADEBOOK_COLLECTION),
+      window.firebaseWhere('classId', '==', String(classId)),
+      window.firebaseWhere('term', '==', term)
+    );
     
-    const gradesData = gradesDoc.data();
+    const snapshot = await window.firebaseGetDocs(gradesQuery);
     
     return {
       classId,
       term,
-      grades: gradesData[term] || {}
+      grades: assembleTermGrades(snapshot.docs.map(doc => doc.data()))
     };
   } catch (error) {
     console.error('Error fetching grades:', error);
@@ -646,26 +621,20 @@ export async function getGradesByClassAndTerm(classId, term) {
 /**
  * Get all grades for a student
  * @param {string} studentId - Student ID
- * @returns {Promise<Array>} Array of grade records
+ * @returns {Promise<Array>} [{ id, classId, term, subject, assessment, score }], plus
+ *   { subject: null, assessment: 'comment', comment } rows for term comments
  */
 export async function getGradesByStudent(studentId) {
   try {
     const gradesQuery = window.firebaseQuery(
-      window.firebaseCollection(window.firebaseDb, 'gradesData'),
-      window.firebaseWhere('studentId', '==', studentId)
+      window.firebaseCollection(window.firebaseDb, GRADEBOOK_COLLECTION),
+      window.firebaseWhere('studentIds', 'array-contains', String(studentId))
     );
     
     const snapshot = await window.firebaseGetDocs(gradesQuery);
-    const grades = [];
-    
-    snapshot.forEach((doc) => {
-      grades.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     
-    return grades;
+    return studentGradeRows(docs, studentId);
   } catch (error) {
     console.error('Error fetching student grades:', error);
     throw error;
@@ -680,12 +649,19 @@ export async function getGradesByStudent(studentId) {
  */
 export async function getClassGradeStatistics(classId, term) {
   try {
+    const { gradeSymbol } = requireGradingSchemes();
     const gradesData = await getGradesByClassAndTerm(classId, term);
     const grades = gradesData.grades;
+    const schemes = await getAssessmentSchemes();
+    const classData = await getClassDocument(classId);
+    const subjects = await getClassSubjects(classId);
+    const schemeFor = subject => resolveClassScheme(schemes, classData, subjects, term, subject);
     
     const stats = {
       totalStudents: Object.keys(grades).length,
       subjectAverages: {},
+      subjectSymbols: {},
+      passMark: schemeFor().passMark,
       topPerformers: [],
       failingStudents: []
     };
@@ -714,6 +690,7 @@ export async function getClassGradeStatistics(classId, term) {
       const scores = subjectScores[subject];
       const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
       stats.subjectAverages[subject] = Math.round(average * 10) / 10;
+      stats.subjectSymbols[subject] = gradeSymbol(average, schemeFor(subject).scale);
     });
     
     return stats;
@@ -723,6 +700,80 @@ export async function getClassGradeStatistics(classId, term) {
   }
 }
 
+// grading-schemes.js is a classic script; its functions live on window
+function requireGradingSchemes() {
+  if (typeof window.resolveAssessmentScheme !== 'function') {
+    throw new Error('grading-schemes.js must be loaded before using grade queries');
+  }
+  return window;
+}
+
+// Class fields only, without fetching the enrolled students
+async function getClassDocument(classId) {
+  const classDoc = await window.firebaseGetDoc(window.firebaseDoc(window.firebaseDb, 'classes', classId));
+  return classDoc.exists() ? classDoc.data() : null;
+}
+
+function resolveClassScheme(schemes, classData, subjects, term, subjectName) {
+  const subject = subjects.find(sub => sub.name === subjectName);
+  return requireGradingSchemes().resolveAssessmentScheme(schemes, {
+    grade: classData ? classData.grade : '',
+    subject: subjectName,
+    term,
+    schemeId: subject ? subject.schemeId : undefined
+  });
+}
+
+// Schemes used in a grades report: one for the class overall, one per subject
+function resolveReportSchemes(schemes, classData, subjects, term) {
+  const bySubject = {};
+  subjects.forEach(sub => {
+    bySubject[sub.name] = resolveClassScheme(schemes, classData, subjects, term, sub.name);
+  });
+  return { class: resolveClassScheme(schemes, classData, subjects, term), subjects: bySubject };
+}
+
+/**
+ * Get all assessment schemes
+ * @returns {Promise<Array>} Array of stored schemes (see grading-schemes.js)
+ */
+export async function getAssessmentSchemes() {
+  try {
+    const schemesSnapshot = await window.firebaseGetDocs(
+      window.firebaseCollection(window.firebaseDb, 'assessmentSchemes')
+    );
+    
+    const schemes = [];
+    schemesSnapshot.forEach((doc) => {
+      schemes.push({ id: doc.id, ...doc.data() });
+    });
+    
+    return schemes;
+  } catch (error) {
+    console.error('Error fetching assessment schemes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the assessment scheme that applies to a class, term and subject
+ * @param {string} classId - Class ID
+ * @param {string} term - Term
+ * @param {string} subject - Subject name (optional)
+ * @returns {Promise<Object>} Resolved scheme (the default scheme if none match)
+ */
+export async function getAssessmentScheme(classId, term, subject) {
+  try {
+    const schemes = await getAssessmentSchemes();
+    const classData = await getClassDocument(classId);
+    const subjects = await getClassSubjects(classId);
+    return resolveClassScheme(schemes, classData, subjects, term, subject);
+  } catch (error) {
+    console.error('Error resolving assessment scheme:', error);
+    throw error;
+  }
+}
+
 /**
  * Get subjects for a class
  * @param {string} classId - Class ID (document ID)
@@ -937,6 +988,46 @@ export async function getExpensesByCategory(category) {
   }
 }
 
+/**
+ * Income, expense and surplus totals of fee and expense records
+ */
+function summarizeFinances(fees, expenses) {
+  // Calculate totals
+  let totalDue = 0;
+  let totalPaid = 0;
+  let totalBalance = 0;
+  
+  fees.forEach(fee => {
+    const itemsTotal = (fee.items || []).reduce((sum, i) => sum + (parseFloat(i.amount) || 0), 0);
+    const discountsTotal = (fee.discounts || []).reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+    const netDue = itemsTotal - discountsTotal;
+    const paidTotal = (fee.payments || []).reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+    const balance = netDue - paidTotal;
+    
+    totalDue += netDue;
+    totalPaid += paidTotal;
+    totalBalance += balance;
+  });
+  
+  const totalExpenses = expenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+  const collectionRate = totalDue > 0 ? Math.round((totalPaid / totalDue) * 100) : 0;
+  const netSurplus = totalPaid - totalExpenses;
+  
+  return {
+    income: {
+      totalDue,
+      totalPaid,
+      totalBalance,
+      collectionRate
+    },
+    expenses: {
+      total: totalExpenses,
+      byCategory: {}
+    },
+    netSurplus
+  };
+}
+
 /**
  * Get financial summary
  * @param {Date} startDate - Start date (optional)
@@ -955,40 +1046,7 @@ export async function getFinancialSummary(startDate = null, endDate = null) {
       expenses = await getAllExpenses();
     }
     
-    // Calculate totals
-    let totalDue = 0;
-    let totalPaid = 0;
-    let totalBalance = 0;
-    
-    fees.forEach(fee => {
-      const itemsTotal = (fee.items || []).reduce((sum, i) => sum + (parseFloat(i.amount) || 0), 0);
-      const discountsTotal = (fee.discounts || []).reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
-      const netDue = itemsTotal - discountsTotal;
-      const paidTotal = (fee.payments || []).reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
-      const balance = netDue - paidTotal;
-      
-      totalDue += netDue;
-      totalPaid += paidTotal;
-      totalBalance += balance;
-    });
-    
-    const totalExpenses = expenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
-    const collectionRate = totalDue > 0 ? Math.round((totalPaid / totalDue) * 100) : 0;
-    const netSurplus = totalPaid - totalExpenses;
-    
-    return {
-      income: {
-        totalDue,
-        totalPaid,
-        totalBalance,
-        collectionRate
-      },
-      expenses: {
-        total: totalExpenses,
-        byCategory: {}
-      },
-      netSurplus
-    };
+    return summarizeFinances(fees, expenses);
   } catch (error) {
     console.error('Error calculating financial summary:', error);
     throw error;
@@ -1057,8 +1115,9 @@ export async function generateAttendanceReport(classId, startDate, endDate) {
         let late = 0;
         
         attendanceRecords.forEach(record => {
-          if (record[student.id]) {
-            const status = record[student.id].status;
+          const studentRecord = record.records && record.records[student.id];
+          if (studentRecord) {
+            const status = studentRecord.status;
             if (status === 'Present') present++;
             else if (status === 'Absent') absent++;
             else if (status === 'Late') late++;
@@ -1099,6 +1158,7 @@ export async function generateGradesReport(classId, term) {
     const classData = await getClassWithStudents(classId);
     const subjects = await getClassSubjects(classId);
     const statistics = await getClassGradeStatistics(classId, term);
+    const schemes = await getAssessmentSchemes();
     
     return {
       class: classData,
@@ -1106,6 +1166,7 @@ export async function generateGradesReport(classId, term) {
       grades: gradesData.grades,
       subjects,
       statistics,
+      assessmentSchemes: resolveReportSchemes(schemes, classData, subjects, term),
       reportDate: new Date()
     };
   } catch (error) {
@@ -1115,18 +1176,86 @@ export async function generateGradesReport(classId, term) {
 }
 
 /**
- * Generate overall school report
- * @returns {Promise<Object>} Comprehensive school report
+ * Get the group's schools (a database without a schools collection holds one school)
+ * @returns {Promise<Array>} School profiles, by campus
+ */
+export async function getSchools() {
+  try {
+    const snapshot = await window.firebaseGetDocs(
+      window.firebaseCollection(window.firebaseDb, SCHOOLS_COLLECTION)
+    );
+    const schools = [];
+    snapshot.forEach((doc) => {
+      schools.push(schoolProfile({ id: doc.id, ...doc.data() }));
+    });
+    if (schools.length === 0) {
+      return [schoolProfile({ id: DEFAULT_SCHOOL_ID })];
+    }
+    return schools.sort((a, b) => String(a.campus).localeCompare(String(b.campus)));
+  } catch (error) {
+    console.error('Error fetching schools:', error);
+    throw error;
+  }
+}
+
+/**
+ * Overview and finances of one school, read by its full paths
+ */
+async function summarizeSchool(school) {
+  const read = async (collectionName) => {
+    const snapshot = await window.firebaseGetDocs(
+      window.firebaseCollection(window.firebaseDb, schoolCollectionPath(school.id, collectionName))
+    );
+    const records = [];
+    snapshot.forEach((doc) => {
+      records.push({ id: doc.id, ...doc.data() });
+    });
+    return records;
+  };
+  const [students, teachers, classes, fees, expenses] = await Promise.all(
+    ['students', 'teachers', 'classes', 'fees', 'expenses'].map(read)
+  );
+
+  return {
+    school,
+    overview: {
+      totalStudents: students.length,
+      totalTeachers: teachers.length,
+      totalClasses: classes.length
+    },
+    financial: summarizeFinances(fees, expenses)
+  };
+}
+
+/**
+ * Generate overall school report for the current school, or a consolidated
+ * report across campuses when schoolIds is given
+ * @param {Object} options
+ * @param {Array<string>} options.schoolIds - Schools to consolidate (group administrators)
+ * @returns {Promise<Object>} Comprehensive school report; consolidated
+ *   reports carry group totals plus a report per school in `schools`
  */
-export async function generateSchoolReport() {
+export async function generateSchoolReport({ schoolIds } = {}) {
   try {
-    const dashboardStats = await getDashboardStats();
+    const allSchools = await getSchools();
+    const findSchool = (id) => allSchools.find(school => school.id === id) || schoolProfile({ id });
+
+    if (schoolIds) {
+      const schools = await Promise.all(schoolIds.map(id => summarizeSchool(findSchool(id))));
+      return {
+        ...consolidateSchoolReports(schools),
+        schools,
+        reportDate: new Date()
+      };
+    }
+
     const students = await getAllStudents();
     const teachers = await getAllTeachers();
     const classes = await getAllClasses();
     const financialSummary = await getFinancialSummary();
     
     return {
+      school: findSchool(window.Tenancy.getCurrentSchoolId()),
       overview: {
         totalStudents: students.length,
         totalTeachers: teachers.length,
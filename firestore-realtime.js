@@ -7,17 +7,452 @@
  * 
  * Features:
  * - Real-time data sync with onSnapshot()
- * - Automatic reconnection on network issues
- * - Subscription management
+ * - Automatic restart of errored listeners with backoff and token refresh
+ * - Per-subscription health (state, last event, errors, restarts)
+ * - Subscription management (identical queries share one listener)
+ * - Normalized local store of the documents of active queries
+ * - Selector subscriptions that fire only when their result changes
  * - Error handling and recovery
  * - Memory leak prevention
+ * - Live local search index (see search-index.js)
  */
 
+import './academic-records.js';
+
+const {
+  ATTENDANCE_COLLECTION,
+  GRADEBOOK_COLLECTION,
+  attendanceSessionId,
+  assembleTermGrades
+} = window.AcademicRecords;
+
 // Store active subscriptions to prevent memory leaks
+// Collection queries and documents are stored once per distinct query or
+// document, however many callers subscribe to it
 const activeSubscriptions = new Map();
 
+// Normalized documents from every active query: collection -> (doc ID -> doc)
+// A document keeps the same object until it changes, so selectors can
+// compare results by identity.
+const documentStore = new Map();
+
+// Errored listeners are restarted after 1s, 2s, 4s... up to a minute
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 60 * 1000;
+// Errors that may come from an expired sign-in; the ID token is refreshed before restarting
+const AUTH_ERROR_CODES = ['permission-denied', 'unauthenticated'];
+// Give up after this many auth errors in a row (the rules really deny access)
+const MAX_AUTH_RESTARTS = 3;
+// How often subscriptions nobody listens to any more are closed
+const ZOMBIE_SWEEP_INTERVAL = 60 * 1000;
+
+let zombieSweepTimer = null;
+let stopAuthWatch = null;
+
+/**
+ * Key identifying a query, so identical queries share one listener
+ */
+function queryKey(collectionName, queryConstraints) {
+  const constraints = queryConstraints || {};
+  return 'query:' + JSON.stringify([
+    collectionName,
+    (constraints.where || []).map(w => [w.field, w.operator, w.value]),
+    (constraints.orderBy || []).map(o => [o.field, o.direction || 'asc']),
+    constraints.limit || null
+  ]);
+}
+
+function buildCollectionQuery(collectionName, queryConstraints) {
+  let collectionRef = window.firebaseCollection(window.firebaseDb, collectionName);
+
+  // Apply query constraints if provided
+  if (queryConstraints) {
+    const constraints = [];
+
+    if (queryConstraints.where) {
+      queryConstraints.where.forEach(w => {
+        constraints.push(window.firebaseWhere(w.field, w.operator, w.value));
+      });
+    }
+
+    if (queryConstraints.orderBy) {
+      queryConstraints.orderBy.forEach(o => {
+        constraints.push(window.firebaseOrderBy(o.field, o.direction || 'asc'));
+      });
+    }
+
+    if (queryConstraints.limit) {
+      constraints.push(window.firebaseLimit(queryConstraints.limit));
+    }
+
+    if (constraints.length > 0) {
+      collectionRef = window.firebaseQuery(collectionRef, ...constraints);
+    }
+  }
+
+  return collectionRef;
+}
+
+function collectionStore(collectionName) {
+  if (!documentStore.has(collectionName)) documentStore.set(collectionName, new Map());
+  return documentStore.get(collectionName);
+}
+
+// Drop documents no other active query on the collection still holds
+function releaseDocuments(collectionName, docIds, exceptKey) {
+  const store = documentStore.get(collectionName);
+  if (!store) return;
+  docIds.forEach(id => {
+    const held = [...activeSubscriptions.entries()].some(([key, sub]) =>
+      key !== exceptKey && sub.collection === collectionName && sub.docIds.includes(id));
+    if (!held) store.delete(id);
+  });
+  if (store.size === 0) documentStore.delete(collectionName);
+}
+
+// Call a subscriber without letting its errors reach the other subscribers
+function notifySubscriber(subscriber, result) {
+  try {
+    subscriber.onUpdate(result);
+  } catch (error) {
+    console.error(`Error in real-time subscriber for ${subscriber.collection}:`, error);
+  }
+}
+
+// Same document contents (ignoring object identity)
+function sameDocument(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Apply a query snapshot to the store and notify the subscribers
+ * After a restart the first snapshot lists every document as added, so it
+ * is compared with what the subscribers already have instead.
+ */
+function handleQuerySnapshot(shared, snapshot) {
+  const store = collectionStore(shared.collection);
+  const changes = {
+    added: [],
+    modified: [],
+    removed: []
+  };
+
+  if (shared.resync) {
+    const known = new Set(shared.docIds);
+    const current = new Set();
+    snapshot.docs.forEach((doc) => {
+      const docData = { id: doc.id, ...doc.data() };
+      current.add(doc.id);
+      if (!known.has(doc.id)) {
+        changes.added.push(docData);
+        store.set(doc.id, docData);
+      } else if (!sameDocument(store.get(doc.id), docData)) {
+        changes.modified.push(docData);
+        store.set(doc.id, docData);
+      }
+    });
+    shared.docIds.forEach(id => {
+      if (!current.has(id)) changes.removed.push(store.get(id) || { id });
+    });
+    shared.resync = false;
+  } else {
+    // Track individual document changes
+    snapshot.docChanges().forEach((change) => {
+      const docData = {
+        id: change.doc.id,
+        ...change.doc.data()
+      };
+
+      if (change.type === 'added') {
+        changes.added.push(docData);
+        store.set(docData.id, docData);
+      } else if (change.type === 'modified') {
+        changes.modified.push(docData);
+        store.set(docData.id, docData);
+      } else if (change.type === 'removed') {
+        changes.removed.push(docData);
+      }
+    });
+  }
+
+  const previousIds = shared.docIds;
+  shared.docIds = snapshot.docs.map(doc => doc.id);
+  shared.data = shared.docIds.map(id => store.get(id));
+  releaseDocuments(shared.collection, previousIds.filter(id => !shared.docIds.includes(id)), shared.key);
+
+  // Call the update callbacks with full data and changes
+  shared.lastResult = {
+    data: shared.data,
+    changes,
+    timestamp: new Date()
+  };
+  [...shared.subscribers].forEach(subscriber => notifySubscriber(subscriber, shared.lastResult));
+}
+
+/**
+ * Apply a document snapshot to the store and notify the subscribers
+ */
+function handleDocumentSnapshot(shared, doc) {
+  const store = collectionStore(shared.collection);
+  if (doc.exists()) {
+    const docData = { id: doc.id, ...doc.data() };
+    if (!store.has(doc.id) || !sameDocument(store.get(doc.id), docData)) {
+      store.set(doc.id, docData);
+    }
+    shared.docIds = [doc.id];
+    shared.lastResult = { ...store.get(doc.id), exists: true, timestamp: new Date() };
+  } else {
+    releaseDocuments(shared.collection, shared.docIds, shared.key);
+    shared.docIds = [];
+    shared.lastResult = { id: shared.document, exists: false, timestamp: new Date() };
+  }
+  shared.resync = false;
+  [...shared.subscribers].forEach(subscriber => notifySubscriber(subscriber, shared.lastResult));
+}
+
+/**
+ * Start (or restart) the Firestore listener of a shared subscription
+ */
+function startListener(shared) {
+  shared.health.state = 'connecting';
+  shared.unsubscribe = window.firebaseOnSnapshot(
+    shared.target(),
+    (snapshot) => {
+      shared.health.state = 'live';
+      shared.health.lastEventAt = new Date();
+      shared.health.consecutiveErrors = 0;
+      shared.health.nextRetryAt = null;
+      shared.ready = true;
+      shared.handleSnapshot(shared, snapshot);
+    },
+    (error) => handleListenerError(shared, error)
+  );
+}
+
+/**
+ * A listener has errored and Firestore has closed it: restart it with
+ * backoff, refreshing the sign-in first for permission errors
+ */
+function handleListenerError(shared, error) {
+  console.error(`Error in real-time subscription for ${shared.label}:`, error);
+  shared.unsubscribe = null;
+  shared.health.errorCount++;
+  shared.health.consecutiveErrors++;
+  shared.health.lastError = { code: error.code || null, message: error.message, at: new Date() };
+
+  if (activeSubscriptions.get(shared.key) !== shared || shared.subscribers.size === 0) {
+    closeListener(shared);
+    return;
+  }
+
+  if (AUTH_ERROR_CODES.includes(error.code)) {
+    if (shared.health.consecutiveErrors > MAX_AUTH_RESTARTS) {
+      failListener(shared, error);
+      return;
+    }
+    const auth = window.firebaseAuth;
+    if (!auth || !auth.currentUser) {
+      // Signed out: wait for a sign-in rather than retrying
+      shared.health.state = 'waiting-auth';
+      watchAuthForRestarts();
+      return;
+    }
+    auth.currentUser.getIdToken(true)
+      .catch(refreshError => console.warn('Could not refresh the sign-in token:', refreshError))
+      .then(() => scheduleRestart(shared));
+    return;
+  }
+
+  if (error.code === 'unavailable') {
+    console.warn('Network unavailable. Subscription will resume when connection is restored.');
+  }
+  scheduleRestart(shared);
+}
+
+function scheduleRestart(shared) {
+  if (activeSubscriptions.get(shared.key) !== shared) return;
+  const exponent = Math.max(0, shared.health.consecutiveErrors - 1);
+  const delay = Math.min(RESTART_MAX_DELAY, RESTART_BASE_DELAY * Math.pow(2, exponent));
+  // Jitter, so listeners that failed together do not all restart together
+  const wait = Math.round(delay * (0.75 + Math.random() * 0.25));
+
+  clearTimeout(shared.restartTimer);
+  shared.health.state = 'retrying';
+  shared.health.nextRetryAt = new Date(Date.now() + wait);
+  shared.restartTimer = setTimeout(() => restartListener(shared), wait);
+}
+
+function restartListener(shared) {
+  clearTimeout(shared.restartTimer);
+  shared.restartTimer = null;
+  if (activeSubscriptions.get(shared.key) !== shared || shared.subscribers.size === 0) return;
+  if (shared.unsubscribe) shared.unsubscribe();
+
+  shared.health.restarts++;
+  shared.health.nextRetryAt = null;
+  shared.resync = shared.ready;
+  console.log(`Restarting real-time subscription for ${shared.label}`);
+  try {
+    startListener(shared);
+  } catch (error) {
+    handleListenerError(shared, error);
+  }
+}
+
+/**
+ * Stop retrying and tell the subscribers; the entry is kept so its health
+ * stays visible and a sign-in or reconnect can revive it
+ */
+function failListener(shared, error) {
+  clearTimeout(shared.restartTimer);
+  shared.health.state = 'failed';
+  shared.health.nextRetryAt = null;
+
+  if (AUTH_ERROR_CODES.includes(error.code)) {
+    watchAuthForRestarts();
+  }
+
+  const withHandlers = [...shared.subscribers].filter(subscriber => subscriber.onError);
+  withHandlers.forEach(subscriber => subscriber.onError(error));
+  if (withHandlers.length === 0 && error.code === 'permission-denied') {
+    console.error('Permission denied. Check Firestore security rules.');
+  }
+}
+
+function closeListener(shared) {
+  clearTimeout(shared.restartTimer);
+  shared.restartTimer = null;
+  if (shared.unsubscribe) shared.unsubscribe();
+  shared.unsubscribe = null;
+  shared.health.state = 'closed';
+  if (activeSubscriptions.get(shared.key) === shared) {
+    activeSubscriptions.delete(shared.key);
+  }
+  releaseDocuments(shared.collection, shared.docIds, shared.key);
+  if (activeSubscriptions.size === 0) {
+    clearInterval(zombieSweepTimer);
+    zombieSweepTimer = null;
+  }
+}
+
+// Restart listeners stopped by auth errors once someone (else) signs in
+function watchAuthForRestarts() {
+  if (stopAuthWatch || !window.firebaseAuth) return;
+  let lastUid = window.firebaseAuth.currentUser ? window.firebaseAuth.currentUser.uid : null;
+  stopAuthWatch = window.firebaseAuth.onAuthStateChanged((user) => {
+    const uid = user ? user.uid : null;
+    const signedIn = uid && uid !== lastUid;
+    lastUid = uid;
+    if (!signedIn) return;
+    activeSubscriptions.forEach((shared) => {
+      if (shared.health.state === 'waiting-auth' ||
+          (shared.health.state === 'failed' && shared.health.lastError &&
+           AUTH_ERROR_CODES.includes(shared.health.lastError.code))) {
+        shared.health.consecutiveErrors = 0;
+        restartListener(shared);
+      }
+    });
+  });
+}
+
+/**
+ * Close subscriptions that have no subscribers left (for example a listener
+ * that errored after its last subscriber had gone)
+ * @returns {number} Number of subscriptions closed
+ */
+export function cleanupZombieSubscriptions() {
+  const zombies = [...activeSubscriptions.values()].filter(shared => shared.subscribers.size === 0);
+  zombies.forEach(closeListener);
+  if (zombies.length > 0) {
+    console.log(`Closed ${zombies.length} real-time subscription(s) with no subscribers`);
+  }
+  return zombies.length;
+}
+
+/**
+ * Restart errored and failed listeners now instead of waiting for their backoff
+ * @returns {number} Number of listeners restarted
+ */
+export function restartStalledSubscriptions() {
+  const stalled = [...activeSubscriptions.values()]
+    .filter(shared => ['retrying', 'failed', 'waiting-auth'].includes(shared.health.state));
+  stalled.forEach(shared => {
+    shared.health.consecutiveErrors = 0;
+    restartListener(shared);
+  });
+  return stalled.length;
+}
+
+/**
+ * Find or open the shared subscription for a key and add a subscriber
+ * @returns {Function} Unsubscribe function
+ */
+function addSubscriber(key, createShared, subscriber) {
+  let shared = activeSubscriptions.get(key);
+  if (!shared) {
+    shared = {
+      key,
+      subscribers: new Set(),
+      docIds: [],
+      data: [],
+      lastResult: null,
+      ready: false,
+      resync: false,
+      timestamp: Date.now(),
+      unsubscribe: null,
+      restartTimer: null,
+      health: {
+        state: 'connecting',
+        lastEventAt: null,
+        errorCount: 0,
+        consecutiveErrors: 0,
+        restarts: 0,
+        lastError: null,
+        nextRetryAt: null
+      },
+      ...createShared()
+    };
+    activeSubscriptions.set(key, shared);
+    try {
+      startListener(shared);
+    } catch (error) {
+      activeSubscriptions.delete(key);
+      throw error;
+    }
+    if (!zombieSweepTimer) {
+      zombieSweepTimer = setInterval(cleanupZombieSubscriptions, ZOMBIE_SWEEP_INTERVAL);
+    }
+  }
+  shared.subscribers.add(subscriber);
+
+  if (shared.ready) {
+    // Deliver asynchronously, as a new listener would
+    Promise.resolve().then(() => {
+      if (!shared.subscribers.has(subscriber)) return;
+      notifySubscriber(subscriber, shared.lateJoinResult(shared));
+    });
+  }
+
+  // Return enhanced unsubscribe function
+  return () => {
+    if (!shared.subscribers.delete(subscriber)) return;
+    if (shared.subscribers.size === 0) {
+      closeListener(shared);
+      console.log(`Unsubscribed from ${shared.label}`);
+    }
+  };
+}
+
 /**
  * Subscribe to real-time updates for a collection
+ * Identical queries share a single Firestore listener; it is closed when
+ * the last subscriber unsubscribes. A subscriber joining a listener that is
+ * already open gets the current documents straight away, as `added`.
+ *
+ * Listeners that error are restarted with exponential backoff (refreshing
+ * the sign-in token first for permission errors), and subscribers receive
+ * only the differences once it is back. `onError` is called when the
+ * subscription gives up: after repeated permission errors.
  * @param {string} collectionName - Name of the Firestore collection
  * @param {Function} onUpdate - Callback function called when data changes
  * @param {Function} onError - Optional callback for error handling
@@ -30,103 +465,18 @@ export function subscribeToCollection(collectionName, onUpdate, onError = null,
       throw new Error('Firebase not initialized');
     }
 
-    let collectionRef = window.firebaseCollection(window.firebaseDb, collectionName);
-    
-    // Apply query constraints if provided
-    if (queryConstraints) {
-      const constraints = [];
-      
-      if (queryConstraints.where) {
-        queryConstraints.where.forEach(w => {
-          constraints.push(window.firebaseWhere(w.field, w.operator, w.value));
-        });
-      }
-      
-      if (queryConstraints.orderBy) {
-        queryConstraints.orderBy.forEach(o => {
-          constraints.push(window.firebaseOrderBy(o.field, o.direction || 'asc'));
-        });
-      }
-      
-      if (queryConstraints.limit) {
-        constraints.push(window.firebaseLimit(queryConstraints.limit));
-      }
-      
-      if (constraints.length > 0) {
-        collectionRef = window.firebaseQuery(collectionRef, ...constraints);
-      }
-    }
-
-    // Create the real-time listener
-    const unsubscribe = window.firebaseOnSnapshot(
-      collectionRef,
-      (snapshot) => {
-        const data = [];
-        const changes = {
-          added: [],
-          modified: [],
-          removed: []
-        };
-        
-        snapshot.forEach((doc) => {
-          data.push({
-            id: doc.id,
-            ...doc.data()
-          });
-        });
-        
-        // Track individual document changes
-        snapshot.docChanges().forEach((change) => {
-          const docData = {
-            id: change.doc.id,
-            ...change.doc.data()
-          };
-          
-          if (change.type === 'added') {
-            changes.added.push(docData);
-          } else if (change.type === 'modified') {
-            changes.modified.push(docData);
-          } else if (change.type === 'removed') {
-            changes.removed.push(docData);
-          }
-        });
-        
-        // Call the update callback with full data and changes
-        onUpdate({
-          data,
-          changes,
-          timestamp: new Date()
-        });
-      },
-      (error) => {
-        console.error(`Error in real-time subscription for ${collectionName}:`, error);
-        if (onError) {
-          onError(error);
-        } else {
-          // Default error handling
-          if (error.code === 'permission-denied') {
-            console.error('Permission denied. Check Firestore security rules.');
-          } else if (error.code === 'unavailable') {
-            console.warn('Network unavailable. Subscription will resume when connection is restored.');
-          }
-        }
-      }
-    );
-
-    // Store subscription for management
-    const subscriptionId = `${collectionName}_${Date.now()}`;
-    activeSubscriptions.set(subscriptionId, {
-      unsubscribe,
+    return addSubscriber(queryKey(collectionName, queryConstraints), () => ({
       collection: collectionName,
-      timestamp: Date.now()
-    });
-
-    // Return enhanced unsubscribe function
-    return () => {
-      unsubscribe();
-      activeSubscriptions.delete(subscriptionId);
-      console.log(`Unsubscribed from ${collectionName}`);
-    };
+      document: null,
+      label: collectionName,
+      target: () => buildCollectionQuery(collectionName, queryConstraints),
+      handleSnapshot: handleQuerySnapshot,
+      lateJoinResult: (shared) => ({
+        data: shared.data,
+        changes: { added: [...shared.data], modified: [], removed: [] },
+        timestamp: new Date()
+      })
+    }), { collection: collectionName, onUpdate, onError });
 
   } catch (error) {
     console.error('Error setting up real-time subscription:', error);
@@ -134,8 +484,67 @@ export function subscribeToCollection(collectionName, onUpdate, onError = null,
   }
 }
 
+// Same top-level values (arrays and plain objects compared one level deep)
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+}
+
+/**
+ * Subscribe to part of a collection query
+ * `onChange` is called with the selector's result only when it differs from
+ * the previous one, so a widget showing a count or a single record is not
+ * re-rendered for unrelated changes. Unchanged documents keep their object
+ * identity, so selecting documents works with the default comparison.
+ * @param {string} collectionName - Name of the Firestore collection
+ * @param {Function} selector - (docs) => value, docs being the query's documents
+ * @param {Function} onChange - (value, previousValue) => void
+ * @param {Object} options
+ * @param {Object} options.queryConstraints - Query constraints (where, orderBy, limit)
+ * @param {Function} options.isEqual - Compare two results (default shallow equality)
+ * @param {Function} options.onError - Optional callback for error handling
+ * @returns {Function} Unsubscribe function to stop listening
+ */
+export function subscribeWithSelector(collectionName, selector, onChange, options = {}) {
+  const { queryConstraints = null, isEqual = shallowEqual, onError = null } = options;
+  let hasValue = false;
+  let value;
+
+  return subscribeToCollection(collectionName, ({ data }) => {
+    const next = selector(data);
+    if (hasValue && isEqual(value, next)) return;
+    const previous = value;
+    value = next;
+    hasValue = true;
+    onChange(next, previous);
+  }, onError, queryConstraints);
+}
+
+/**
+ * Read a document from the local store (only documents of active subscriptions)
+ * @returns {Object|null} Document, null if no active subscription holds it
+ */
+export function getCachedDocument(collectionName, documentId) {
+  const store = documentStore.get(collectionName);
+  return (store && store.get(String(documentId))) || null;
+}
+
+/**
+ * Read the current documents of an active query from the local store
+ * @returns {Array<Object>|null} Documents, null if the query is not active or not loaded yet
+ */
+export function getCachedQuery(collectionName, queryConstraints = null) {
+  const shared = activeSubscriptions.get(queryKey(collectionName, queryConstraints));
+  return shared && shared.ready ? shared.data : null;
+}
+
 /**
  * Subscribe to real-time updates for a single document
+ * Shared and restarted like collection subscriptions.
  * @param {string} collectionName - Name of the Firestore collection
  * @param {string} documentId - ID of the document
  * @param {Function} onUpdate - Callback function called when document changes
@@ -148,47 +557,14 @@ export function subscribeToDocument(collectionName, documentId, onUpdate, onErro
       throw new Error('Firebase not initialized');
     }
 
-    const docRef = window.firebaseDoc(window.firebaseDb, collectionName, documentId);
-
-    const unsubscribe = window.firebaseOnSnapshot(
-      docRef,
-      (doc) => {
-        if (doc.exists()) {
-          onUpdate({
-            id: doc.id,
-            ...doc.data(),
-            exists: true,
-            timestamp: new Date()
-          });
-        } else {
-          onUpdate({
-            id: documentId,
-            exists: false,
-            timestamp: new Date()
-          });
-        }
-      },
-      (error) => {
-        console.error(`Error in document subscription for ${collectionName}/${documentId}:`, error);
-        if (onError) {
-          onError(error);
-        }
-      }
-    );
-
-    const subscriptionId = `${collectionName}/${documentId}_${Date.now()}`;
-    activeSubscriptions.set(subscriptionId, {
-      unsubscribe,
+    return addSubscriber(`doc:${collectionName}/${documentId}`, () => ({
       collection: collectionName,
       document: documentId,
-      timestamp: Date.now()
-    });
-
-    return () => {
-      unsubscribe();
-      activeSubscriptions.delete(subscriptionId);
-      console.log(`Unsubscribed from ${collectionName}/${documentId}`);
-    };
+      label: `${collectionName}/${documentId}`,
+      target: () => window.firebaseDoc(window.firebaseDb, collectionName, documentId),
+      handleSnapshot: handleDocumentSnapshot,
+      lateJoinResult: (shared) => ({ ...shared.lastResult, timestamp: new Date() })
+    }), { collection: collectionName, onUpdate, onError });
 
   } catch (error) {
     console.error('Error setting up document subscription:', error);
@@ -218,17 +594,14 @@ export function subscribeToStudents(onUpdate, onError = null, options = {}) {
 }
 
 /**
- * Subscribe to real-time updates for attendance
+ * Subscribe to real-time updates for a class's attendance register on a date
+ * onUpdate receives the session document (see academic-records.js) with
+ * `exists: false` and no records until the register is taken.
  */
 export function subscribeToAttendance(classId, date, onUpdate, onError = null) {
-  const constraints = {
-    where: [
-      { field: 'classId', operator: '==', value: classId },
-      { field: 'date', operator: '==', value: date }
-    ]
-  };
-  
-  return subscribeToCollection('attendance', onUpdate, onError, constraints);
+  return subscribeToDocument(ATTENDANCE_COLLECTION, attendanceSessionId(classId, date), (session) => {
+    onUpdate({ classId: String(classId), date, records: {}, ...session });
+  }, onError);
 }
 
 /**
@@ -244,17 +617,21 @@ export function subscribeToAnnouncements(onUpdate, onError = null, limit = 10) {
 }
 
 /**
- * Subscribe to real-time updates for grades
+ * Subscribe to real-time updates for a class's marks in a term
+ * The result's `data` holds the gradebook documents; `grades` puts them back
+ * together as { [studentId]: { [subject]: mark, comment } }.
  */
 export function subscribeToGrades(classId, term, onUpdate, onError = null) {
   const constraints = {
     where: [
-      { field: 'classId', operator: '==', value: classId },
+      { field: 'classId', operator: '==', value: String(classId) },
       { field: 'term', operator: '==', value: term }
     ]
   };
   
-  return subscribeToCollection('grades', onUpdate, onError, constraints);
+  return subscribeToCollection(GRADEBOOK_COLLECTION, (result) => {
+    onUpdate({ ...result, grades: assembleTermGrades(result.data) });
+  }, onError, constraints);
 }
 
 /**
@@ -272,22 +649,65 @@ export function subscribeToMessages(userId, onUpdate, onError = null) {
   return subscribeToCollection('messages', onUpdate, onError, constraints);
 }
 
+/**
+ * Keep a search index (search-index.js) up to date from realtime subscriptions
+ * Students also feed the parents named on them.
+ * @param {LocalSearchIndex} index - Index to fill
+ * @param {Array<string>} collections - Collections to index (default students,
+ *   teachers, classes and announcements)
+ * @param {Function} onUpdate - Optional callback after each change, with the collection name
+ * @returns {Function} Stops all the subscriptions
+ */
+export function indexCollectionsForSearch(
+  index,
+  collections = ['students', 'teachers', 'classes', 'announcements'],
+  onUpdate = null
+) {
+  const unsubscribes = collections.map(collectionName => subscribeToCollection(collectionName, ({ changes }) => {
+    [...changes.added, ...changes.modified].forEach(({ id, ...doc }) => {
+      if (collectionName === 'students') {
+        index.setStudent(id, doc);
+      } else {
+        index.set(collectionName, id, doc);
+      }
+    });
+    changes.removed.forEach(({ id }) => {
+      if (collectionName === 'students') {
+        index.removeStudent(id);
+      } else {
+        index.remove(collectionName, id);
+      }
+    });
+    if (onUpdate) onUpdate(collectionName);
+  }, (error) => {
+    console.error(`Search index for ${collectionName} is not being updated:`, error);
+  }));
+
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
+
 /**
  * Unsubscribe from all active subscriptions
  */
 export function unsubscribeAll() {
   console.log(`Unsubscribing from ${activeSubscriptions.size} active subscriptions`);
   
-  activeSubscriptions.forEach((subscription, id) => {
-    subscription.unsubscribe();
+  [...activeSubscriptions.values()].forEach((subscription) => {
+    subscription.subscribers.clear();
+    closeListener(subscription);
   });
   
   activeSubscriptions.clear();
+  documentStore.clear();
+  if (stopAuthWatch) {
+    stopAuthWatch();
+    stopAuthWatch = null;
+  }
   console.log('All subscriptions cleared');
 }
 
 /**
- * Get count of active subscriptions
+ * Get count of active subscriptions (open Firestore listeners)
  */
 export function getActiveSubscriptionsCount() {
   return activeSubscriptions.size;
@@ -303,14 +723,39 @@ export function getActiveSubscriptions() {
       id,
       collection: sub.collection,
       document: sub.document || null,
+      subscribers: sub.subscribers.size,
+      state: sub.health.state,
       timestamp: sub.timestamp
     });
   });
   return subscriptions;
 }
 
+/**
+ * Get the health of each active subscription
+ * @returns {Array<Object>} [{ id, collection, document, subscribers, state,
+ *   lastEventAt, errorCount, restarts, lastError, nextRetryAt }] where state
+ *   is connecting, live, retrying, waiting-auth (signed out) or failed
+ */
+export function getSubscriptionHealth() {
+  return [...activeSubscriptions.values()].map(sub => ({
+    id: sub.key,
+    collection: sub.collection,
+    document: sub.document,
+    subscribers: sub.subscribers.size,
+    state: sub.health.state,
+    lastEventAt: sub.health.lastEventAt,
+    errorCount: sub.health.errorCount,
+    restarts: sub.health.restarts,
+    lastError: sub.health.lastError,
+    nextRetryAt: sub.health.nextRetryAt
+  }));
+}
+
 /**
  * Monitor connection status and handle reconnection
+ * When the connection comes back, errored listeners are restarted straight
+ * away and subscriptions nobody listens to are closed.
  */
 export function monitorRealtimeConnection(onStatusChange) {
   let isOnline = navigator.onLine;
@@ -319,14 +764,20 @@ export function monitorRealtimeConnection(onStatusChange) {
     const newStatus = navigator.onLine;
     if (newStatus !== isOnline) {
       isOnline = newStatus;
+      let restarted = 0;
+      if (isOnline) {
+        cleanupZombieSubscriptions();
+        restarted = restartStalledSubscriptions();
+      }
       onStatusChange({
         online: isOnline,
         timestamp: new Date(),
-        activeSubscriptions: activeSubscriptions.size
+        activeSubscriptions: activeSubscriptions.size,
+        restarted
       });
       
       if (isOnline) {
-        console.log('✓ Connection restored. Real-time subscriptions will resume.');
+        console.log(`✓ Connection restored. Restarted ${restarted} stalled real-time subscription(s).`);
       } else {
         console.warn('⚠ Connection lost. Real-time subscriptions paused.');
       }
@@ -347,15 +798,22 @@ export function monitorRealtimeConnection(onStatusChange) {
 if (typeof window !== 'undefined') {
   window.FirestoreRealtime = {
     subscribeToCollection,
+    subscribeWithSelector,
+    getCachedDocument,
+    getCachedQuery,
     subscribeToDocument,
     subscribeToStudents,
     subscribeToAttendance,
     subscribeToAnnouncements,
     subscribeToGrades,
     subscribeToMessages,
+    indexCollectionsForSearch,
     unsubscribeAll,
     getActiveSubscriptionsCount,
     getActiveSubscriptions,
+    getSubscriptionHealth,
+    restartStalledSubscriptions,
+    cleanupZombieSubscriptions,
     monitorRealtimeConnection
   };
   
@@ -398,4 +856,21 @@ if (typeof window !== 'undefined') {
  *    const cleanup = window.FirestoreRealtime.monitorRealtimeConnection(
  *      (status) => console.log('Connection:', status)
  *    );
+ * 
+ * 6. Watch only part of a query (fires when the count changes):
+ *    const unsubscribe = window.FirestoreRealtime.subscribeWithSelector(
+ *      'students',
+ *      (students) => students.filter(s => s.grade === '10').length,
+ *      (count) => updateBadge(count)
+ *    );
+ * 
+ * 7. Check subscription health:
+ *    window.FirestoreRealtime.getSubscriptionHealth()
+ *      .filter(sub => sub.state !== 'live')
+ *      .forEach(sub => console.warn(sub.collection, sub.state, sub.lastError));
+ * 
+ * 8. Search students, teachers, parents, classes and announcements locally:
+ *    const index = new window.SearchIndex.LocalSearchIndex();
+ *    const stop = window.FirestoreRealtime.indexCollectionsForSearch(index);
+ *    const { groups } = index.search('thabo nkosi');
  */
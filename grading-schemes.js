@@ -0,0 +1,334 @@
+/**
+ * BIS-SMS Assessment Schemes and Grading Scales
+ *
+ * An assessment scheme says how a final mark is built from assessment
+ * components (e.g. SBA 40% / Exam 60%) and which grading scale turns that
+ * mark into a symbol (CAPS achievement level 1-7, A-F, or a custom scale).
+ *
+ * Schemes are stored in Firestore (`assessmentSchemes/{schemeId}`) and apply
+ * to a grade, subject and/or term:
+ * {
+ *   name: 'Grade 12 FET',
+ *   appliesTo: { grade: '12', subject: 'Mathematics', term: 'Term 4' },  // all optional
+ *   components: [{ key: 'sba', label: 'SBA', weight: 25 }, { key: 'exam', label: 'Exam', weight: 75 }],
+ *   scale: 'caps',        // scale ID, or an inline { name, bands } definition
+ *   passMark: 50,         // below this a learner is flagged "At Risk"
+ *   missing: 'zero'       // 'zero': missing components count as 0, 'skip': reweight the rest
+ * }
+ * The most specific matching scheme wins. A subject in `subjects/{classId}`
+ * can also name its scheme directly with `schemeId`.
+ *
+ * Custom scales live in `gradingScales/{scaleId}` as { name, bands: [{ min, symbol, label, className }] },
+ * with bands ordered from the highest minimum down.
+ *
+ * Works in the browser (include before the page script) and in Node (require).
+ */
+
+const GRADING_SCALES = {
+  caps: {
+    id: 'caps',
+    name: 'CAPS achievement levels (1-7)',
+    bands: [
+      { min: 80, symbol: '7', label: 'Outstanding achievement', className: 'success' },
+      { min: 70, symbol: '6', label: 'Meritorious achievement', className: 'success' },
+      { min: 60, symbol: '5', label: 'Substantial achievement', className: 'info' },
+      { min: 50, symbol: '4', label: 'Adequate achievement', className: 'primary' },
+      { min: 40, symbol: '3', label: 'Moderate achievement', className: 'warning' },
+      { min: 30, symbol: '2', label: 'Elementary achievement', className: 'warning' },
+      { min: 0, symbol: '1', label: 'Not achieved', className: 'danger' }
+    ]
+  },
+  letter: {
+    id: 'letter',
+    name: 'Letter grades (A-F)',
+    bands: [
+      { min: 90, symbol: 'A', label: 'Excellent', className: 'success' },
+      { min: 80, symbol: 'B', label: 'Good', className: 'info' },
+      { min: 70, symbol: 'C', label: 'Satisfactory', className: 'primary' },
+      { min: 60, symbol: 'D', label: 'Needs improvement', className: 'warning' },
+      { min: 0, symbol: 'F', label: 'Fail', className: 'danger' }
+    ]
+  }
+};
+
+const DEFAULT_ASSESSMENT_SCHEME = {
+  id: 'default',
+  name: 'Default (Assignment 20 / Quiz 20 / Test 30 / Exam 30)',
+  appliesTo: {},
+  components: [
+    { key: 'assignment', label: 'Assignment', weight: 20 },
+    { key: 'quiz', label: 'Quiz', weight: 20 },
+    { key: 'test', label: 'Test', weight: 30 },
+    { key: 'exam', label: 'Exam', weight: 30 }
+  ],
+  scale: 'caps',
+  passMark: 50,
+  missing: 'zero'
+};
+
+/**
+ * Validate a grading scale definition
+ * @returns {Array} Field errors [{ field, message }]
+ */
+function validateGradingScale(scale) {
+  const errors = [];
+  if (!scale || !Array.isArray(scale.bands) || scale.bands.length === 0) {
+    return [{ field: 'bands', message: 'A grading scale needs at least one band' }];
+  }
+  scale.bands.forEach((band, i) => {
+    if (typeof band.min !== 'number' || band.min < 0 || band.min > 100) {
+      errors.push({ field: `bands.${i}.min`, message: `Band ${i + 1} minimum must be between 0 and 100` });
+    }
+    if (!band.symbol) {
+      errors.push({ field: `bands.${i}.symbol`, message: `Band ${i + 1} needs a symbol` });
+    }
+    if (i > 0 && band.min >= scale.bands[i - 1].min) {
+      errors.push({ field: `bands.${i}.min`, message: 'Bands must be ordered from the highest minimum down' });
+    }
+  });
+  if (scale.bands[scale.bands.length - 1].min !== 0) {
+    errors.push({ field: 'bands', message: 'The lowest band must start at 0' });
+  }
+  return errors;
+}
+
+/**
+ * Make a custom grading scale available by ID (e.g. scales loaded from
+ * the gradingScales collection)
+ */
+function registerGradingScale(id, scale) {
+  const errors = validateGradingScale(scale);
+  if (errors.length > 0) {
+    throw new Error(`Invalid grading scale "${id}": ${errors[0].message}`);
+  }
+  GRADING_SCALES[id] = { ...scale, id };
+  return GRADING_SCALES[id];
+}
+
+/**
+ * Get a grading scale by ID, or pass an inline definition through
+ */
+function getGradingScale(scale) {
+  if (scale && typeof scale === 'object') {
+    return scale;
+  }
+  if (!GRADING_SCALES[scale]) {
+    console.warn(`Unknown grading scale "${scale}", using CAPS levels`);
+    return GRADING_SCALES.caps;
+  }
+  return GRADING_SCALES[scale];
+}
+
+/**
+ * Find the band (symbol, label, className) for a mark
+ * @param {number} mark - Mark out of 100
+ * @param {string|Object} scale - Scale ID or definition
+ * @returns {Object|null} Band, or null when there is no mark
+ */
+function gradeSymbol(mark, scale = 'caps') {
+  if (mark === null || mark === undefined || mark === '' || isNaN(mark)) {
+    return null;
+  }
+  const definition = getGradingScale(scale);
+  const value = Number(mark);
+  const band = definition.bands.find(b => value >= b.min) || definition.bands[definition.bands.length - 1];
+  return { ...band, scale: definition.id || definition.name };
+}
+
+// "Grade 09", "9" and "grade 9" all refer to the same grade
+function normalizeGradeLevel(grade) {
+  const text = String(grade || '').trim().toLowerCase().replace(/^grade\s*/, '');
+  return text === 'r' ? 'r' : String(parseInt(text, 10) || text);
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Fill in defaults for a stored scheme
+ */
+function normalizeAssessmentScheme(scheme) {
+  return {
+    ...DEFAULT_ASSESSMENT_SCHEME,
+    ...scheme,
+    appliesTo: { ...(scheme && scheme.appliesTo) },
+    components: (scheme && scheme.components && scheme.components.length > 0
+      ? scheme.components
+      : DEFAULT_ASSESSMENT_SCHEME.components
+    ).map(c => ({ ...c, weight: Number(c.weight) || 0 }))
+  };
+}
+
+/**
+ * Validate a scheme before saving it
+ * @returns {Array} Field errors [{ field, message }]
+ */
+function validateAssessmentScheme(scheme) {
+  const errors = [];
+  if (!scheme || !scheme.name || !String(scheme.name).trim()) {
+    errors.push({ field: 'name', message: 'Scheme name is required' });
+  }
+  const components = (scheme && scheme.components) || [];
+  if (components.length === 0) {
+    errors.push({ field: 'components', message: 'At least one assessment component is required' });
+  }
+  const keys = new Set();
+  components.forEach((c, i) => {
+    if (!c.key) {
+      errors.push({ field: `components.${i}.key`, message: `Component ${i + 1} needs a name` });
+    } else if (keys.has(c.key)) {
+      errors.push({ field: `components.${i}.key`, message: `Component "${c.key}" appears twice` });
+    }
+    keys.add(c.key);
+    if (!(Number(c.weight) > 0)) {
+      errors.push({ field: `components.${i}.weight`, message: `${c.label || c.key || 'Component'} weight must be greater than 0` });
+    }
+  });
+  const total = components.reduce((sum, c) => sum + (Number(c.weight) || 0), 0);
+  if (components.length > 0 && Math.abs(total - 100) > 0.01) {
+    errors.push({ field: 'components', message: `Component weights add up to ${total}%, not 100%` });
+  }
+  if (scheme && scheme.scale && typeof scheme.scale === 'object') {
+    validateGradingScale(scheme.scale).forEach(e => errors.push({ field: `scale.${e.field}`, message: e.message }));
+  } else if (scheme && scheme.scale && !GRADING_SCALES[scheme.scale]) {
+    errors.push({ field: 'scale', message: `Unknown grading scale "${scheme.scale}"` });
+  }
+  if (scheme && scheme.passMark !== undefined && !(scheme.passMark >= 0 && scheme.passMark <= 100)) {
+    errors.push({ field: 'passMark', message: 'Pass mark must be between 0 and 100' });
+  }
+  return errors;
+}
+
+/**
+ * Pick the scheme for a grade/subject/term.
+ *
+ * A scheme matches when every field in its appliesTo equals the context
+ * (a term of "Term 1" also matches "Term 1 2026"); the match with the most
+ * fields wins, ties going to the most recently updated scheme.
+ *
+ * @param {Array} schemes - Stored schemes
+ * @param {Object} context - { grade, subject, term, schemeId }
+ * @returns {Object} Normalized scheme (the default scheme if none match)
+ */
+function resolveAssessmentScheme(schemes = [], context = {}) {
+  if (context.schemeId) {
+    const named = schemes.find(s => s.id === context.schemeId);
+    if (named) return normalizeAssessmentScheme(named);
+  }
+
+  let best = null;
+  let bestScore = -1;
+  schemes.forEach(scheme => {
+    const appliesTo = scheme.appliesTo || {};
+    let score = 0;
+
+    if (appliesTo.grade) {
+      if (normalizeGradeLevel(appliesTo.grade) !== normalizeGradeLevel(context.grade)) return;
+      score++;
+    }
+    if (appliesTo.subject) {
+      if (!sameText(appliesTo.subject, context.subject)) return;
+      score++;
+    }
+    if (appliesTo.term) {
+      const term = String(context.term || '').toLowerCase();
+      const schemeTerm = String(appliesTo.term).trim().toLowerCase();
+      if (term !== schemeTerm && !term.startsWith(`${schemeTerm} `)) return;
+      score++;
+    }
+
+    const newer = best && String(scheme.updatedAt || '') > String(best.updatedAt || '');
+    if (score > bestScore || (score === bestScore && newer)) {
+      best = scheme;
+      bestScore = score;
+    }
+  });
+
+  return normalizeAssessmentScheme(best || DEFAULT_ASSESSMENT_SCHEME);
+}
+
+/**
+ * Calculate a final mark from component scores
+ * @param {Object} scores - Scores keyed by component key, e.g. { sba: 72, exam: 64 }
+ * @param {Object} scheme - Assessment scheme
+ * @returns {Object} { mark, band, passed, complete, components }
+ *   mark is null when no component has a score
+ */
+function calculateFinalMark(scores = {}, scheme = DEFAULT_ASSESSMENT_SCHEME) {
+  const resolved = normalizeAssessmentScheme(scheme);
+  let weighted = 0;
+  let weightUsed = 0;
+  let totalWeight = 0;
+  let scored = 0;
+
+  const components = resolved.components.map(component => {
+    const raw = scores[component.key];
+    const score = raw === '' || raw === null || raw === undefined ? null : parseFloat(raw);
+    totalWeight += component.weight;
+    if (score !== null && !isNaN(score)) {
+      weighted += score * component.weight;
+      weightUsed += component.weight;
+      scored++;
+    }
+    return { ...component, score: score !== null && !isNaN(score) ? score : null };
+  });
+
+  if (scored === 0 || totalWeight === 0) {
+    return { mark: null, band: null, passed: null, complete: false, components };
+  }
+
+  const divisor = resolved.missing === 'skip' ? weightUsed : totalWeight;
+  const mark = Math.round((weighted / divisor) * 10) / 10;
+
+  return {
+    mark,
+    band: gradeSymbol(mark, resolved.scale),
+    passed: mark >= resolved.passMark,
+    complete: scored === components.length,
+    components
+  };
+}
+
+/**
+ * Weighted average across subjects, using the weights from subjects/{classId}
+ * @param {Object} marks - Marks keyed by subject name
+ * @param {Array} subjects - [{ name, weight }]
+ * @returns {number} Average out of 100 (0 when no weights)
+ */
+function calculateSubjectAverage(marks = {}, subjects = []) {
+  let weighted = 0;
+  let totalWeight = 0;
+  subjects.forEach(sub => {
+    weighted += (parseFloat(marks[sub.name]) || 0) * sub.weight;
+    totalWeight += sub.weight;
+  });
+  return totalWeight > 0 ? weighted / totalWeight : 0;
+}
+
+/**
+ * One-line summary of a scheme's components, e.g. "SBA 40% • Exam 60%"
+ */
+function describeAssessmentScheme(scheme) {
+  return normalizeAssessmentScheme(scheme).components
+    .map(c => `${c.label || c.key} ${c.weight}%`)
+    .join(' • ');
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GRADING_SCALES,
+    DEFAULT_ASSESSMENT_SCHEME,
+    validateGradingScale,
+    registerGradingScale,
+    getGradingScale,
+    gradeSymbol,
+    normalizeAssessmentScheme,
+    validateAssessmentScheme,
+    resolveAssessmentScheme,
+    calculateFinalMark,
+    calculateSubjectAverage,
+    describeAssessmentScheme
+  };
+}
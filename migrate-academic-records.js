@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Attendance and Marks Migration for BIS-SMS
+ *
+ * Moves attendance and marks stored in the old formats into the documents
+ * described in academic-records.js:
+ *
+ *   attendance/{classId}                  { [date]: { [studentId]: record } }
+ *   attendance/class_{classId}_{date}     { classId, date, records }
+ *   grades/class_{classId}_{term}         { classId, term, grades }
+ *   gradesData/{classId}                  { [term]: { [studentId]: grades } }
+ *
+ * become attendance/{classId}_{date} sessions and
+ * grades/{classId}_{term}_{subject}_{assessment} entries. Each school's
+ * collections (schools/{schoolId}/..., see tenancy.js) are migrated on their
+ * own; run migrate-tenancy.js first on databases from before schools.
+ *
+ * Old documents refer to classes and learners by document ID or by their
+ * numeric ID; both are resolved to the document ID. Documents already in the
+ * new format are kept as they are: where an old document disagrees with them
+ * (or two old documents disagree with each other) the value already there is
+ * kept and the difference is reported as a conflict. Old documents are
+ * deleted once everything is written, unless asked to keep them; those with
+ * a conflicting value are always kept, so it can still be reconciled by hand.
+ *
+ * Usage:
+ *   node migrate-academic-records.js                          Report only, nothing is written
+ *   node migrate-academic-records.js --apply                  Migrate and delete old documents (except conflicting ones)
+ *   node migrate-academic-records.js --apply --keep-legacy    Migrate, keep old documents
+ *   node migrate-academic-records.js --school=pretoria        Only this school (default: every school)
+ *
+ * Uses FIREBASE_PROJECT_ID and FIREBASE_SERVICE_ACCOUNT (or
+ * FIRESTORE_EMULATOR_HOST), as the server does.
+ */
+
+const {
+  ATTENDANCE_COLLECTION,
+  GRADEBOOK_COLLECTION,
+  LEGACY_GRADES_COLLECTION,
+  COMMENT_ASSESSMENT,
+  isAttendanceSession,
+  isGradebookEntry,
+  legacyAttendanceSessions,
+  legacyGradebookEntries
+} = require('./academic-records');
+const { SCHOOLS_COLLECTION, DEFAULT_SCHOOL_ID, schoolCollectionPath } = require('./tenancy');
+
+const BATCH_SIZE = 400;
+
+// Stored ID -> document ID, for classes or students (numeric IDs included)
+async function readIdIndex(db, collectionName) {
+  const snapshot = await db.collection(collectionName).get();
+  const index = new Map();
+  snapshot.docs.forEach(doc => {
+    index.set(doc.id, doc.id);
+    const numericId = doc.get('numericId');
+    if (numericId !== undefined && numericId !== null && !index.has(String(numericId))) {
+      index.set(String(numericId), doc.id);
+    }
+  });
+  return index;
+}
+
+// The per-learner map of a session or gradebook entry
+function learnerField(data) {
+  if (data.records) return 'records';
+  return data.assessment === COMMENT_ASSESSMENT ? 'comments' : 'scores';
+}
+
+/**
+ * Merge a converted document into the target, keeping values already there
+ * @returns {Object} Merged document data
+ */
+function mergeLearnerValues(target, incoming, path, legacyPath, conflicts) {
+  const field = learnerField(incoming);
+  const merged = { ...(target[field] || {}) };
+  Object.keys(incoming[field] || {}).forEach(studentId => {
+    const value = incoming[field][studentId];
+    if (!(studentId in merged)) {
+      merged[studentId] = value;
+    } else if (JSON.stringify(merged[studentId]) !== JSON.stringify(value)) {
+      conflicts.push({ path, legacyPath, studentId, kept: merged[studentId], discarded: value });
+    }
+  });
+  return { ...target, [field]: merged, studentIds: Object.keys(merged).sort() };
+}
+
+/**
+ * Migrate legacy attendance and marks
+ * @param {Object} options
+ * @param {Object} options.db - Firestore (Admin SDK)
+ * @param {string} options.schoolId - School whose records are migrated (default: the original campus)
+ * @param {boolean} options.apply - Write the changes (default: report only)
+ * @param {boolean} options.deleteLegacy - Delete old documents after migrating (default true; conflicting ones are kept)
+ * @param {Date} options.now - Time recorded as migratedAt
+ * @returns {Promise<Object>} { applied, schoolId, legacyDocuments, written, deleted, conflicts, unresolved }
+ */
+async function migrateAcademicRecords({ db, schoolId = DEFAULT_SCHOOL_ID, apply = false, deleteLegacy = true, now = new Date() }) {
+  const inSchool = collectionName => schoolCollectionPath(schoolId, collectionName);
+  const classIds = await readIdIndex(db, inSchool('classes'));
+  const studentIds = await readIdIndex(db, inSchool('students'));
+  const unresolved = { classes: new Set(), students: new Set() };
+  const resolver = (index, missing) => id => {
+    if (index.has(String(id))) return index.get(String(id));
+    missing.add(String(id));
+    return String(id);
+  };
+  const resolve = {
+    classId: resolver(classIds, unresolved.classes),
+    studentId: resolver(studentIds, unresolved.students)
+  };
+
+  const sources = [
+    { collection: ATTENDANCE_COLLECTION, isCurrent: isAttendanceSession, convert: legacyAttendanceSessions },
+    { collection: GRADEBOOK_COLLECTION, isCurrent: isGradebookEntry, convert: legacyGradebookEntries },
+    { collection: LEGACY_GRADES_COLLECTION, isCurrent: () => false, convert: legacyGradebookEntries }
+  ];
+
+  // Documents already in the new format, by path
+  const current = new Map();
+  const legacy = [];
+  for (const source of sources) {
+    const snapshot = await db.collection(inSchool(source.collection)).get();
+    snapshot.docs.forEach(doc => {
+      const data = doc.data();
+      const path = `${inSchool(source.collection)}/${doc.id}`;
+      if (source.isCurrent(data)) {
+        current.set(path, data);
+      } else {
+        legacy.push({ path, source, id: doc.id, data });
+      }
+    });
+  }
+
+  // Converted documents, merged into what is already stored
+  const targets = new Map();
+  const conflicts = [];
+  legacy.forEach(({ path: legacyPath, source, id, data }) => {
+    const targetCollection = source.collection === ATTENDANCE_COLLECTION ? ATTENDANCE_COLLECTION : GRADEBOOK_COLLECTION;
+    source.convert(id, data, resolve).forEach(converted => {
+      const path = `${inSchool(targetCollection)}/${converted.id}`;
+      const stored = targets.has(path) ? targets.get(path) : current.get(path);
+      const migrated = { ...converted.data, updatedAt: data.updatedAt || null, migratedAt: now.toISOString() };
+      targets.set(path, stored ? mergeLearnerValues(stored, migrated, path, legacyPath, conflicts) : migrated);
+    });
+  });
+
+  // Only documents that are new or gained values need writing
+  const writes = [...targets.entries()]
+    .filter(([path, data]) => JSON.stringify(current.get(path)) !== JSON.stringify(data));
+  const conflicting = new Set(conflicts.map(conflict => conflict.legacyPath));
+  const deletes = deleteLegacy
+    ? legacy.map(entry => entry.path).filter(path => !targets.has(path) && !conflicting.has(path))
+    : [];
+
+  if (apply) {
+    const operations = [
+      ...writes.map(([path, data]) => batch => batch.set(db.doc(path), data)),
+      ...deletes.map(path => batch => batch.delete(db.doc(path)))
+    ];
+    // Writes come first, so old documents are only deleted once their data is stored
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      operations.slice(i, i + BATCH_SIZE).forEach(operation => operation(batch));
+      await batch.commit();
+    }
+  }
+
+  return {
+    applied: apply,
+    schoolId,
+    legacyDocuments: legacy.map(entry => entry.path),
+    written: writes.map(([path]) => path),
+    deleted: deletes,
+    conflicts,
+    unresolved: {
+      classes: [...unresolved.classes].sort(),
+      students: [...unresolved.students].sort()
+    }
+  };
+}
+
+function printReport(report) {
+  const verb = report.applied ? '' : ' (dry run)';
+  console.log(`\nSchool: ${report.schoolId}`);
+  console.log(`Old documents found: ${report.legacyDocuments.length}`);
+  console.log(`Documents ${report.applied ? 'written' : 'to write'}${verb}: ${report.written.length}`);
+  console.log(`Old documents ${report.applied ? 'deleted' : 'to delete'}${verb}: ${report.deleted.length}`);
+
+  if (report.unresolved.classes.length > 0) {
+    console.warn(`Class IDs not found in classes (kept as they are): ${report.unresolved.classes.join(', ')}`);
+  }
+  if (report.unresolved.students.length > 0) {
+    console.warn(`Student IDs not found in students (kept as they are): ${report.unresolved.students.join(', ')}`);
+  }
+
+  if (report.conflicts.length > 0) {
+    console.warn(`\n${report.conflicts.length} conflict(s); the value already stored was kept and the old document left in place:`);
+    report.conflicts.forEach(conflict => {
+      console.warn(`  ${conflict.path} student ${conflict.studentId}: kept ${JSON.stringify(conflict.kept)}, ` +
+        `${conflict.legacyPath} has ${JSON.stringify(conflict.discarded)}`);
+    });
+  }
+  if (!report.applied && report.written.length + report.deleted.length > 0) {
+    console.log('\nRun again with --apply to migrate.');
+  }
+}
+
+// The schools to migrate: --school=<id>, otherwise every school
+async function schoolIdsToMigrate(db, args) {
+  const schoolArg = args.find(arg => arg.startsWith('--school='));
+  if (schoolArg) return [schoolArg.slice('--school='.length)];
+  const snapshot = await db.collection(SCHOOLS_COLLECTION).get();
+  return snapshot.docs.length > 0 ? snapshot.docs.map(doc => doc.id) : [DEFAULT_SCHOOL_ID];
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const { getFirebaseAdminApp } = require('./data-backends');
+  const app = getFirebaseAdminApp({
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    credentialsPath: process.env.FIREBASE_SERVICE_ACCOUNT
+  });
+  const db = app.firestore();
+
+  schoolIdsToMigrate(db, args)
+    .then(async schoolIds => {
+      for (const schoolId of schoolIds) {
+        printReport(await migrateAcademicRecords({
+          db,
+          schoolId,
+          apply: args.includes('--apply'),
+          deleteLegacy: !args.includes('--keep-legacy')
+        }));
+      }
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateAcademicRecords
+};
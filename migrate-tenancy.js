@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * School Tenancy Migration for BIS-SMS
+ *
+ * Moves the collections of a single-school database under a school
+ * document, as described in tenancy.js:
+ *
+ *   students/{id}          ->  schools/{schoolId}/students/{id}
+ *   fees/{studentId}       ->  schools/{schoolId}/fees/{studentId}
+ *   ...                        (every collection in SCHOOL_COLLECTIONS)
+ *
+ * The school document itself is created when it does not exist yet, and
+ * users without a schoolId are assigned to the school. Accounts, messaging,
+ * grading scales, audit and backup records stay where they are.
+ *
+ * Documents already under the school are kept as they are: where a top-level
+ * document disagrees with one already moved, the moved one is kept and the
+ * difference is reported as a conflict. Top-level documents are deleted once
+ * everything is written, unless asked to keep them; conflicting ones are
+ * always kept, so their data can still be reconciled by hand.
+ *
+ * Run this before migrate-academic-records.js on databases that still use
+ * the old attendance and marks formats.
+ *
+ * Usage:
+ *   node migrate-tenancy.js                              Report only, nothing is written
+ *   node migrate-tenancy.js --apply                      Migrate into the original campus
+ *   node migrate-tenancy.js --apply --school=pretoria    Migrate into another school
+ *   node migrate-tenancy.js --apply --keep-legacy        Migrate, keep top-level documents
+ *
+ * Uses FIREBASE_PROJECT_ID and FIREBASE_SERVICE_ACCOUNT (or
+ * FIRESTORE_EMULATOR_HOST), as the server does.
+ */
+
+const {
+  SCHOOLS_COLLECTION,
+  DEFAULT_SCHOOL_ID,
+  SCHOOL_COLLECTIONS,
+  schoolCollectionPath,
+  schoolProfile
+} = require('./tenancy');
+const { encodeFirestoreValue } = require('./backup-format');
+const { canonicalJSON } = require('./backup-crypto');
+
+const BATCH_SIZE = 400;
+
+// Compare document data by value, whatever the key order
+function sameData(a, b) {
+  return canonicalJSON(encodeFirestoreValue(a)) === canonicalJSON(encodeFirestoreValue(b));
+}
+
+/**
+ * Migrate top-level school collections into a school
+ * @param {Object} options
+ * @param {Object} options.db - Firestore (Admin SDK)
+ * @param {string} options.schoolId - School the data belongs to (default: the original campus)
+ * @param {boolean} options.apply - Write the changes (default: report only)
+ * @param {boolean} options.deleteLegacy - Delete top-level documents after migrating (default true; conflicting ones are kept)
+ * @param {Date} options.now - Time recorded as migratedAt
+ * @returns {Promise<Object>} { applied, schoolId, createdSchool, written, deleted, usersAssigned, conflicts }
+ */
+async function migrateTenancy({ db, schoolId = DEFAULT_SCHOOL_ID, apply = false, deleteLegacy = true, now = new Date() }) {
+  const writes = [];
+  const deletes = [];
+  const conflicts = [];
+
+  const schoolRef = db.collection(SCHOOLS_COLLECTION).doc(schoolId);
+  const schoolDoc = await schoolRef.get();
+  if (!schoolDoc.exists) {
+    const { id, ...profile } = schoolProfile({ id: schoolId });
+    writes.push({ ref: schoolRef, data: { ...profile, createdAt: now.toISOString() }, path: schoolRef.path });
+  }
+
+  for (const collectionName of SCHOOL_COLLECTIONS) {
+    const [legacy, moved] = await Promise.all([
+      db.collection(collectionName).get(),
+      db.collection(schoolCollectionPath(schoolId, collectionName)).get()
+    ]);
+    const existing = new Map(moved.docs.map(doc => [doc.id, doc.data()]));
+
+    legacy.docs.forEach(doc => {
+      const path = `${schoolCollectionPath(schoolId, collectionName)}/${doc.id}`;
+      const data = doc.data();
+      if (!existing.has(doc.id)) {
+        writes.push({ ref: db.doc(path), data, path });
+      } else if (!sameData(existing.get(doc.id), data)) {
+        conflicts.push({ path, legacyPath: `${collectionName}/${doc.id}` });
+        return;
+      }
+      if (deleteLegacy) {
+        deletes.push(`${collectionName}/${doc.id}`);
+      }
+    });
+  }
+
+  // Accounts from before schools belong to the school being migrated
+  const users = await db.collection('users').get();
+  const usersAssigned = users.docs.filter(doc => !doc.get('schoolId')).map(doc => doc.id);
+  usersAssigned.forEach(uid => {
+    const ref = db.collection('users').doc(uid);
+    writes.push({ ref, data: { schoolId, schoolAssignedAt: now.toISOString() }, merge: true, path: ref.path });
+  });
+
+  if (apply) {
+    const operations = [
+      ...writes.map(({ ref, data, merge }) => batch => batch.set(ref, data, merge ? { merge: true } : {})),
+      ...deletes.map(path => batch => batch.delete(db.doc(path)))
+    ];
+    // Writes come first, so top-level documents are only deleted once their copy is stored
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      operations.slice(i, i + BATCH_SIZE).forEach(operation => operation(batch));
+      await batch.commit();
+    }
+  }
+
+  return {
+    applied: apply,
+    schoolId,
+    createdSchool: !schoolDoc.exists,
+    written: writes.map(write => write.path),
+    deleted: deletes,
+    usersAssigned,
+    conflicts
+  };
+}
+
+function printReport(report) {
+  const verb = report.applied ? '' : ' (dry run)';
+  console.log(`School: ${report.schoolId}${report.createdSchool ? ` (${report.applied ? 'created' : 'to create'})` : ''}`);
+  console.log(`Documents ${report.applied ? 'written' : 'to write'}${verb}: ${report.written.length}`);
+  console.log(`Users ${report.applied ? 'assigned' : 'to assign'} to the school${verb}: ${report.usersAssigned.length}`);
+  console.log(`Top-level documents ${report.applied ? 'deleted' : 'to delete'}${verb}: ${report.deleted.length}`);
+
+  if (report.conflicts.length > 0) {
+    console.warn(`\n${report.conflicts.length} conflict(s); the document already in the school was kept and the top-level one left in place:`);
+    report.conflicts.forEach(conflict => {
+      console.warn(`  ${conflict.legacyPath} differs from ${conflict.path}`);
+    });
+  }
+  if (!report.applied && report.written.length + report.deleted.length > 0) {
+    console.log('\nRun again with --apply to migrate.');
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const schoolArg = args.find(arg => arg.startsWith('--school='));
+  const { getFirebaseAdminApp } = require('./data-backends');
+  const app = getFirebaseAdminApp({
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    credentialsPath: process.env.FIREBASE_SERVICE_ACCOUNT
+  });
+
+  migrateTenancy({
+    db: app.firestore(),
+    schoolId: schoolArg ? schoolArg.slice('--school='.length) : DEFAULT_SCHOOL_ID,
+    apply: args.includes('--apply'),
+    deleteLegacy: !args.includes('--keep-legacy')
+  })
+    .then(report => {
+      printReport(report);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateTenancy
+};
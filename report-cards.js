@@ -0,0 +1,394 @@
+/**
+ * Report Card PDF Generator for BIS-SMS
+ *
+ * Builds branded, paginated PDF report cards from generateGradesReport()
+ * output, the learner's attendance (getStudentAttendanceSummary()) and the
+ * teacher's comments. Marks are shown with the symbol from the assessment
+ * scheme that applies to each subject (see grading-schemes.js).
+ *
+ * A single learner downloads as one PDF. A whole class can be built into one
+ * PDF (each learner starting on a new page) or into a zip with one PDF per
+ * learner. jsPDF and JSZip are loaded from the CDN on first use.
+ */
+
+import { generateGradesReport, getStudentAttendanceSummary } from './firestore-queries.js';
+
+const JSPDF_URL = 'https://cdn.jsdelivr.net/npm/jspdf@2.5.2/+esm';
+const JSZIP_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm';
+
+export const DEFAULT_SCHOOL = {
+  name: 'Bophelong Independent School',
+  shortName: 'BIS',
+  address: '',
+  phone: '',
+  email: '',
+  logo: null,             // Data URL (PNG/JPEG) drawn in the header
+  color: [13, 71, 161],   // Header colour (RGB)
+  principal: ''
+};
+
+const PAGE_MARGIN = 15;
+const ROW_HEIGHT = 8;
+const FOOTER_HEIGHT = 15;
+
+/**
+ * Build the data for one learner's report card
+ * @param {Object} report - generateGradesReport() output
+ * @param {string} studentId - Student ID
+ * @param {Object} options
+ * @param {Object} options.attendance - getStudentAttendanceSummary() output
+ * @param {string} options.comment - Teacher comment (defaults to the comment saved with the grades)
+ * @returns {Object} Report card data
+ */
+export function buildReportCard(report, studentId, options = {}) {
+  const { calculateSubjectAverage, gradeSymbol } = window;
+  const student = (report.class.students || []).find(s => String(s.id) === String(studentId)) || { id: studentId };
+  const studentGrades = report.grades[studentId] || {};
+  const schemes = report.assessmentSchemes || {};
+  const classScheme = schemes.class || { scale: 'caps', passMark: 50 };
+
+  const subjects = report.subjects.length > 0
+    ? report.subjects
+    : Object.keys(studentGrades).filter(key => key !== 'comment').map(name => ({ name, weight: 1 }));
+
+  const rows = subjects.map(subject => {
+    const raw = studentGrades[subject.name];
+    const mark = raw === undefined || raw === '' || isNaN(parseFloat(raw)) ? null : parseFloat(raw);
+    const scheme = (schemes.subjects && schemes.subjects[subject.name]) || classScheme;
+    return {
+      subject: subject.name,
+      weight: subject.weight,
+      mark,
+      band: mark === null ? null : gradeSymbol(mark, scheme.scale),
+      passed: mark === null ? null : mark >= scheme.passMark
+    };
+  });
+
+  const average = Math.round(calculateSubjectAverage(studentGrades, subjects) * 10) / 10;
+
+  return {
+    student: {
+      id: student.id,
+      name: student.name || `Student ${studentId}`,
+      grade: student.grade || report.class.grade || ''
+    },
+    className: report.class.name || '',
+    term: report.term,
+    rows,
+    average,
+    band: gradeSymbol(average, classScheme.scale),
+    passMark: classScheme.passMark,
+    promoted: average >= classScheme.passMark,
+    attendance: options.attendance || null,
+    comment: options.comment !== undefined ? options.comment : (studentGrades.comment || ''),
+    issued: new Date()
+  };
+}
+
+/**
+ * Load report cards for a class from Firestore
+ * @param {string} classId - Class ID
+ * @param {string} term - Term (e.g. "Term 1 2026")
+ * @param {Object} options
+ * @param {Array} options.studentIds - Only these learners (default: the whole class)
+ * @param {Object} options.comments - Teacher comments keyed by student ID, overriding saved comments
+ * @returns {Promise<Array>} Report card data, one per learner
+ */
+export async function loadReportCards(classId, term, options = {}) {
+  try {
+    const report = await generateGradesReport(classId, term);
+    const studentIds = options.studentIds || report.class.studentIds || [];
+    const comments = options.comments || {};
+
+    const cards = [];
+    for (const studentId of studentIds) {
+      let attendance = null;
+      try {
+        attendance = await getStudentAttendanceSummary(studentId);
+      } catch (error) {
+        console.warn(`Attendance unavailable for student ${studentId}:`, error);
+      }
+      cards.push(buildReportCard(report, studentId, { attendance, comment: comments[studentId] }));
+    }
+    return cards;
+  } catch (error) {
+    console.error('Error loading report cards:', error);
+    throw error;
+  }
+}
+
+/**
+ * Render report cards into a PDF document.
+ * Each learner starts on a new page; long subject lists continue on further
+ * pages with the table header repeated, and page numbers restart per learner.
+ * @param {Array} cards - Report card data from buildReportCard()
+ * @param {Object} options
+ * @param {Object} options.school - Branding, merged over DEFAULT_SCHOOL
+ * @returns {Promise<Object>} jsPDF document
+ */
+export async function createReportCardPDF(cards, options = {}) {
+  const { jsPDF } = await import(JSPDF_URL);
+  const school = { ...DEFAULT_SCHOOL, ...options.school };
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageRanges = [];
+
+  cards.forEach((card, index) => {
+    if (index > 0) doc.addPage();
+    const firstPage = doc.getNumberOfPages();
+    drawReportCard(doc, card, school);
+    pageRanges.push({ card, firstPage, lastPage: doc.getNumberOfPages() });
+  });
+
+  pageRanges.forEach(({ card, firstPage, lastPage }) => {
+    for (let page = firstPage; page <= lastPage; page++) {
+      doc.setPage(page);
+      drawFooter(doc, card, school, page - firstPage + 1, lastPage - firstPage + 1);
+    }
+  });
+
+  return doc;
+}
+
+function drawHeader(doc, card, school, continued) {
+  const width = doc.internal.pageSize.getWidth();
+  doc.setFillColor(...school.color);
+  doc.rect(0, 0, width, 28, 'F');
+
+  let textX = PAGE_MARGIN;
+  if (school.logo) {
+    try {
+      doc.addImage(school.logo, PAGE_MARGIN, 4, 20, 20);
+      textX += 24;
+    } catch (error) {
+      console.warn('Could not draw school logo:', error);
+    }
+  }
+
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(school.name, textX, 12);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  const contact = [school.address, school.phone, school.email].filter(Boolean).join('  •  ');
+  if (contact) doc.text(contact, textX, 18);
+  doc.setFontSize(11);
+  doc.text(`Report Card - ${card.term}${continued ? ' (continued)' : ''}`, textX, 24);
+  doc.setTextColor(0, 0, 0);
+  return 36;
+}
+
+function drawFooter(doc, card, school, pageNumber, pageCount) {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  doc.setDrawColor(...school.color);
+  doc.line(PAGE_MARGIN, height - FOOTER_HEIGHT + 3, width - PAGE_MARGIN, height - FOOTER_HEIGHT + 3);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(100, 100, 100);
+  doc.text(`${card.student.name} • ${card.term} • Issued ${card.issued.toLocaleDateString('en-ZA')}`, PAGE_MARGIN, height - 7);
+  doc.text(`Page ${pageNumber} of ${pageCount}`, width - PAGE_MARGIN, height - 7, { align: 'right' });
+  doc.setTextColor(0, 0, 0);
+}
+
+function drawReportCard(doc, card, school) {
+  const width = doc.internal.pageSize.getWidth();
+  const bottom = doc.internal.pageSize.getHeight() - FOOTER_HEIGHT - 5;
+  const contentWidth = width - PAGE_MARGIN * 2;
+  let y = drawHeader(doc, card, school, false);
+
+  // Learner details
+  doc.setFontSize(10);
+  [
+    ['Learner', card.student.name, 'Student ID', String(card.student.id)],
+    ['Class', card.className, 'Grade', String(card.student.grade)]
+  ].forEach(([label1, value1, label2, value2]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${label1}:`, PAGE_MARGIN, y);
+    doc.text(`${label2}:`, PAGE_MARGIN + contentWidth / 2, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(value1, PAGE_MARGIN + 25, y);
+    doc.text(value2, PAGE_MARGIN + contentWidth / 2 + 25, y);
+    y += 6;
+  });
+  y += 4;
+
+  // Subject table: Subject | Weight | Mark | Symbol | Description
+  const columns = [
+    { title: 'Subject', x: PAGE_MARGIN + 2 },
+    { title: 'Weight', x: PAGE_MARGIN + 70 },
+    { title: 'Mark', x: PAGE_MARGIN + 92 },
+    { title: 'Symbol', x: PAGE_MARGIN + 112 },
+    { title: 'Achievement', x: PAGE_MARGIN + 132 }
+  ];
+  const drawTableHeader = () => {
+    doc.setFillColor(235, 239, 245);
+    doc.rect(PAGE_MARGIN, y - 5.5, contentWidth, ROW_HEIGHT, 'F');
+    doc.setFont('helvetica', 'bold');
+    columns.forEach(col => doc.text(col.title, col.x, y));
+    doc.setFont('helvetica', 'normal');
+    y += ROW_HEIGHT;
+  };
+  const ensureSpace = (needed) => {
+    if (y + needed > bottom) {
+      doc.addPage();
+      y = drawHeader(doc, card, school, true);
+      return true;
+    }
+    return false;
+  };
+
+  drawTableHeader();
+  card.rows.forEach(row => {
+    if (ensureSpace(ROW_HEIGHT)) drawTableHeader();
+    doc.text(doc.splitTextToSize(row.subject, 66)[0], columns[0].x, y);
+    doc.text(row.weight !== undefined ? `${row.weight}%` : '-', columns[1].x, y);
+    doc.text(row.mark !== null ? `${row.mark}%` : '-', columns[2].x, y);
+    doc.text(row.band ? row.band.symbol : '-', columns[3].x, y);
+    doc.text(row.band ? doc.splitTextToSize(row.band.label || '', 50)[0] : 'Not assessed', columns[4].x, y);
+    doc.setDrawColor(220, 220, 220);
+    doc.line(PAGE_MARGIN, y + 2.5, PAGE_MARGIN + contentWidth, y + 2.5);
+    y += ROW_HEIGHT;
+  });
+
+  ensureSpace(ROW_HEIGHT * 2);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Overall average', columns[0].x, y);
+  doc.text(`${card.average}%`, columns[2].x, y);
+  doc.text(card.band ? card.band.symbol : '-', columns[3].x, y);
+  doc.text(card.promoted ? 'Promoted' : `At risk (pass mark ${card.passMark}%)`, columns[4].x, y);
+  doc.setFont('helvetica', 'normal');
+  y += ROW_HEIGHT * 1.5;
+
+  // Attendance
+  if (card.attendance) {
+    ensureSpace(ROW_HEIGHT * 3);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Attendance', PAGE_MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    y += 6;
+    const a = card.attendance;
+    doc.text(
+      `Days recorded: ${a.totalDays}   Present: ${a.totalPresent}   Late: ${a.totalLate}   Absent: ${a.totalAbsent}   Attendance rate: ${a.attendanceRate}%`,
+      PAGE_MARGIN,
+      y
+    );
+    y += ROW_HEIGHT * 1.5;
+  }
+
+  // Teacher comment (may run over several lines and pages)
+  ensureSpace(ROW_HEIGHT * 2);
+  doc.setFont('helvetica', 'bold');
+  doc.text("Teacher's comment", PAGE_MARGIN, y);
+  doc.setFont('helvetica', 'normal');
+  y += 6;
+  doc.splitTextToSize(card.comment || 'No comment.', contentWidth).forEach(line => {
+    ensureSpace(6);
+    doc.text(line, PAGE_MARGIN, y);
+    y += 5;
+  });
+  y += 10;
+
+  // Signatures
+  ensureSpace(20);
+  doc.setDrawColor(0, 0, 0);
+  doc.line(PAGE_MARGIN, y + 8, PAGE_MARGIN + 60, y + 8);
+  doc.line(width - PAGE_MARGIN - 60, y + 8, width - PAGE_MARGIN, y + 8);
+  doc.setFontSize(8);
+  doc.text('Class teacher', PAGE_MARGIN, y + 12);
+  doc.text(school.principal ? `Principal: ${school.principal}` : 'Principal', width - PAGE_MARGIN - 60, y + 12);
+  doc.setFontSize(10);
+}
+
+/**
+ * File name for a learner's report card, e.g. "Thabo_Mokoena_Term_1_2026.pdf"
+ */
+export function reportCardFileName(card) {
+  return `${card.student.name}_${card.term}`.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') + '.pdf';
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download one learner's report card as a PDF
+ * @param {string} classId - Class ID
+ * @param {string} term - Term
+ * @param {string} studentId - Student ID
+ * @param {Object} options - { school, comment }
+ */
+export async function downloadStudentReportCard(classId, term, studentId, options = {}) {
+  try {
+    const comments = options.comment !== undefined ? { [studentId]: options.comment } : {};
+    const [card] = await loadReportCards(classId, term, { studentIds: [studentId], comments });
+    const doc = await createReportCardPDF([card], options);
+    doc.save(reportCardFileName(card));
+    return card;
+  } catch (error) {
+    console.error('Error generating report card:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download report cards for a whole class
+ * @param {string} classId - Class ID
+ * @param {string} term - Term
+ * @param {Object} options
+ * @param {string} options.format - 'pdf' for one combined file, 'zip' for one PDF per learner
+ * @param {Object} options.school - Branding
+ * @param {Object} options.comments - Teacher comments keyed by student ID
+ * @returns {Promise<number>} Number of report cards generated
+ */
+export async function downloadClassReportCards(classId, term, options = {}) {
+  try {
+    const cards = await loadReportCards(classId, term, { comments: options.comments });
+    if (cards.length === 0) {
+      throw new Error('No learners are enrolled in this class');
+    }
+    const baseName = `${cards[0].className}_${term}`.replace(/[^a-z0-9]+/gi, '_');
+
+    if (options.format === 'zip') {
+      const { default: JSZip } = await import(JSZIP_URL);
+      const zip = new JSZip();
+      const usedNames = {};
+      for (const card of cards) {
+        let fileName = reportCardFileName(card);
+        if (usedNames[fileName]) {
+          fileName = fileName.replace(/\.pdf$/, `_${card.student.id}.pdf`);
+        }
+        usedNames[fileName] = true;
+        const doc = await createReportCardPDF([card], options);
+        zip.file(fileName, doc.output('blob'));
+      }
+      saveBlob(await zip.generateAsync({ type: 'blob' }), `Report_Cards_${baseName}.zip`);
+    } else {
+      const doc = await createReportCardPDF(cards, options);
+      doc.save(`Report_Cards_${baseName}.pdf`);
+    }
+    return cards.length;
+  } catch (error) {
+    console.error('Error generating class report cards:', error);
+    throw error;
+  }
+}
+
+// Make available to classic page scripts
+if (typeof window !== 'undefined') {
+  window.ReportCards = {
+    buildReportCard,
+    loadReportCards,
+    createReportCardPDF,
+    reportCardFileName,
+    downloadStudentReportCard,
+    downloadClassReportCards
+  };
+}
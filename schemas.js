@@ -0,0 +1,390 @@
+/**
+ * BIS-SMS Record Schemas
+ * Declarative validation for every school entity, shared by the admin forms,
+ * the CSV import path and the REST API so a record is judged the same way
+ * wherever it enters the system.
+ *
+ * Usage:
+ *   const result = validateRecord('payment', { date: '2026-02-01', amount: '1500', method: 'EFT' });
+ *   // { valid: true, errors: [], data: { date: '2026-02-01', amount: 1500, method: 'EFT' } }
+ *
+ * Errors are field-level: [{ field, message }]. `data` holds the record with
+ * values coerced to their schema types (numeric strings from forms and CSV
+ * files become numbers, enum aliases such as "M" become "Male").
+ *
+ * Works in the browser (include before the page script) and in Node (require).
+ */
+
+const SCHOOL_GRADES = [
+  'Grade R', 'Grade 01', 'Grade 02', 'Grade 03', 'Grade 04', 'Grade 05', 'Grade 06',
+  'Grade 07', 'Grade 08', 'Grade 09', 'Grade 10', 'Grade 11', 'Grade 12'
+];
+
+/**
+ * Validate a South African ID number (YYMMDD SSSS C A Z).
+ * Checks the length, the date of birth, the citizenship digit and the
+ * Luhn check digit.
+ * @param {string} idNumber - 13 digit ID number (spaces are ignored)
+ * @returns {boolean} True if valid
+ */
+function isValidSAIdNumber(idNumber) {
+  const digits = String(idNumber || '').replace(/\s/g, '');
+  if (!/^\d{13}$/.test(digits)) {
+    return false;
+  }
+
+  // Date of birth (the century is not encoded; leap years match for 19xx and 20xx
+  // apart from 1900, which is outside any learner's or teacher's lifetime)
+  const month = parseInt(digits.substring(2, 4), 10);
+  const day = parseInt(digits.substring(4, 6), 10);
+  const year = 2000 + parseInt(digits.substring(0, 2), 10);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+    return false;
+  }
+
+  // Citizenship: 0 = SA citizen, 1 = permanent resident, 2 = refugee
+  if (!['0', '1', '2'].includes(digits[10])) {
+    return false;
+  }
+
+  // Luhn checksum over all 13 digits
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    let digit = parseInt(digits[12 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate a South African phone number.
+ * Accepts local (082 123 4567) and international (+27 82 123 4567,
+ * 0027...) formats with spaces, dashes or brackets.
+ * @param {string} phone - Phone number
+ * @returns {boolean} True if valid
+ */
+function isValidSAPhoneNumber(phone) {
+  const text = String(phone || '').trim();
+  if (!/^\+?[\d\s\-()]+$/.test(text)) {
+    return false;
+  }
+  const digits = text.replace(/\D/g, '');
+  const national = digits.startsWith('0027') ? digits.substring(4)
+    : digits.startsWith('27') && digits.length === 11 ? digits.substring(2)
+    : digits.startsWith('0') ? digits.substring(1)
+    : null;
+  return national !== null && /^[1-8]\d{8}$/.test(national);
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email));
+}
+
+function isValidISODate(value) {
+  if (value instanceof Date) {
+    return !isNaN(value);
+  }
+  const text = String(value);
+  if (!/^\d{4}-\d{2}-\d{2}([T ].*)?$/.test(text)) {
+    return false;
+  }
+  const date = new Date(text.length === 10 ? `${text}T00:00:00Z` : text);
+  return !isNaN(date) && date.toISOString().substring(0, 10) === text.substring(0, 10);
+}
+
+/**
+ * Field definitions.
+ *
+ * type:      string | number | integer | boolean | date | email | phone | saId | enum | array
+ * required:  value must be present (empty strings count as missing)
+ * label:     name used in error messages
+ * min/max:   numeric range (inclusive); exclusiveMin for "greater than"
+ * minLength/maxLength, pattern: string constraints
+ * values:    allowed values for enums; aliases map alternative spellings
+ * normalize: function applied to the raw value before validation
+ */
+const RECORD_SCHEMAS = {
+  student: {
+    surname: { type: 'string', required: true, label: 'Surname', maxLength: 100 },
+    firstname: { type: 'string', required: true, label: 'First name', maxLength: 100 },
+    gender: {
+      type: 'enum', required: true, label: 'Gender',
+      values: ['Male', 'Female'],
+      aliases: { M: 'Male', F: 'Female', male: 'Male', female: 'Female' }
+    },
+    grade: {
+      type: 'enum', required: true, label: 'Grade',
+      values: SCHOOL_GRADES,
+      // CSV files use "10" or "R", the admin form uses "Grade 10"
+      normalize: value => {
+        const text = String(value).trim();
+        const match = text.match(/^(?:grade\s*)?(r|\d{1,2})$/i);
+        if (!match) return text;
+        return match[1].toUpperCase() === 'R' ? 'Grade R' : `Grade ${match[1].padStart(2, '0')}`;
+      }
+    },
+    classname: { type: 'string', label: 'Class', maxLength: 20 },
+    idNumber: { type: 'saId', label: 'ID number' },
+    learnerCell: { type: 'phone', label: 'Learner cell' },
+    learnerEmail: { type: 'email', label: 'Learner email' },
+    language: { type: 'string', label: 'Home language', maxLength: 50 },
+    fatherFirstname: { type: 'string', label: 'Father first name', maxLength: 100 },
+    fatherSurname: { type: 'string', label: 'Father surname', maxLength: 100 },
+    fatherEmail: { type: 'email', label: 'Father email' },
+    fatherCell: { type: 'phone', label: 'Father cell' },
+    motherFirstname: { type: 'string', label: 'Mother first name', maxLength: 100 },
+    motherSurname: { type: 'string', label: 'Mother surname', maxLength: 100 },
+    motherEmail: { type: 'email', label: 'Mother email' },
+    motherCell: { type: 'phone', label: 'Mother cell' },
+    classIds: { type: 'array', label: 'Classes' }
+  },
+
+  teacher: {
+    name: { type: 'string', required: true, label: 'Name', maxLength: 150 },
+    subject: { type: 'string', required: true, label: 'Subject', maxLength: 100 },
+    qualification: { type: 'string', label: 'Qualification', maxLength: 150 },
+    status: { type: 'enum', label: 'Status', values: ['Active', 'On Leave', 'Inactive'] },
+    idNumber: { type: 'saId', label: 'ID number' },
+    email: { type: 'email', label: 'Email' },
+    phone: { type: 'phone', label: 'Phone' }
+  },
+
+  class: {
+    name: { type: 'string', required: true, label: 'Class name', maxLength: 50 },
+    grade: { type: 'string', required: true, label: 'Grade', maxLength: 20 },
+    capacity: { type: 'integer', label: 'Capacity', min: 1, max: 100 },
+    schedule: { type: 'string', label: 'Schedule', maxLength: 200 },
+    teacherId: { type: 'string', label: 'Teacher' },
+    studentIds: { type: 'array', label: 'Students' }
+  },
+
+  feeItem: {
+    desc: { type: 'string', required: true, label: 'Description', maxLength: 200 },
+    amount: { type: 'number', required: true, label: 'Amount', exclusiveMin: 0, max: 1000000 }
+  },
+
+  payment: {
+    date: { type: 'date', required: true, label: 'Payment date' },
+    amount: { type: 'number', required: true, label: 'Amount', exclusiveMin: 0, max: 1000000 },
+    method: { type: 'enum', required: true, label: 'Payment method', values: ['EFT', 'Cash', 'Card', 'Debit Order'] }
+  },
+
+  expense: {
+    date: { type: 'date', required: true, label: 'Expense date' },
+    desc: { type: 'string', required: true, label: 'Description', maxLength: 200 },
+    category: {
+      type: 'enum', required: true, label: 'Category',
+      values: ['Salaries', 'Utilities', 'Supplies', 'Maintenance', 'Other']
+    },
+    amount: { type: 'number', required: true, label: 'Amount', exclusiveMin: 0, max: 100000000 }
+  },
+
+  attendance: {
+    classId: { type: 'string', required: true, label: 'Class' },
+    studentId: { type: 'string', required: true, label: 'Student' },
+    date: { type: 'date', required: true, label: 'Date' },
+    status: {
+      type: 'enum', required: true, label: 'Status',
+      values: ['Present', 'Absent', 'Late'],
+      aliases: { P: 'Present', A: 'Absent', L: 'Late', present: 'Present', absent: 'Absent', late: 'Late' }
+    },
+    notes: { type: 'string', label: 'Notes', maxLength: 500 }
+  },
+
+  grade: {
+    studentId: { type: 'string', required: true, label: 'Student ID' },
+    subject: { type: 'string', required: true, label: 'Subject', maxLength: 100 },
+    score: { type: 'number', required: true, label: 'Mark', min: 0, max: 100 },
+    term: { type: 'string', label: 'Term', maxLength: 50 },
+    comment: { type: 'string', label: 'Comment', maxLength: 500 }
+  }
+};
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validate one field value against its rule
+ * @returns {Object} { value, error } - coerced value, error message or null
+ */
+function validateField(rule, rawValue) {
+  const label = rule.label;
+  let value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+
+  if (!isEmptyValue(value) && rule.normalize) {
+    value = rule.normalize(value);
+  }
+
+  if (isEmptyValue(value)) {
+    return { value: rawValue, error: rule.required ? `${label} is required` : null };
+  }
+
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (!isFinite(number)) {
+        return { value, error: `${label} must be a number` };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(number)) {
+        return { value, error: `${label} must be a whole number` };
+      }
+      if (rule.exclusiveMin !== undefined && number <= rule.exclusiveMin) {
+        return { value, error: `${label} must be greater than ${rule.exclusiveMin}` };
+      }
+      if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+        const range = rule.min !== undefined ? `between ${rule.min} and ${rule.max}` : `at most ${rule.max}`;
+        return { value, error: `${label} must be ${range}` };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value, error: null };
+      if (['true', 'yes', '1'].includes(String(value).toLowerCase())) return { value: true, error: null };
+      if (['false', 'no', '0'].includes(String(value).toLowerCase())) return { value: false, error: null };
+      return { value, error: `${label} must be yes or no` };
+
+    case 'date':
+      return isValidISODate(value)
+        ? { value: value instanceof Date ? value.toISOString().substring(0, 10) : value, error: null }
+        : { value, error: `${label} must be a valid date (YYYY-MM-DD)` };
+
+    case 'email':
+      return isValidEmail(value)
+        ? { value, error: null }
+        : { value, error: `${label} must be a valid email address` };
+
+    case 'phone':
+      return isValidSAPhoneNumber(value)
+        ? { value, error: null }
+        : { value, error: `${label} must be a valid South African phone number` };
+
+    case 'saId':
+      return isValidSAIdNumber(value)
+        ? { value: String(value).replace(/\s/g, ''), error: null }
+        : { value, error: `${label} is not a valid South African ID number` };
+
+    case 'enum': {
+      const aliases = rule.aliases || {};
+      const resolved = rule.values.includes(value) ? value : aliases[value];
+      return resolved !== undefined
+        ? { value: resolved, error: null }
+        : { value, error: `${label} must be one of: ${rule.values.join(', ')}` };
+    }
+
+    case 'array':
+      return Array.isArray(value)
+        ? { value, error: null }
+        : { value, error: `${label} must be a list` };
+
+    case 'string':
+    default: {
+      const text = typeof value === 'number' ? String(value) : value;
+      if (typeof text !== 'string') {
+        return { value, error: `${label} must be text` };
+      }
+      if (rule.minLength !== undefined && text.length < rule.minLength) {
+        return { value: text, error: `${label} must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return { value: text, error: `${label} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return { value: text, error: `${label} has an invalid format` };
+      }
+      return { value: text, error: null };
+    }
+  }
+}
+
+/**
+ * Get the schema for an entity
+ * @param {string} entity - student, teacher, class, feeItem, payment, expense, attendance or grade
+ * @returns {Object} Field rules keyed by field name
+ */
+function getRecordSchema(entity) {
+  const schema = RECORD_SCHEMAS[entity];
+  if (!schema) {
+    throw new Error(`Unknown record type "${entity}"`);
+  }
+  return schema;
+}
+
+/**
+ * Validate a record against its entity schema
+ * @param {string} entity - Entity name (see RECORD_SCHEMAS)
+ * @param {Object} record - Record to validate
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields present (for updates)
+ * @returns {Object} { valid, errors: [{ field, message }], data }
+ */
+function validateRecord(entity, record, options = {}) {
+  const schema = getRecordSchema(entity);
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { valid: false, errors: [{ field: null, message: 'Record must be an object' }], data: {} };
+  }
+
+  const errors = [];
+  const data = { ...record };
+
+  Object.keys(schema).forEach(field => {
+    if (options.partial && !Object.prototype.hasOwnProperty.call(record, field)) {
+      return;
+    }
+    const result = validateField(schema[field], record[field]);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else if (record[field] !== undefined) {
+      data[field] = result.value;
+    }
+  });
+
+  return { valid: errors.length === 0, errors, data };
+}
+
+/**
+ * Validate a list of records (e.g. CSV rows)
+ * @param {string} entity - Entity name
+ * @param {Array} records - Records to validate
+ * @returns {Object} { valid, results: [{ index, valid, errors, data }], errors: [{ index, field, message }] }
+ */
+function validateRecords(entity, records, options = {}) {
+  const results = (records || []).map((record, index) => ({
+    index,
+    ...validateRecord(entity, record, options)
+  }));
+  const errors = [];
+  results.forEach(result => {
+    result.errors.forEach(error => errors.push({ index: result.index, ...error }));
+  });
+  return { valid: errors.length === 0, results, errors };
+}
+
+/**
+ * Join field errors into a single readable message
+ */
+function formatValidationErrors(errors) {
+  return (errors || []).map(error => error.message).join('\n');
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCHOOL_GRADES,
+    RECORD_SCHEMAS,
+    isValidSAIdNumber,
+    isValidSAPhoneNumber,
+    getRecordSchema,
+    validateField,
+    validateRecord,
+    validateRecords,
+    formatValidationErrors
+  };
+}
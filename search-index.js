@@ -0,0 +1,346 @@
+/**
+ * BIS-SMS Local Search Index
+ *
+ * In-memory full-text index over the records the admin dashboard already
+ * receives through its realtime subscriptions (see indexCollectionsForSearch()
+ * in firestore-realtime.js), so searching never downloads a collection:
+ *
+ *   const index = new window.SearchIndex.LocalSearchIndex();
+ *   index.set('students', 'abc123', { name: 'Thabo Nkosi', grade: '10' });
+ *   index.search('tabo');
+ *   // { query, total, groups: [{ type: 'students', label: 'Students',
+ *   //     results: [{ type, id, title, subtitle, score, doc }] }] }
+ *
+ * Matching is:
+ * - tokenized: text is split into words, and every query word must match
+ * - accent-insensitive: "Zoë" and "Zoe", "Müller" and "Muller" are the same
+ * - prefix-matching: "nko" finds "Nkosi", so results appear while typing
+ * - typo-tolerant: one edit for words of 4-7 letters, two from 8 letters
+ *   ("Tabo" finds "Thabo"; a swapped pair of letters counts as one edit)
+ *
+ * Results are ranked by how well each word matched (exact, then prefix, then
+ * typo) weighted by the field it matched in (a name counts more than a
+ * note), and grouped by record type.
+ *
+ * Parents have no collection of their own: they are derived from each
+ * student's `parent` field ("Father: John Nkosi; Mother: Jane Nkosi").
+ *
+ * Works in the browser (window.SearchIndex) and in Node (require).
+ */
+
+// Record types, the fields searched (with their weight) and how results are shown
+// "Grade 10" for a grade stored as "10" or as "Grade 10"
+function gradeLabel(grade) {
+  if (!grade) return null;
+  return /^grade\b/i.test(String(grade).trim()) ? String(grade).trim() : `Grade ${grade}`;
+}
+
+const SEARCH_TYPES = {
+  students: {
+    label: 'Students',
+    fields: { name: 3, firstname: 2, surname: 2, numericId: 2, id: 1, grade: 1, classname: 1, learnerEmail: 1 },
+    title: doc => doc.name || [doc.firstname, doc.surname].filter(Boolean).join(' '),
+    subtitle: doc => [gradeLabel(doc.grade), doc.classname, doc.numericId && `#${doc.numericId}`]
+      .filter(Boolean).join(' • ')
+  },
+  teachers: {
+    label: 'Teachers',
+    fields: { name: 3, subject: 2, numericId: 2, id: 1, qualification: 1 },
+    title: doc => doc.name,
+    subtitle: doc => [doc.subject, doc.status].filter(Boolean).join(' • ')
+  },
+  parents: {
+    label: 'Parents',
+    fields: { name: 3, studentName: 1, contact: 1 },
+    title: doc => doc.name,
+    subtitle: doc => [doc.relation && `${doc.relation} of ${doc.studentName}`, doc.contact].filter(Boolean).join(' • ')
+  },
+  classes: {
+    label: 'Classes',
+    fields: { name: 3, grade: 2, numericId: 2, schedule: 1 },
+    title: doc => doc.name,
+    subtitle: doc => [gradeLabel(doc.grade), doc.schedule].filter(Boolean).join(' • ')
+  },
+  announcements: {
+    label: 'Announcements',
+    fields: { title: 3, category: 1, content: 1 },
+    title: doc => doc.title,
+    subtitle: doc => [doc.date, doc.category].filter(Boolean).join(' • ')
+  }
+};
+
+// Score of a query word matching an indexed word, before the field weight
+const MATCH_SCORES = { exact: 1, prefix: 0.75, typo: 0.5, typoPrefix: 0.4 };
+
+/**
+ * Lowercase text with accents removed ("Zoë Müller" -> "zoe muller")
+ */
+function normalizeSearchText(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into normalized words
+ * @returns {Array<string>}
+ */
+function tokenizeSearchText(text) {
+  return normalizeSearchText(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Edits allowed for a query word of this length
+function allowedEdits(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment),
+ * giving up once it exceeds `max`
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How a query word matches an indexed word: a MATCH_SCORES value, or 0
+function matchScore(queryWord, word) {
+  if (word === queryWord) return MATCH_SCORES.exact;
+  if (word.startsWith(queryWord)) return MATCH_SCORES.prefix;
+  const edits = allowedEdits(queryWord.length);
+  if (edits === 0) return 0;
+  const distance = editDistance(queryWord, word, edits);
+  if (distance <= edits) return MATCH_SCORES.typo / distance;
+  // A typo in a word that is still being typed ("nkso" for "nkosi")
+  if (word.length > queryWord.length &&
+      editDistance(queryWord, word.slice(0, queryWord.length), edits) <= edits) {
+    return MATCH_SCORES.typoPrefix;
+  }
+  return 0;
+}
+
+// Values the dashboard stores for "not given" ('N/A' for a student without a parent)
+const PLACEHOLDER_VALUES = ['n/a', 'na', 'none', '-'];
+
+function isPlaceholder(value) {
+  return PLACEHOLDER_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * The parents named in a student's `parent` field
+ * @param {Object} student - Student record with an id
+ * @returns {Array<Object>} [{ id, name, relation, studentId, studentName, contact }]
+ */
+function parentsFromStudent(student) {
+  if (!student || !student.parent) return [];
+  const contact = student.contact && !isPlaceholder(student.contact) ? student.contact : null;
+  return String(student.parent).split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part, index) => {
+      const match = /^([^:]+):\s*(.+)$/.exec(part);
+      return {
+        id: `${student.id}_${index}`,
+        name: match ? match[2].trim() : part,
+        relation: match ? match[1].trim() : null,
+        studentId: student.id,
+        studentName: student.name || '',
+        contact: index === 0 ? contact : null
+      };
+    })
+    .filter(parent => !isPlaceholder(parent.name));
+}
+
+/**
+ * In-memory search index over several record types
+ */
+class LocalSearchIndex {
+  /**
+   * @param {Object} types - Record types to index (default SEARCH_TYPES)
+   */
+  constructor(types = SEARCH_TYPES) {
+    this.types = types;
+    this.entries = new Map();  // 'type/id' -> { type, id, doc, words: Map<word, weight> }
+    this.postings = new Map(); // word -> Set<'type/id'>
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add or replace a record
+   */
+  set(type, id, doc) {
+    const config = this.types[type];
+    if (!config) {
+      throw new Error(`Unknown search type "${type}"`);
+    }
+    this.remove(type, id);
+
+    const key = `${type}/${id}`;
+    const words = new Map();
+    Object.entries(config.fields).forEach(([field, weight]) => {
+      const value = field === 'id' ? id : doc[field];
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach(item => {
+        tokenizeSearchText(item).forEach(word => {
+          words.set(word, Math.max(words.get(word) || 0, weight));
+        });
+      });
+    });
+
+    this.entries.set(key, { type, id: String(id), doc, words });
+    words.forEach((weight, word) => {
+      if (!this.postings.has(word)) this.postings.set(word, new Set());
+      this.postings.get(word).add(key);
+    });
+  }
+
+  /**
+   * Remove a record
+   */
+  remove(type, id) {
+    const key = `${type}/${id}`;
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    entry.words.forEach((weight, word) => {
+      const keys = this.postings.get(word);
+      keys.delete(key);
+      if (keys.size === 0) this.postings.delete(word);
+    });
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every record of a type that matches a predicate (all of them without one)
+   */
+  removeWhere(type, predicate = () => true) {
+    [...this.entries.values()]
+      .filter(entry => entry.type === type && predicate(entry.doc, entry.id))
+      .forEach(entry => this.remove(type, entry.id));
+  }
+
+  /**
+   * Add or replace a student together with the parents named on it
+   */
+  setStudent(id, student) {
+    this.set('students', id, student);
+    this.removeWhere('parents', parent => String(parent.studentId) === String(id));
+    parentsFromStudent({ ...student, id }).forEach(parent => this.set('parents', parent.id, parent));
+  }
+
+  /**
+   * Remove a student and the parents derived from it
+   */
+  removeStudent(id) {
+    this.remove('students', id);
+    this.removeWhere('parents', parent => String(parent.studentId) === String(id));
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - What the user typed
+   * @param {Object} options
+   * @param {number} options.limit - Results per type (default 5)
+   * @param {Array<string>} options.types - Only these record types
+   * @returns {Object} { query, total, groups: [{ type, label, results }] }
+   */
+  search(query, { limit = 5, types = null } = {}) {
+    const queryWords = [...new Set(tokenizeSearchText(query))];
+    const empty = { query, total: 0, groups: [] };
+    if (queryWords.length === 0) return empty;
+
+    // Best score per record for each query word; every word has to match
+    let scores = null;
+    for (const queryWord of queryWords) {
+      const wordScores = new Map();
+      this.postings.forEach((keys, word) => {
+        const score = matchScore(queryWord, word);
+        if (score === 0) return;
+        keys.forEach(key => {
+          const weighted = score * this.entries.get(key).words.get(word);
+          if (weighted > (wordScores.get(key) || 0)) wordScores.set(key, weighted);
+        });
+      });
+
+      if (scores === null) {
+        scores = wordScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, key) => {
+          if (wordScores.has(key)) combined.set(key, score + wordScores.get(key));
+        });
+        scores = combined;
+      }
+      if (scores.size === 0) return empty;
+    }
+
+    const byType = new Map();
+    scores.forEach((score, key) => {
+      const entry = this.entries.get(key);
+      if (types && !types.includes(entry.type)) return;
+      const config = this.types[entry.type];
+      if (!byType.has(entry.type)) byType.set(entry.type, []);
+      byType.get(entry.type).push({
+        type: entry.type,
+        id: entry.id,
+        title: config.title(entry.doc) || entry.id,
+        subtitle: config.subtitle ? config.subtitle(entry.doc) : '',
+        score,
+        doc: entry.doc
+      });
+    });
+
+    // Groups in order of their best result, results best first
+    const groups = [...byType.entries()].map(([type, results]) => {
+      results.sort((a, b) => b.score - a.score || String(a.title).localeCompare(String(b.title)));
+      return { type, label: this.types[type].label, total: results.length, results: results.slice(0, limit) };
+    });
+    groups.sort((a, b) => b.results[0].score - a.results[0].score);
+
+    return { query, total: groups.reduce((sum, group) => sum + group.total, 0), groups };
+  }
+}
+
+const SearchIndex = {
+  SEARCH_TYPES,
+  normalizeSearchText,
+  tokenizeSearchText,
+  editDistance,
+  parentsFromStudent,
+  LocalSearchIndex
+};
+
+// Make available to the admin dashboard and browser modules
+if (typeof window !== 'undefined') {
+  window.SearchIndex = SearchIndex;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
@@ -0,0 +1,640 @@
+/**
+ * Server-side School Queries for BIS-SMS
+ *
+ * Node counterparts of the browser query functions in firestore-queries.js.
+ * They return the same shapes so that reports produced by back-office
+ * scripts through the REST API match what the admin dashboard shows.
+ *
+ * All functions read through a data backend (see data-backends.js), so the
+ * same code runs against the local JSON store and Firestore. Each set of
+ * queries reads one school's collections (see tenancy.js).
+ */
+
+const { resolveAssessmentScheme, gradeSymbol } = require('./grading-schemes');
+const {
+  ATTENDANCE_COLLECTION,
+  GRADEBOOK_COLLECTION,
+  toDateKey,
+  attendanceSessionId,
+  assembleTermGrades,
+  studentGradeRows,
+  summarizeAttendance
+} = require('./academic-records');
+const {
+  SCHOOLS_COLLECTION,
+  DEFAULT_SCHOOL_ID,
+  scopedPath,
+  schoolProfile,
+  consolidateSchoolReports
+} = require('./tenancy');
+
+/**
+ * Pick the assessment scheme for a class, term and (optional) subject
+ */
+function resolveClassScheme(schemes, classData, subjects, term, subjectName) {
+  const subject = subjects.find(sub => sub.name === subjectName);
+  return resolveAssessmentScheme(schemes, {
+    grade: classData ? classData.grade : '',
+    subject: subjectName,
+    term,
+    schemeId: subject ? subject.schemeId : undefined
+  });
+}
+
+/**
+ * Calculate the fee totals for a single fee record
+ */
+function calculateFeeTotals(fee) {
+  const itemsTotal = (fee.items || []).reduce((sum, i) => sum + (parseFloat(i.amount) || 0), 0);
+  const discountsTotal = (fee.discounts || []).reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+  const netDue = itemsTotal - discountsTotal;
+  const paidTotal = (fee.payments || []).reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+  const balance = netDue - paidTotal;
+
+  return { netDue, paidTotal, balance };
+}
+
+/**
+ * A backend whose school collections resolve inside one school
+ * ('students' -> 'schools/{schoolId}/students')
+ */
+function schoolBackend(backend, schoolId) {
+  return {
+    name: backend.name,
+    list: (collectionName, queryConstraints) => backend.list(scopedPath(collectionName, schoolId), queryConstraints),
+    get: (collectionName, id) => backend.get(scopedPath(collectionName, schoolId), id)
+  };
+}
+
+/**
+ * The group's schools; a store without a schools collection holds one school
+ * @param {Object} backend - Data backend from data-backends.js
+ * @returns {Promise<Array<Object>>} School profiles, by campus
+ */
+async function listSchools(backend) {
+  const schools = await backend.list(SCHOOLS_COLLECTION);
+  if (schools.length === 0) {
+    return [schoolProfile({ id: DEFAULT_SCHOOL_ID })];
+  }
+  return schools.map(schoolProfile).sort((a, b) => String(a.campus).localeCompare(String(b.campus)));
+}
+
+/**
+ * Create the query functions bound to a data backend and a school
+ * @param {Object} sharedBackend - Data backend from data-backends.js
+ * @param {Object} options
+ * @param {string} options.schoolId - School whose records are read (default: the original campus)
+ * @returns {Object} Query functions
+ */
+function createSchoolQueries(sharedBackend, { schoolId = DEFAULT_SCHOOL_ID } = {}) {
+  const backend = schoolBackend(sharedBackend, schoolId);
+  const byName = { orderBy: [{ field: 'name', direction: 'asc' }] };
+
+  /**
+   * ========================================
+   * DASHBOARD
+   * ========================================
+   */
+
+  async function getDashboardStats() {
+    const students = await backend.list('students');
+    const fees = await backend.list('fees');
+    const expenses = await backend.list('expenses');
+
+    let totalDue = 0;
+    let totalPaid = 0;
+    let totalBalance = 0;
+
+    fees.forEach(fee => {
+      const totals = calculateFeeTotals(fee);
+      totalDue += totals.netDue;
+      totalPaid += totals.paidTotal;
+      totalBalance += totals.balance;
+    });
+
+    const totalExpenses = expenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+    const collectionRate = totalDue > 0 ? Math.round((totalPaid / totalDue) * 100) : 0;
+
+    return {
+      totalStudents: students.length,
+      totalDue,
+      totalPaid,
+      totalBalance,
+      totalExpenses,
+      collectionRate,
+      netSurplus: totalPaid - totalExpenses
+    };
+  }
+
+  /**
+   * ========================================
+   * STUDENTS
+   * ========================================
+   */
+
+  async function getAllStudents() {
+    return backend.list('students', byName);
+  }
+
+  async function getStudentsByGrade(grade) {
+    return backend.list('students', {
+      where: [{ field: 'grade', operator: '==', value: grade }],
+      ...byName
+    });
+  }
+
+  async function getStudentById(studentId) {
+    return backend.get('students', studentId);
+  }
+
+  async function searchStudents(searchTerm) {
+    const students = await getAllStudents();
+    const term = searchTerm.toLowerCase();
+
+    return students.filter(student =>
+      (student.name || '').toLowerCase().includes(term) ||
+      (student.id && student.id.toString().includes(term))
+    );
+  }
+
+  /**
+   * ========================================
+   * TEACHERS
+   * ========================================
+   */
+
+  async function getAllTeachers() {
+    return backend.list('teachers', byName);
+  }
+
+  async function getTeachersBySubject(subject) {
+    return backend.list('teachers', {
+      where: [{ field: 'subject', operator: '==', value: subject }],
+      ...byName
+    });
+  }
+
+  async function getTeachersByStatus(status) {
+    return backend.list('teachers', {
+      where: [{ field: 'status', operator: '==', value: status }],
+      ...byName
+    });
+  }
+
+  async function searchTeachers(searchTerm) {
+    const teachers = await getAllTeachers();
+    const term = searchTerm.toLowerCase();
+
+    return teachers.filter(teacher =>
+      (teacher.name || '').toLowerCase().includes(term) ||
+      (teacher.subject && teacher.subject.toLowerCase().includes(term))
+    );
+  }
+
+  /**
+   * ========================================
+   * CLASSES
+   * ========================================
+   */
+
+  async function getAllClasses() {
+    return backend.list('classes', byName);
+  }
+
+  async function getClassesByGrade(grade) {
+    return backend.list('classes', {
+      where: [{ field: 'grade', operator: '==', value: grade }],
+      ...byName
+    });
+  }
+
+  async function getClassesByTeacher(teacherId) {
+    return backend.list('classes', {
+      where: [{ field: 'teacherId', operator: '==', value: teacherId }],
+      orderBy: [
+        { field: 'grade', direction: 'asc' },
+        { field: 'name', direction: 'asc' }
+      ]
+    });
+  }
+
+  async function getClassWithStudents(classId) {
+    const classData = await backend.get('classes', classId);
+    if (!classData) {
+      return null;
+    }
+
+    const students = [];
+    for (const studentId of classData.studentIds || []) {
+      const student = await getStudentById(studentId);
+      if (student) {
+        students.push(student);
+      } else {
+        console.warn(`Could not fetch student ${studentId} for class ${classId}`);
+      }
+    }
+
+    return { ...classData, students };
+  }
+
+  /**
+   * ========================================
+   * ATTENDANCE
+   * ========================================
+   */
+
+  async function getAttendanceByClassAndDate(classId, date) {
+    const session = await backend.get(ATTENDANCE_COLLECTION, attendanceSessionId(classId, date));
+    return session || { classId, date, records: {} };
+  }
+
+  async function getAttendanceByClassAndDateRange(classId, startDate, endDate) {
+    return backend.list(ATTENDANCE_COLLECTION, {
+      where: [
+        { field: 'classId', operator: '==', value: String(classId) },
+        { field: 'date', operator: '>=', value: toDateKey(startDate) },
+        { field: 'date', operator: '<=', value: toDateKey(endDate) }
+      ],
+      orderBy: [{ field: 'date', direction: 'desc' }]
+    });
+  }
+
+  async function getStudentAttendanceSummary(studentId) {
+    const sessions = await backend.list(ATTENDANCE_COLLECTION, {
+      where: [{ field: 'studentIds', operator: 'array-contains', value: String(studentId) }]
+    });
+    return summarizeAttendance(sessions, studentId);
+  }
+
+  /**
+   * ========================================
+   * GRADES
+   * ========================================
+   */
+
+  async function getGradesByClassAndTerm(classId, term) {
+    const entries = await backend.list(GRADEBOOK_COLLECTION, {
+      where: [
+        { field: 'classId', operator: '==', value: String(classId) },
+        { field: 'term', operator: '==', value: term }
+      ]
+    });
+    return {
+      classId,
+      term,
+      grades: assembleTermGrades(entries)
+    };
+  }
+
+  async function getGradesByStudent(studentId) {
+    const entries = await backend.list(GRADEBOOK_COLLECTION, {
+      where: [{ field: 'studentIds', operator: 'array-contains', value: String(studentId) }]
+    });
+    return studentGradeRows(entries, studentId);
+  }
+
+  async function getClassGradeStatistics(classId, term) {
+    const { grades } = await getGradesByClassAndTerm(classId, term);
+    const schemes = await getAssessmentSchemes();
+    const classData = await backend.get('classes', classId);
+    const subjects = await getClassSubjects(classId);
+    const schemeFor = subject => resolveClassScheme(schemes, classData, subjects, term, subject);
+
+    const stats = {
+      totalStudents: Object.keys(grades).length,
+      subjectAverages: {},
+      subjectSymbols: {},
+      passMark: schemeFor().passMark,
+      topPerformers: [],
+      failingStudents: []
+    };
+
+    const subjectScores = {};
+    Object.keys(grades).forEach(studentId => {
+      const studentGrades = grades[studentId];
+      Object.keys(studentGrades).forEach(subject => {
+        if (subject !== 'comment') {
+          const score = parseFloat(studentGrades[subject]);
+          if (!isNaN(score)) {
+            subjectScores[subject] = subjectScores[subject] || [];
+            subjectScores[subject].push(score);
+          }
+        }
+      });
+    });
+
+    Object.keys(subjectScores).forEach(subject => {
+      const scores = subjectScores[subject];
+      const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+      stats.subjectAverages[subject] = Math.round(average * 10) / 10;
+      stats.subjectSymbols[subject] = gradeSymbol(average, schemeFor(subject).scale);
+    });
+
+    return stats;
+  }
+
+  async function getClassSubjects(classId) {
+    const subjectsData = await backend.get('subjects', classId);
+    return (subjectsData && subjectsData.subjects) || [];
+  }
+
+  async function getAssessmentSchemes() {
+    return backend.list('assessmentSchemes');
+  }
+
+  async function getAssessmentScheme(classId, term, subject) {
+    const schemes = await getAssessmentSchemes();
+    const classData = await backend.get('classes', classId);
+    const subjects = await getClassSubjects(classId);
+    return resolveClassScheme(schemes, classData, subjects, term, subject);
+  }
+
+  /**
+   * ========================================
+   * FINANCE
+   * ========================================
+   */
+
+  async function getAllFees() {
+    const fees = await backend.list('fees');
+    return fees.map(fee => ({ studentId: fee.id, ...fee }));
+  }
+
+  async function getStudentFees(studentId) {
+    const fee = await backend.get('fees', studentId);
+    if (!fee) {
+      return { studentId, items: [], discounts: [], payments: [] };
+    }
+    const { id, ...feeData } = fee;
+    return { studentId, ...feeData };
+  }
+
+  async function getStudentsWithOutstandingFees(minimumBalance = 0) {
+    const fees = await getAllFees();
+    const students = await getAllStudents();
+    const outstandingStudents = [];
+
+    fees.forEach(fee => {
+      const { netDue, paidTotal, balance } = calculateFeeTotals(fee);
+      if (balance > minimumBalance) {
+        const student = students.find(s => s.id === fee.studentId);
+        if (student) {
+          outstandingStudents.push({ ...student, balance, netDue, paidTotal });
+        }
+      }
+    });
+
+    return outstandingStudents.sort((a, b) => b.balance - a.balance);
+  }
+
+  async function getAllExpenses() {
+    return backend.list('expenses', { orderBy: [{ field: 'date', direction: 'desc' }] });
+  }
+
+  async function getExpensesByDateRange(startDate, endDate) {
+    return backend.list('expenses', {
+      where: [
+        { field: 'date', operator: '>=', value: startDate },
+        { field: 'date', operator: '<=', value: endDate }
+      ],
+      orderBy: [{ field: 'date', direction: 'desc' }]
+    });
+  }
+
+  async function getExpensesByCategory(category) {
+    return backend.list('expenses', {
+      where: [{ field: 'category', operator: '==', value: category }],
+      orderBy: [{ field: 'date', direction: 'desc' }]
+    });
+  }
+
+  async function getFinancialSummary(startDate = null, endDate = null) {
+    const fees = await getAllFees();
+    const expenses = startDate && endDate
+      ? await getExpensesByDateRange(startDate, endDate)
+      : await getAllExpenses();
+
+    let totalDue = 0;
+    let totalPaid = 0;
+    let totalBalance = 0;
+
+    fees.forEach(fee => {
+      const totals = calculateFeeTotals(fee);
+      totalDue += totals.netDue;
+      totalPaid += totals.paidTotal;
+      totalBalance += totals.balance;
+    });
+
+    const totalExpenses = expenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+    const byCategory = {};
+    expenses.forEach(e => {
+      const category = e.category || 'Uncategorized';
+      byCategory[category] = (byCategory[category] || 0) + (parseFloat(e.amount) || 0);
+    });
+
+    return {
+      income: {
+        totalDue,
+        totalPaid,
+        totalBalance,
+        collectionRate: totalDue > 0 ? Math.round((totalPaid / totalDue) * 100) : 0
+      },
+      expenses: {
+        total: totalExpenses,
+        byCategory
+      },
+      netSurplus: totalPaid - totalExpenses
+    };
+  }
+
+  /**
+   * ========================================
+   * REPORTS
+   * ========================================
+   */
+
+  async function generateFinancialReport(startDate = null, endDate = null) {
+    return {
+      summary: await getFinancialSummary(startDate, endDate),
+      outstandingStudents: await getStudentsWithOutstandingFees(),
+      reportDate: new Date().toISOString(),
+      period: { startDate, endDate }
+    };
+  }
+
+  async function generateAttendanceReport(classId, startDate, endDate) {
+    const classData = await getClassWithStudents(classId);
+    if (!classData) {
+      return null;
+    }
+    const attendanceRecords = await getAttendanceByClassAndDateRange(classId, startDate, endDate);
+
+    const report = {
+      class: classData,
+      period: { startDate, endDate },
+      records: attendanceRecords,
+      summary: {
+        totalDays: attendanceRecords.length,
+        studentSummaries: []
+      }
+    };
+
+    classData.students.forEach(student => {
+      let present = 0;
+      let absent = 0;
+      let late = 0;
+
+      attendanceRecords.forEach(record => {
+        const studentRecord = record.records && record.records[student.id];
+        if (studentRecord) {
+          const status = studentRecord.status;
+          if (status === 'Present') present++;
+          else if (status === 'Absent') absent++;
+          else if (status === 'Late') late++;
+        }
+      });
+
+      report.summary.studentSummaries.push({
+        studentId: student.id,
+        studentName: student.name,
+        present,
+        absent,
+        late,
+        attendanceRate: attendanceRecords.length > 0
+          ? Math.round((present / attendanceRecords.length) * 100)
+          : 0
+      });
+    });
+
+    return report;
+  }
+
+  async function generateGradesReport(classId, term) {
+    const classData = await getClassWithStudents(classId);
+    if (!classData) {
+      return null;
+    }
+
+    const subjects = await getClassSubjects(classId);
+    const schemes = await getAssessmentSchemes();
+    const bySubject = {};
+    subjects.forEach(sub => {
+      bySubject[sub.name] = resolveClassScheme(schemes, classData, subjects, term, sub.name);
+    });
+
+    return {
+      class: classData,
+      term,
+      grades: (await getGradesByClassAndTerm(classId, term)).grades,
+      subjects,
+      statistics: await getClassGradeStatistics(classId, term),
+      assessmentSchemes: { class: resolveClassScheme(schemes, classData, subjects, term), subjects: bySubject },
+      reportDate: new Date().toISOString()
+    };
+  }
+
+  async function getSchool() {
+    return schoolProfile({ id: schoolId, ...(await sharedBackend.get(SCHOOLS_COLLECTION, schoolId)) });
+  }
+
+  /**
+   * Overview and finances of this school, or of several schools with group
+   * totals when schoolIds is given
+   * @param {Object} options
+   * @param {Array<string>} options.schoolIds - Schools to consolidate
+   */
+  async function generateSchoolReport({ schoolIds } = {}) {
+    if (schoolIds) {
+      const schools = await Promise.all(schoolIds.map(id =>
+        createSchoolQueries(sharedBackend, { schoolId: id }).generateSchoolReport()
+      ));
+      return {
+        ...consolidateSchoolReports(schools),
+        schools,
+        reportDate: new Date().toISOString()
+      };
+    }
+
+    const students = await getAllStudents();
+    const teachers = await getAllTeachers();
+    const classes = await getAllClasses();
+
+    return {
+      school: await getSchool(),
+      overview: {
+        totalStudents: students.length,
+        totalTeachers: teachers.length,
+        totalClasses: classes.length
+      },
+      financial: await getFinancialSummary(),
+      reportDate: new Date().toISOString()
+    };
+  }
+
+  /**
+   * ========================================
+   * UTILITIES
+   * ========================================
+   */
+
+  async function getAnnouncements(limit = null) {
+    const announcements = await backend.list('announcements', {
+      orderBy: [{ field: 'date', direction: 'desc' }]
+    });
+    return limit ? announcements.slice(0, limit) : announcements;
+  }
+
+  async function getUpcomingEvents(limit = null) {
+    const events = await backend.list('events', {
+      where: [{ field: 'date', operator: '>=', value: new Date() }],
+      orderBy: [{ field: 'date', direction: 'asc' }]
+    });
+    return limit ? events.slice(0, limit) : events;
+  }
+
+  return {
+    schoolId,
+    getSchool,
+    getDashboardStats,
+    getAllStudents,
+    getStudentsByGrade,
+    getStudentById,
+    searchStudents,
+    getAllTeachers,
+    getTeachersBySubject,
+    getTeachersByStatus,
+    searchTeachers,
+    getAllClasses,
+    getClassesByGrade,
+    getClassesByTeacher,
+    getClassWithStudents,
+    getAttendanceByClassAndDate,
+    getAttendanceByClassAndDateRange,
+    getStudentAttendanceSummary,
+    getGradesByClassAndTerm,
+    getGradesByStudent,
+    getClassGradeStatistics,
+    getClassSubjects,
+    getAssessmentSchemes,
+    getAssessmentScheme,
+    getAllFees,
+    getStudentFees,
+    getStudentsWithOutstandingFees,
+    getAllExpenses,
+    getExpensesByDateRange,
+    getExpensesByCategory,
+    getFinancialSummary,
+    generateFinancialReport,
+    generateAttendanceReport,
+    generateGradesReport,
+    generateSchoolReport,
+    getAnnouncements,
+    getUpcomingEvents
+  };
+}
+
+module.exports = {
+  createSchoolQueries,
+  listSchools,
+  calculateFeeTotals
+};
@@ -3,10 +3,29 @@ const express = require('express');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { createDataBackend } = require('./data-backends');
+const { createApiRouter } = require('./api-routes');
+const { createTokenVerifier, requirePageRole } = require('./auth-middleware');
+const { startBackupScheduler } = require('./backup-scheduler');
+const { startAuditCheckpoints } = require('./audit-checkpoints');
+const { startAuditMaintenance } = require('./audit-retention');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+/**
+ * The request path as express.static resolves it: decoded, normalized and
+ * lowercased (case-insensitive file systems serve '/DATA' as '/data').
+ * Null when the path cannot be decoded.
+ */
+function staticPath(req) {
+  try {
+    return path.posix.normalize(decodeURIComponent(req.path)).toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
 // Security headers middleware
 // Note: 'unsafe-inline' is currently required for inline scripts in HTML files
 // TODO: Refactor to use external JS files and implement nonce-based CSP
@@ -48,6 +67,59 @@ const limiter = rateLimit({
 // Apply rate limiting to all routes
 app.use(limiter);
 
+const backend = createDataBackend();
+const verifier = createTokenVerifier();
+
+// Versioned JSON API for reporting scripts and back-office tools
+app.use('/api/v1', createApiRouter({ backend, verifier }));
+
+// Portal pages require a signed-in user with the matching role.
+// These guards run before the static handler so the .html files are protected too,
+// however their path is spelled ('/admin.htm%6C', '/x/../Admin.html').
+const portalPages = {
+  admin: 'admin.html',
+  teacher: 'teacher-portal.html',
+  student: 'student-portal.html',
+  parent: 'parent-portal.html'
+};
+
+Object.entries(portalPages).forEach(([role, file]) => {
+  const guard = requirePageRole({ verifier, backend }, role);
+  const sendPage = (req, res) => res.sendFile(path.join(__dirname, file));
+
+  app.get(`/${role}`, guard, sendPage);
+  app.use((req, res, next) => {
+    if (!['GET', 'HEAD'].includes(req.method) || staticPath(req) !== `/${file}`) {
+      return next();
+    }
+    guard(req, res, () => sendPage(req, res));
+  });
+});
+
+// Never serve the local JSON data store, backup archives or installed packages as static files.
+// Checked on the decoded path, as express.static resolves it ('/%64ata' is '/data').
+const privateDirectories = ['data', 'backups', 'node_modules'];
+
+app.use((req, res, next) => {
+  const requested = staticPath(req);
+  if (requested === null) {
+    return res.status(400).end();
+  }
+  if (privateDirectories.includes(requested.split('/')[1])) {
+    return res.status(404).end();
+  }
+  next();
+});
+
+// ...nor private keys (e.g. AUDIT_CHECKPOINT_KEY_FILE) kept next to the app, however the
+// path is spelled ('/audit.pe%6D')
+app.use((req, res, next) => {
+  if (/\.(pem|key)\/?$/.test(staticPath(req))) {
+    return res.status(404).end();
+  }
+  next();
+});
+
 // Serve static files from the current directory
 app.use(express.static(path.join(__dirname), {
   dotfiles: 'deny',  // Prevent access to hidden files
@@ -67,12 +139,36 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Fallback to index.html for specific routes (not all paths)
-// This supports client-side routing while protecting against path traversal
-app.get(['/', '/admin', '/student', '/teacher', '/parent'], (req, res) => {
+// Login page
+app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`BIS-SMS Server running on http://localhost:${PORT}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`BIS-SMS Server running on http://localhost:${PORT}`);
+  });
+
+  // Scheduled backups (BACKUP_SCHEDULE); a bad configuration must not take the site down
+  try {
+    startBackupScheduler();
+  } catch (error) {
+    console.error('Backup scheduler not started:', error.message);
+  }
+
+  // Signed audit log checkpoints (AUDIT_CHECKPOINT_KEY_FILE)
+  try {
+    startAuditCheckpoints();
+  } catch (error) {
+    console.error('Audit checkpoints not started:', error.message);
+  }
+
+  // Audit log rollups and archiving (AUDIT_MAINTENANCE_SCHEDULE)
+  try {
+    startAuditMaintenance();
+  } catch (error) {
+    console.error('Audit maintenance not started:', error.message);
+  }
+}
+
+module.exports = app;
@@ -0,0 +1,284 @@
+/**
+ * BIS-SMS School Tenancy
+ *
+ * The group runs several campuses, each a school of its own. A school's
+ * records live under its document:
+ *
+ *   schools/{schoolId}                      { name, campus, city, address, phone, email, ... }
+ *   schools/{schoolId}/students/{id}        (and every collection in SCHOOL_COLLECTIONS)
+ *
+ * Accounts (users), messaging, notifications, grading scales, the audit
+ * trail and backup records stay at the top level, shared by all schools.
+ *
+ * A user belongs to one school (users/{uid}.schoolId). Group administrators
+ * (role 'admin' with groupAdmin: true) may work in every school; the admin
+ * dashboard lets them switch between schools and report across them.
+ *
+ * Pages keep using collection names ('students'): scopeFirestorePaths() wraps
+ * the SDK's collection() and doc() so those names resolve inside the current
+ * school, while full paths ('schools/pretoria/students') are used as given.
+ *
+ * Works in the browser (window.Tenancy) and in Node (require).
+ */
+
+const SCHOOLS_COLLECTION = 'schools';
+
+// Used for accounts and data from before schools were introduced
+const DEFAULT_SCHOOL_ID = 'johannesburg';
+
+const DEFAULT_SCHOOL_PROFILE = {
+  id: DEFAULT_SCHOOL_ID,
+  name: 'Bophelong Independent School',
+  shortName: 'BIS',
+  campus: 'Johannesburg',
+  city: 'Johannesburg'
+};
+
+// Collections that belong to a school
+const SCHOOL_COLLECTIONS = [
+  'students', 'teachers', 'classes', 'subjects', 'assessmentSchemes',
+  'attendance', 'grades', 'gradesData', 'teacherGrades',
+  'fees', 'expenses',
+  'homework', 'assignments', 'assignmentSubmissions', 'submissions',
+  'lessonPlans', 'resources', 'resourceDownloads',
+  'announcements', 'events', 'examTimetable', 'schedule',
+  'healthRecords', 'achievements'
+];
+
+// Browser: the school the page is working in
+const CURRENT_SCHOOL_KEY = 'currentSchoolId';
+
+function isSchoolCollection(collectionName) {
+  return SCHOOL_COLLECTIONS.includes(collectionName);
+}
+
+/**
+ * Path of a school's collection ('schools/{schoolId}/{collectionName}')
+ */
+function schoolCollectionPath(schoolId, collectionName) {
+  if (!schoolId) {
+    throw new Error(`A school is required for ${collectionName}`);
+  }
+  return `${SCHOOLS_COLLECTION}/${schoolId}/${collectionName}`;
+}
+
+/**
+ * Resolve a collection or document path inside a school
+ * ('students/42' -> 'schools/{schoolId}/students/42'); paths that do not
+ * start with a school collection are returned as they are
+ */
+function scopedPath(path, schoolId) {
+  const [first, ...rest] = String(path).split('/');
+  if (!isSchoolCollection(first)) return String(path);
+  return [schoolCollectionPath(schoolId, first), ...rest].join('/');
+}
+
+/**
+ * Collection list with school collections expanded to each school's path,
+ * for backups that cover several schools
+ * @param {Array<string>} collections - Collection names
+ * @param {Array<string>} schoolIds - Schools to include
+ * @returns {Array<string>} Paths, shared collections once
+ */
+function expandSchoolCollections(collections, schoolIds) {
+  const paths = [];
+  collections.forEach(name => {
+    if (isSchoolCollection(name)) {
+      schoolIds.forEach(schoolId => paths.push(schoolCollectionPath(schoolId, name)));
+    } else {
+      paths.push(name);
+    }
+  });
+  return [...new Set(paths)];
+}
+
+/**
+ * School ID and collection name of a school collection path, or null
+ * ('schools/pretoria/students' -> { schoolId: 'pretoria', collection: 'students' })
+ */
+function parseSchoolPath(path) {
+  const parts = String(path).split('/');
+  if (parts.length < 3 || parts[0] !== SCHOOLS_COLLECTION || !isSchoolCollection(parts[2])) {
+    return null;
+  }
+  return { schoolId: parts[1], collection: parts[2] };
+}
+
+/**
+ * ========================================
+ * ACCESS
+ * ========================================
+ */
+
+function isGroupAdmin(profile) {
+  return !!profile && profile.role === 'admin' && profile.groupAdmin === true;
+}
+
+// The school a profile belongs to
+function homeSchoolId(profile) {
+  return (profile && profile.schoolId) || DEFAULT_SCHOOL_ID;
+}
+
+/**
+ * Whether a user (users record, or req.user on the server) may work in a school
+ */
+function canAccessSchool(profile, schoolId) {
+  if (!profile || !schoolId) return false;
+  return isGroupAdmin(profile) || homeSchoolId(profile) === schoolId;
+}
+
+/**
+ * The schools a user may work in
+ * @param {Object} profile - users record
+ * @param {Array<Object>} schools - [{ id, ... }] from the schools collection
+ */
+function accessibleSchools(profile, schools) {
+  return (schools || []).filter(school => canAccessSchool(profile, school.id));
+}
+
+/**
+ * ========================================
+ * BRANDING
+ * ========================================
+ */
+
+/**
+ * A school's profile with defaults filled in (other campuses share the
+ * group's name, not the original campus's location)
+ * @param {Object} school - { id, ...schools document }
+ */
+function schoolProfile(school) {
+  const isDefault = !school || !school.id || school.id === DEFAULT_SCHOOL_ID;
+  const { name, shortName } = DEFAULT_SCHOOL_PROFILE;
+  const merged = { ...(isDefault ? DEFAULT_SCHOOL_PROFILE : { name, shortName }), ...(school || {}) };
+  if (!merged.campus) merged.campus = merged.city || merged.id;
+  return merged;
+}
+
+/**
+ * Texts that name a school on screen and in print
+ * @returns {Object} { name, campus, title, letterhead }
+ */
+function schoolBranding(school) {
+  const profile = schoolProfile(school);
+  return {
+    name: profile.name,
+    campus: profile.campus,
+    title: `${profile.name} - ${profile.campus}`,
+    letterhead: `${profile.name} • ${profile.campus}`
+  };
+}
+
+/**
+ * ========================================
+ * REPORTING
+ * ========================================
+ */
+
+/**
+ * Group totals of several schools' reports
+ * @param {Array<Object>} reports - { overview, financial } per school, as generateSchoolReport() returns them
+ * @returns {Object} { overview, financial } summed over the schools
+ */
+function consolidateSchoolReports(reports) {
+  const overview = { totalStudents: 0, totalTeachers: 0, totalClasses: 0 };
+  const income = { totalDue: 0, totalPaid: 0, totalBalance: 0 };
+  const expenses = { total: 0, byCategory: {} };
+
+  reports.forEach(report => {
+    Object.keys(overview).forEach(key => { overview[key] += report.overview[key] || 0; });
+    Object.keys(income).forEach(key => { income[key] += report.financial.income[key] || 0; });
+    expenses.total += report.financial.expenses.total || 0;
+    Object.entries(report.financial.expenses.byCategory || {}).forEach(([category, amount]) => {
+      expenses.byCategory[category] = (expenses.byCategory[category] || 0) + amount;
+    });
+  });
+
+  return {
+    overview,
+    financial: {
+      income: {
+        ...income,
+        collectionRate: income.totalDue > 0 ? Math.round((income.totalPaid / income.totalDue) * 100) : 0
+      },
+      expenses,
+      netSurplus: income.totalPaid - expenses.total
+    }
+  };
+}
+
+/**
+ * ========================================
+ * BROWSER
+ * ========================================
+ */
+
+let currentSchoolId = null;
+
+function getCurrentSchoolId() {
+  if (currentSchoolId) return currentSchoolId;
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(CURRENT_SCHOOL_KEY) : null;
+  return stored || DEFAULT_SCHOOL_ID;
+}
+
+/**
+ * Work in another school from now on (pages reload their data afterwards)
+ */
+function setCurrentSchoolId(schoolId) {
+  currentSchoolId = schoolId;
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(CURRENT_SCHOOL_KEY, schoolId);
+  }
+}
+
+// A CollectionReference or DocumentReference rather than the Firestore instance
+function isReference(parent) {
+  return !!parent && (parent.type === 'collection' || parent.type === 'document');
+}
+
+/**
+ * Wrap the SDK's collection() and doc() so school collections resolve in
+ * the current school (or the one getSchoolId() returns)
+ * @param {Object} sdk - { collection, doc } from firebase-firestore.js
+ * @returns {Object} { collection, doc } with the same signatures
+ */
+function scopeFirestorePaths({ collection, doc }, getSchoolId = getCurrentSchoolId) {
+  const scope = (parent, path) => (isReference(parent) || typeof path !== 'string') ? path : scopedPath(path, getSchoolId());
+  return {
+    collection: (parent, path, ...segments) => collection(parent, scope(parent, path), ...segments),
+    doc: (parent, path, ...segments) => (path === undefined ? doc(parent) : doc(parent, scope(parent, path), ...segments))
+  };
+}
+
+const Tenancy = {
+  SCHOOLS_COLLECTION,
+  DEFAULT_SCHOOL_ID,
+  DEFAULT_SCHOOL_PROFILE,
+  SCHOOL_COLLECTIONS,
+  CURRENT_SCHOOL_KEY,
+  isSchoolCollection,
+  schoolCollectionPath,
+  scopedPath,
+  expandSchoolCollections,
+  parseSchoolPath,
+  isGroupAdmin,
+  homeSchoolId,
+  canAccessSchool,
+  accessibleSchools,
+  schoolProfile,
+  schoolBranding,
+  consolidateSchoolReports,
+  getCurrentSchoolId,
+  setCurrentSchoolId,
+  scopeFirestorePaths
+};
+
+// Make available to the pages and browser modules
+if (typeof window !== 'undefined') {
+  window.Tenancy = Tenancy;
+}
+
+// Export for use in modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tenancy;
+}
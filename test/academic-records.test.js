@@ -0,0 +1,46 @@
+// Register dates are school-local; run these as a school in Johannesburg would (UTC+2)
+process.env.TZ = 'Africa/Johannesburg';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  recordKey,
+  toDateKey,
+  attendanceSessionId,
+  gradebookDocId
+} = require('../academic-records');
+
+test('recordKey keeps distinct values distinct', () => {
+  const values = ['Math & Science', 'Math/Science', 'Math_Science', 'Math Science', 'Math.Science', 'Wiskunde ñ'];
+  const keys = values.map(recordKey);
+  assert.strictEqual(new Set(keys).size, values.length);
+  keys.forEach(key => {
+    assert.match(key, /^[A-Za-z0-9%-]+$/);
+  });
+});
+
+test('recordKey leaves plain IDs and dates as they are', () => {
+  assert.strictEqual(recordKey('Xy7Q-9abc'), 'Xy7Q-9abc');
+  assert.strictEqual(recordKey('2026-03-02'), '2026-03-02');
+  assert.strictEqual(recordKey(' Term 1 2026 '), 'Term%201%202026');
+});
+
+test('gradebook IDs do not collide when a part contains the separator', () => {
+  assert.notStrictEqual(gradebookDocId('a_b', 'c', 'Maths'), gradebookDocId('a', 'b_c', 'Maths'));
+  assert.notStrictEqual(gradebookDocId('c1', 'Term 1', 'Math & Science'), gradebookDocId('c1', 'Term 1', 'Math/Science'));
+  assert.notStrictEqual(gradebookDocId('c1', 'Term 1', 'comments', 'x'), gradebookDocId('c1', 'Term 1', null));
+});
+
+test('toDateKey uses the local calendar date', () => {
+  // 00:30 on 2 March in Johannesburg is still 1 March in UTC
+  assert.strictEqual(toDateKey(new Date(2026, 2, 2, 0, 30)), '2026-03-02');
+  assert.strictEqual(toDateKey(new Date(2026, 2, 2, 23, 30)), '2026-03-02');
+  assert.strictEqual(toDateKey({ toDate: () => new Date(2026, 2, 2, 1, 0) }), '2026-03-02');
+  assert.strictEqual(toDateKey('2026-03-02'), '2026-03-02');
+  assert.strictEqual(toDateKey(''), null);
+  assert.throws(() => toDateKey('not a date'), /Invalid date/);
+});
+
+test('attendanceSessionId uses the local date', () => {
+  assert.strictEqual(attendanceSessionId('c1', new Date(2026, 2, 2, 0, 30)), 'c1_2026-03-02');
+});
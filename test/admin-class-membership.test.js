@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageFunctionSource, pageDefinesFunction, loadPageFunctions } = require('./helpers/page-script');
+
+function adminSandbox({ saveRecord }) {
+  const calls = [];
+  const sandbox = loadPageFunctions('admin.html', ['firestoreIdOf', 'removeStudentFromClass'], {
+    classes: [{ id: 1, firestoreId: 'c1', name: 'Grade 10A', studentIds: [7, 8] }],
+    students: [{ id: 7, firestoreId: 's7', name: 'Thabo', classIds: [1, 2] }],
+    window: {
+      DataAccess: {
+        saveRecord: async (...args) => {
+          calls.push(['save', ...args]);
+          return saveRecord(...args);
+        }
+      }
+    },
+    renderGradesTable: () => calls.push(['render', 'grades']),
+    renderClasses: () => calls.push(['render', 'classes']),
+    alert: message => calls.push(['alert', message])
+  });
+  return { sandbox, calls };
+}
+
+test('removeStudentFromClass only calls render functions the page defines', () => {
+  const source = pageFunctionSource('admin.html', 'removeStudentFromClass');
+  const called = [...source.matchAll(/\b(render\w*)\(/g)].map(match => match[1]);
+  assert.ok(called.length > 0);
+  called.forEach(name => {
+    assert.ok(pageDefinesFunction('admin.html', name), `${name}() is not defined in admin.html`);
+  });
+});
+
+test('removeStudentFromClass saves the class and the learner, then re-renders', async () => {
+  const { sandbox, calls } = adminSandbox({ saveRecord: async () => ({ queued: false }) });
+
+  await sandbox.removeStudentFromClass(1, 7);
+
+  const saves = calls.filter(call => call[0] === 'save');
+  assert.deepStrictEqual(saves.map(call => [call[1], call[2], call[4].merge]), [
+    ['classes', 'c1', true],
+    ['students', 's7', true]
+  ]);
+  assert.deepStrictEqual([...saves[0][3].studentIds], [8]);
+  assert.deepStrictEqual([...saves[1][3].classIds], [2]);
+  assert.match(saves[0][4].reason, /Thabo removed from class Grade 10A/);
+
+  // Rendering comes after the writes
+  assert.deepStrictEqual(calls.slice(2).map(call => call.join(':')), ['render:grades', 'render:classes']);
+});
+
+test('removeStudentFromClass reports a failed save and still re-renders', async () => {
+  const { sandbox, calls } = adminSandbox({
+    saveRecord: async () => { throw new Error('permission-denied'); }
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await sandbox.removeStudentFromClass(1, 7);
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.ok(calls.some(call => call[0] === 'alert' && /permission-denied/.test(call[1])));
+  assert.deepStrictEqual(calls.filter(call => call[0] === 'render').map(call => call[1]), ['grades', 'classes']);
+});
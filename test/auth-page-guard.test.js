@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createDataBackend } = require('../data-backends');
+const { createTokenVerifier, createFirebaseTokenVerifier, requirePageRole } = require('../auth-middleware');
+
+// Admin app stand-in: tokens are "token-<uid>", users records as given
+function fakeAdminApp(users) {
+  return {
+    auth: () => ({
+      verifyIdToken: async token => {
+        if (!token.startsWith('token-')) throw new Error('invalid');
+        return { uid: token.slice('token-'.length) };
+      }
+    }),
+    firestore: () => ({
+      collection: name => ({
+        doc: id => ({
+          get: async () => {
+            const data = name === 'users' ? users[id] : undefined;
+            return { exists: !!data, data: () => data };
+          }
+        })
+      })
+    })
+  };
+}
+
+async function withServer(app, fn) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('default configuration verifies Firebase tokens and serves the API from the JSON file', () => {
+  assert.strictEqual(createTokenVerifier({}).name, 'firebase');
+  assert.strictEqual(createDataBackend({ DATA_FILE: path.join(os.tmpdir(), 'none.json') }).name, 'json');
+});
+
+test('portal pages read roles from Firestore when the API uses the JSON backend', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bis-sms-auth-'));
+  const dataFile = path.join(dir, 'school-data.json');
+  // The JSON store has school data but no users records
+  fs.writeFileSync(dataFile, JSON.stringify({ students: { s1: { name: 'Thabo' } } }));
+
+  const backend = createDataBackend({ DATA_FILE: dataFile });
+  const verifier = createFirebaseTokenVerifier({
+    app: fakeAdminApp({
+      admin1: { role: 'admin' },
+      teacher1: { role: 'teacher' }
+    })
+  });
+
+  const app = express();
+  app.get('/admin', requirePageRole({ verifier, backend }, 'admin'), (req, res) => res.send('admin page'));
+
+  try {
+    await withServer(app, async base => {
+      const get = cookie => fetch(`${base}/admin`, { redirect: 'manual', headers: cookie ? { cookie } : {} });
+
+      const admin = await get('__session=token-admin1');
+      assert.strictEqual(admin.status, 200);
+      assert.strictEqual(await admin.text(), 'admin page');
+
+      const teacher = await get('__session=token-teacher1');
+      assert.strictEqual(teacher.status, 302);
+
+      const unknown = await get('__session=token-nobody');
+      assert.strictEqual(unknown.status, 302);
+
+      const signedOut = await get(null);
+      assert.strictEqual(signedOut.status, 302);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
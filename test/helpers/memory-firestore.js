@@ -0,0 +1,54 @@
+/**
+ * In-memory stand-in for the parts of the Admin SDK Firestore used by the
+ * migration tools: collection().get(), doc(), batch()
+ */
+
+function splitPath(path) {
+  const parts = path.split('/');
+  return [parts.slice(0, -1).join('/'), parts[parts.length - 1]];
+}
+
+/**
+ * @param {Object} store - { [collectionPath]: { [docId]: data } }, changed in place by batch commits
+ * @returns {Object} db
+ */
+function createMemoryFirestore(store) {
+  const docRef = path => ({
+    path,
+    get: async () => {
+      const [collectionPath, id] = splitPath(path);
+      const data = (store[collectionPath] || {})[id];
+      return { id, exists: data !== undefined, data: () => data, get: field => (data || {})[field] };
+    }
+  });
+
+  return {
+    collection: name => ({
+      get: async () => ({
+        docs: Object.entries(store[name] || {}).map(([id, data]) => ({ id, data: () => data, get: field => data[field] }))
+      }),
+      doc: id => docRef(`${name}/${id}`)
+    }),
+    doc: docRef,
+    batch: () => {
+      const operations = [];
+      return {
+        set: (ref, data, options = {}) => operations.push(['set', ref.path, data, options]),
+        delete: ref => operations.push(['delete', ref.path]),
+        commit: async () => operations.forEach(([op, path, data, options]) => {
+          const [collectionPath, id] = splitPath(path);
+          store[collectionPath] = store[collectionPath] || {};
+          if (op === 'delete') {
+            delete store[collectionPath][id];
+          } else {
+            store[collectionPath][id] = options.merge ? { ...store[collectionPath][id], ...data } : data;
+          }
+        })
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryFirestore
+};
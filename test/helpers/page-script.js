@@ -0,0 +1,60 @@
+/**
+ * Helpers for testing functions defined in the pages' inline scripts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function readPage(page) {
+  return fs.readFileSync(path.join(__dirname, '..', '..', page), 'utf8');
+}
+
+/**
+ * Source of a top-level function in a page's inline scripts
+ * @param {string} page - File name, e.g. 'admin.html'
+ * @param {string} name - Function name
+ * @returns {string} The declaration, from `function`/`async function` to its closing brace
+ */
+function pageFunctionSource(page, name) {
+  const html = readPage(page);
+  const match = new RegExp(`(async\\s+)?function\\s+${name}\\s*\\(`).exec(html);
+  if (!match) {
+    throw new Error(`${name}() is not defined in ${page}`);
+  }
+
+  let depth = 0;
+  for (let i = html.indexOf('{', match.index); i < html.length; i++) {
+    if (html[i] === '{') depth++;
+    if (html[i] === '}' && --depth === 0) {
+      return html.slice(match.index, i + 1);
+    }
+  }
+  throw new Error(`Unterminated function ${name}() in ${page}`);
+}
+
+/**
+ * Whether a page's inline scripts define a function
+ */
+function pageDefinesFunction(page, name) {
+  return new RegExp(`function\\s+${name}\\s*\\(`).test(readPage(page));
+}
+
+/**
+ * Evaluate page functions in a sandbox holding the given globals
+ * @param {string} page - File name
+ * @param {Array<string>} names - Functions to load
+ * @param {Object} globals - Variables and stubs the functions use
+ * @returns {Object} The sandbox, with the functions defined on it
+ */
+function loadPageFunctions(page, names, globals) {
+  const sandbox = vm.createContext({ console, ...globals });
+  names.forEach(name => vm.runInContext(pageFunctionSource(page, name), sandbox));
+  return sandbox;
+}
+
+module.exports = {
+  pageFunctionSource,
+  pageDefinesFunction,
+  loadPageFunctions
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { migrateAcademicRecords } = require('../migrate-academic-records');
+const { createMemoryFirestore } = require('./helpers/memory-firestore');
+
+const SCHOOL = 'schools/johannesburg';
+
+function schoolStore() {
+  return {
+    [`${SCHOOL}/classes`]: { c1: { numericId: 1 } },
+    [`${SCHOOL}/students`]: { s17: { numericId: 17 }, s18: { numericId: 18 } },
+    [`${SCHOOL}/attendance`]: {
+      // Already migrated: learner 17 was marked Present
+      'c1_2026-03-02': {
+        classId: 'c1',
+        date: '2026-03-02',
+        records: { s17: { status: 'Present', notes: '' } },
+        studentIds: ['s17']
+      },
+      // Old format, disagrees about learner 17
+      'class_1_2026-03-02': { classId: 1, date: '2026-03-02', records: { 17: { status: 'Absent' } } },
+      // Old format, nothing to disagree with
+      'class_1_2026-03-03': { classId: 1, date: '2026-03-03', records: { 18: { status: 'Late' } } }
+    }
+  };
+}
+
+test('old documents with a conflicting value are kept, the others are deleted', async () => {
+  const store = schoolStore();
+  const db = createMemoryFirestore(store);
+
+  const report = await migrateAcademicRecords({ db, apply: true, now: new Date('2026-04-01T00:00:00Z') });
+
+  assert.deepStrictEqual(report.conflicts.map(c => [c.path, c.legacyPath, c.studentId]), [
+    [`${SCHOOL}/attendance/c1_2026-03-02`, `${SCHOOL}/attendance/class_1_2026-03-02`, 's17']
+  ]);
+  assert.deepStrictEqual(report.deleted, [`${SCHOOL}/attendance/class_1_2026-03-03`]);
+
+  const attendance = store[`${SCHOOL}/attendance`];
+  assert.ok(attendance['class_1_2026-03-02'], 'conflicting old document was deleted');
+  assert.strictEqual(attendance['class_1_2026-03-03'], undefined);
+  assert.strictEqual(attendance['c1_2026-03-02'].records.s17.status, 'Present');
+  assert.strictEqual(attendance['c1_2026-03-03'].records.s18.status, 'Late');
+});
+
+test('a conflicting old document is kept on later runs too', async () => {
+  const store = schoolStore();
+  const db = createMemoryFirestore(store);
+
+  await migrateAcademicRecords({ db, apply: true });
+  const again = await migrateAcademicRecords({ db, apply: true });
+
+  assert.strictEqual(again.conflicts.length, 1);
+  assert.deepStrictEqual(again.deleted, []);
+  assert.deepStrictEqual(again.written, []);
+  assert.ok(store[`${SCHOOL}/attendance`]['class_1_2026-03-02']);
+});
+
+test('a dry run reports without writing', async () => {
+  const store = schoolStore();
+  const before = JSON.stringify(store);
+
+  const report = await migrateAcademicRecords({ db: createMemoryFirestore(store) });
+
+  assert.strictEqual(report.applied, false);
+  assert.deepStrictEqual(report.deleted, [`${SCHOOL}/attendance/class_1_2026-03-03`]);
+  assert.strictEqual(JSON.stringify(store), before);
+});
@@ -103,55 +103,85 @@ const validators = {
   }
 };
 
+// A function from another classic script: from `load()` (require) in Node, a page global in the browser
+function requireScriptFunction(file, name, load) {
+  if (typeof module !== 'undefined' && module.exports) {
+    return load()[name];
+  }
+  if (typeof window[name] !== 'function') {
+    throw new Error(`${file} must be loaded before using ${name}()`);
+  }
+  return window[name];
+}
+
 // CSV validation and sanitization
-function validateCSVData(data, requiredFields = []) {
+// Pass an entity name (e.g. 'student', see schemas.js - load it before this
+// file in the browser) to validate every row against its schema, or a list
+// of required field names for a presence-only check.
+function validateCSVData(data, requiredFieldsOrEntity = []) {
   if (!data || !Array.isArray(data)) {
-    return { valid: false, error: 'Invalid data format' };
+    return { valid: false, error: 'Invalid data format', errors: [] };
+  }
+  
+  if (typeof requiredFieldsOrEntity === 'string') {
+    const validateRecords = requireScriptFunction('schemas.js', 'validateRecords', () => require('./schemas.js'));
+    const result = validateRecords(requiredFieldsOrEntity, data);
+    const errors = result.errors.map(error => ({
+      row: error.index + 1,
+      field: error.field,
+      message: error.message
+    }));
+    return {
+      valid: result.valid,
+      error: errors.length > 0 ? `${errors[0].message} in row ${errors[0].row}` : undefined,
+      errors,
+      data: result.results.map(row => row.data)
+    };
   }
   
+  const errors = [];
   for (let i = 0; i < data.length; i++) {
     const row = data[i];
-    for (const field of requiredFields) {
+    for (const field of requiredFieldsOrEntity) {
       if (!row[field] || !validators.isNotEmpty(row[field])) {
-        return { 
-          valid: false, 
-          error: `Missing required field "${field}" in row ${i + 1}` 
-        };
+        errors.push({ row: i + 1, field, message: `Missing required field "${field}"` });
       }
     }
   }
   
-  return { valid: true };
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      error: `Missing required field "${errors[0].field}" in row ${errors[0].row}`,
+      errors
+    };
+  }
+  
+  return { valid: true, errors: [] };
 }
 
-// Safe CSV parsing
-function parseCSV(csvText) {
+// Safe CSV parsing (RFC 4180, see csv-utils.js - load it before this file in the browser)
+// Returns rows keyed by header plus per-row errors; rows with errors are
+// still included so callers can show them in an import preview.
+function parseCSV(csvText, options = {}) {
   try {
-    const lines = csvText.trim().split('\n');
-    if (lines.length === 0) {
-      return { success: false, error: 'Empty CSV file', data: [] };
-    }
-    
-    const headers = lines[0].split(',').map(h => h.trim());
-    const data = [];
+    const parseCSVText = requireScriptFunction('csv-utils.js', 'parseCSVText', () => require('./csv-utils.js'));
+    const result = parseCSVText(csvText, { normalizeHeaders: false, ...options });
     
-    for (let i = 1; i < lines.length; i++) {
-      if (!lines[i].trim()) continue; // Skip empty lines
-      
-      const values = lines[i].split(',').map(v => v.trim());
-      const row = {};
-      
-      headers.forEach((header, index) => {
-        row[header] = values[index] || '';
-      });
-      
-      data.push(row);
+    if (result.headers.length === 0) {
+      return { success: false, error: 'Empty CSV file', data: [], errors: [] };
     }
     
-    return { success: true, data, headers };
+    return {
+      success: true,
+      data: result.rows.map(row => row.data),
+      headers: result.headers,
+      delimiter: result.delimiter,
+      errors: result.errors
+    };
   } catch (error) {
     console.error('CSV parsing error:', error);
-    return { success: false, error: error.message, data: [] };
+    return { success: false, error: error.message, data: [], errors: [] };
   }
 }
 